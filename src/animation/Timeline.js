@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+import { validateTimeline, TIMELINE_PROPERTIES } from '../document/SceneDocument.js';
+
+// Keyframes closer than this (seconds) are treated as the same keyframe
+const TIME_EPSILON = 1e-3;
+
+// glTF animation paths that map onto timeline properties
+const CLIP_PROPERTIES = ['position', 'quaternion', 'scale'];
+
+/**
+ * Timeline Class
+ * Keyframe tracks for object transforms, material and light colors, light
+ * intensity and the camera pose. A track animates one property of one target:
+ * - Targets: an object id, `light:<index>`, `camera` or `camera-target` (orbit target)
+ * - Properties: position, quaternion, scale, color, intensity (see TIMELINE_PROPERTIES)
+ * - Keyframes: { time, value } with the property's values as a flat array
+ * - Easing: how values move between keyframes (see easing.js)
+ *
+ * Dispatches 'change' after every edit. Playback is done by TimelinePlayer.
+ */
+export class Timeline extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [data] - Validated timeline data (see validateTimeline)
+     */
+    constructor({ duration = 5, loop = true, tracks = [] } = {}) {
+        super();
+
+        this.duration = duration;
+        this.loop = loop;
+        this.tracks = tracks.map(track => ({
+            ...track,
+            keyframes: track.keyframes.map(keyframe => ({ time: keyframe.time, value: [...keyframe.value] }))
+        }));
+    }
+
+    /**
+     * Create a timeline from parsed JSON
+     * @param {Object} json
+     * @returns {Timeline}
+     * @throws {SceneDocumentError} If the JSON is not a valid timeline
+     */
+    static fromJSON(json) {
+        return new Timeline(validateTimeline(json));
+    }
+
+    /**
+     * Create a timeline from an AnimationClip (e.g. loaded from a glTF file)
+     * Transform tracks become timeline tracks targeting the node name; other
+     * tracks are ignored.
+     * @param {THREE.AnimationClip} clip
+     * @returns {Timeline}
+     */
+    static fromAnimationClip(clip) {
+        const tracks = [];
+
+        clip.tracks.forEach((keyframeTrack) => {
+            const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(keyframeTrack.name);
+            if (!nodeName || !CLIP_PROPERTIES.includes(propertyName)) return;
+
+            const size = keyframeTrack.getValueSize();
+            const keyframes = Array.from(keyframeTrack.times, (time, index) => ({
+                time,
+                value: Array.from(keyframeTrack.values.slice(index * size, (index + 1) * size))
+            }));
+
+            tracks.push({
+                target: nodeName,
+                property: propertyName,
+                easing: keyframeTrack.getInterpolation() === THREE.InterpolateDiscrete ? 'step' : 'linear',
+                keyframes
+            });
+        });
+
+        return new Timeline({ duration: Math.max(clip.duration, 0.1), loop: true, tracks });
+    }
+
+    /**
+     * @returns {Object} Plain JSON (the `timeline` section of a scene document)
+     */
+    toJSON() {
+        return {
+            duration: this.duration,
+            loop: this.loop,
+            tracks: this.tracks.map(track => ({
+                target: track.target,
+                property: track.property,
+                easing: track.easing,
+                keyframes: track.keyframes.map(keyframe => ({
+                    time: Math.round(keyframe.time * 1000) / 1000,
+                    value: keyframe.value.map(value => Math.round(value * 10000) / 10000)
+                }))
+            }))
+        };
+    }
+
+    /**
+     * @param {string} target
+     * @param {string} property
+     * @returns {Object|undefined}
+     */
+    getTrack(target, property) {
+        return this.tracks.find(track => track.target === target && track.property === property);
+    }
+
+    /**
+     * @param {string} target
+     * @returns {boolean} Whether any track animates the target
+     */
+    hasTarget(target) {
+        return this.tracks.some(track => track.target === target);
+    }
+
+    /**
+     * Add a keyframe, replacing one at the same time; creates the track if needed
+     * @param {string} target
+     * @param {string} property - One of TIMELINE_PROPERTIES
+     * @param {number} time - Seconds
+     * @param {number[]} value
+     */
+    setKeyframe(target, property, time, value) {
+        const size = TIMELINE_PROPERTIES[property];
+        if (!size || value.length !== size) {
+            throw new Error(`Cannot key ${property} with ${value.length} values`);
+        }
+
+        let track = this.getTrack(target, property);
+        if (!track) {
+            track = { target, property, easing: 'linear', keyframes: [] };
+            this.tracks.push(track);
+        }
+
+        const keyframe = { time: Math.min(Math.max(time, 0), this.duration), value: [...value] };
+        const index = track.keyframes.findIndex(existing => Math.abs(existing.time - keyframe.time) < TIME_EPSILON);
+        if (index >= 0) {
+            track.keyframes[index] = keyframe;
+        } else {
+            track.keyframes.push(keyframe);
+            track.keyframes.sort((a, b) => a.time - b.time);
+        }
+
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * @param {Object} track
+     */
+    removeTrack(track) {
+        this.tracks = this.tracks.filter(candidate => candidate !== track);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * @param {Object} track
+     * @param {string} easing - One of EASING_NAMES
+     */
+    setEasing(track, easing) {
+        track.easing = easing;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Change the length; keyframes past the new end are clamped to it
+     * @param {number} duration - Seconds
+     */
+    setDuration(duration) {
+        this.duration = Math.max(0.1, duration);
+        this.tracks.forEach((track) => {
+            track.keyframes.forEach((keyframe) => {
+                keyframe.time = Math.min(keyframe.time, this.duration);
+            });
+        });
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * @param {boolean} loop
+     */
+    setLoop(loop) {
+        this.loop = loop;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Remove every track
+     */
+    clear() {
+        this.tracks = [];
+        this.dispatchEvent({ type: 'change' });
+    }
+}
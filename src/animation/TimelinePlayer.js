@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { compileTrack, getBindingPath } from './clips.js';
+
+/**
+ * TimelinePlayer Class
+ * Plays a Timeline through AnimationMixers: every animated target gets a
+ * mixer rooted at its Object3D and one clip holding all of its tracks.
+ * The player owns the playhead, so scrubbing, looping and stopping at the
+ * end behave the same for every target.
+ *
+ * Events:
+ * - 'time'     { time }      playhead moved
+ * - 'state'    { playing }   playback started or stopped
+ * - 'evaluate'               targets were updated to the playhead
+ * - 'timeline' { timeline }  a different timeline was attached
+ */
+export class TimelinePlayer extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {Function} options.resolve - Maps a track target to its Object3D (or null)
+     */
+    constructor({ resolve }) {
+        super();
+
+        this.resolve = resolve;
+        this.timeline = null;
+        this.time = 0;
+        this.playing = false;
+
+        // { target, mixer, action } for every bound target
+        this.bindings = [];
+        // Targets or tracks that could not be bound to the scene
+        this.skipped = [];
+
+        this.handleTimelineChange = () => this.rebuild();
+    }
+
+    /**
+     * Attach a timeline (replacing the previous one)
+     * @param {Timeline} timeline
+     */
+    setTimeline(timeline) {
+        if (this.timeline) {
+            this.timeline.removeEventListener('change', this.handleTimelineChange);
+        }
+
+        this.timeline = timeline;
+        this.timeline.addEventListener('change', this.handleTimelineChange);
+        this.pause();
+        this.time = Math.min(this.time, timeline.duration);
+        this.rebuild();
+        this.dispatchEvent({ type: 'timeline', timeline });
+    }
+
+    /**
+     * Recompile the clips, e.g. after the timeline or the scene's objects changed
+     * Old mixers are dropped without stopping their actions, so objects keep
+     * their current pose instead of snapping back to the pose they were bound with.
+     */
+    rebuild() {
+        this.bindings = [];
+        this.skipped = [];
+        if (!this.timeline) return;
+
+        const byTarget = new Map();
+        this.timeline.tracks.forEach((track) => {
+            if (!byTarget.has(track.target)) {
+                byTarget.set(track.target, []);
+            }
+            byTarget.get(track.target).push(track);
+        });
+
+        byTarget.forEach((tracks, target) => {
+            const object = this.resolve(target);
+            if (!object) {
+                this.skipped.push(...tracks);
+                return;
+            }
+
+            const keyframeTracks = [];
+            tracks.forEach((track) => {
+                const path = getBindingPath(track.property, object);
+                const keyframeTrack = path ? compileTrack(track, `.${path}`) : null;
+                if (keyframeTrack) {
+                    keyframeTracks.push(keyframeTrack);
+                } else {
+                    this.skipped.push(track);
+                }
+            });
+            if (keyframeTracks.length === 0) return;
+
+            const mixer = new THREE.AnimationMixer(object);
+            const action = mixer.clipAction(new THREE.AnimationClip(target, this.timeline.duration, keyframeTracks));
+            action.setLoop(THREE.LoopOnce, 1);
+            action.clampWhenFinished = true;
+            action.play();
+
+            this.bindings.push({ target, mixer, action });
+        });
+    }
+
+    play() {
+        if (!this.timeline || this.playing) return;
+
+        // Start over when playing from the end of a non-looping timeline
+        if (this.time >= this.timeline.duration) {
+            this.time = 0;
+        }
+        this.playing = true;
+        this.dispatchEvent({ type: 'state', playing: true });
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.dispatchEvent({ type: 'state', playing: false });
+    }
+
+    /**
+     * Pause and return to the start
+     */
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+
+    /**
+     * Move the playhead and apply the animated values
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        if (!this.timeline) return;
+
+        this.time = Math.min(Math.max(time, 0), this.timeline.duration);
+        this.evaluate();
+        this.dispatchEvent({ type: 'time', time: this.time });
+    }
+
+    /**
+     * Advance playback (call once per frame)
+     * @param {number} dt - Seconds since the previous frame
+     * @returns {boolean} Whether animated values were applied
+     */
+    update(dt) {
+        if (!this.playing || !this.timeline) return false;
+
+        const { duration, loop } = this.timeline;
+        let time = this.time + dt;
+        if (time >= duration) {
+            if (loop) {
+                time %= duration;
+            } else {
+                time = duration;
+                this.pause();
+            }
+        }
+
+        this.seek(time);
+        return true;
+    }
+
+    /**
+     * Apply every bound clip at the playhead
+     */
+    evaluate() {
+        this.bindings.forEach(({ mixer, action }) => {
+            // Finished LoopOnce actions pause themselves; rewinding must revive them
+            action.enabled = true;
+            action.paused = false;
+            action.time = this.time;
+            mixer.update(0);
+        });
+        this.dispatchEvent({ type: 'evaluate' });
+    }
+
+    dispose() {
+        this.pause();
+        if (this.timeline) {
+            this.timeline.removeEventListener('change', this.handleTimelineChange);
+            this.timeline = null;
+        }
+        this.bindings = [];
+    }
+}
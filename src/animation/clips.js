@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { EASINGS } from './easing.js';
+
+// Samples per second used to bake eased segments into linear keyframes
+const BAKE_RATE = 30;
+
+const TRACK_TYPES = {
+    position: THREE.VectorKeyframeTrack,
+    quaternion: THREE.QuaternionKeyframeTrack,
+    scale: THREE.VectorKeyframeTrack,
+    color: THREE.ColorKeyframeTrack,
+    intensity: THREE.NumberKeyframeTrack
+};
+
+/**
+ * Property path a timeline property binds to on a given object
+ * @param {string} property - Timeline property
+ * @param {THREE.Object3D} object
+ * @returns {string|null} Path for PropertyBinding, or null if the object lacks the property
+ */
+export function getBindingPath(property, object) {
+    switch (property) {
+        case 'color':
+            if (object.isLight) return 'color';
+            return object.material && object.material.color ? 'material.color' : null;
+        case 'intensity':
+            return object.isLight ? 'intensity' : null;
+        default:
+            return property;
+    }
+}
+
+/**
+ * Turn a timeline track into a KeyframeTrack
+ * Step easing maps to discrete interpolation; other curves are baked into
+ * linearly interpolated samples so any AnimationMixer plays them back as authored.
+ * @param {Object} track - Timeline track
+ * @param {string} name - KeyframeTrack name, e.g. `.position` or `<uuid>.quaternion`
+ * @returns {THREE.KeyframeTrack|null} null for tracks without keyframes
+ */
+export function compileTrack(track, name) {
+    if (track.keyframes.length === 0) return null;
+
+    const TrackType = TRACK_TYPES[track.property];
+    const { times, values } = track.easing === 'linear' || track.easing === 'step'
+        ? flatten(track.keyframes)
+        : bake(track);
+
+    const keyframeTrack = new TrackType(name, times, values);
+    if (track.easing === 'step') {
+        keyframeTrack.setInterpolation(THREE.InterpolateDiscrete);
+    }
+    return keyframeTrack;
+}
+
+/**
+ * Build a clip of the timeline's transform tracks for glTF export
+ * Only position, quaternion and scale tracks of visible scene objects can be
+ * stored in glTF; everything else is reported as skipped.
+ * @param {Timeline} timeline
+ * @param {Function} resolve - Maps a track target to its Object3D (or null)
+ * @param {string} [name='Timeline']
+ * @returns {{clip: THREE.AnimationClip, skipped: Object[]}}
+ */
+export function createExportClip(timeline, resolve, name = 'Timeline') {
+    const tracks = [];
+    const skipped = [];
+
+    timeline.tracks.forEach((track) => {
+        const object = resolve(track.target);
+        const exportable = ['position', 'quaternion', 'scale'].includes(track.property)
+            && object && object.parent && isVisible(object);
+
+        const keyframeTrack = exportable ? compileTrack(track, `${object.uuid}.${track.property}`) : null;
+        if (keyframeTrack) {
+            tracks.push(keyframeTrack);
+        } else {
+            skipped.push(track);
+        }
+    });
+
+    return { clip: new THREE.AnimationClip(name, timeline.duration, tracks), skipped };
+}
+
+function isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+function flatten(keyframes) {
+    return {
+        times: keyframes.map(keyframe => keyframe.time),
+        values: keyframes.flatMap(keyframe => keyframe.value)
+    };
+}
+
+function bake(track) {
+    const ease = EASINGS[track.easing] || EASINGS.linear;
+    const { keyframes } = track;
+    const size = keyframes[0].value.length;
+    const times = [];
+    const values = [];
+    const sample = new Array(size);
+
+    keyframes.forEach((from, index) => {
+        const to = keyframes[index + 1];
+        if (!to) {
+            times.push(from.time);
+            values.push(...from.value);
+            return;
+        }
+
+        const steps = Math.max(2, Math.ceil((to.time - from.time) * BAKE_RATE));
+        for (let step = 0; step < steps; step++) {
+            const t = step / steps;
+            interpolate(track.property, from.value, to.value, ease(t), sample);
+            times.push(from.time + (to.time - from.time) * t);
+            values.push(...sample);
+        }
+    });
+
+    return { times, values };
+}
+
+function interpolate(property, from, to, t, target) {
+    if (property === 'quaternion') {
+        THREE.Quaternion.slerpFlat(target, 0, from, 0, to, 0, t);
+        return;
+    }
+    for (let i = 0; i < from.length; i++) {
+        target[i] = from[i] + (to[i] - from[i]) * t;
+    }
+}
@@ -0,0 +1,11 @@
+/**
+ * Easing curves for timeline tracks, keyed by the names in EASING_NAMES
+ * Each maps progress between two keyframes (0-1) to an interpolation factor.
+ */
+export const EASINGS = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1),
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
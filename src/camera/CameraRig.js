@@ -0,0 +1,488 @@
+import * as THREE from 'three';
+import { FlyControls } from 'three/examples/jsm/controls/FlyControls.js';
+import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
+import { EASINGS } from '../animation/easing.js';
+
+// Built-in viewpoints: direction from the framed content towards the camera
+// (top is tilted slightly so the camera's up vector stays defined)
+export const VIEW_DIRECTIONS = {
+    front: [0, 0, 1],
+    top: [0, 1, 0.001],
+    side: [1, 0, 0]
+};
+
+export const PROJECTIONS = ['perspective', 'orthographic'];
+export const NAVIGATION_MODES = ['orbit', 'fly', 'firstPerson'];
+
+const TRANSITION_DURATION = 0.8;
+const FRAME_MARGIN = 1.2;
+
+// First-person movement keys
+const MOVE_KEYS = {
+    w: [1, 0], arrowup: [1, 0],
+    s: [-1, 0], arrowdown: [-1, 0],
+    d: [0, 1], arrowright: [0, 1],
+    a: [0, -1], arrowleft: [0, -1]
+};
+
+/**
+ * CameraRig Class
+ * Camera handling for a scene with OrbitControls:
+ * - Eased transitions of camera position and orbit target (moveTo, frame)
+ * - Built-in front/top/side views and named bookmarks
+ * - Perspective/orthographic switching that keeps the framing: the
+ *   orthographic view height matches what the perspective camera sees at
+ *   the orbit target, and zoom stands in for distance
+ * - Orbit, fly (FlyControls) and first-person (PointerLockControls + WASD) navigation
+ *
+ * Poses ({ position, target }) are always expressed in perspective terms, so
+ * bookmarks and scene documents work with either projection.
+ *
+ * Dispatches 'change' when the projection, navigation mode or bookmarks
+ * change and when a transition ends.
+ */
+export class CameraRig extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {THREE.PerspectiveCamera} options.camera - The scene's perspective camera
+     * @param {OrbitControls} options.controls - Orbit controls driving that camera
+     * @param {HTMLElement} options.domElement - Canvas receiving fly/first-person input
+     * @param {EventTarget} [options.keyTarget=window] - Where first-person movement keys are read from
+     * @param {Function} [options.onCameraChange] - Called with the new camera after a projection switch
+     */
+    constructor({ camera, controls, domElement, keyTarget = window, onCameraChange = () => {} }) {
+        super();
+
+        this.perspective = camera;
+        this.orthographic = new THREE.OrthographicCamera(-1, 1, 1, -1, camera.near, camera.far);
+        this.camera = camera;
+        this.controls = controls;
+        this.domElement = domElement;
+        this.keyTarget = keyTarget;
+        this.onCameraChange = onCameraChange;
+
+        this.mode = 'orbit';
+        this.transition = null;
+        this.bookmarks = [];
+
+        // Fly / first-person state
+        this.flyControls = null;
+        this.pointerLock = null;
+        this.moveSpeed = 5;
+        this.pressed = new Set();
+
+        // Orbiting by hand cancels a running transition
+        this.handleControlsStart = () => {
+            this.transition = null;
+        };
+        this.controls.addEventListener('start', this.handleControlsStart);
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleCanvasClick = () => {
+            if (this.pointerLock && !this.pointerLock.isLocked) {
+                this.pointerLock.lock();
+            }
+        };
+    }
+
+    /**
+     * @returns {'perspective'|'orthographic'}
+     */
+    get projection() {
+        return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Current pose in perspective terms
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3}}
+     */
+    getPose() {
+        const target = this.controls.target.clone();
+        const position = this.camera.position.clone();
+
+        if (this.camera.isOrthographicCamera) {
+            const direction = position.clone().sub(target).normalize();
+            position.copy(target).addScaledVector(direction, this.distanceForZoom(this.camera.zoom));
+        }
+
+        return { position, target };
+    }
+
+    /**
+     * Move to a pose, optionally with an eased transition
+     * @param {{position: THREE.Vector3, target: THREE.Vector3}} pose
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true]
+     * @param {number} [options.duration=0.8] - Seconds
+     * @param {string} [options.easing='easeInOut'] - See easing.js
+     */
+    moveTo(pose, { animate = true, duration = TRANSITION_DURATION, easing = 'easeInOut' } = {}) {
+        const to = { position: pose.position.clone(), target: pose.target.clone() };
+
+        if (!animate || duration <= 0) {
+            this.transition = null;
+            this.applyPose(to);
+            this.dispatchEvent({ type: 'change' });
+            return;
+        }
+
+        this.transition = {
+            from: this.getPose(),
+            to,
+            elapsed: 0,
+            duration,
+            ease: EASINGS[easing] || EASINGS.easeInOut
+        };
+    }
+
+    /**
+     * Place the active camera at a pose
+     * @param {{position: THREE.Vector3, target: THREE.Vector3}} pose
+     */
+    applyPose({ position, target }) {
+        this.controls.target.copy(target);
+        this.camera.position.copy(position);
+
+        if (this.camera.isOrthographicCamera) {
+            this.camera.zoom = this.zoomForDistance(position.distanceTo(target));
+            this.camera.updateProjectionMatrix();
+        }
+        this.camera.lookAt(target);
+    }
+
+    /**
+     * Frame objects, keeping the current viewing direction unless one is given
+     * Also adapts clipping planes and orbit limits to the content size.
+     * @param {THREE.Object3D[]} objects
+     * @param {Object} [options]
+     * @param {THREE.Vector3} [options.direction] - Direction from the content to the camera
+     * @param {boolean} [options.animate=true]
+     */
+    frame(objects, { direction = null, animate = true } = {}) {
+        if (objects.length === 0) return;
+
+        const box = new THREE.Box3();
+        objects.forEach(object => box.expandByObject(object));
+        if (box.isEmpty()) return;
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+
+        const fov = THREE.MathUtils.degToRad(this.perspective.fov);
+        const distance = (sphere.radius / Math.sin(fov / 2)) * FRAME_MARGIN;
+
+        const pose = this.getPose();
+        const viewDirection = direction
+            ? direction.clone().normalize()
+            : pose.position.sub(pose.target).normalize();
+        if (viewDirection.lengthSq() === 0) {
+            viewDirection.set(0, 0, 1);
+        }
+
+        this.fitClipping(sphere.radius, distance);
+        this.moveTo({
+            position: sphere.center.clone().addScaledVector(viewDirection, distance),
+            target: sphere.center
+        }, { animate });
+    }
+
+    /**
+     * Frame objects from a built-in direction
+     * @param {'front'|'top'|'side'} view
+     * @param {THREE.Object3D[]} objects
+     */
+    viewFrom(view, objects) {
+        const direction = new THREE.Vector3().fromArray(VIEW_DIRECTIONS[view]);
+        this.frame(objects, { direction });
+    }
+
+    /**
+     * Orbit around the target (orbit mode), within the orbit controls' polar limits
+     * @param {number} azimuth - Radians; positive turns the view to the right
+     * @param {number} polar - Radians; positive moves the camera up
+     */
+    orbitBy(azimuth, polar) {
+        if (this.mode !== 'orbit') return;
+        this.transition = null;
+
+        const target = this.controls.target;
+        const offset = this.camera.position.clone().sub(target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta -= azimuth;
+        spherical.phi = THREE.MathUtils.clamp(
+            spherical.phi - polar,
+            this.controls.minPolarAngle,
+            this.controls.maxPolarAngle
+        );
+        spherical.makeSafe();
+
+        this.camera.position.copy(target).add(offset.setFromSpherical(spherical));
+        this.camera.lookAt(target);
+    }
+
+    fitClipping(radius, distance) {
+        [this.perspective, this.orthographic].forEach((camera) => {
+            camera.near = Math.max(0.01, distance / 100);
+            camera.far = Math.max(1000, distance * 100);
+            camera.updateProjectionMatrix();
+        });
+
+        this.controls.minDistance = Math.min(2, radius * 0.5);
+        this.controls.maxDistance = Math.max(20, distance * 4);
+        this.moveSpeed = Math.max(1, distance);
+    }
+
+    /* ---------- Projection ---------- */
+
+    /**
+     * Switch between perspective and orthographic, keeping the framing
+     * @param {'perspective'|'orthographic'} projection
+     */
+    setProjection(projection) {
+        if (projection === this.projection) return;
+
+        const pose = this.getPose();
+        this.transition = null;
+
+        if (projection === 'orthographic') {
+            // Match the height the perspective camera sees at the orbit target
+            const fov = THREE.MathUtils.degToRad(this.perspective.fov);
+            const halfHeight = pose.position.distanceTo(pose.target) * Math.tan(fov / 2);
+            const ortho = this.orthographic;
+            ortho.top = halfHeight;
+            ortho.bottom = -halfHeight;
+            ortho.left = -halfHeight * this.perspective.aspect;
+            ortho.right = halfHeight * this.perspective.aspect;
+            ortho.zoom = 1;
+            this.camera = ortho;
+        } else {
+            this.camera = this.perspective;
+        }
+
+        this.applyPose(pose);
+        this.camera.updateProjectionMatrix();
+        this.controls.object = this.camera;
+        this.onCameraChange(this.camera);
+
+        // Fly and first-person controls hold on to the previous camera
+        if (this.mode !== 'orbit') {
+            this.enterMode(this.mode);
+        }
+        this.controls.update();
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Orthographic zoom that shows as much as the perspective camera at a distance
+     * @param {number} distance
+     * @returns {number}
+     */
+    zoomForDistance(distance) {
+        const fov = THREE.MathUtils.degToRad(this.perspective.fov);
+        const height = this.orthographic.top - this.orthographic.bottom;
+        return height / (2 * Math.max(distance, 1e-6) * Math.tan(fov / 2));
+    }
+
+    /**
+     * Perspective distance that matches an orthographic zoom
+     * @param {number} zoom
+     * @returns {number}
+     */
+    distanceForZoom(zoom) {
+        const fov = THREE.MathUtils.degToRad(this.perspective.fov);
+        const height = this.orthographic.top - this.orthographic.bottom;
+        return height / (2 * Math.max(zoom, 1e-6) * Math.tan(fov / 2));
+    }
+
+    /* ---------- Navigation modes ---------- */
+
+    /**
+     * Switch navigation mode
+     * @param {'orbit'|'fly'|'firstPerson'} mode
+     */
+    setMode(mode) {
+        if (mode === this.mode || !NAVIGATION_MODES.includes(mode)) return;
+
+        const orbitDistance = this.camera.position.distanceTo(this.controls.target);
+        this.leaveMode();
+        this.transition = null;
+
+        if (mode === 'orbit') {
+            // Orbit around the point the camera is looking at
+            const forward = this.camera.getWorldDirection(new THREE.Vector3());
+            this.controls.target.copy(this.camera.position).addScaledVector(forward, this.orbitDistance || orbitDistance);
+            this.camera.up.set(0, 1, 0);
+            this.controls.enabled = true;
+            this.controls.update();
+        } else {
+            this.orbitDistance = orbitDistance;
+            this.controls.enabled = false;
+        }
+
+        this.mode = mode;
+        this.enterMode(mode);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    enterMode(mode) {
+        this.leaveMode();
+
+        if (mode === 'fly') {
+            this.flyControls = new FlyControls(this.camera, this.domElement);
+            this.flyControls.movementSpeed = this.moveSpeed;
+            this.flyControls.rollSpeed = 0.6;
+            this.flyControls.dragToLook = true;
+        } else if (mode === 'firstPerson') {
+            this.pointerLock = new PointerLockControls(this.camera, this.domElement);
+            this.domElement.addEventListener('click', this.handleCanvasClick);
+            this.keyTarget.addEventListener('keydown', this.handleKeyDown);
+            this.keyTarget.addEventListener('keyup', this.handleKeyUp);
+        }
+    }
+
+    leaveMode() {
+        if (this.flyControls) {
+            this.flyControls.dispose();
+            this.flyControls = null;
+        }
+        if (this.pointerLock) {
+            this.pointerLock.unlock();
+            this.pointerLock.dispose();
+            this.pointerLock = null;
+            this.domElement.removeEventListener('click', this.handleCanvasClick);
+            this.keyTarget.removeEventListener('keydown', this.handleKeyDown);
+            this.keyTarget.removeEventListener('keyup', this.handleKeyUp);
+            this.pressed.clear();
+        }
+    }
+
+    handleKeyDown(event) {
+        const target = event.composedPath()[0];
+        if (target.closest && target.closest('input, textarea, select')) return;
+        const key = event.key.toLowerCase();
+        if (MOVE_KEYS[key]) {
+            this.pressed.add(key);
+        }
+    }
+
+    handleKeyUp(event) {
+        this.pressed.delete(event.key.toLowerCase());
+    }
+
+    /* ---------- Bookmarks ---------- */
+
+    /**
+     * Save the current pose under a name (replacing a bookmark with the same name)
+     * @param {string} name
+     */
+    saveBookmark(name) {
+        const { position, target } = this.getPose();
+        const bookmark = { name, position: position.toArray(), target: target.toArray() };
+
+        const index = this.bookmarks.findIndex(existing => existing.name === name);
+        if (index >= 0) {
+            this.bookmarks[index] = bookmark;
+        } else {
+            this.bookmarks.push(bookmark);
+        }
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * @param {string} name
+     */
+    deleteBookmark(name) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.name !== name);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /**
+     * Transition to a saved bookmark
+     * @param {string} name
+     */
+    goToBookmark(name) {
+        const bookmark = this.bookmarks.find(candidate => candidate.name === name);
+        if (!bookmark) return;
+
+        if (this.mode !== 'orbit') {
+            this.setMode('orbit');
+        }
+        this.moveTo({
+            position: new THREE.Vector3().fromArray(bookmark.position),
+            target: new THREE.Vector3().fromArray(bookmark.target)
+        });
+    }
+
+    /**
+     * Replace all bookmarks (e.g. from a scene document)
+     * @param {Array<{name: string, position: number[], target: number[]}>} bookmarks
+     */
+    setBookmarks(bookmarks) {
+        this.bookmarks = bookmarks.map(bookmark => ({
+            name: bookmark.name,
+            position: [...bookmark.position],
+            target: [...bookmark.target]
+        }));
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    /* ---------- Frame loop ---------- */
+
+    /**
+     * Advance transitions and navigation (call once per frame)
+     * @param {number} dt - Real seconds since the previous frame (unaffected by time scale)
+     */
+    update(dt) {
+        if (this.transition) {
+            this.updateTransition(dt);
+        }
+
+        if (this.mode === 'orbit') {
+            this.controls.update();
+        } else if (this.flyControls) {
+            this.flyControls.update(dt);
+        } else if (this.pointerLock) {
+            let forward = 0;
+            let right = 0;
+            this.pressed.forEach((key) => {
+                forward += MOVE_KEYS[key][0];
+                right += MOVE_KEYS[key][1];
+            });
+            const distance = this.moveSpeed * dt;
+            this.pointerLock.moveForward(Math.sign(forward) * distance);
+            this.pointerLock.moveRight(Math.sign(right) * distance);
+        }
+    }
+
+    updateTransition(dt) {
+        const transition = this.transition;
+        transition.elapsed = Math.min(transition.elapsed + dt, transition.duration);
+        const t = transition.ease(transition.elapsed / transition.duration);
+        const { from, to } = transition;
+
+        // Swing around the target instead of cutting through the content
+        const fromOffset = from.position.clone().sub(from.target);
+        const toOffset = to.position.clone().sub(to.target);
+        const rotation = new THREE.Quaternion()
+            .setFromUnitVectors(fromOffset.clone().normalize(), toOffset.clone().normalize());
+        const direction = fromOffset.clone().normalize()
+            .applyQuaternion(new THREE.Quaternion().slerp(rotation, t));
+        const distance = THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), t);
+
+        const target = from.target.clone().lerp(to.target, t);
+        this.applyPose({
+            position: target.clone().addScaledVector(direction, distance),
+            target
+        });
+
+        if (transition.elapsed >= transition.duration) {
+            this.transition = null;
+            this.dispatchEvent({ type: 'change' });
+        }
+    }
+
+    dispose() {
+        this.leaveMode();
+        this.controls.removeEventListener('start', this.handleControlsStart);
+        this.transition = null;
+    }
+}
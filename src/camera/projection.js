@@ -0,0 +1,33 @@
+/**
+ * Aspect ratio helpers that work for perspective and orthographic cameras.
+ * Orthographic cameras keep their vertical extent and widen or narrow horizontally.
+ */
+
+/**
+ * @param {THREE.Camera} camera
+ * @returns {number} Width / height of the camera's view
+ */
+export function getCameraAspect(camera) {
+    if (camera.isOrthographicCamera) {
+        return (camera.right - camera.left) / (camera.top - camera.bottom);
+    }
+    return camera.aspect;
+}
+
+/**
+ * Update the camera projection for a new aspect ratio
+ * @param {THREE.Camera} camera
+ * @param {number} aspect - Width / height
+ */
+export function setCameraAspect(camera, aspect) {
+    if (camera.isOrthographicCamera) {
+        const halfHeight = (camera.top - camera.bottom) / 2;
+        camera.left = -halfHeight * aspect;
+        camera.right = halfHeight * aspect;
+    } else if (camera.isPerspectiveCamera) {
+        camera.aspect = aspect;
+    } else {
+        return;
+    }
+    camera.updateProjectionMatrix();
+}
@@ -0,0 +1,148 @@
+/**
+ * Clock Class
+ * Central time source for all scenes.
+ * - Drives a single requestAnimationFrame loop and hands every subscriber
+ *   the same delta time (in seconds), so motion is frame-rate independent
+ * - Global time scale for slow motion / fast forward
+ * - Pause freezes scene time (subscribers keep rendering with dt = 0)
+ * - step(n) advances exactly n frames of `fixedDelta`, for reproducible renders
+ * - Manual clocks never run the loop and only advance through step()
+ */
+export class Clock {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.fixedDelta=1/60] - Seconds per frame when stepping manually
+     * @param {number} [options.maxDelta=0.1] - Upper bound for a real-time delta (avoids jumps after tab switches)
+     * @param {Function} [options.now] - Millisecond time source, defaults to performance.now()
+     * @param {boolean} [options.manual=false] - Never start the requestAnimationFrame loop
+     *   (e.g. for frame capture, where every frame is stepped explicitly)
+     */
+    constructor({ fixedDelta = 1 / 60, maxDelta = 0.1, now = () => performance.now(), manual = false } = {}) {
+        this.fixedDelta = fixedDelta;
+        this.maxDelta = maxDelta;
+        this.now = now;
+        this.manual = manual;
+
+        // Time state
+        this.timeScale = 1;
+        this.paused = false;
+        this.elapsedTime = 0;
+        this.frame = 0;
+
+        // Unscaled seconds of the last frame, also while paused
+        // (for UI motion such as camera transitions)
+        this.realDelta = 0;
+
+        // Loop state
+        this.subscribers = new Set();
+        this.frameId = null;
+        this.lastTime = null;
+
+        this.loop = this.loop.bind(this);
+    }
+
+    /**
+     * Subscribe to frame updates; starts the loop if needed
+     * @param {Function} callback - Called with (dt, clock) every frame
+     */
+    add(callback) {
+        this.subscribers.add(callback);
+        this.start();
+    }
+
+    /**
+     * Unsubscribe from frame updates; stops the loop when nobody listens
+     * @param {Function} callback
+     */
+    remove(callback) {
+        this.subscribers.delete(callback);
+        if (this.subscribers.size === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Start the requestAnimationFrame loop
+     */
+    start() {
+        if (this.manual || this.frameId !== null || typeof requestAnimationFrame === 'undefined') return;
+
+        this.lastTime = this.now();
+        this.frameId = requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Stop the requestAnimationFrame loop
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.lastTime = null;
+    }
+
+    /**
+     * One iteration of the real-time loop
+     */
+    loop() {
+        this.frameId = requestAnimationFrame(this.loop);
+
+        const now = this.now();
+        const realDelta = Math.min((now - this.lastTime) / 1000, this.maxDelta);
+        this.lastTime = now;
+        this.realDelta = realDelta;
+
+        this.dispatch(this.paused ? 0 : realDelta * this.timeScale);
+    }
+
+    /**
+     * Set the global time scale
+     * @param {number} scale - 1 is real time, 0.5 slow motion, 2 fast forward
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Freeze scene time
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Continue advancing scene time
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Advance a fixed number of frames with the fixed timestep.
+     * Intended for use while paused (or without a running loop, e.g. in tests).
+     * @param {number} [frames=1]
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.realDelta = this.fixedDelta;
+            this.dispatch(this.fixedDelta * this.timeScale);
+        }
+    }
+
+    /**
+     * Advance time and notify subscribers
+     * @param {number} dt - Scaled delta in seconds
+     */
+    dispatch(dt) {
+        this.elapsedTime += dt;
+        this.frame++;
+
+        this.subscribers.forEach((callback) => callback(dt, this));
+    }
+}
+
+/**
+ * Clock shared by every scene in the app
+ */
+export const sharedClock = new Clock();
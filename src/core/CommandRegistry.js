@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+/**
+ * CommandRegistry Class
+ * Named actions the app can run, e.g. registered by plugins:
+ * - Each command has an id, a label and a run function
+ * - A command may claim a single-key shortcut (handled by the app)
+ * - Dispatches 'change' when commands are added or removed
+ */
+export class CommandRegistry extends THREE.EventDispatcher {
+    constructor() {
+        super();
+
+        // id -> { id, label, key, run }
+        this.commands = new Map();
+    }
+
+    /**
+     * Register a command
+     * @param {string} id - Unique command id (e.g. 'grid:toggle')
+     * @param {Function} run - Called with the context passed to run()
+     * @param {Object} [options]
+     * @param {string} [options.label] - Human readable name
+     * @param {string} [options.key] - Single-key shortcut (e.g. 'g')
+     * @returns {Function} Unregisters the command
+     */
+    register(id, run, { label = id, key = null } = {}) {
+        if (this.commands.has(id)) {
+            throw new Error(`Command "${id}" is already registered`);
+        }
+        if (typeof run !== 'function') {
+            throw new Error(`Command "${id}" must be registered with a function`);
+        }
+
+        const command = { id, label, key: key ? key.toLowerCase() : null, run };
+        this.commands.set(id, command);
+        this.dispatchEvent({ type: 'change' });
+
+        return () => {
+            if (this.commands.get(id) === command) {
+                this.commands.delete(id);
+                this.dispatchEvent({ type: 'change' });
+            }
+        };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.commands.has(id);
+    }
+
+    /**
+     * List all commands in registration order
+     * @returns {Array<{id: string, label: string, key: string|null}>}
+     */
+    list() {
+        return Array.from(this.commands.values()).map(({ id, label, key }) => ({ id, label, key }));
+    }
+
+    /**
+     * Find the command bound to a key
+     * @param {string} key - KeyboardEvent.key
+     * @returns {Object|null}
+     */
+    findByKey(key) {
+        const normalized = key.toLowerCase();
+        for (const command of this.commands.values()) {
+            if (command.key === normalized) return command;
+        }
+        return null;
+    }
+
+    /**
+     * Run a command
+     * @param {string} id
+     * @param {Object} [context] - Passed to the command (the app passes { app, scene })
+     * @returns {*} Whatever the command returns
+     * @throws {Error} If the command is unknown
+     */
+    run(id, context = {}) {
+        const command = this.commands.get(id);
+        if (!command) {
+            throw new Error(`Unknown command "${id}"`);
+        }
+        return command.run(context);
+    }
+
+    dispose() {
+        this.commands.clear();
+    }
+}
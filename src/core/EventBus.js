@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+
+/**
+ * Events on the app's bus and their payloads (passed as the event object,
+ * next to `type` and `target`).
+ *
+ * @typedef {Object} ViewChangeEvent - 'viewchange': the app switched views
+ * @property {string|null} from - Previous view id
+ * @property {string} to - New view id
+ * @property {SceneBase} scene - Scene of the new view
+ *
+ * @typedef {Object} SceneEvent - 'scene:init' (after init()), 'dispose' (before teardown),
+ *   'contextlost' and 'contextrestored' (the scene's WebGL context went away / came back)
+ * @property {string|null} id - Registered id of the scene; null with scene when the app itself is disposed
+ * @property {SceneBase|null} scene
+ *
+ * @typedef {Object} RenderEvent - 'beforeRender' / 'afterRender', every frame
+ * @property {string|null} id
+ * @property {SceneBase} scene
+ * @property {number} dt - Scaled seconds since the previous frame
+ *
+ * @typedef {Object} ResizeEvent - 'resize': the scene's render size changed
+ * @property {string|null} id
+ * @property {SceneBase} scene
+ * @property {number} width - CSS pixels
+ * @property {number} height - CSS pixels
+ */
+export const APP_EVENTS = [
+    'viewchange',
+    'scene:init',
+    'beforeRender',
+    'afterRender',
+    'resize',
+    'contextlost',
+    'contextrestored',
+    'dispose'
+];
+
+/**
+ * EventBus Class
+ * Lifecycle events of the app and its scenes (see APP_EVENTS for the
+ * payloads). Only the known event types can be used, so a typo throws
+ * instead of silently never firing.
+ */
+export class EventBus extends THREE.EventDispatcher {
+    /**
+     * Listen to an event
+     * @param {string} type - One of APP_EVENTS
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} Removes the listener
+     */
+    on(type, listener) {
+        this.checkType(type);
+        this.addEventListener(type, listener);
+        return () => this.removeEventListener(type, listener);
+    }
+
+    /**
+     * Dispatch an event
+     * @param {string} type - One of APP_EVENTS
+     * @param {Object} [payload] - Fields of the event object
+     */
+    emit(type, payload = {}) {
+        this.checkType(type);
+        this.dispatchEvent({ ...payload, type });
+    }
+
+    checkType(type) {
+        if (!APP_EVENTS.includes(type)) {
+            throw new Error(`Unknown event "${type}" (expected one of ${APP_EVENTS.join(', ')})`);
+        }
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Router Class
+ * Minimal hash router mapping URLs like `#/enhanced` to scene ids.
+ * Navigation goes through the browser history, so deep links and
+ * the back/forward buttons work without extra bookkeeping.
+ */
+export class Router {
+    /**
+     * @param {Object} options
+     * @param {string} options.defaultRoute - Route used when the hash is empty or unknown
+     * @param {Function} options.onRouteChange - Called with the route id on every change
+     * @param {Function} [options.isKnownRoute] - Predicate for valid route ids
+     */
+    constructor({ defaultRoute, onRouteChange, isKnownRoute = () => true }) {
+        this.defaultRoute = defaultRoute;
+        this.onRouteChange = onRouteChange;
+        this.isKnownRoute = isKnownRoute;
+        this.currentRoute = null;
+
+        this.handleHashChange = this.handleHashChange.bind(this);
+    }
+
+    /**
+     * Start listening for URL changes and resolve the initial route
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        this.handleHashChange();
+    }
+
+    /**
+     * Stop listening for URL changes
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Navigate to a route, adding a history entry
+     * @param {string} route - Route id (e.g. 'enhanced')
+     */
+    navigate(route) {
+        const hash = Router.toHash(route);
+        if (window.location.hash === hash) {
+            this.handleHashChange();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    /**
+     * Resolve the current URL hash and notify the listener
+     */
+    handleHashChange() {
+        let route = Router.fromHash(window.location.hash);
+
+        if (!route || !this.isKnownRoute(route)) {
+            if (route) {
+                console.warn('⚠️ Unknown route:', route);
+            }
+            route = this.defaultRoute;
+
+            // Rewrite the URL without adding a history entry
+            history.replaceState(null, '', Router.toHash(route));
+        }
+
+        if (route === this.currentRoute) return;
+
+        this.currentRoute = route;
+        this.onRouteChange(route);
+    }
+
+    /**
+     * Build the URL hash for a route id
+     * @param {string} route
+     * @returns {string}
+     */
+    static toHash(route) {
+        return `#/${route}`;
+    }
+
+    /**
+     * Extract the route id from a URL hash (`#/enhanced` -> 'enhanced')
+     * @param {string} hash
+     * @returns {string} Empty when there is no route or it is malformed (e.g. `#/%`)
+     */
+    static fromHash(hash) {
+        const segment = hash.replace(/^#\/?/, '').split(/[/?]/)[0];
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            console.warn('⚠️ Malformed route:', segment);
+            return '';
+        }
+    }
+}
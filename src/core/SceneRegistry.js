@@ -0,0 +1,193 @@
+/**
+ * SceneRegistry Class
+ * Keeps track of every scene the app can show and owns their lifecycle:
+ * - Scenes register with an id, title, container and (optional) view element
+ * - Missing view/container elements are created, so new scenes need no extra HTML
+ * - Instances are created lazily the first time a scene is activated
+ * - Inactive scenes are paused, and everything is disposed together
+ * - Instances get their id and the app's EventBus, so they report their lifecycle,
+ *   plus any options shared by every scene (e.g. the capability tier)
+ */
+export class SceneRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {EventBus} [options.events] - Bus handed to every scene instance
+     * @param {Object} [options.sceneOptions] - Extra options for every scene constructor
+     */
+    constructor({ events = null, sceneOptions = {} } = {}) {
+        // id -> { id, title, SceneClass, container, view, viewElement, instance }
+        this.entries = new Map();
+
+        this.events = events;
+        this.sceneOptions = sceneOptions;
+    }
+
+    /**
+     * Register a scene class
+     * @param {string} id - Unique scene id, also used as its route (e.g. 'enhanced')
+     * @param {Function} SceneClass - Class exposing init/pause/resume/onWindowResize/dispose,
+     *   constructed with { id, events, ...sceneOptions }
+     * @param {Object} options
+     * @param {string} [options.title] - Human readable title
+     * @param {string} options.container - DOM element ID the renderer attaches to
+     * @param {string} [options.view] - DOM element ID of the view wrapper toggled on activation
+     * @returns {SceneRegistry} The registry, for chaining
+     */
+    register(id, SceneClass, { title = id, container, view = null } = {}) {
+        if (this.entries.has(id)) {
+            throw new Error(`Scene "${id}" is already registered`);
+        }
+        if (typeof SceneClass !== 'function') {
+            throw new Error(`Scene "${id}" must be registered with a scene class`);
+        }
+        if (!container) {
+            throw new Error(`Scene "${id}" must be registered with a container id`);
+        }
+
+        this.entries.set(id, { id, title, SceneClass, container, view, viewElement: null, instance: null });
+        return this;
+    }
+
+    /**
+     * Check whether a scene id has been registered
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Get the registration entry for a scene
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    /**
+     * List all registered scenes in registration order
+     * @returns {Array<{id: string, title: string}>}
+     */
+    list() {
+        return Array.from(this.entries.values()).map(({ id, title }) => ({ id, title }));
+    }
+
+    /**
+     * Get the scene instance, creating and initializing it on first use
+     * @param {string} id
+     * @returns {Object|null} The scene instance, or null if unknown
+     */
+    getInstance(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        if (!entry.instance) {
+            this.ensureElements(entry);
+            entry.instance = new entry.SceneClass({ ...this.sceneOptions, id: entry.id, events: this.events });
+            entry.instance.init(entry.container);
+            console.log(`✨ ${entry.title} scene initialized`);
+        }
+
+        return entry.instance;
+    }
+
+    /**
+     * Activate a scene: show its view, lazily initialize and resume it
+     * @param {string} id
+     */
+    activate(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        const isNew = !entry.instance;
+        if (isNew) {
+            this.ensureElements(entry);
+        }
+
+        // Show the view before initializing so the container has a size
+        this.setViewVisible(entry, true);
+        const instance = this.getInstance(id);
+
+        // Freshly initialized scenes are already animating
+        if (!isNew) {
+            instance.resume();
+        }
+    }
+
+    /**
+     * Deactivate a scene: hide its view and pause it (if it was ever created)
+     * @param {string} id
+     */
+    deactivate(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.setViewVisible(entry, false);
+
+        if (entry.instance) {
+            entry.instance.pause();
+        }
+    }
+
+    /**
+     * Forward a resize to a scene instance, if it exists
+     * @param {string} id
+     */
+    resize(id) {
+        const entry = this.entries.get(id);
+        if (entry && entry.instance) {
+            entry.instance.onWindowResize();
+        }
+    }
+
+    /**
+     * Create the view wrapper and scene container if they are not in the page
+     * The wrapper is kept on the entry, so views created without an id can be toggled too.
+     * @param {Object} entry - Registration entry
+     */
+    ensureElements(entry) {
+        if (document.getElementById(entry.container)) return;
+
+        let viewElement = entry.view ? document.getElementById(entry.view) : null;
+        if (!viewElement) {
+            viewElement = document.createElement('div');
+            viewElement.className = 'view';
+            if (entry.view) {
+                viewElement.id = entry.view;
+            }
+            (document.getElementById('app') || document.body).appendChild(viewElement);
+        }
+        entry.viewElement = viewElement;
+
+        const containerElement = document.createElement('div');
+        containerElement.id = entry.container;
+        containerElement.className = 'scene-container';
+        viewElement.appendChild(containerElement);
+    }
+
+    /**
+     * Toggle the 'active' class on a scene's view wrapper
+     * @param {Object} entry - Registration entry
+     * @param {boolean} visible
+     */
+    setViewVisible(entry, visible) {
+        const viewElement = entry.viewElement || (entry.view ? document.getElementById(entry.view) : null);
+        if (viewElement) {
+            viewElement.classList.toggle('active', visible);
+        }
+    }
+
+    /**
+     * Dispose every scene instance that has been created
+     */
+    dispose() {
+        this.entries.forEach((entry) => {
+            if (entry.instance) {
+                entry.instance.dispose();
+                entry.instance = null;
+            }
+        });
+    }
+}
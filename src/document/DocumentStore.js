@@ -0,0 +1,140 @@
+import { validateSceneDocument } from './SceneDocument.js';
+
+const STORAGE_PREFIX = 'threejs-starter-pro:scene:';
+const URL_PARAM = 'scene';
+
+/**
+ * DocumentStore
+ * Persists scene documents to localStorage and encodes them into shareable
+ * URLs (`#/enhanced?scene=<base64url JSON>`).
+ */
+export class DocumentStore {
+    /**
+     * @param {string} sceneId - Registered scene id, used as the storage key and route
+     */
+    constructor(sceneId) {
+        this.sceneId = sceneId;
+        this.storageKey = STORAGE_PREFIX + sceneId;
+    }
+
+    /**
+     * Save a document to localStorage
+     * @param {Object} doc
+     */
+    save(doc) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(doc));
+        } catch (error) {
+            console.warn('⚠️ Could not save scene to localStorage:', error);
+        }
+    }
+
+    /**
+     * Load and validate the stored document
+     * Invalid or unreadable entries are dropped.
+     * @returns {Object|null}
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+        if (!stored) return null;
+
+        try {
+            return validateSceneDocument(JSON.parse(stored));
+        } catch (error) {
+            console.warn('⚠️ Discarding stored scene:', error.message);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Remove the stored document
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable, nothing to clear
+        }
+    }
+
+    /**
+     * Build a shareable URL for a document
+     * @param {Object} doc
+     * @returns {string}
+     */
+    toUrl(doc) {
+        const url = new URL(window.location.href);
+        url.hash = `#/${this.sceneId}?${URL_PARAM}=${DocumentStore.encode(doc)}`;
+        return url.toString();
+    }
+
+    /**
+     * Read a document from the current URL, if it carries one
+     * @returns {Object|null} Validated document
+     * @throws {SceneDocumentError|Error} If the URL state is malformed
+     */
+    fromUrl() {
+        const queryIndex = window.location.hash.indexOf('?');
+        if (queryIndex === -1) return null;
+
+        const params = new URLSearchParams(window.location.hash.slice(queryIndex + 1));
+        const encoded = params.get(URL_PARAM);
+        if (!encoded) return null;
+
+        return validateSceneDocument(DocumentStore.decode(encoded));
+    }
+
+    /**
+     * Drop the shared document from the address bar once it was read, so a
+     * reload shows the saved scene instead of importing the link again
+     */
+    clearUrl() {
+        const hash = window.location.hash;
+        const queryIndex = hash.indexOf('?');
+        if (queryIndex === -1) return;
+
+        const params = new URLSearchParams(hash.slice(queryIndex + 1));
+        if (!params.has(URL_PARAM)) return;
+        params.delete(URL_PARAM);
+
+        const query = params.toString();
+        const url = new URL(window.location.href);
+        url.hash = hash.slice(0, queryIndex) + (query ? `?${query}` : '');
+        history.replaceState(history.state, '', url.toString());
+    }
+
+    /**
+     * Encode a document as base64url JSON
+     * @param {Object} doc
+     * @returns {string}
+     */
+    static encode(doc) {
+        const bytes = new TextEncoder().encode(JSON.stringify(doc));
+        let binary = '';
+        bytes.forEach((byte) => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a base64url JSON document
+     * @param {string} encoded
+     * @returns {Object}
+     */
+    static decode(encoded) {
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('The scene link is damaged and could not be decoded');
+        }
+    }
+}
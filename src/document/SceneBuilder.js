@@ -0,0 +1,403 @@
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/examples/jsm/lights/RectAreaLightUniformsLib.js';
+import { ParametricGeometry } from 'three/examples/jsm/geometries/ParametricGeometry.js';
+import { SCHEMA_VERSION, MATERIAL_TYPES, SHADOW_LIGHT_TYPES } from './SceneDocument.js';
+import { ParticleSystem } from '../particles/ParticleSystem.js';
+import { compileSurface } from '../geometry/formula.js';
+import { createShaderMaterial, serializeShaderMaterial } from '../materials/shader.js';
+
+// Rect area lights need lookup tables, created on first use
+let rectAreaLightsReady = false;
+
+const MATERIAL_CLASSES = {
+    basic: THREE.MeshBasicMaterial,
+    lambert: THREE.MeshLambertMaterial,
+    standard: THREE.MeshStandardMaterial,
+    physical: THREE.MeshPhysicalMaterial
+};
+
+/**
+ * SceneBuilder
+ * Turns a validated scene document into Three.js objects and reads
+ * live objects back into a document.
+ */
+export class SceneBuilder {
+    /**
+     * Build the document content
+     * @param {Object} doc - Validated scene document (see validateSceneDocument)
+     * @returns {{objects: Map<string, THREE.Mesh>, lights: THREE.Light[], particles: ParticleSystem}}
+     */
+    static build(doc) {
+        const objects = new Map();
+        doc.objects.forEach((desc) => {
+            objects.set(desc.id, SceneBuilder.buildObject(desc));
+        });
+
+        return {
+            objects,
+            lights: doc.lights.map(desc => SceneBuilder.buildLight(desc)),
+            particles: SceneBuilder.buildParticles(doc.particles, objects)
+        };
+    }
+
+    /**
+     * Apply the document's background and camera settings
+     * @param {Object} doc
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {OrbitControls} [controls] - Receives the camera target, if present
+     */
+    static applyView(doc, scene, camera, controls = null) {
+        scene.background = new THREE.Color(doc.background);
+
+        camera.fov = doc.camera.fov;
+        camera.position.fromArray(doc.camera.position);
+        camera.updateProjectionMatrix();
+
+        if (controls) {
+            controls.target.fromArray(doc.camera.target);
+            controls.update();
+        } else {
+            camera.lookAt(new THREE.Vector3().fromArray(doc.camera.target));
+        }
+    }
+
+    /**
+     * @param {Object} desc - Validated geometry description (see GEOMETRY_TYPES)
+     * @returns {THREE.BufferGeometry}
+     */
+    static buildGeometry(desc) {
+        switch (desc.type) {
+            case 'sphere':
+                return new THREE.SphereGeometry(desc.radius, desc.widthSegments, desc.heightSegments);
+            case 'plane':
+                return new THREE.PlaneGeometry(desc.width, desc.height);
+            case 'torus':
+                return new THREE.TorusGeometry(desc.radius, desc.tube, desc.radialSegments, desc.tubularSegments);
+            case 'torusKnot':
+                return new THREE.TorusKnotGeometry(desc.radius, desc.tube, desc.tubularSegments,
+                    desc.radialSegments, desc.p, desc.q);
+            case 'cylinder':
+                return new THREE.CylinderGeometry(desc.radiusTop, desc.radiusBottom, desc.height,
+                    desc.radialSegments, desc.heightSegments);
+            case 'icosahedron':
+                return new THREE.IcosahedronGeometry(desc.radius, desc.detail);
+            case 'parametric':
+                // Checked on the whole grid first: NaN vertices would break bounds and framing
+                return new ParametricGeometry(compileSurface(desc), desc.slices, desc.stacks);
+            default:
+                return new THREE.BoxGeometry(desc.width, desc.height, desc.depth);
+        }
+    }
+
+    /**
+     * Replace a mesh's geometry, disposing the old one, and rebuild its edge overlay to match
+     * @param {THREE.Mesh} mesh - Built by buildObject()
+     * @param {Object} desc - Validated geometry description
+     */
+    static setGeometry(mesh, desc) {
+        const previous = mesh.geometry;
+        mesh.geometry = SceneBuilder.buildGeometry(desc);
+        mesh.userData.geometry = { ...desc };
+        previous.dispose();
+
+        const edges = mesh.userData.edges;
+        if (edges) {
+            edges.geometry.dispose();
+            edges.geometry = new THREE.EdgesGeometry(mesh.geometry);
+        }
+    }
+
+    static buildMaterial(desc) {
+        if (desc.type === 'shader') {
+            return createShaderMaterial(desc);
+        }
+
+        const { type, ...properties } = desc;
+        const material = new MATERIAL_CLASSES[type]();
+
+        Object.entries(properties).forEach(([key, value]) => {
+            if (material[key] && material[key].isColor) {
+                material[key].set(value);
+            } else {
+                material[key] = value;
+            }
+        });
+
+        return material;
+    }
+
+    static buildObject(desc) {
+        const mesh = new THREE.Mesh(
+            SceneBuilder.buildGeometry(desc.geometry),
+            SceneBuilder.buildMaterial(desc.material)
+        );
+
+        mesh.name = desc.id;
+        mesh.position.fromArray(desc.position);
+        mesh.rotation.fromArray(desc.rotation);
+        if (Array.isArray(desc.scale)) {
+            mesh.scale.fromArray(desc.scale);
+        } else {
+            mesh.scale.setScalar(desc.scale);
+        }
+        mesh.castShadow = desc.castShadow;
+        mesh.receiveShadow = desc.receiveShadow;
+
+        // Base transform, which animation and the control panel build on
+        mesh.userData.id = desc.id;
+        mesh.userData.geometry = { ...desc.geometry };
+        mesh.userData.basePosition = mesh.position.clone();
+        mesh.userData.baseScale = mesh.scale.clone();
+
+        if (desc.edges) {
+            const edges = new THREE.LineSegments(
+                new THREE.EdgesGeometry(mesh.geometry),
+                new THREE.LineBasicMaterial({
+                    color: desc.edges.color,
+                    transparent: desc.edges.opacity < 1,
+                    opacity: desc.edges.opacity
+                })
+            );
+            mesh.add(edges);
+            mesh.userData.edges = edges;
+        }
+
+        return mesh;
+    }
+
+    static buildLight(desc) {
+        let light;
+
+        switch (desc.type) {
+            case 'ambient':
+                light = new THREE.AmbientLight(desc.color, desc.intensity);
+                break;
+            case 'hemisphere':
+                light = new THREE.HemisphereLight(desc.color, desc.groundColor, desc.intensity);
+                break;
+            case 'directional':
+                light = new THREE.DirectionalLight(desc.color, desc.intensity);
+                break;
+            case 'spot':
+                light = new THREE.SpotLight(desc.color, desc.intensity, desc.distance,
+                    THREE.MathUtils.degToRad(desc.angle), desc.penumbra, desc.decay);
+                break;
+            case 'rectArea':
+                if (!rectAreaLightsReady) {
+                    RectAreaLightUniformsLib.init();
+                    rectAreaLightsReady = true;
+                }
+                light = new THREE.RectAreaLight(desc.color, desc.intensity, desc.width, desc.height);
+                break;
+            default:
+                light = new THREE.PointLight(desc.color, desc.intensity, desc.distance, desc.decay);
+                break;
+        }
+
+        light.userData.animation = desc.animation;
+        light.userData.baseIntensity = desc.intensity;
+
+        if (desc.position) {
+            light.position.fromArray(desc.position);
+            light.userData.basePosition = light.position.clone();
+        }
+        if (desc.target) {
+            SceneBuilder.setLightTarget(light, desc.target);
+        }
+
+        if (SHADOW_LIGHT_TYPES.includes(desc.type)) {
+            light.castShadow = desc.castShadow;
+            light.shadow.mapSize.set(desc.shadowMapSize, desc.shadowMapSize);
+            light.shadow.bias = desc.shadowBias;
+            light.shadow.radius = desc.shadowRadius;
+        }
+
+        return light;
+    }
+
+    /**
+     * Aim a directional, spot or rect area light at a point
+     * @param {THREE.Light} light
+     * @param {number[]} target - World position
+     */
+    static setLightTarget(light, target) {
+        if (light.target) {
+            // Light targets are not part of the scene graph, so update them here
+            light.target.position.fromArray(target);
+            light.target.updateMatrixWorld();
+        } else {
+            light.userData.target = new THREE.Vector3().fromArray(target);
+            light.lookAt(light.userData.target);
+        }
+    }
+
+    /**
+     * @param {Object[]} emitters - Validated emitter descriptions
+     * @param {Map<string, THREE.Mesh>} objects - Meshes that mesh emitters can emit from
+     * @returns {ParticleSystem}
+     */
+    static buildParticles(emitters, objects) {
+        const particles = new ParticleSystem({ resolve: id => objects.get(id) || null });
+        emitters.forEach(desc => particles.addEmitter(desc));
+        return particles;
+    }
+
+    /**
+     * Serialize live scene content back into a document
+     * @param {Object} state
+     * @param {THREE.Color} state.backgroundColor - Background color (the environment may be shown instead)
+     * @param {{fov: number, position: THREE.Vector3}} state.camera - Perspective camera (or its pose)
+     * @param {THREE.Vector3} state.target - Orbit target
+     * @param {string} [state.projection='perspective'] - Active camera projection
+     * @param {Object[]} [state.bookmarks=[]] - Saved camera viewpoints
+     * @param {Object} state.controls - Control panel settings
+     * @param {Object} [state.environment] - Environment settings
+     * @param {Object} [state.postProcessing] - Post-processing effect settings
+     * @param {THREE.Mesh[]} state.objects
+     * @param {THREE.Light[]} state.lights
+     * @param {ParticleSystem|null} state.particles
+     * @param {Object|null} [state.timeline] - Timeline JSON (see Timeline.toJSON)
+     * @returns {Object} Scene document
+     */
+    static serialize({ backgroundColor, camera, target, projection = 'perspective', bookmarks = [], controls, environment, postProcessing, objects, lights, particles, timeline = null }) {
+        return {
+            version: SCHEMA_VERSION,
+            background: `#${(backgroundColor || new THREE.Color(0x000000)).getHexString()}`,
+            camera: {
+                fov: camera.fov,
+                position: roundArray(camera.position.toArray()),
+                target: roundArray(target.toArray()),
+                projection,
+                bookmarks: bookmarks.map(bookmark => ({
+                    name: bookmark.name,
+                    position: roundArray(bookmark.position),
+                    target: roundArray(bookmark.target)
+                }))
+            },
+            controls: { ...controls },
+            environment: environment ? { ...environment } : undefined,
+            postProcessing: postProcessing ? structuredClone(postProcessing) : undefined,
+            objects: objects.map(object => SceneBuilder.serializeObject(object)),
+            lights: lights.map(light => SceneBuilder.serializeLight(light)),
+            particles: particles ? particles.getSettings() : [],
+            timeline
+        };
+    }
+
+    static serializeObject(mesh) {
+        const desc = {
+            id: mesh.userData.id || mesh.name,
+            geometry: { ...mesh.userData.geometry },
+            material: SceneBuilder.serializeMaterial(mesh.material),
+            position: roundArray((mesh.userData.basePosition || mesh.position).toArray()),
+            rotation: roundArray(mesh.rotation.toArray().slice(0, 3)),
+            scale: serializeScale(mesh.userData.baseScale || mesh.scale),
+            castShadow: mesh.castShadow,
+            receiveShadow: mesh.receiveShadow
+        };
+
+        const edges = mesh.userData.edges;
+        if (edges) {
+            desc.edges = {
+                color: `#${edges.material.color.getHexString()}`,
+                opacity: edges.material.opacity
+            };
+        }
+
+        return desc;
+    }
+
+    static serializeMaterial(material) {
+        if (material.isShaderMaterial) {
+            return serializeShaderMaterial(material);
+        }
+
+        const type = Object.keys(MATERIAL_CLASSES).find(key => material.constructor === MATERIAL_CLASSES[key]) || 'standard';
+        const desc = { type };
+
+        Object.entries(MATERIAL_TYPES[type]).forEach(([key, kind]) => {
+            const value = material[key];
+            if (value === undefined) return;
+            desc[key] = kind === 'color' ? `#${value.getHexString()}` : value;
+        });
+
+        return desc;
+    }
+
+    static serializeLight(light) {
+        const type = getLightType(light);
+        const desc = {
+            type,
+            color: `#${light.color.getHexString()}`,
+            intensity: light.userData.baseIntensity ?? light.intensity,
+            animation: light.userData.animation || 'none'
+        };
+
+        if (type === 'ambient') {
+            return desc;
+        }
+
+        desc.position = roundArray((light.userData.basePosition || light.position).toArray());
+
+        if (type === 'hemisphere') {
+            desc.groundColor = `#${light.groundColor.getHexString()}`;
+            return desc;
+        }
+
+        if (light.target) {
+            desc.target = roundArray(light.target.position.toArray());
+        } else if (light.userData.target) {
+            desc.target = roundArray(light.userData.target.toArray());
+        }
+
+        if (type === 'point' || type === 'spot') {
+            desc.distance = light.distance;
+            desc.decay = light.decay;
+        }
+
+        if (type === 'spot') {
+            desc.angle = Math.round(THREE.MathUtils.radToDeg(light.angle) * 100) / 100;
+            desc.penumbra = light.penumbra;
+        }
+
+        if (type === 'rectArea') {
+            desc.width = light.width;
+            desc.height = light.height;
+        }
+
+        if (SHADOW_LIGHT_TYPES.includes(type)) {
+            // Full-quality values, not the ones scaled down by adaptive quality
+            desc.castShadow = light.userData.baseCastShadow ?? light.castShadow;
+            desc.shadowMapSize = light.userData.baseShadowMapSize ?? light.shadow.mapSize.x;
+            desc.shadowBias = light.shadow.bias;
+            desc.shadowRadius = light.shadow.radius;
+        }
+
+        return desc;
+    }
+}
+
+/**
+ * Document type of a light
+ * @param {THREE.Light} light
+ * @returns {string} One of LIGHT_TYPES
+ */
+export function getLightType(light) {
+    if (light.isAmbientLight) return 'ambient';
+    if (light.isHemisphereLight) return 'hemisphere';
+    if (light.isDirectionalLight) return 'directional';
+    if (light.isSpotLight) return 'spot';
+    if (light.isRectAreaLight) return 'rectArea';
+    return 'point';
+}
+
+function roundArray(values) {
+    return values.map(value => Math.round(value * 1000) / 1000);
+}
+
+// Uniform scales stay a single number, as in hand-written documents
+function serializeScale(scale) {
+    const [x, y, z] = roundArray(scale.toArray());
+    return x === y && y === z ? x : [x, y, z];
+}
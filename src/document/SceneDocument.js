@@ -0,0 +1,620 @@
+import { compileFormula, compileSurface } from '../geometry/formula.js';
+
+/**
+ * Scene document format
+ * A versioned JSON description of a scene: background, camera, control panel
+ * settings, objects (geometry + material), lights, particle emitters and an
+ * optional keyframe animation timeline.
+ *
+ * validateSceneDocument() checks a parsed document and returns a normalized
+ * copy with defaults filled in. Problems throw a SceneDocumentError whose
+ * `path` points at the offending field (e.g. `objects[0].material.color`).
+ */
+
+export const SCHEMA_VERSION = 1;
+
+export const GEOMETRY_TYPES = {
+    box: { width: 1, height: 1, depth: 1 },
+    sphere: { radius: 1, widthSegments: 32, heightSegments: 16 },
+    plane: { width: 1, height: 1 },
+    torus: { radius: 1, tube: 0.4, radialSegments: 16, tubularSegments: 64 },
+    torusKnot: { radius: 1, tube: 0.3, tubularSegments: 128, radialSegments: 16, p: 2, q: 3 },
+    cylinder: { radiusTop: 1, radiusBottom: 1, height: 2, radialSegments: 32, heightSegments: 1 },
+    icosahedron: { radius: 1, detail: 0 },
+    // x, y and z are formulas of u and v, which both run from 0 to 1 (see src/geometry/formula.js)
+    parametric: {
+        x: '(1 + 0.4 * cos(tau * v)) * cos(tau * u)',
+        y: '-0.4 * sin(tau * v) + 0.15 * sin(5 * tau * u)',
+        z: '(1 + 0.4 * cos(tau * v)) * sin(tau * u)',
+        slices: 96,
+        stacks: 32
+    }
+};
+
+// Whole-number geometry parameters and their allowed range
+export const GEOMETRY_INTEGERS = {
+    widthSegments: [3, 256],
+    heightSegments: [1, 256],
+    radialSegments: [3, 256],
+    tubularSegments: [3, 512],
+    detail: [0, 5],
+    p: [1, 20],
+    q: [1, 20],
+    slices: [1, 256],
+    stacks: [1, 256]
+};
+
+// Material properties serialized for each material type
+export const MATERIAL_TYPES = {
+    basic: { color: 'color', opacity: 'number', transparent: 'boolean', wireframe: 'boolean' },
+    lambert: { color: 'color', opacity: 'number', transparent: 'boolean', wireframe: 'boolean', emissive: 'color' },
+    standard: {
+        color: 'color', opacity: 'number', transparent: 'boolean', wireframe: 'boolean', emissive: 'color',
+        emissiveIntensity: 'number', metalness: 'number', roughness: 'number', envMapIntensity: 'number'
+    },
+    physical: {
+        color: 'color', opacity: 'number', transparent: 'boolean', wireframe: 'boolean', emissive: 'color',
+        emissiveIntensity: 'number', metalness: 'number', roughness: 'number', envMapIntensity: 'number',
+        clearcoat: 'number', clearcoatRoughness: 'number', transmission: 'number', thickness: 'number',
+        ior: 'number', specularIntensity: 'number', specularColor: 'color', sheen: 'number',
+        sheenRoughness: 'number', sheenColor: 'color', iridescence: 'number', iridescenceIOR: 'number',
+        anisotropy: 'number'
+    },
+    // Custom GLSL (see src/materials/shader.js); uniforms holds the values of declared uniforms
+    shader: { vertexShader: 'glsl', fragmentShader: 'glsl', uniforms: 'uniforms' }
+};
+
+// Longest vertex or fragment source accepted in a document
+const MAX_SHADER_LENGTH = 20000;
+
+export const CAMERA_PROJECTIONS = ['perspective', 'orthographic'];
+
+export const ENVIRONMENT_SOURCES = ['none', 'room', 'file'];
+export const TONE_MAPPING_NAMES = ['none', 'linear', 'reinhard', 'cineon', 'aces'];
+
+export const LIGHT_TYPES = ['ambient', 'hemisphere', 'directional', 'point', 'spot', 'rectArea'];
+export const LIGHT_ANIMATIONS = ['none', 'orbit', 'pulse'];
+export const SHADOW_LIGHT_TYPES = ['directional', 'point', 'spot'];
+
+export const EMITTER_SHAPES = ['point', 'sphere', 'box', 'mesh'];
+export const PARTICLE_SPRITES = ['soft', 'circle', 'square', 'spark'];
+export const PARTICLE_BLENDING = ['additive', 'normal'];
+// Limits for one document, shared links included: particles across all emitters, and emitters
+export const MAX_PARTICLES = 1000000;
+export const MAX_EMITTERS = 32;
+
+// Animatable properties and the number of values in each keyframe
+export const TIMELINE_PROPERTIES = { position: 3, quaternion: 4, scale: 3, color: 3, intensity: 1 };
+export const EASING_NAMES = ['linear', 'step', 'easeIn', 'easeOut', 'easeInOut'];
+
+/**
+ * Error raised for an invalid scene document
+ */
+export class SceneDocumentError extends Error {
+    /**
+     * @param {string} path - Path of the invalid field, e.g. `lights[2].intensity`
+     * @param {string} message - What was expected
+     */
+    constructor(path, message) {
+        super(path ? `Invalid scene at "${path}": ${message}` : `Invalid scene: ${message}`);
+        this.name = 'SceneDocumentError';
+        this.path = path;
+    }
+}
+
+/**
+ * Validate a scene document and fill in defaults
+ * @param {Object} doc - Parsed JSON
+ * @returns {Object} Normalized document
+ * @throws {SceneDocumentError}
+ */
+export function validateSceneDocument(doc) {
+    expectObject(doc, '');
+
+    const version = doc.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new SceneDocumentError('version', 'expected a positive integer schema version');
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new SceneDocumentError('version', `version ${version} is newer than the supported version ${SCHEMA_VERSION}`);
+    }
+
+    return {
+        version: SCHEMA_VERSION,
+        background: optional(doc.background, 'background', expectColor, '#000000'),
+        camera: validateCamera(doc.camera, 'camera'),
+        controls: validateControls(doc.controls, 'controls'),
+        environment: validateEnvironment(doc.environment, 'environment'),
+        postProcessing: validatePostProcessing(doc.postProcessing, 'postProcessing'),
+        objects: optionalArray(doc.objects, 'objects', validateObject),
+        lights: optionalArray(doc.lights, 'lights', validateLight),
+        particles: validateParticles(doc.particles, 'particles'),
+        timeline: doc.timeline == null ? null : validateTimeline(doc.timeline, 'timeline')
+    };
+}
+
+/**
+ * Validate an animation timeline (also used for standalone timeline JSON files)
+ * Track targets are object ids, `light:<index>`, `camera` or `camera-target`;
+ * targets missing from the scene are skipped at playback.
+ * @param {Object} timeline - Parsed JSON
+ * @param {string} [path='timeline']
+ * @returns {Object} Normalized timeline
+ * @throws {SceneDocumentError}
+ */
+export function validateTimeline(timeline, path = 'timeline') {
+    expectObject(timeline, path);
+    return {
+        duration: optional(timeline.duration, `${path}.duration`, (v, p) => expectNumber(v, p, 0.1, 3600), 5),
+        loop: optional(timeline.loop, `${path}.loop`, expectBoolean, true),
+        tracks: optionalArray(timeline.tracks, `${path}.tracks`, validateTrack)
+    };
+}
+
+function validateTrack(track, path) {
+    expectObject(track, path);
+    const property = expectEnum(track.property, `${path}.property`, Object.keys(TIMELINE_PROPERTIES));
+    const size = TIMELINE_PROPERTIES[property];
+
+    const keyframes = optionalArray(track.keyframes, `${path}.keyframes`, (keyframe, keyPath) => {
+        expectObject(keyframe, keyPath);
+        return {
+            time: expectNumber(keyframe.time, `${keyPath}.time`, 0),
+            value: expectNumberArray(keyframe.value, `${keyPath}.value`, size)
+        };
+    });
+
+    return {
+        target: expectString(track.target, `${path}.target`),
+        property,
+        easing: optional(track.easing, `${path}.easing`, (v, p) => expectEnum(v, p, EASING_NAMES), 'linear'),
+        keyframes: keyframes.sort((a, b) => a.time - b.time)
+    };
+}
+
+function validateCamera(camera = {}, path) {
+    expectObject(camera, path);
+    return {
+        fov: optional(camera.fov, `${path}.fov`, (v, p) => expectNumber(v, p, 1, 179), 75),
+        position: optional(camera.position, `${path}.position`, expectVector3, [0, 0, 5]),
+        target: optional(camera.target, `${path}.target`, expectVector3, [0, 0, 0]),
+        projection: optional(camera.projection, `${path}.projection`, (v, p) => expectEnum(v, p, CAMERA_PROJECTIONS), 'perspective'),
+        bookmarks: optionalArray(camera.bookmarks, `${path}.bookmarks`, validateBookmark)
+    };
+}
+
+function validateBookmark(bookmark, path) {
+    expectObject(bookmark, path);
+    return {
+        name: expectString(bookmark.name, `${path}.name`),
+        position: expectVector3(bookmark.position, `${path}.position`),
+        target: expectVector3(bookmark.target, `${path}.target`)
+    };
+}
+
+function validateControls(controls = {}, path) {
+    expectObject(controls, path);
+    return {
+        rotationSpeed: optional(controls.rotationSpeed, `${path}.rotationSpeed`, (v, p) => expectNumber(v, p, 0), 0.6),
+        color: optional(controls.color, `${path}.color`, expectColor, '#6366f1'),
+        wireframe: optional(controls.wireframe, `${path}.wireframe`, expectBoolean, true),
+        scale: optional(controls.scale, `${path}.scale`, (v, p) => expectNumber(v, p, 0.01), 1)
+    };
+}
+
+function validateEnvironment(environment = {}, path) {
+    expectObject(environment, path);
+    return {
+        source: optional(environment.source, `${path}.source`, (v, p) => expectEnum(v, p, ENVIRONMENT_SOURCES), 'none'),
+        background: optional(environment.background, `${path}.background`, expectBoolean, false),
+        blur: optional(environment.blur, `${path}.blur`, (v, p) => expectNumber(v, p, 0, 1), 0),
+        rotation: optional(environment.rotation, `${path}.rotation`, (v, p) => expectNumber(v, p, -360, 360), 0),
+        backgroundIntensity: optional(environment.backgroundIntensity, `${path}.backgroundIntensity`, (v, p) => expectNumber(v, p, 0), 1),
+        exposure: optional(environment.exposure, `${path}.exposure`, (v, p) => expectNumber(v, p, 0), 1),
+        toneMapping: optional(environment.toneMapping, `${path}.toneMapping`, (v, p) => expectEnum(v, p, TONE_MAPPING_NAMES), 'aces')
+    };
+}
+
+function validatePostProcessing(postProcessing = {}, path) {
+    expectObject(postProcessing, path);
+
+    // Effect id -> { enabled, ...numeric parameters }; unknown effects are ignored when applied
+    const result = {};
+    Object.entries(postProcessing).forEach(([id, settings]) => {
+        const effectPath = `${path}.${id}`;
+        expectObject(settings, effectPath);
+
+        result[id] = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            result[id][key] = key === 'enabled'
+                ? expectBoolean(value, `${effectPath}.enabled`)
+                : expectNumber(value, `${effectPath}.${key}`);
+        });
+    });
+    return result;
+}
+
+function validateObject(object, path) {
+    expectObject(object, path);
+
+    const result = {
+        id: expectString(object.id, `${path}.id`),
+        geometry: validateGeometry(object.geometry, `${path}.geometry`),
+        material: validateMaterial(object.material, `${path}.material`),
+        position: optional(object.position, `${path}.position`, expectVector3, [0, 0, 0]),
+        rotation: optional(object.rotation, `${path}.rotation`, expectVector3, [0, 0, 0]),
+        scale: optional(object.scale, `${path}.scale`, expectScale, 1),
+        castShadow: optional(object.castShadow, `${path}.castShadow`, expectBoolean, true),
+        receiveShadow: optional(object.receiveShadow, `${path}.receiveShadow`, expectBoolean, true)
+    };
+
+    if (object.edges != null) {
+        expectObject(object.edges, `${path}.edges`);
+        result.edges = {
+            color: optional(object.edges.color, `${path}.edges.color`, expectColor, '#ffffff'),
+            opacity: optional(object.edges.opacity, `${path}.edges.opacity`, (v, p) => expectNumber(v, p, 0, 1), 1)
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Validate a geometry description (also used for geometry edited at runtime)
+ * Parameters are sizes (non-negative numbers), whole numbers within
+ * GEOMETRY_INTEGERS, or formulas for parametric surfaces.
+ * @param {Object} geometry
+ * @param {string} [path='geometry']
+ * @returns {Object} Normalized geometry
+ * @throws {SceneDocumentError}
+ */
+export function validateGeometry(geometry, path = 'geometry') {
+    expectObject(geometry, path);
+
+    const type = expectEnum(geometry.type, `${path}.type`, Object.keys(GEOMETRY_TYPES));
+    const result = { type };
+
+    Object.entries(GEOMETRY_TYPES[type]).forEach(([key, fallback]) => {
+        let check = (v, p) => expectNumber(v, p, 0);
+        if (typeof fallback === 'string') {
+            check = expectFormula;
+        } else if (GEOMETRY_INTEGERS[key]) {
+            check = (v, p) => expectInteger(v, p, ...GEOMETRY_INTEGERS[key]);
+        }
+        result[key] = optional(geometry[key], `${path}.${key}`, check, fallback);
+    });
+
+    // Formulas that parse can still divide by zero somewhere on the surface
+    if (type === 'parametric') {
+        try {
+            compileSurface(result);
+        } catch (error) {
+            throw new SceneDocumentError(path, error.message);
+        }
+    }
+
+    return result;
+}
+
+function validateMaterial(material, path) {
+    expectObject(material, path);
+
+    const type = expectEnum(material.type, `${path}.type`, Object.keys(MATERIAL_TYPES));
+    const result = { type };
+
+    if (type === 'shader') {
+        expectString(material.vertexShader, `${path}.vertexShader`);
+        expectString(material.fragmentShader, `${path}.fragmentShader`);
+    }
+
+    Object.entries(MATERIAL_TYPES[type]).forEach(([key, kind]) => {
+        if (material[key] === undefined) return;
+        result[key] = expectKind(kind, material[key], `${path}.${key}`);
+    });
+
+    return result;
+}
+
+/**
+ * Validate a light (also used for lights added at runtime)
+ * Which fields are kept depends on the type: every light has a color,
+ * intensity and animation; lights with a direction aim at `target`, and
+ * directional, point and spot lights carry shadow settings.
+ * @param {Object} light
+ * @param {string} [path='light']
+ * @returns {Object} Normalized light
+ * @throws {SceneDocumentError}
+ */
+export function validateLight(light, path = 'light') {
+    expectObject(light, path);
+
+    const type = expectEnum(light.type, `${path}.type`, LIGHT_TYPES);
+    const result = {
+        type,
+        color: optional(light.color, `${path}.color`, expectColor, '#ffffff'),
+        intensity: optional(light.intensity, `${path}.intensity`, (v, p) => expectNumber(v, p, 0), 1),
+        animation: optional(light.animation, `${path}.animation`, (v, p) => expectEnum(v, p, LIGHT_ANIMATIONS), 'none')
+    };
+
+    if (type === 'ambient') {
+        return result;
+    }
+
+    if (type === 'hemisphere') {
+        result.position = optional(light.position, `${path}.position`, expectVector3, [0, 1, 0]);
+        result.groundColor = optional(light.groundColor, `${path}.groundColor`, expectColor, '#444444');
+        return result;
+    }
+
+    result.position = optional(light.position, `${path}.position`, expectVector3, [0, 0, 0]);
+
+    if (type === 'directional' || type === 'spot' || type === 'rectArea') {
+        result.target = optional(light.target, `${path}.target`, expectVector3, [0, 0, 0]);
+    }
+
+    if (type === 'point' || type === 'spot') {
+        result.distance = optional(light.distance, `${path}.distance`, (v, p) => expectNumber(v, p, 0), 0);
+        result.decay = optional(light.decay, `${path}.decay`, (v, p) => expectNumber(v, p, 0), 2);
+    }
+
+    if (type === 'spot') {
+        result.angle = optional(light.angle, `${path}.angle`, (v, p) => expectNumber(v, p, 0, 90), 30);
+        result.penumbra = optional(light.penumbra, `${path}.penumbra`, (v, p) => expectNumber(v, p, 0, 1), 0);
+    }
+
+    if (type === 'rectArea') {
+        result.width = optional(light.width, `${path}.width`, (v, p) => expectNumber(v, p, 0), 1);
+        result.height = optional(light.height, `${path}.height`, (v, p) => expectNumber(v, p, 0), 1);
+    }
+
+    if (SHADOW_LIGHT_TYPES.includes(type)) {
+        result.castShadow = optional(light.castShadow, `${path}.castShadow`, expectBoolean, false);
+        result.shadowMapSize = optional(light.shadowMapSize, `${path}.shadowMapSize`, expectPowerOfTwo, 512);
+        result.shadowBias = optional(light.shadowBias, `${path}.shadowBias`, (v, p) => expectNumber(v, p, -0.1, 0.1), 0);
+        result.shadowRadius = optional(light.shadowRadius, `${path}.shadowRadius`, (v, p) => expectNumber(v, p, 0, 25), 1);
+    }
+
+    return result;
+}
+
+function validateParticles(particles, path) {
+    if (particles == null) return [];
+
+    // Documents from before emitters describe a single static point cloud
+    if (!Array.isArray(particles)) {
+        return [validateEmitter(convertPointCloud(particles, path), path)];
+    }
+    if (particles.length > MAX_EMITTERS) {
+        throw new SceneDocumentError(path, `expected at most ${MAX_EMITTERS} emitters`);
+    }
+
+    const emitters = optionalArray(particles, path, validateEmitter);
+    const total = emitters.reduce((sum, emitter) => sum + emitter.count, 0);
+    if (total > MAX_PARTICLES) {
+        throw new SceneDocumentError(path, `expected at most ${MAX_PARTICLES} particles in total, got ${total}`);
+    }
+    return emitters;
+}
+
+function convertPointCloud(particles, path) {
+    expectObject(particles, path);
+    const spread = optional(particles.spread, `${path}.spread`, (v, p) => expectNumber(v, p, 0), 50);
+    const size = optional(particles.size, `${path}.size`, (v, p) => expectNumber(v, p, 0), 0.5);
+    const opacity = optional(particles.opacity, `${path}.opacity`, (v, p) => expectNumber(v, p, 0, 1), 0.6);
+
+    return {
+        id: 'particles',
+        shape: 'box',
+        size: [spread, spread, spread],
+        count: optional(particles.count, `${path}.count`, (v, p) => expectInteger(v, p, 0, MAX_PARTICLES), 200),
+        lifetime: 10,
+        speed: 0,
+        sizeStart: size,
+        sizeEnd: size,
+        colorVariance: 1,
+        opacityStart: opacity,
+        opacityEnd: opacity,
+        sprite: 'square',
+        blending: 'normal',
+        seed: optional(particles.seed, `${path}.seed`, (v, p) => expectInteger(v, p, 0), 1)
+    };
+}
+
+/**
+ * Validate a particle emitter (also used for emitters added at runtime)
+ * Mesh emitters name the object they emit from; emitters whose object is
+ * missing from the scene emit from their position instead.
+ * @param {Object} emitter
+ * @param {string} [path='emitter']
+ * @returns {Object} Normalized emitter
+ * @throws {SceneDocumentError}
+ */
+export function validateEmitter(emitter, path = 'emitter') {
+    expectObject(emitter, path);
+
+    const shape = optional(emitter.shape, `${path}.shape`, (v, p) => expectEnum(v, p, EMITTER_SHAPES), 'point');
+    const result = {
+        id: expectString(emitter.id, `${path}.id`),
+        enabled: optional(emitter.enabled, `${path}.enabled`, expectBoolean, true),
+        shape,
+        position: optional(emitter.position, `${path}.position`, expectVector3, [0, 0, 0]),
+        radius: optional(emitter.radius, `${path}.radius`, (v, p) => expectNumber(v, p, 0), 1),
+        size: optional(emitter.size, `${path}.size`, expectVector3, [1, 1, 1]),
+        count: optional(emitter.count, `${path}.count`, (v, p) => expectInteger(v, p, 0, MAX_PARTICLES), 1000),
+        lifetime: optional(emitter.lifetime, `${path}.lifetime`, (v, p) => expectNumber(v, p, 0.05, 600), 2),
+        lifetimeVariance: optional(emitter.lifetimeVariance, `${path}.lifetimeVariance`, (v, p) => expectNumber(v, p, 0, 1), 0),
+        speed: optional(emitter.speed, `${path}.speed`, (v, p) => expectNumber(v, p, 0), 1),
+        speedVariance: optional(emitter.speedVariance, `${path}.speedVariance`, (v, p) => expectNumber(v, p, 0, 1), 0),
+        direction: optional(emitter.direction, `${path}.direction`, expectDirection, [0, 1, 0]),
+        spread: optional(emitter.spread, `${path}.spread`, (v, p) => expectNumber(v, p, 0, 180), 30),
+        gravity: optional(emitter.gravity, `${path}.gravity`, expectVector3, [0, 0, 0]),
+        drag: optional(emitter.drag, `${path}.drag`, (v, p) => expectNumber(v, p, 0), 0),
+        sizeStart: optional(emitter.sizeStart, `${path}.sizeStart`, (v, p) => expectNumber(v, p, 0), 0.2),
+        sizeEnd: optional(emitter.sizeEnd, `${path}.sizeEnd`, (v, p) => expectNumber(v, p, 0), 0.2),
+        colorStart: optional(emitter.colorStart, `${path}.colorStart`, expectColor, '#ffffff'),
+        colorEnd: optional(emitter.colorEnd, `${path}.colorEnd`, expectColor, '#ffffff'),
+        colorVariance: optional(emitter.colorVariance, `${path}.colorVariance`, (v, p) => expectNumber(v, p, 0, 1), 0),
+        opacityStart: optional(emitter.opacityStart, `${path}.opacityStart`, (v, p) => expectNumber(v, p, 0, 1), 1),
+        opacityEnd: optional(emitter.opacityEnd, `${path}.opacityEnd`, (v, p) => expectNumber(v, p, 0, 1), 0),
+        sprite: optional(emitter.sprite, `${path}.sprite`, (v, p) => expectEnum(v, p, PARTICLE_SPRITES), 'soft'),
+        blending: optional(emitter.blending, `${path}.blending`, (v, p) => expectEnum(v, p, PARTICLE_BLENDING), 'additive'),
+        seed: optional(emitter.seed, `${path}.seed`, (v, p) => expectInteger(v, p, 0), 1)
+    };
+
+    if (shape === 'mesh') {
+        result.mesh = expectString(emitter.mesh, `${path}.mesh`);
+    }
+
+    return result;
+}
+
+/* ---------- Field checks ---------- */
+
+function optional(value, path, check, fallback) {
+    return value === undefined ? fallback : check(value, path);
+}
+
+function optionalArray(value, path, check) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        throw new SceneDocumentError(path, 'expected an array');
+    }
+    return value.map((item, index) => check(item, `${path}[${index}]`));
+}
+
+function expectKind(kind, value, path) {
+    switch (kind) {
+        case 'color': return expectColor(value, path);
+        case 'boolean': return expectBoolean(value, path);
+        case 'glsl': return expectGlsl(value, path);
+        case 'uniforms': return expectUniforms(value, path);
+        default: return expectNumber(value, path);
+    }
+}
+
+function expectObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new SceneDocumentError(path, 'expected an object');
+    }
+    return value;
+}
+
+function expectString(value, path) {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new SceneDocumentError(path, 'expected a non-empty string');
+    }
+    return value;
+}
+
+function expectBoolean(value, path) {
+    if (typeof value !== 'boolean') {
+        throw new SceneDocumentError(path, 'expected true or false');
+    }
+    return value;
+}
+
+function expectNumber(value, path, min = -Infinity, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new SceneDocumentError(path, 'expected a number');
+    }
+    if (value < min || value > max) {
+        throw new SceneDocumentError(path, `expected a number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function expectInteger(value, path, min, max) {
+    expectNumber(value, path, min, max);
+    if (!Number.isInteger(value)) {
+        throw new SceneDocumentError(path, 'expected an integer');
+    }
+    return value;
+}
+
+function expectFormula(value, path) {
+    expectString(value, path);
+    try {
+        compileFormula(value);
+    } catch (error) {
+        throw new SceneDocumentError(path, error.message);
+    }
+    return value;
+}
+
+function expectGlsl(value, path) {
+    expectString(value, path);
+    if (value.length > MAX_SHADER_LENGTH) {
+        throw new SceneDocumentError(path, `expected at most ${MAX_SHADER_LENGTH} characters of GLSL`);
+    }
+    return value;
+}
+
+function expectUniforms(value, path) {
+    expectObject(value, path);
+
+    const result = {};
+    Object.entries(value).forEach(([name, uniform]) => {
+        const uniformPath = `${path}.${name}`;
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new SceneDocumentError(uniformPath, 'expected a GLSL identifier');
+        }
+        if (typeof uniform === 'boolean') {
+            result[name] = uniform;
+        } else if (typeof uniform === 'string') {
+            result[name] = expectColor(uniform, uniformPath);
+        } else {
+            result[name] = expectNumber(uniform, uniformPath);
+        }
+    });
+    return result;
+}
+
+function expectPowerOfTwo(value, path) {
+    expectInteger(value, path, 1, 8192);
+    if ((value & (value - 1)) !== 0) {
+        throw new SceneDocumentError(path, 'expected a power of two');
+    }
+    return value;
+}
+
+function expectEnum(value, path, allowed) {
+    if (!allowed.includes(value)) {
+        throw new SceneDocumentError(path, `expected one of ${allowed.map(v => `"${v}"`).join(', ')}`);
+    }
+    return value;
+}
+
+function expectColor(value, path) {
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new SceneDocumentError(path, 'expected a color like "#6366f1"');
+    }
+    return value.toLowerCase();
+}
+
+function expectVector3(value, path) {
+    return expectNumberArray(value, path, 3);
+}
+
+// A uniform scale, or [x, y, z] for a non-uniform one
+function expectScale(value, path) {
+    if (!Array.isArray(value)) {
+        return expectNumber(value, path, 0);
+    }
+    expectVector3(value, path);
+    return value.map((component, index) => expectNumber(component, `${path}[${index}]`, 0));
+}
+
+function expectDirection(value, path) {
+    const direction = expectVector3(value, path);
+    if (direction.every(component => component === 0)) {
+        throw new SceneDocumentError(path, 'expected a non-zero direction');
+    }
+    return direction;
+}
+
+function expectNumberArray(value, path, length) {
+    if (!Array.isArray(value) || value.length !== length) {
+        throw new SceneDocumentError(path, `expected an array of ${length} number${length === 1 ? '' : 's'}`);
+    }
+    return value.map((component, index) => expectNumber(component, `${path}[${index}]`));
+}
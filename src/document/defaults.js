@@ -0,0 +1,127 @@
+import { SCHEMA_VERSION } from './SceneDocument.js';
+
+/**
+ * Default document for the basic scene
+ */
+export const BASIC_SCENE_DOCUMENT = {
+    version: SCHEMA_VERSION,
+    background: '#0a0a0f',
+    camera: { fov: 75, position: [0, 0, 5], target: [0, 0, 0] },
+    objects: [
+        {
+            id: 'cube',
+            geometry: { type: 'box', width: 2, height: 2, depth: 2 },
+            material: { type: 'lambert', color: '#6366f1' }
+        }
+    ],
+    lights: [
+        { type: 'ambient', color: '#404040', intensity: 0.6 },
+        { type: 'directional', color: '#ffffff', intensity: 1.0, position: [5, 5, 5], castShadow: true, shadowMapSize: 2048 },
+        { type: 'point', color: '#8b5cf6', intensity: 0.5, distance: 100, position: [-5, -5, 5] }
+    ],
+    particles: []
+};
+
+const ORBIT_COLORS = ['#6366f1', '#8b5cf6', '#06b6d4', '#10b981', '#64748b'];
+
+/**
+ * Default document for the enhanced scene
+ */
+export const ENHANCED_SCENE_DOCUMENT = {
+    version: SCHEMA_VERSION,
+    background: '#060610',
+    camera: { fov: 75, position: [0, 0, 6], target: [0, 0, 0] },
+    controls: { rotationSpeed: 0.6, color: '#6366f1', wireframe: true, scale: 1 },
+    environment: {
+        source: 'room',
+        background: false,
+        blur: 0,
+        rotation: 0,
+        backgroundIntensity: 1,
+        exposure: 1,
+        toneMapping: 'aces'
+    },
+    // The glowing point lights are the main bloom target
+    postProcessing: {
+        bloom: { enabled: true, strength: 0.6, radius: 0.4, threshold: 0.85 }
+    },
+    objects: [
+        {
+            id: 'cube',
+            geometry: { type: 'box', width: 2.5, height: 2.5, depth: 2.5 },
+            material: {
+                type: 'physical',
+                color: '#6366f1',
+                metalness: 0.3,
+                roughness: 0.2,
+                clearcoat: 1.0,
+                clearcoatRoughness: 0.1,
+                transparent: true,
+                opacity: 0.9,
+                envMapIntensity: 1.0
+            },
+            edges: { color: '#ffffff', opacity: 0.3 }
+        }
+    ],
+    lights: [
+        { type: 'ambient', color: '#404040', intensity: 0.3 },
+        // Colored point lights evenly spaced on a circle, orbiting the cube
+        ...ORBIT_COLORS.map((color, index) => {
+            const angle = (index / ORBIT_COLORS.length) * Math.PI * 2;
+            return {
+                type: 'point',
+                color,
+                intensity: 0.8,
+                distance: 50,
+                position: [Math.cos(angle) * 8, Math.sin(angle) * 8, 5],
+                castShadow: true,
+                animation: 'orbit'
+            };
+        }),
+        { type: 'directional', color: '#ffffff', intensity: 0.5, position: [5, 5, 5], castShadow: true, shadowMapSize: 2048 }
+    ],
+    // Slowly drifting dust around the scene
+    particles: [
+        {
+            id: 'dust',
+            shape: 'box',
+            size: [50, 50, 50],
+            count: 4000,
+            lifetime: 10,
+            lifetimeVariance: 0.5,
+            speed: 0.2,
+            spread: 180,
+            sizeStart: 0.3,
+            sizeEnd: 0.3,
+            colorVariance: 1,
+            opacityStart: 0.6,
+            opacityEnd: 0,
+            blending: 'normal'
+        }
+    ]
+};
+
+/**
+ * Default document for the physics scene
+ * Bodies are spawned at runtime; the document holds the ground they land on
+ */
+export const PHYSICS_SCENE_DOCUMENT = {
+    version: SCHEMA_VERSION,
+    background: '#0b0d17',
+    camera: { fov: 60, position: [9, 7, 12], target: [0, 1, 0] },
+    objects: [
+        {
+            id: 'ground',
+            geometry: { type: 'plane', width: 40, height: 40 },
+            material: { type: 'standard', color: '#1e2235', roughness: 0.9, metalness: 0 },
+            rotation: [-Math.PI / 2, 0, 0],
+            castShadow: false,
+            receiveShadow: true
+        }
+    ],
+    lights: [
+        { type: 'hemisphere', color: '#c7d2fe', groundColor: '#1e2235', intensity: 0.6 },
+        { type: 'directional', color: '#ffffff', intensity: 1.2, position: [8, 14, 6], castShadow: true, shadowMapSize: 2048 }
+    ],
+    particles: []
+};
@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { disposeObject } from '../utils/dispose.js';
+
+export const TONE_MAPPINGS = {
+    none: THREE.NoToneMapping,
+    linear: THREE.LinearToneMapping,
+    reinhard: THREE.ReinhardToneMapping,
+    cineon: THREE.CineonToneMapping,
+    aces: THREE.ACESFilmicToneMapping
+};
+
+export const ENVIRONMENT_DEFAULTS = {
+    source: 'none',
+    background: false,
+    blur: 0,
+    rotation: 0,
+    backgroundIntensity: 1,
+    exposure: 1,
+    toneMapping: 'aces'
+};
+
+/**
+ * EnvironmentManager Class
+ * Image-based lighting for a scene:
+ * - Built-in procedural room environment, or local .hdr/.exr equirect files
+ * - Prefiltered with PMREM and assigned to scene.environment
+ * - Optional background display with blur, intensity and rotation
+ * - Exposure and tone mapping selection
+ *
+ * The environment source is kept as a small scene and re-baked with
+ * PMREMGenerator.fromScene whenever it is rotated.
+ */
+export class EnvironmentManager {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     */
+    constructor(renderer, scene) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+
+        this.settings = { ...ENVIRONMENT_DEFAULTS };
+        this.sourceScene = null;
+        this.renderTarget = null;
+        this.fileTexture = null;
+        this.fileName = null;
+
+        // Background to restore when the environment is not shown
+        this.backgroundColor = scene.background;
+    }
+
+    /**
+     * Apply a full settings object (e.g. from a scene document)
+     * @param {Object} settings - See ENVIRONMENT_DEFAULTS
+     */
+    applySettings(settings) {
+        if (this.scene.background && this.scene.background.isColor) {
+            this.backgroundColor = this.scene.background;
+        }
+
+        const previousSource = this.settings.source;
+        this.settings = { ...ENVIRONMENT_DEFAULTS, ...settings };
+
+        // Loaded files cannot be restored from settings alone
+        if (this.settings.source === 'file' && !this.fileTexture) {
+            this.settings.source = previousSource === 'file' ? 'room' : previousSource;
+        }
+
+        this.applyRendererSettings();
+        this.rebuildSource();
+    }
+
+    /**
+     * @returns {Object} Current settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Change a single setting
+     * @param {string} key - Key of ENVIRONMENT_DEFAULTS
+     * @param {*} value
+     */
+    set(key, value) {
+        this.settings[key] = value;
+
+        switch (key) {
+            case 'source':
+                this.rebuildSource();
+                break;
+            case 'rotation':
+                this.bake();
+                break;
+            case 'exposure':
+            case 'toneMapping':
+                this.applyRendererSettings();
+                break;
+            default:
+                this.applyBackground();
+                break;
+        }
+    }
+
+    /**
+     * Load a local .hdr or .exr equirectangular image and use it as the environment
+     * @param {File} file
+     * @returns {Promise<void>}
+     */
+    async loadFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const Loader = extension === 'exr' ? EXRLoader : extension === 'hdr' ? RGBELoader : null;
+        if (!Loader) {
+            throw new Error(`Unsupported environment file "${file.name}". Use .hdr or .exr.`);
+        }
+
+        const url = URL.createObjectURL(file);
+        let texture;
+        try {
+            texture = await new Loader().loadAsync(url);
+        } catch (error) {
+            throw new Error(`${file.name} is not a valid ${extension.toUpperCase()} image`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+
+        if (this.fileTexture) {
+            this.fileTexture.dispose();
+        }
+        this.fileTexture = texture;
+        this.fileName = file.name;
+
+        this.set('source', 'file');
+    }
+
+    applyRendererSettings() {
+        this.renderer.toneMapping = TONE_MAPPINGS[this.settings.toneMapping] ?? THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = this.settings.exposure;
+    }
+
+    /**
+     * Create the scene the environment is baked from
+     */
+    rebuildSource() {
+        this.disposeSource();
+
+        if (this.settings.source === 'room') {
+            this.sourceScene = new RoomEnvironment(this.renderer);
+        } else if (this.settings.source === 'file' && this.fileTexture) {
+            // Inside-out sphere showing the equirect image, so it can be rotated
+            const sphere = new THREE.Mesh(
+                new THREE.SphereGeometry(10, 64, 32),
+                new THREE.MeshBasicMaterial({
+                    map: this.fileTexture,
+                    side: THREE.BackSide,
+                    toneMapped: false
+                })
+            );
+            // Mirror along z so the image matches three's equirect mapping
+            sphere.scale.z = -1;
+
+            this.sourceScene = new THREE.Scene();
+            this.sourceScene.add(sphere);
+        }
+
+        this.bake();
+    }
+
+    /**
+     * Prefilter the (rotated) source scene with PMREM
+     */
+    bake() {
+        if (this.renderTarget) {
+            this.renderTarget.dispose();
+            this.renderTarget = null;
+        }
+
+        if (this.sourceScene) {
+            this.sourceScene.rotation.y = THREE.MathUtils.degToRad(this.settings.rotation);
+            const sigma = this.settings.source === 'room' ? 0.04 : 0;
+            this.renderTarget = this.pmremGenerator.fromScene(this.sourceScene, sigma);
+        }
+
+        this.scene.environment = this.renderTarget ? this.renderTarget.texture : null;
+        this.applyBackground();
+    }
+
+    applyBackground() {
+        const showEnvironment = this.settings.background && this.scene.environment;
+
+        this.scene.background = showEnvironment ? this.scene.environment : this.backgroundColor;
+        this.scene.backgroundBlurriness = this.settings.blur;
+        this.scene.backgroundIntensity = this.settings.backgroundIntensity;
+    }
+
+    disposeSource() {
+        if (!this.sourceScene) return;
+
+        // Keep the loaded file texture; it is reused when switching back
+        this.sourceScene.traverse((object) => {
+            if (object.material && object.material.map === this.fileTexture) {
+                object.material.map = null;
+            }
+        });
+
+        if (typeof this.sourceScene.dispose === 'function') {
+            this.sourceScene.dispose();
+        } else {
+            disposeObject(this.sourceScene);
+        }
+        this.sourceScene = null;
+    }
+
+    dispose() {
+        this.disposeSource();
+
+        if (this.renderTarget) {
+            this.renderTarget.dispose();
+            this.renderTarget = null;
+        }
+        if (this.fileTexture) {
+            this.fileTexture.dispose();
+            this.fileTexture = null;
+        }
+
+        this.scene.environment = null;
+        this.pmremGenerator.dispose();
+    }
+}
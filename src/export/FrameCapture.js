@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import { Clock } from '../core/Clock.js';
+import { SceneExporter } from './SceneExporter.js';
+import { createFrameEncoder } from './frameEncoders.js';
+
+/**
+ * FrameCapture Class
+ * Renders a scene frame by frame into a WebM video or a zip of numbered PNGs.
+ * - While capturing, the scene is driven by a manual clock with a fixed
+ *   timestep of 1 / fps instead of requestAnimationFrame, so every frame is
+ *   exactly one frame of scene time however long it takes to render
+ * - Frames render at the requested resolution with helpers hidden, like
+ *   screenshots (see SceneExporter.setRenderSize)
+ * - Afterwards the scene returns to its own clock and real-time loop
+ * - Pausing the scene during the capture (e.g. switching to another view)
+ *   cancels it, and the scene stays paused afterwards
+ *
+ * Dispatches 'start', 'progress' ({ frame, frames }) and 'end'
+ * ({ blob, cancelled, error }) events.
+ */
+export class FrameCapture extends THREE.EventDispatcher {
+    /**
+     * @param {SceneBase} scene - Initialized scene to capture
+     */
+    constructor(scene) {
+        super();
+
+        this.scene = scene;
+        this.capturing = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Capture a number of frames
+     * Uses the scene's current time scale; a paused clock does not freeze the capture.
+     * @param {Object} [options]
+     * @param {'webm'|'png'} [options.format='webm']
+     * @param {number} [options.width] - Pixels (defaults to the current drawing buffer width)
+     * @param {number} [options.height] - Pixels (defaults to the current drawing buffer height)
+     * @param {number} [options.fps=30]
+     * @param {number} [options.duration=5] - Seconds of scene time
+     * @param {boolean} [options.transparent=false] - Render without the background (PNG only)
+     * @returns {Promise<Blob|null>} The file, or null if the capture was cancelled
+     * @throws {Error} If a capture is already running, or rendering or encoding failed
+     */
+    async capture({ format = 'webm', width, height, fps = 30, duration = 5, transparent = false } = {}) {
+        if (this.capturing) {
+            throw new Error('A capture is already running');
+        }
+
+        const scene = this.scene;
+        const frames = Math.max(1, Math.round(duration * fps));
+        const exporter = new SceneExporter(scene.renderer, scene.scene, scene.camera, {
+            postProcessing: scene.postProcessing
+        });
+
+        this.capturing = true;
+        this.cancelled = false;
+        scene.capturing = true;
+
+        // Swap in a manual clock: nothing renders the scene except step() below
+        const previousClock = scene.clock;
+        const wasAnimating = scene.isAnimating;
+        const clock = new Clock({ fixedDelta: 1 / fps, manual: true });
+        clock.setTimeScale(previousClock.timeScale);
+        scene.pause();
+        scene.clock = clock;
+        scene.resume();
+
+        let restoreSize = null;
+        let encoder = null;
+        let blob = null;
+        let error = null;
+
+        this.dispatchEvent({ type: 'start', frames });
+
+        try {
+            restoreSize = exporter.setRenderSize({ width, height, transparent: transparent && format === 'png' });
+
+            const canvas = scene.renderer.domElement;
+            encoder = await createFrameEncoder(format, canvas, {
+                width: canvas.width,
+                height: canvas.height,
+                fps
+            });
+
+            for (let frame = 0; frame < frames && !this.cancelled; frame++) {
+                // Paused from outside (view hidden, context lost, disposed): every
+                // remaining frame would repeat the last image
+                if (!scene.isAnimating) {
+                    this.cancelled = true;
+                    break;
+                }
+
+                clock.step(1);
+                await encoder.addFrame(frame);
+                this.dispatchEvent({ type: 'progress', frame: frame + 1, frames });
+
+                // Let the page repaint the progress and handle a cancel click
+                if (!encoder.realTime) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+
+            if (this.cancelled) {
+                encoder.cancel();
+            } else {
+                blob = await encoder.finish();
+            }
+        } catch (captureError) {
+            error = captureError;
+            if (encoder) {
+                encoder.cancel();
+            }
+        } finally {
+            if (restoreSize) {
+                restoreSize();
+            }
+
+            // Only restart the real-time loop if nothing paused the scene meanwhile
+            const resume = wasAnimating && (scene.isAnimating || scene.resumeAfterRestore);
+
+            scene.pause();
+            scene.clock = previousClock;
+            scene.capturing = false;
+            this.capturing = false;
+            if (resume) {
+                scene.resume();
+            }
+            scene.onWindowResize();
+        }
+
+        this.dispatchEvent({ type: 'end', blob, cancelled: this.cancelled, error });
+
+        if (error) throw error;
+        return blob;
+    }
+
+    /**
+     * Stop a running capture; capture() resolves with null
+     */
+    cancel() {
+        if (this.capturing) {
+            this.cancelled = true;
+        }
+    }
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { getCameraAspect, setCameraAspect } from '../camera/projection.js';
+
+/**
+ * SceneExporter Class
+ * Gets content out of any scene using its existing renderer, scene and camera:
+ * - glTF / GLB export of the current scene graph (visible objects only)
+ * - PNG screenshots at an arbitrary resolution, optionally transparent
+ * Editor helpers (objects flagged `userData.isHelper`) are left out of both.
+ * GPU-simulated particles have no glTF equivalent and only appear in screenshots.
+ */
+export class SceneExporter {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {Object} [options]
+     * @param {PostProcessingPipeline} [options.postProcessing] - Screenshots render through it
+     */
+    constructor(renderer, scene, camera, { postProcessing = null } = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.postProcessing = postProcessing;
+    }
+
+    /**
+     * Export the scene graph as glTF
+     * Materials, transforms and visibility are exported as they currently are,
+     * so hidden objects (e.g. a toggled-off wireframe) are left out.
+     * @param {Object} [options]
+     * @param {boolean} [options.binary=false] - Produce a .glb instead of a .gltf
+     * @param {THREE.AnimationClip[]} [options.animations=[]] - Clips to include (tracks target scene objects)
+     * @returns {Promise<Blob>}
+     */
+    async exportGLTF({ binary = false, animations = [] } = {}) {
+        const restoreHelpers = this.hideObjects(object => object.userData.isHelper || object.isParticleEmitter);
+        let result;
+        try {
+            result = await new GLTFExporter().parseAsync(this.scene, {
+                binary,
+                onlyVisible: true,
+                animations
+            });
+        } finally {
+            restoreHelpers();
+        }
+
+        if (binary) {
+            return new Blob([result], { type: 'model/gltf-binary' });
+        }
+        return new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' });
+    }
+
+    /**
+     * Render a PNG screenshot at a given resolution, independent of the window size
+     * @param {Object} [options]
+     * @param {number} [options.width] - Output width in pixels (defaults to the canvas width)
+     * @param {number} [options.height] - Output height in pixels (defaults to the canvas height)
+     * @param {boolean} [options.transparent=false] - Render without the scene background
+     * @returns {Promise<Blob>}
+     */
+    captureScreenshot({ width, height, transparent = false } = {}) {
+        const canvas = this.renderer.domElement;
+
+        let restore;
+        try {
+            restore = this.setRenderSize({ width, height, transparent });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        try {
+            if (this.postProcessing) {
+                this.postProcessing.render(0);
+            } else {
+                this.renderer.render(this.scene, this.camera);
+            }
+
+            // The drawing buffer is only valid until the next frame, so take the
+            // snapshot synchronously (toBlob captures the bitmap when called)
+            return new Promise((resolve, reject) => {
+                canvas.toBlob((blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Screenshot could not be encoded'));
+                    }
+                }, 'image/png');
+            });
+        } finally {
+            restore();
+        }
+    }
+
+    /**
+     * Render at a fixed resolution (with helpers hidden) until the returned function is called
+     * Used for screenshots and frame capture.
+     * @param {Object} [options]
+     * @param {number} [options.width] - Pixels (defaults to the current drawing buffer width)
+     * @param {number} [options.height] - Pixels (defaults to the current drawing buffer height)
+     * @param {boolean} [options.transparent=false] - Render without the scene background
+     * @returns {Function} Restores the previous renderer, camera and scene state
+     * @throws {Error} If the size exceeds the GPU's texture size limit or the browser's canvas limit
+     */
+    setRenderSize({ width, height, transparent = false } = {}) {
+        const renderer = this.renderer;
+
+        // Default to the current drawing buffer size
+        const bufferSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+        width = Math.round(width || bufferSize.x);
+        height = Math.round(height || bufferSize.y);
+
+        const maxSize = renderer.capabilities.maxTextureSize;
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`Render size ${width}x${height} exceeds this GPU's limit of ${maxSize}px`);
+        }
+
+        // Remember renderer, camera and scene state
+        const previousSize = renderer.getSize(new THREE.Vector2());
+        const previousPixelRatio = renderer.getPixelRatio();
+        const previousClearColor = renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = renderer.getClearAlpha();
+        const previousBackground = this.scene.background;
+        const previousAspect = getCameraAspect(this.camera);
+        const restoreHelpers = this.hideHelpers();
+
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        setCameraAspect(this.camera, width / height);
+
+        if (transparent) {
+            this.scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+        if (this.postProcessing) {
+            this.postProcessing.syncSize();
+        }
+
+        const restore = () => {
+            restoreHelpers();
+            this.scene.background = previousBackground;
+            renderer.setClearColor(previousClearColor, previousClearAlpha);
+            renderer.setPixelRatio(previousPixelRatio);
+            renderer.setSize(previousSize.x, previousSize.y, false);
+            setCameraAspect(this.camera, previousAspect);
+            if (this.postProcessing) {
+                this.postProcessing.syncSize();
+            }
+        };
+
+        // Browsers may give the canvas a smaller drawing buffer than asked for
+        // (memory or canvas area limits) without an error, so check what we got
+        const gl = renderer.getContext();
+        if (gl && (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height)) {
+            const actual = `${gl.drawingBufferWidth}x${gl.drawingBufferHeight}`;
+            restore();
+            throw new Error(`Render size ${width}x${height} is too large for this browser (got ${actual})`);
+        }
+
+        return restore;
+    }
+
+    /**
+     * Temporarily hide editor helpers (gizmos, outlines)
+     * @returns {Function} Restores their previous visibility
+     */
+    hideHelpers() {
+        return this.hideObjects(object => object.userData.isHelper);
+    }
+
+    /**
+     * Temporarily hide the objects matching a test
+     * @param {Function} test - Called with each object in the scene
+     * @returns {Function} Restores their previous visibility
+     */
+    hideObjects(test) {
+        const hidden = [];
+        this.scene.traverse((object) => {
+            if (test(object) && object.visible) {
+                object.visible = false;
+                hidden.push(object);
+            }
+        });
+
+        return () => hidden.forEach((object) => {
+            object.visible = true;
+        });
+    }
+}
@@ -0,0 +1,208 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { zipSync } from 'fflate';
+
+/**
+ * Encoders turning rendered canvas frames into a downloadable file.
+ * Every encoder has the same interface:
+ * - addFrame(index)  grab the canvas right after frame `index` was rendered
+ *                    (synchronously, before the drawing buffer is cleared)
+ * - finish()         resolves to the file as a Blob
+ * - cancel()         drops everything encoded so far
+ */
+
+export const CAPTURE_FORMATS = ['webm', 'png'];
+
+// VP9 where the browser can encode it, VP8 otherwise
+const VIDEO_CODECS = [
+    { codec: 'vp09.00.10.08', muxerCodec: 'V_VP9' },
+    { codec: 'vp8', muxerCodec: 'V_VP8' }
+];
+const RECORDER_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Encoded frames allowed to wait in the encoder before capture waits for it
+const MAX_ENCODE_QUEUE = 4;
+
+/**
+ * Create an encoder for a capture format
+ * WebM uses WebCodecs when available, which timestamps every frame exactly.
+ * Otherwise it falls back to MediaRecorder, which records in real time, so
+ * each frame is held on the canvas for its duration.
+ * @param {'webm'|'png'} format
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {number} [options.bitrate=8000000] - Video bits per second
+ * @returns {Promise<Object>} Encoder (see above), with `realTime` true for MediaRecorder
+ */
+export async function createFrameEncoder(format, canvas, { width, height, fps, bitrate = 8e6 }) {
+    if (format === 'png') {
+        return new PngSequenceEncoder(canvas);
+    }
+
+    if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined') {
+        for (const { codec, muxerCodec } of VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate, framerate: fps };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) {
+                return new WebCodecsEncoder(canvas, config, muxerCodec);
+            }
+        }
+    }
+
+    if (typeof MediaRecorder !== 'undefined' && canvas.captureStream) {
+        const mimeType = RECORDER_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (mimeType) {
+            return new MediaRecorderEncoder(canvas, { fps, bitrate, mimeType });
+        }
+    }
+
+    throw new Error('This browser cannot encode WebM video; capture a PNG sequence instead');
+}
+
+/**
+ * Numbered PNG frames in a zip file (stored, as PNGs are already compressed)
+ */
+class PngSequenceEncoder {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.realTime = false;
+        this.files = {};
+        this.pending = [];
+    }
+
+    addFrame(index) {
+        // toBlob takes the snapshot when called; encoding finishes later
+        const name = `frame-${String(index).padStart(5, '0')}.png`;
+        const encoded = new Promise((resolve, reject) => {
+            this.canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Frame ${index} could not be encoded`));
+                }
+            }, 'image/png');
+        }).then(async (blob) => {
+            this.files[name] = new Uint8Array(await blob.arrayBuffer());
+        });
+
+        this.pending.push(encoded);
+        return encoded;
+    }
+
+    async finish() {
+        await Promise.all(this.pending);
+        return new Blob([zipSync(this.files, { level: 0 })], { type: 'application/zip' });
+    }
+
+    cancel() {
+        this.files = {};
+    }
+}
+
+/**
+ * WebM through WebCodecs and webm-muxer, with exact per-frame timestamps
+ */
+class WebCodecsEncoder {
+    constructor(canvas, config, muxerCodec) {
+        this.canvas = canvas;
+        this.realTime = false;
+        this.frameDuration = 1e6 / config.framerate; // Microseconds
+        this.keyFrameInterval = Math.round(config.framerate * 2);
+        this.error = null;
+
+        this.target = new ArrayBufferTarget();
+        this.muxer = new Muxer({
+            target: this.target,
+            video: { codec: muxerCodec, width: config.width, height: config.height, frameRate: config.framerate }
+        });
+        this.encoder = new VideoEncoder({
+            output: (chunk, meta) => this.muxer.addVideoChunk(chunk, meta),
+            error: (error) => {
+                this.error = error;
+            }
+        });
+        this.encoder.configure(config);
+    }
+
+    async addFrame(index) {
+        if (this.error) throw this.error;
+
+        const frame = new VideoFrame(this.canvas, {
+            timestamp: Math.round(index * this.frameDuration),
+            duration: Math.round(this.frameDuration),
+            alpha: 'discard'
+        });
+        this.encoder.encode(frame, { keyFrame: index % this.keyFrameInterval === 0 });
+        frame.close();
+
+        // Don't let frames pile up faster than they are encoded
+        while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !this.error) {
+            await new Promise(resolve => this.encoder.addEventListener('dequeue', resolve, { once: true }));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        if (this.error) throw this.error;
+
+        this.encoder.close();
+        this.muxer.finalize();
+        return new Blob([this.target.buffer], { type: 'video/webm' });
+    }
+
+    cancel() {
+        if (this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+    }
+}
+
+/**
+ * WebM through MediaRecorder; frames are pushed into a canvas stream and
+ * held for their duration, since the recorder timestamps them on arrival
+ */
+class MediaRecorderEncoder {
+    constructor(canvas, { fps, bitrate, mimeType }) {
+        this.realTime = true;
+        this.frameDuration = 1000 / fps; // Milliseconds
+        this.chunks = [];
+
+        this.stream = canvas.captureStream(0);
+        this.track = this.stream.getVideoTracks()[0];
+        this.recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: bitrate });
+        this.recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        });
+        this.recorder.start();
+        this.startTime = performance.now();
+    }
+
+    async addFrame(index) {
+        this.track.requestFrame();
+
+        const due = this.startTime + (index + 1) * this.frameDuration;
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, due - performance.now())));
+    }
+
+    finish() {
+        return new Promise((resolve) => {
+            this.recorder.addEventListener('stop', () => {
+                this.track.stop();
+                resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            }, { once: true });
+            this.recorder.stop();
+        });
+    }
+
+    cancel() {
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.track.stop();
+        this.chunks = [];
+    }
+}
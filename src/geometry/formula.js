@@ -0,0 +1,283 @@
+/**
+ * Math formulas for parametric surfaces, e.g. `(1 + 0.4 * cos(tau * v)) * cos(tau * u)`.
+ *
+ * Formulas come from scene documents and share links, so they are parsed
+ * here rather than evaluated as JavaScript: only numbers, the variables
+ * passed to compileFormula(), the constants below, + - * / ^ (power),
+ * parentheses and the functions below are allowed.
+ */
+
+export const FORMULA_CONSTANTS = {
+    pi: Math.PI,
+    tau: Math.PI * 2,
+    e: Math.E
+};
+
+export const FORMULA_FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    exp: Math.exp,
+    log: Math.log,
+    pow: Math.pow,
+    min: Math.min,
+    max: Math.max,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sign: Math.sign
+};
+
+const MAX_LENGTH = 500;
+
+/**
+ * Error raised for a formula that cannot be parsed or does not give a number
+ */
+export class FormulaError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [position] - Character offset of the problem, if it is in the text
+     */
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at character ${position + 1})`);
+        this.name = 'FormulaError';
+        this.position = position;
+    }
+}
+
+/**
+ * Compile a formula into a function of its variables
+ * @param {string} source - e.g. `sin(pi * v) * cos(tau * u)`
+ * @param {string[]} [variables=['u', 'v']] - Names the formula may use, in argument order
+ * @returns {Function} (...values) => number
+ * @throws {FormulaError}
+ */
+export function compileFormula(source, variables = ['u', 'v']) {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new FormulaError('Formula is empty', 0);
+    }
+    if (source.length > MAX_LENGTH) {
+        throw new FormulaError(`Formula is longer than ${MAX_LENGTH} characters`, MAX_LENGTH);
+    }
+
+    const parser = new Parser(tokenize(source), variables);
+    const evaluate = parser.parseExpression();
+    parser.expectEnd();
+
+    return (...values) => evaluate(values);
+}
+
+/**
+ * Compile the x, y and z formulas of a parametric surface and check them at
+ * every point of the grid it is sampled on (u and v from 0 to 1)
+ * @param {Object} surface
+ * @param {string} surface.x
+ * @param {string} surface.y
+ * @param {string} surface.z
+ * @param {number} surface.slices - Grid cells along u
+ * @param {number} surface.stacks - Grid cells along v
+ * @returns {Function} (u, v, target) => void, setting target (a Vector3) to the point
+ * @throws {FormulaError} If a formula does not parse or is not a finite number somewhere
+ *   (e.g. `1 / u` at u = 0)
+ */
+export function compileSurface({ x, y, z, slices, stacks }) {
+    const axes = [['x', x], ['y', y], ['z', z]].map(([name, source]) => [name, compileFormula(source)]);
+
+    for (let i = 0; i <= slices; i++) {
+        const u = i / slices;
+        for (let j = 0; j <= stacks; j++) {
+            const v = j / stacks;
+            axes.forEach(([name, formula]) => {
+                const value = formula(u, v);
+                if (!Number.isFinite(value)) {
+                    throw new FormulaError(`${name} is ${value} at u = ${round(u)}, v = ${round(v)}`);
+                }
+            });
+        }
+    }
+
+    const [fx, fy, fz] = axes.map(([, formula]) => formula);
+    return (u, v, target) => {
+        target.set(fx(u, v), fy(u, v), fz(u, v));
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/^(),])/iy;
+
+    let position = 0;
+    while (position < source.length) {
+        if (/\s/.test(source[position])) {
+            position++;
+            continue;
+        }
+
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new FormulaError(`Unexpected "${source[position]}"`, position);
+        }
+
+        const [text, number, name, operator] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(number), position });
+        } else if (name !== undefined) {
+            tokens.push({ type: 'name', value: name, position });
+        } else {
+            tokens.push({ type: operator === '**' ? '^' : operator, position });
+        }
+        position += text.length;
+    }
+
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser building a tree of closures
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | name | name '(' arguments ')' | '(' expression ')'
+ */
+class Parser {
+    constructor(tokens, variables) {
+        this.tokens = tokens;
+        this.variables = variables;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    expect(type) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw new FormulaError(`Expected "${type}"`, token.position);
+        }
+        return token;
+    }
+
+    expectEnd() {
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new FormulaError('Unexpected input', token.position);
+        }
+    }
+
+    parseExpression() {
+        let left = this.parseTerm();
+        while (this.peek().type === '+' || this.peek().type === '-') {
+            const operator = this.next().type;
+            const a = left;
+            const b = this.parseTerm();
+            left = operator === '+' ? values => a(values) + b(values) : values => a(values) - b(values);
+        }
+        return left;
+    }
+
+    parseTerm() {
+        let left = this.parseUnary();
+        while (this.peek().type === '*' || this.peek().type === '/') {
+            const operator = this.next().type;
+            const a = left;
+            const b = this.parseUnary();
+            left = operator === '*' ? values => a(values) * b(values) : values => a(values) / b(values);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const { type } = this.peek();
+        if (type === '-' || type === '+') {
+            this.next();
+            const operand = this.parseUnary();
+            return type === '-' ? values => -operand(values) : operand;
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.peek().type !== '^') return base;
+
+        this.next();
+        // Right associative: 2^3^2 = 2^(3^2)
+        const exponent = this.parseUnary();
+        return values => Math.pow(base(values), exponent(values));
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number': {
+                const { value } = token;
+                return () => value;
+            }
+            case '(': {
+                const inner = this.parseExpression();
+                this.expect(')');
+                return inner;
+            }
+            case 'name':
+                return this.peek().type === '(' ? this.parseCall(token) : this.parseName(token);
+            case 'end':
+                throw new FormulaError('Formula ends unexpectedly', token.position);
+            default:
+                throw new FormulaError(`Unexpected "${token.type}"`, token.position);
+        }
+    }
+
+    parseName({ value: name, position }) {
+        const variable = this.variables.indexOf(name);
+        if (variable !== -1) {
+            return values => values[variable];
+        }
+        if (Object.hasOwn(FORMULA_CONSTANTS, name)) {
+            const value = FORMULA_CONSTANTS[name];
+            return () => value;
+        }
+        throw new FormulaError(`Unknown name "${name}"`, position);
+    }
+
+    parseCall({ value: name, position }) {
+        if (!Object.hasOwn(FORMULA_FUNCTIONS, name)) {
+            throw new FormulaError(`Unknown function "${name}"`, position);
+        }
+        const fn = FORMULA_FUNCTIONS[name];
+
+        this.expect('(');
+        const args = [];
+        if (this.peek().type !== ')') {
+            args.push(this.parseExpression());
+            while (this.peek().type === ',') {
+                this.next();
+                args.push(this.parseExpression());
+            }
+        }
+        this.expect(')');
+
+        return values => fn(...args.map(arg => arg(values)));
+    }
+}
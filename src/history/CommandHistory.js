@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+const MAX_ENTRIES = 200;
+const MERGE_WINDOW = 1000; // ms between edits that still merge into one entry
+
+/**
+ * CommandHistory Class
+ * Linear undo/redo history of reversible commands. A command is an object
+ * with a `label` and `undo()` / `redo()` methods (see ValueCommand).
+ *
+ * Edits are usually applied first and then recorded with record(); execute()
+ * does both. Consecutive commands with the same `mergeKey` (a slider being
+ * dragged) merge into one entry until there is a pause, a different edit,
+ * seal() or an undo.
+ *
+ * Edits made while a command is undone or redone are not recorded, so
+ * commands can reuse code paths that record their own changes.
+ *
+ * Dispatches 'change' whenever the entries or the current position change.
+ */
+export class CommandHistory extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=200] - Oldest entries are dropped beyond this
+     * @param {number} [options.mergeWindow=1000] - Milliseconds between merging edits
+     * @param {Function} [options.now] - Clock in milliseconds (performance.now)
+     */
+    constructor({ limit = MAX_ENTRIES, mergeWindow = MERGE_WINDOW, now = () => performance.now() } = {}) {
+        super();
+        this.limit = limit;
+        this.mergeWindow = mergeWindow;
+        this.now = now;
+
+        this.entries = [];
+        // Number of entries currently applied; entries after it can be redone
+        this.index = 0;
+        this.applying = false;
+        this.sealed = true;
+        this.lastRecordTime = 0;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length;
+    }
+
+    /**
+     * Record an edit that has already been applied
+     * @param {Object} command
+     * @returns {boolean} Whether the command was recorded (or merged)
+     */
+    record(command) {
+        if (this.applying || command.changed === false) return false;
+
+        const time = this.now();
+        const top = this.entries[this.index - 1];
+        const merges = !this.sealed && top && !this.canRedo && command.mergeKey &&
+            top.mergeKey === command.mergeKey && top.merge && time - this.lastRecordTime <= this.mergeWindow;
+
+        if (merges) {
+            top.merge(command);
+        } else {
+            this.entries.length = this.index;
+            this.entries.push(command);
+            if (this.entries.length > this.limit) {
+                this.entries.shift();
+            }
+        }
+
+        this.index = this.entries.length;
+        this.sealed = false;
+        this.lastRecordTime = time;
+        this.dispatchEvent({ type: 'change' });
+        return true;
+    }
+
+    /**
+     * Apply a command and record it
+     * @param {Object} command
+     */
+    execute(command) {
+        this.run(() => command.redo());
+        this.record(command);
+    }
+
+    /**
+     * Start a new entry with the next edit, even if it could merge
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    /**
+     * @returns {boolean} Whether there was something to undo
+     */
+    undo() {
+        if (!this.canUndo) return false;
+
+        const command = this.entries[this.index - 1];
+        this.run(() => command.undo());
+        this.index--;
+        this.sealed = true;
+        this.dispatchEvent({ type: 'change' });
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether there was something to redo
+     */
+    redo() {
+        if (!this.canRedo) return false;
+
+        const command = this.entries[this.index];
+        this.run(() => command.redo());
+        this.index++;
+        this.sealed = true;
+        this.dispatchEvent({ type: 'change' });
+        return true;
+    }
+
+    /**
+     * Undo or redo until a given number of entries is applied
+     * @param {number} index - 0 is the state before the first entry
+     */
+    jumpTo(index) {
+        const target = THREE.MathUtils.clamp(index, 0, this.entries.length);
+        while (this.index > target) this.undo();
+        while (this.index < target) this.redo();
+    }
+
+    /**
+     * Forget every entry (e.g. after a new document replaced the scene)
+     */
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.sealed = true;
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    run(apply) {
+        this.applying = true;
+        try {
+            apply();
+        } catch (error) {
+            console.error('❌ Failed to undo or redo an edit:', error);
+        } finally {
+            this.applying = false;
+        }
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * ValueCommand Class
+ * Reversible edit of a single value: undo applies the value from before the
+ * edit, redo the value after it. Merging keeps the first `before` and takes
+ * the newest `after`, so a slider drag becomes one entry.
+ *
+ *   history.record(new ValueCommand({
+ *       label: 'Exposure',
+ *       mergeKey: 'environment:exposure',
+ *       before: 1,
+ *       after: 1.4,
+ *       apply: value => environment.set('exposure', value)
+ *   }));
+ */
+export class ValueCommand {
+    /**
+     * @param {Object} options
+     * @param {string} options.label - Shown in the history list
+     * @param {string} [options.mergeKey] - Edits with the same key merge
+     * @param {*} options.before - JSON-compatible value
+     * @param {*} options.after - JSON-compatible value
+     * @param {Function} options.apply - Applies a value
+     */
+    constructor({ label, mergeKey = null, before, after, apply }) {
+        this.label = label;
+        this.mergeKey = mergeKey;
+        this.before = structuredClone(before);
+        this.after = structuredClone(after);
+        this.apply = apply;
+    }
+
+    /**
+     * @returns {boolean} Whether the edit changed anything
+     */
+    get changed() {
+        return JSON.stringify(this.before) !== JSON.stringify(this.after);
+    }
+
+    undo() {
+        this.apply(structuredClone(this.before));
+    }
+
+    redo() {
+        this.apply(structuredClone(this.after));
+    }
+
+    /**
+     * @param {ValueCommand} next - A later edit of the same value
+     */
+    merge(next) {
+        this.after = next.after;
+    }
+}
+
+/**
+ * Turn a camelCase key into a label (`clearcoatRoughness` -> `Clearcoat Roughness`)
+ * @param {string} key
+ * @returns {string}
+ */
+export function formatKey(key) {
+    return key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/^./, first => first.toUpperCase());
+}
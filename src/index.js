@@ -0,0 +1,24 @@
+/**
+ * Library entry point (`npm run build:lib`, see vite.config.js).
+ * Exports embeddable viewers and the building blocks for custom scenes.
+ * Importing it in a browser registers the <three-viewer> element.
+ */
+import { defineThreeViewer } from './viewer/ThreeViewer.js';
+
+export { Viewer, createViewer, VIEWER_SCENES } from './viewer/Viewer.js';
+export { ThreeViewer, defineThreeViewer } from './viewer/ThreeViewer.js';
+export { SceneBase } from './scenes/SceneBase.js';
+export { BasicScene } from './scenes/BasicScene.js';
+export { EnhancedScene } from './scenes/EnhancedScene.js';
+export { PhysicsScene } from './scenes/PhysicsScene.js';
+export { Clock, sharedClock } from './core/Clock.js';
+export { EventBus, APP_EVENTS } from './core/EventBus.js';
+export { CommandRegistry } from './core/CommandRegistry.js';
+export { PluginManager } from './plugins/PluginManager.js';
+export { gridPlugin } from './plugins/gridPlugin.js';
+export { SCENE_CONTROLS, mountSceneControls } from './ui/sceneControls.js';
+export { validateSceneDocument, SceneDocumentError } from './document/SceneDocument.js';
+
+if (typeof customElements !== 'undefined') {
+    defineThreeViewer();
+}
@@ -0,0 +1,468 @@
+import * as THREE from 'three';
+import {
+    DEFAULT_BINDINGS,
+    DEFAULT_AXES,
+    normalizeBinding,
+    getEventKey,
+    getEventCombo,
+    loadCustomBindings,
+    saveCustomBindings
+} from './bindings.js';
+
+const TAP_MAX_DURATION = 300;     // ms a press may last and still be a tap
+const TAP_MAX_DISTANCE = 10;      // px the pointer may move and still tap
+const DOUBLE_TAP_INTERVAL = 300;  // ms between the taps of a double tap
+const DOUBLE_TAP_DISTANCE = 30;   // px between the taps of a double tap
+const LONG_PRESS_DURATION = 600;  // ms a still pointer must be held
+const STICK_DEADZONE = 0.15;
+
+const TEXT_INPUTS = 'textarea, [contenteditable], input:not([type=range]):not([type=checkbox]):not([type=color]):not([type=file])';
+const FORM_CONTROLS = 'input, textarea, select, button, [contenteditable]';
+
+function getNavigatorGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads());
+}
+
+/**
+ * Whether a key press belongs to the focused element rather than the scene:
+ * text fields keep every key (including their own undo); sliders, checkboxes
+ * and selects only keep plain keys, so ctrl shortcuts still reach the scene.
+ */
+function isForFocusedControl(event) {
+    // Innermost target, also for keys typed into an embedded viewer's shadow root
+    const target = event.composedPath()[0];
+    if (!target || !target.closest) return false;
+    if (target.closest(TEXT_INPUTS)) return true;
+    return Boolean(target.closest(FORM_CONTROLS)) && !(event.ctrlKey || event.metaKey);
+}
+
+/**
+ * InputManager Class
+ * One input layer for pointer, touch, keyboard and gamepad, so scenes work
+ * with named actions instead of raw DOM events:
+ * - Pointer Events on the canvas, with canvas-relative and normalized device
+ *   coordinates (`pointer`), plus tap, double tap, long press and pinch gestures
+ * - Actions (`frame-selection`, `reset-camera`, `pulse`…) bound to key combos,
+ *   gestures and gamepad buttons; bindings can be changed and are saved
+ * - Axis actions (`orbit`) read every frame from keys and gamepad sticks
+ * - Gamepads are polled in update(); the source can be replaced with mocks
+ *
+ * Dispatches 'action' for every triggered action, the gesture events 'tap',
+ * 'doubletap', 'longpress' and 'pinch', 'pointermove', 'bindings' after a
+ * rebind, and 'gamepadconnected' / 'gamepaddisconnected'.
+ */
+export class InputManager extends THREE.EventDispatcher {
+    /**
+     * @param {HTMLElement|null} domElement - Element pointer input is read from (the canvas)
+     * @param {Object} [options]
+     * @param {EventTarget} [options.keyTarget=window] - Where keyboard events are read from
+     * @param {Function} [options.getGamepads] - Returns the connected gamepads (navigator.getGamepads)
+     * @param {boolean} [options.persist=true] - Load and save rebound actions in localStorage
+     */
+    constructor(domElement, { keyTarget = window, getGamepads = getNavigatorGamepads, persist = true } = {}) {
+        super();
+        this.domElement = domElement;
+        this.keyTarget = keyTarget;
+        this.getGamepads = getGamepads;
+        this.persist = persist;
+        this.enabled = true;
+
+        this.customBindings = persist ? loadCustomBindings() : {};
+        this.bindings = {};
+        this.applyBindings();
+        this.axes = { ...DEFAULT_AXES };
+        this.handlers = new Map();
+
+        this.keysDown = new Set();
+        this.pointer = { x: 0, y: 0, ndc: new THREE.Vector2(), inside: false };
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.longPressTimer = null;
+        this.gamepads = [];
+        this.gamepadButtons = new Map();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+
+        if (domElement) {
+            domElement.addEventListener('pointerdown', this.onPointerDown);
+            domElement.addEventListener('pointermove', this.onPointerMove);
+            domElement.addEventListener('pointerup', this.onPointerUp);
+            domElement.addEventListener('pointercancel', this.onPointerCancel);
+            domElement.addEventListener('pointerleave', this.onPointerLeave);
+        }
+        if (keyTarget) {
+            keyTarget.addEventListener('keydown', this.onKeyDown);
+            keyTarget.addEventListener('keyup', this.onKeyUp);
+            keyTarget.addEventListener('blur', this.onBlur);
+        }
+    }
+
+    /**
+     * Run a handler whenever an action is triggered. Returning false means the
+     * handler ignored it (the key press is then not consumed).
+     * @param {string} action
+     * @param {Function} handler - Called with { action, binding, ...details }
+     * @returns {Function} Removes the handler again
+     */
+    on(action, handler) {
+        if (!this.handlers.has(action)) {
+            this.handlers.set(action, new Set());
+        }
+        this.handlers.get(action).add(handler);
+        return () => this.handlers.get(action).delete(handler);
+    }
+
+    /**
+     * Trigger an action by name
+     * @param {string} action
+     * @param {Object} [details] - Passed on to the handlers
+     * @returns {boolean} Whether a handler took the action
+     */
+    trigger(action, details = {}) {
+        let handled = false;
+        const handlers = this.handlers.get(action);
+        if (handlers) {
+            handlers.forEach((handler) => {
+                if (handler({ action, ...details }) !== false) {
+                    handled = true;
+                }
+            });
+        }
+
+        this.dispatchEvent({ type: 'action', action, ...details });
+        return handled;
+    }
+
+    /**
+     * Trigger every action bound to an input
+     * @param {string} binding - Normalized binding (`shift+f`, `gamepad:0`, `tap`)
+     * @param {Object} [details]
+     * @returns {boolean} Whether a handler took one of the actions
+     */
+    triggerBinding(binding, details = {}) {
+        if (!this.enabled) return false;
+
+        let handled = false;
+        Object.entries(this.bindings).forEach(([action, bindings]) => {
+            if (bindings.includes(binding) && this.trigger(action, { binding, ...details })) {
+                handled = true;
+            }
+        });
+        return handled;
+    }
+
+    /**
+     * @param {string} binding
+     * @returns {string[]} Actions the input triggers
+     */
+    getActions(binding) {
+        const normalized = normalizeBinding(binding);
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(normalized));
+    }
+
+    /**
+     * Rebind an action (replaces its bindings and saves them)
+     * @param {string} action
+     * @param {string[]} bindings
+     */
+    bind(action, bindings) {
+        const normalized = bindings.map(normalizeBinding).filter(Boolean);
+        const defaults = DEFAULT_BINDINGS[action];
+
+        if (defaults && defaults.join(',') === normalized.join(',')) {
+            delete this.customBindings[action];
+        } else {
+            this.customBindings[action] = normalized;
+        }
+        this.applyBindings();
+    }
+
+    /**
+     * Restore the default bindings of every action
+     */
+    resetBindings() {
+        this.customBindings = {};
+        this.applyBindings();
+    }
+
+    applyBindings() {
+        this.bindings = {};
+        Object.entries(DEFAULT_BINDINGS).forEach(([action, bindings]) => {
+            this.bindings[action] = [...bindings];
+        });
+        Object.entries(this.customBindings).forEach(([action, bindings]) => {
+            if (Array.isArray(bindings)) {
+                this.bindings[action] = bindings.map(normalizeBinding).filter(Boolean);
+            }
+        });
+
+        if (this.persist) {
+            saveCustomBindings(this.customBindings);
+        }
+        this.dispatchEvent({ type: 'bindings' });
+    }
+
+    /**
+     * Current value of an axis action, each component from -1 to 1
+     * (x to the right, y upwards)
+     * @param {string} name - Key of the axes, e.g. 'orbit'
+     * @param {THREE.Vector2} [target]
+     * @returns {THREE.Vector2}
+     */
+    getAxis(name, target = new THREE.Vector2()) {
+        const axis = this.axes[name];
+        target.set(0, 0);
+        if (!axis || !this.enabled) return target;
+
+        const keys = this.keysDown;
+        target.x = (keys.has(axis.right) ? 1 : 0) - (keys.has(axis.left) ? 1 : 0);
+        target.y = (keys.has(axis.up) ? 1 : 0) - (keys.has(axis.down) ? 1 : 0);
+
+        if (axis.stick !== undefined) {
+            this.gamepads.forEach((gamepad) => {
+                const x = gamepad.axes[axis.stick * 2] || 0;
+                const y = gamepad.axes[axis.stick * 2 + 1] || 0;
+                if (Math.hypot(x, y) > STICK_DEADZONE) {
+                    target.x += x;
+                    target.y -= y;
+                }
+            });
+        }
+
+        return target.set(
+            THREE.MathUtils.clamp(target.x, -1, 1),
+            THREE.MathUtils.clamp(target.y, -1, 1)
+        );
+    }
+
+    /**
+     * @param {string} key - Key in binding form (`shift`, `a`, `arrowup`)
+     * @returns {boolean}
+     */
+    isKeyDown(key) {
+        return this.keysDown.has(normalizeBinding(key));
+    }
+
+    /**
+     * Replace where gamepads are read from (e.g. `() => [new MockGamepad()]`)
+     * @param {Function} getGamepads
+     */
+    setGamepadSource(getGamepads) {
+        this.getGamepads = getGamepads;
+    }
+
+    /**
+     * Poll the gamepads; pressed buttons trigger their `gamepad:<index>` actions
+     * (call every frame)
+     */
+    update() {
+        this.gamepads = (this.getGamepads() || []).filter(gamepad => gamepad && gamepad.connected);
+        const seen = new Set();
+
+        this.gamepads.forEach((gamepad) => {
+            seen.add(gamepad.index);
+            const pressed = gamepad.buttons.map(button => Boolean(button && button.pressed));
+            const previous = this.gamepadButtons.get(gamepad.index);
+            this.gamepadButtons.set(gamepad.index, pressed);
+
+            // Browsers only reveal a gamepad after a button press, which must not trigger anything
+            if (!previous) {
+                console.log(`🎮 Gamepad connected: ${gamepad.id}`);
+                this.dispatchEvent({ type: 'gamepadconnected', gamepad });
+                return;
+            }
+
+            pressed.forEach((down, index) => {
+                if (down && !previous[index]) {
+                    this.triggerBinding(`gamepad:${index}`, { gamepad });
+                }
+            });
+        });
+
+        Array.from(this.gamepadButtons.keys()).forEach((index) => {
+            if (!seen.has(index)) {
+                this.gamepadButtons.delete(index);
+                this.dispatchEvent({ type: 'gamepaddisconnected', index });
+            }
+        });
+    }
+
+    /**
+     * Pointer position relative to the element
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number, ndc: THREE.Vector2}}
+     */
+    getPointerPosition(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const ndc = new THREE.Vector2(
+            rect.width > 0 ? (x / rect.width) * 2 - 1 : 0,
+            rect.height > 0 ? -(y / rect.height) * 2 + 1 : 0
+        );
+        return { x, y, ndc };
+    }
+
+    onPointerDown(event) {
+        const position = this.getPointerPosition(event);
+        this.pointers.set(event.pointerId, {
+            start: position,
+            current: position,
+            time: event.timeStamp,
+            button: event.button
+        });
+
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+
+        if (this.pointers.size === 1) {
+            this.gesture = { multiTouch: false, longPressed: false, pinchDistance: 0 };
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                if (this.gesture) {
+                    this.gesture.longPressed = true;
+                }
+                this.emitGesture('longpress', position);
+            }, LONG_PRESS_DURATION);
+        } else if (this.gesture) {
+            // A second finger turns the gesture into a pinch
+            this.gesture.multiTouch = true;
+            this.gesture.pinchDistance = this.getPinchDistance();
+        }
+    }
+
+    onPointerMove(event) {
+        const position = this.getPointerPosition(event);
+        this.pointer.x = position.x;
+        this.pointer.y = position.y;
+        this.pointer.ndc.copy(position.ndc);
+        this.pointer.inside = true;
+        this.dispatchEvent({ type: 'pointermove', ...position, pointerType: event.pointerType });
+
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        pointer.current = position;
+
+        const moved = Math.hypot(position.x - pointer.start.x, position.y - pointer.start.y);
+        if (moved > TAP_MAX_DISTANCE && this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+
+        if (this.pointers.size === 2 && this.gesture && this.gesture.pinchDistance > 0) {
+            const [a, b] = Array.from(this.pointers.values()).map(({ current }) => current);
+            this.dispatchEvent({
+                type: 'pinch',
+                scale: this.getPinchDistance() / this.gesture.pinchDistance,
+                x: (a.x + b.x) / 2,
+                y: (a.y + b.y) / 2
+            });
+        }
+    }
+
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(event.pointerId);
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+
+        const gesture = this.gesture;
+        if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+        if (!gesture || gesture.multiTouch || gesture.longPressed || pointer.button !== 0) return;
+
+        const position = this.getPointerPosition(event);
+        const moved = Math.hypot(position.x - pointer.start.x, position.y - pointer.start.y);
+        if (moved > TAP_MAX_DISTANCE || event.timeStamp - pointer.time > TAP_MAX_DURATION) return;
+
+        this.emitGesture('tap', position);
+
+        const last = this.lastTap;
+        if (last && event.timeStamp - last.time <= DOUBLE_TAP_INTERVAL &&
+            Math.hypot(position.x - last.x, position.y - last.y) <= DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            this.emitGesture('doubletap', position);
+        } else {
+            this.lastTap = { time: event.timeStamp, x: position.x, y: position.y };
+        }
+    }
+
+    onPointerCancel(event) {
+        this.pointers.delete(event.pointerId);
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+
+    onPointerLeave() {
+        this.pointer.inside = false;
+    }
+
+    getPinchDistance() {
+        const [a, b] = Array.from(this.pointers.values()).map(({ current }) => current);
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    emitGesture(type, position) {
+        this.dispatchEvent({ type, ...position });
+        this.triggerBinding(type, position);
+    }
+
+    onKeyDown(event) {
+        if (isForFocusedControl(event)) return;
+
+        this.keysDown.add(getEventKey(event));
+        if (event.repeat) return;
+
+        if (this.triggerBinding(getEventCombo(event), { event })) {
+            event.preventDefault();
+        }
+    }
+
+    onKeyUp(event) {
+        this.keysDown.delete(getEventKey(event));
+    }
+
+    onBlur() {
+        // Keys released while the window is in the background never send keyup
+        this.keysDown.clear();
+    }
+
+    dispose() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+
+        if (this.domElement) {
+            this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            this.domElement.removeEventListener('pointermove', this.onPointerMove);
+            this.domElement.removeEventListener('pointerup', this.onPointerUp);
+            this.domElement.removeEventListener('pointercancel', this.onPointerCancel);
+            this.domElement.removeEventListener('pointerleave', this.onPointerLeave);
+        }
+        if (this.keyTarget) {
+            this.keyTarget.removeEventListener('keydown', this.onKeyDown);
+            this.keyTarget.removeEventListener('keyup', this.onKeyUp);
+            this.keyTarget.removeEventListener('blur', this.onBlur);
+        }
+
+        this.handlers.clear();
+        this.pointers.clear();
+        this.keysDown.clear();
+        this.gamepadButtons.clear();
+        this.gamepads = [];
+    }
+}
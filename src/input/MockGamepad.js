@@ -0,0 +1,57 @@
+/**
+ * MockGamepad Class
+ * Stand-in for a Gamepad API object with the standard mapping (17 buttons,
+ * 4 axes), for testing gamepad bindings without hardware:
+ *
+ *   const pad = new MockGamepad();
+ *   input.setGamepadSource(() => [pad]);
+ *   pad.press(0);          // triggers actions bound to `gamepad:0` on the next update
+ *   pad.setStick(1, 1, 0); // right stick fully right
+ */
+export class MockGamepad {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.index=0]
+     * @param {string} [options.id='Mock Gamepad']
+     */
+    constructor({ index = 0, id = 'Mock Gamepad' } = {}) {
+        this.index = index;
+        this.id = id;
+        this.mapping = 'standard';
+        this.connected = true;
+        this.timestamp = 0;
+        this.buttons = Array.from({ length: 17 }, () => ({ pressed: false, touched: false, value: 0 }));
+        this.axes = [0, 0, 0, 0];
+    }
+
+    /**
+     * @param {number} button - Standard-mapping button index
+     */
+    press(button) {
+        this.setButton(button, true);
+    }
+
+    /**
+     * @param {number} button - Standard-mapping button index
+     */
+    release(button) {
+        this.setButton(button, false);
+    }
+
+    setButton(button, pressed) {
+        this.buttons[button] = { pressed, touched: pressed, value: pressed ? 1 : 0 };
+        this.timestamp++;
+    }
+
+    /**
+     * Move a stick (y is positive downwards, as on real gamepads)
+     * @param {number} stick - 0 left, 1 right
+     * @param {number} x - -1 to 1
+     * @param {number} y - -1 to 1
+     */
+    setStick(stick, x, y) {
+        this.axes[stick * 2] = x;
+        this.axes[stick * 2 + 1] = y;
+        this.timestamp++;
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Input bindings
+ * Actions are triggered by name; each action lists the inputs bound to it:
+ * - key combos: `f`, `shift+d`, `ctrl+z` (ctrl also matches ⌘), `space`, `escape`
+ * - gamepad buttons by standard-mapping index: `gamepad:0` (A / cross)
+ * - gestures on the canvas: `tap`, `doubletap`, `longpress`
+ */
+
+export const DEFAULT_BINDINGS = {
+    'frame-selection': ['f', 'doubletap', 'gamepad:2'],
+    'reset-camera': ['home', 'longpress', 'gamepad:3'],
+    'view-front': ['1'],
+    'view-side': ['3'],
+    'view-top': ['7'],
+    'toggle-projection': ['5'],
+    'pulse': ['space', 'gamepad:0'],
+    'gizmo-translate': ['w'],
+    'gizmo-rotate': ['e'],
+    'gizmo-scale': ['r'],
+    'gizmo-space': ['q'],
+    'deselect': ['escape', 'gamepad:1'],
+    'undo': ['ctrl+z'],
+    'redo': ['ctrl+shift+z', 'ctrl+y']
+};
+
+export const ACTION_LABELS = {
+    'frame-selection': 'Frame Selection',
+    'reset-camera': 'Reset Camera',
+    'view-front': 'Front View',
+    'view-side': 'Side View',
+    'view-top': 'Top View',
+    'toggle-projection': 'Toggle Orthographic',
+    'pulse': 'Pulse',
+    'gizmo-translate': 'Move Tool',
+    'gizmo-rotate': 'Rotate Tool',
+    'gizmo-scale': 'Scale Tool',
+    'gizmo-space': 'Local/World Space',
+    'deselect': 'Deselect',
+    'undo': 'Undo',
+    'redo': 'Redo'
+};
+
+// Two-dimensional actions, read every frame with InputManager.getAxis().
+// Keys push the axis to ±1; `stick` is a gamepad stick (0 left, 1 right).
+export const DEFAULT_AXES = {
+    orbit: { left: 'arrowleft', right: 'arrowright', down: 'arrowdown', up: 'arrowup', stick: 1 }
+};
+
+export const GESTURES = ['tap', 'doubletap', 'longpress'];
+
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+const KEY_ALIASES = { ' ': 'space', spacebar: 'space', esc: 'escape', cmd: 'ctrl', meta: 'ctrl', control: 'ctrl', del: 'delete' };
+
+/**
+ * Normalize a binding so equivalent spellings compare equal
+ * (`Shift+D` -> `shift+d`, `cmd+z` -> `ctrl+z`)
+ * @param {string} binding
+ * @returns {string}
+ */
+export function normalizeBinding(binding) {
+    const parts = binding.toLowerCase().split('+').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return '';
+    if (parts.length === 1 && (parts[0].startsWith('gamepad:') || GESTURES.includes(parts[0]))) {
+        return parts[0];
+    }
+
+    const key = KEY_ALIASES[parts[parts.length - 1]] || parts[parts.length - 1];
+    const modifiers = parts.slice(0, -1).map(part => KEY_ALIASES[part] || part);
+    return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), key].join('+');
+}
+
+/**
+ * The key of a keyboard event without modifiers, in binding form (`a`, `space`, `arrowup`)
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+export function getEventKey(event) {
+    const key = event.key.toLowerCase();
+    return KEY_ALIASES[key] || key;
+}
+
+/**
+ * The combo a keyboard event produces, in normalized form
+ * Shift is only part of the combo for letters and named keys, since it
+ * already changes the character of symbol keys.
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+export function getEventCombo(event) {
+    const key = getEventKey(event);
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('ctrl');
+    if (event.altKey) parts.push('alt');
+    if (event.shiftKey && (key.length > 1 || /[a-z]/.test(key))) parts.push('shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Parse a comma-separated list of bindings (as typed in the shortcuts panel)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseBindingList(text) {
+    return text.split(',').map(normalizeBinding).filter(Boolean);
+}
+
+const STORAGE_KEY = 'threejs-starter-pro:input-bindings';
+
+/**
+ * Load the user's rebound actions from localStorage
+ * @returns {Object<string, string[]>}
+ */
+export function loadCustomBindings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the user's rebound actions (only those that differ from the defaults)
+ * @param {Object<string, string[]>} bindings
+ */
+export function saveCustomBindings(bindings) {
+    try {
+        if (Object.keys(bindings).length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not save input bindings:', error);
+    }
+}
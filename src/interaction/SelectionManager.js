@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+const HOVER_COLOR = 0x94a3b8;
+const SELECTION_COLOR = 0x6366f1;
+const CLICK_TOLERANCE = 4; // Pixels the pointer may move and still count as a click
+
+/**
+ * SelectionManager Class
+ * Raycaster-based picking for every mesh in a scene:
+ * - Hover and selection outlines (bounding box helpers)
+ * - Move/rotate/scale gizmo (TransformControls) on the selected object,
+ *   suspending OrbitControls while dragging
+ * - Gizmo modes and space (the scene binds them to keys through its InputManager)
+ *
+ * Dispatches events other panels can listen to:
+ * - 'select'  { object, previous } - selection changed (object may be null)
+ * - 'hover'   { object }           - hovered object changed
+ * - 'change'  { object }           - selected object transformed with the gizmo
+ * - 'dragging-changed' { value }   - gizmo drag started/ended
+ */
+export class SelectionManager extends THREE.EventDispatcher {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene
+     * @param {THREE.Camera} options.camera
+     * @param {HTMLElement} options.domElement - Renderer canvas
+     * @param {OrbitControls} [options.orbitControls] - Suspended while the gizmo is dragged
+     */
+    constructor({ scene, camera, domElement, orbitControls = null }) {
+        super();
+
+        this.scene = scene;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.orbitControls = orbitControls;
+
+        this.selected = null;
+        this.hovered = null;
+        this.isDragging = false;
+
+        // Picking can be switched off, e.g. while flying the camera
+        this.enabled = true;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerDownPosition = null;
+        this.pointerDownOnGizmo = false;
+
+        // Outlines
+        this.hoverHelper = this.createOutline(HOVER_COLOR);
+        this.selectionHelper = this.createOutline(SELECTION_COLOR);
+
+        // Gizmo
+        this.transformControls = new TransformControls(camera, domElement);
+        this.transformControls.userData.isHelper = true;
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            this.isDragging = event.value;
+            if (this.orbitControls) {
+                this.orbitControls.enabled = !event.value;
+            }
+            this.dispatchEvent({ type: 'dragging-changed', value: event.value });
+        });
+        this.transformControls.addEventListener('objectChange', () => {
+            this.dispatchEvent({ type: 'change', object: this.selected });
+        });
+        this.scene.add(this.transformControls);
+
+        // DOM listeners
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+
+        domElement.addEventListener('pointermove', this.onPointerMove);
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        domElement.addEventListener('pointerup', this.onPointerUp);
+        domElement.addEventListener('pointerleave', this.onPointerLeave);
+    }
+
+    createOutline(color) {
+        const helper = new THREE.BoxHelper(undefined, color);
+        helper.material.depthTest = false;
+        helper.material.transparent = true;
+        helper.renderOrder = 999;
+        helper.visible = false;
+        helper.userData.isHelper = true;
+        this.scene.add(helper);
+        return helper;
+    }
+
+    /**
+     * Select an object (or clear the selection with null)
+     * @param {THREE.Object3D|null} object
+     */
+    select(object) {
+        if (object === this.selected) return;
+
+        const previous = this.selected;
+        this.selected = object;
+
+        if (object) {
+            this.transformControls.attach(object);
+        } else {
+            this.transformControls.detach();
+        }
+
+        this.updateOutline(this.selectionHelper, object);
+        if (this.hovered === object) {
+            this.updateOutline(this.hoverHelper, null);
+        }
+        this.dispatchEvent({ type: 'select', object, previous });
+    }
+
+    /**
+     * Clear the selection
+     */
+    clear() {
+        this.select(null);
+    }
+
+    /**
+     * @returns {THREE.Object3D|null} The selected object
+     */
+    getSelected() {
+        return this.selected;
+    }
+
+    /**
+     * Turn picking and the gizmo on or off; disabling clears the selection
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.transformControls.enabled = enabled;
+        if (!enabled) {
+            this.clear();
+            this.onPointerLeave();
+        }
+    }
+
+    /**
+     * Pick and draw the gizmo through another camera
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        this.transformControls.camera = camera;
+    }
+
+    /**
+     * Switch the gizmo mode
+     * @param {'translate'|'rotate'|'scale'} mode
+     */
+    setMode(mode) {
+        this.transformControls.setMode(mode);
+    }
+
+    /**
+     * Pick the selectable object under a canvas-relative pointer position
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {THREE.Object3D|null}
+     */
+    pick(clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const hits = this.raycaster.intersectObjects(this.scene.children, true);
+        const hit = hits.find(({ object }) => object.isMesh && this.isPickable(object));
+
+        return hit ? this.resolveSelectable(hit.object) : null;
+    }
+
+    /**
+     * Meshes are pickable when they and their ancestors are visible and not helpers
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    isPickable(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible || current.userData.isHelper) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Walk up to the object that should be selected for a picked mesh:
+     * the nearest ancestor flagged `userData.selectable`, or the top-level object
+     * @param {THREE.Object3D} object
+     * @returns {THREE.Object3D}
+     */
+    resolveSelectable(object) {
+        let current = object;
+        while (current.parent && current.parent !== this.scene && !current.userData.selectable) {
+            current = current.parent;
+        }
+        return current;
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled || this.isDragging) return;
+
+        const object = this.pick(event.clientX, event.clientY);
+        if (object !== this.hovered) {
+            this.hovered = object;
+            this.dispatchEvent({ type: 'hover', object });
+        }
+        this.updateOutline(this.hoverHelper, object !== this.selected ? object : null);
+    }
+
+    onPointerDown(event) {
+        this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+
+        // TransformControls handles its pointerdown first; ignore gizmo clicks
+        this.pointerDownOnGizmo = this.transformControls.dragging || this.transformControls.axis !== null;
+    }
+
+    onPointerUp(event) {
+        if (!this.enabled || !this.pointerDownPosition || this.pointerDownOnGizmo || event.button !== 0) {
+            this.pointerDownPosition = null;
+            return;
+        }
+
+        const moved = Math.hypot(
+            event.clientX - this.pointerDownPosition.x,
+            event.clientY - this.pointerDownPosition.y
+        );
+        this.pointerDownPosition = null;
+
+        // Orbit drags are not clicks
+        if (moved > CLICK_TOLERANCE) return;
+
+        this.select(this.pick(event.clientX, event.clientY));
+    }
+
+    onPointerLeave() {
+        this.hovered = null;
+        this.updateOutline(this.hoverHelper, null);
+    }
+
+    /**
+     * Switch the gizmo between local and world space
+     */
+    toggleSpace() {
+        this.transformControls.setSpace(this.transformControls.space === 'local' ? 'world' : 'local');
+    }
+
+    /**
+     * Point an outline helper at an object (or hide it)
+     * @param {THREE.BoxHelper} helper
+     * @param {THREE.Object3D|null} object
+     */
+    updateOutline(helper, object) {
+        helper.visible = Boolean(object);
+        if (object) {
+            helper.setFromObject(object);
+        }
+    }
+
+    /**
+     * Keep outlines in sync with animated objects (call every frame)
+     */
+    update() {
+        if (this.selected && !this.selected.parent) {
+            // The selected object was removed from the scene
+            this.clear();
+        }
+        if (this.hovered && !this.hovered.parent) {
+            this.hovered = null;
+            this.hoverHelper.visible = false;
+        }
+
+        if (this.selectionHelper.visible) {
+            this.selectionHelper.setFromObject(this.selected);
+        }
+        if (this.hoverHelper.visible) {
+            this.hoverHelper.setFromObject(this.hovered);
+        }
+    }
+
+    dispose() {
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointerleave', this.onPointerLeave);
+
+        this.transformControls.detach();
+        this.transformControls.dispose();
+        this.scene.remove(this.transformControls, this.hoverHelper, this.selectionHelper);
+        this.hoverHelper.dispose();
+        this.selectionHelper.dispose();
+    }
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { RectAreaLightHelper } from 'three/examples/jsm/helpers/RectAreaLightHelper.js';
+import { validateLight, SHADOW_LIGHT_TYPES } from '../document/SceneDocument.js';
+import { SceneBuilder, getLightType } from '../document/SceneBuilder.js';
+
+// Light animation patterns, applied every frame on top of the light's base values
+const ANIMATIONS = {
+    // Circle around the z axis through the base position, with a gentle shimmer
+    orbit(light, time, index) {
+        if (!light.userData.basePosition) return;
+
+        const { x, y } = light.userData.basePosition;
+        const radius = Math.hypot(x, y);
+        const angle = time * 0.5 + Math.atan2(y, x);
+        light.position.x = Math.cos(angle) * radius;
+        light.position.y = Math.sin(angle) * radius;
+        light.intensity = light.userData.baseIntensity + Math.sin(time * 2 + index) * 0.3;
+    },
+
+    // Intensity swells between half and one and a half times the base value
+    pulse(light, time, index) {
+        light.intensity = light.userData.baseIntensity * (1 + 0.5 * Math.sin(time * 3 + index));
+    }
+};
+
+/**
+ * LightRig Class
+ * Editable lighting for a scene built from a document:
+ * - Adds and removes lights (all LIGHT_TYPES) and edits their properties,
+ *   including per-light shadow map size, bias and radius
+ * - Runs each light's animation pattern (none, orbit, pulse)
+ * - Shows optional helpers (flagged `userData.isHelper`)
+ *
+ * The rig edits the document's light array in place, so serialization and
+ * timeline tracks (`light:<index>`) always see the current lights.
+ *
+ * Dispatches 'change' with the edited key, the light and the key's previous
+ * value; 'change' with key 'lights', the light, its index and `removed` when a
+ * light was added or removed; and 'reset' when setLights() swapped in new lights.
+ */
+export class LightRig extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Scene} scene
+     */
+    constructor(scene) {
+        super();
+        this.scene = scene;
+        this.lights = [];
+        this.helpers = new Map();
+        this.helpersVisible = false;
+    }
+
+    /**
+     * Take over a new set of lights (e.g. after a document was loaded)
+     * @param {THREE.Light[]} lights - Lights already in the scene; edited in place
+     */
+    setLights(lights) {
+        this.removeHelpers();
+        this.lights = lights;
+        if (this.helpersVisible) {
+            this.lights.forEach(light => this.addHelper(light));
+        }
+        this.dispatchEvent({ type: 'reset' });
+    }
+
+    /**
+     * Add a light to the scene
+     * @param {Object} desc - Light description (validated here)
+     * @returns {THREE.Light}
+     * @throws {SceneDocumentError} If the description is invalid
+     */
+    addLight(desc) {
+        const light = SceneBuilder.buildLight(validateLight(desc));
+        this.insertLight(light);
+        return light;
+    }
+
+    /**
+     * Put a light (e.g. one removed earlier) back into the scene
+     * @param {THREE.Light} light
+     * @param {number} [index] - Position in the light list (default: last)
+     */
+    insertLight(light, index = this.lights.length) {
+        this.lights.splice(index, 0, light);
+        this.scene.add(light);
+        if (this.helpersVisible) {
+            this.addHelper(light);
+        }
+
+        this.dispatchEvent({ type: 'change', key: 'lights', light, index: this.lights.indexOf(light), removed: false });
+    }
+
+    /**
+     * Remove and dispose a light
+     * @param {THREE.Light} light
+     */
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index === -1) return;
+
+        this.lights.splice(index, 1);
+        this.removeHelper(light);
+        this.scene.remove(light);
+        // Only frees the shadow map, so the light can be inserted again
+        light.dispose();
+
+        this.dispatchEvent({ type: 'change', key: 'lights', light, index, removed: true });
+    }
+
+    /**
+     * Document description of a light (see validateLight)
+     * @param {THREE.Light} light
+     * @returns {Object}
+     */
+    describe(light) {
+        return SceneBuilder.serializeLight(light);
+    }
+
+    /**
+     * Change one property of a light, using the document's field names
+     * @param {THREE.Light} light
+     * @param {string} key - e.g. 'intensity', 'angle' (degrees), 'shadowMapSize'
+     * @param {*} value
+     */
+    set(light, key, value) {
+        const { userData, shadow } = light;
+        const previous = this.describe(light)[key];
+
+        switch (key) {
+            case 'color':
+            case 'groundColor':
+                light[key].set(value);
+                break;
+            case 'intensity':
+                userData.baseIntensity = value;
+                light.intensity = value;
+                break;
+            case 'position':
+                userData.basePosition = new THREE.Vector3().fromArray(value);
+                light.position.fromArray(value);
+                if (userData.target) {
+                    light.lookAt(userData.target);
+                }
+                break;
+            case 'target':
+                SceneBuilder.setLightTarget(light, value);
+                break;
+            case 'angle':
+                light.angle = THREE.MathUtils.degToRad(value);
+                break;
+            case 'animation':
+                userData.animation = value;
+                // Back to the base values when the light stops moving
+                light.intensity = userData.baseIntensity;
+                if (userData.basePosition) {
+                    light.position.copy(userData.basePosition);
+                }
+                break;
+            case 'castShadow':
+                // Adaptive quality limits shadows relative to the base value
+                userData.baseCastShadow = value;
+                light.castShadow = value;
+                break;
+            case 'shadowMapSize':
+                userData.baseShadowMapSize = value;
+                shadow.mapSize.set(value, value);
+                if (shadow.map) {
+                    shadow.map.dispose();
+                    shadow.map = null;
+                }
+                break;
+            case 'shadowBias':
+                shadow.bias = value;
+                break;
+            case 'shadowRadius':
+                shadow.radius = value;
+                break;
+            default:
+                // distance, decay, penumbra, width, height
+                light[key] = value;
+                break;
+        }
+
+        this.dispatchEvent({ type: 'change', key, light, previous });
+    }
+
+    /**
+     * @param {THREE.Light} light
+     * @returns {boolean} Whether the light type can cast shadows
+     */
+    canCastShadow(light) {
+        return SHADOW_LIGHT_TYPES.includes(getLightType(light));
+    }
+
+    /**
+     * Show or hide the light helpers
+     * @param {boolean} visible
+     */
+    setHelpersVisible(visible) {
+        this.helpersVisible = visible;
+        this.removeHelpers();
+        if (visible) {
+            this.lights.forEach(light => this.addHelper(light));
+        }
+    }
+
+    addHelper(light) {
+        let helper;
+        if (light.isDirectionalLight) {
+            helper = new THREE.DirectionalLightHelper(light, 1);
+        } else if (light.isSpotLight) {
+            helper = new THREE.SpotLightHelper(light);
+        } else if (light.isPointLight) {
+            helper = new THREE.PointLightHelper(light, 0.3);
+        } else if (light.isHemisphereLight) {
+            helper = new THREE.HemisphereLightHelper(light, 0.5);
+        } else if (light.isRectAreaLight) {
+            helper = new RectAreaLightHelper(light);
+        } else {
+            return;
+        }
+
+        helper.userData.isHelper = true;
+        // The rect area helper follows the light as a child; the others read its world matrix
+        (light.isRectAreaLight ? light : this.scene).add(helper);
+        this.helpers.set(light, helper);
+    }
+
+    removeHelper(light) {
+        const helper = this.helpers.get(light);
+        if (!helper) return;
+
+        helper.removeFromParent();
+        helper.dispose();
+        this.helpers.delete(light);
+    }
+
+    removeHelpers() {
+        Array.from(this.helpers.keys()).forEach(light => this.removeHelper(light));
+    }
+
+    /**
+     * Animate the lights and keep the helpers in place
+     * @param {number} time - Scene time in seconds
+     */
+    update(time) {
+        this.lights.forEach((light, index) => {
+            const animate = ANIMATIONS[light.userData.animation];
+            if (!animate) return;
+
+            animate(light, time, index);
+            if (light.userData.target) {
+                light.lookAt(light.userData.target);
+            }
+        });
+
+        this.helpers.forEach((helper, light) => {
+            if (helper.update) {
+                light.updateWorldMatrix(true, false);
+                helper.update();
+            }
+        });
+    }
+
+    dispose() {
+        this.removeHelpers();
+        this.lights = [];
+    }
+}
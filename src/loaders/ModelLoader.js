@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+
+/**
+ * ModelLoader Class
+ * Loads user-supplied model files (File objects from an input or a drop)
+ * Supported formats: glTF (.gltf with embedded buffers), GLB, OBJ and STL
+ */
+export class ModelLoader {
+    static SUPPORTED_EXTENSIONS = ['glb', 'gltf', 'obj', 'stl'];
+
+    /**
+     * Get the lowercase extension of a file name
+     * @param {string} name
+     * @returns {string}
+     */
+    static getExtension(name) {
+        const match = /\.([^.]+)$/.exec(name);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Check whether a file can be loaded
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isSupported(file) {
+        return ModelLoader.SUPPORTED_EXTENSIONS.includes(ModelLoader.getExtension(file.name));
+    }
+
+    /**
+     * Load a model file
+     * @param {File} file - Local model file
+     * @param {Function} [onProgress] - Called with a 0..1 read progress
+     * @returns {Promise<THREE.Object3D>} The parsed model
+     */
+    async load(file, onProgress = () => {}) {
+        const extension = ModelLoader.getExtension(file.name);
+
+        if (!ModelLoader.SUPPORTED_EXTENSIONS.includes(extension)) {
+            throw new Error(`Unsupported file type ".${extension}". Use ${ModelLoader.SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(', ')}.`);
+        }
+
+        const asText = extension === 'obj' || extension === 'gltf';
+        const data = await this.readFile(file, asText, onProgress);
+
+        let model;
+        try {
+            model = await this.parse(data, extension);
+        } catch (error) {
+            throw new Error(`${file.name} is not a valid ${extension.toUpperCase()} file: ${error.message || error}`);
+        }
+
+        if (!this.hasMeshes(model)) {
+            throw new Error(`${file.name} does not contain any meshes`);
+        }
+
+        model.name = model.name || file.name;
+        return model;
+    }
+
+    /**
+     * Read a file as text or ArrayBuffer, reporting progress
+     * @param {File} file
+     * @param {boolean} asText
+     * @param {Function} onProgress
+     * @returns {Promise<string|ArrayBuffer>}
+     */
+    readFile(file, asText, onProgress) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    onProgress(event.loaded / event.total);
+                }
+            };
+            reader.onload = () => {
+                onProgress(1);
+                resolve(reader.result);
+            };
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+
+            if (asText) {
+                reader.readAsText(file);
+            } else {
+                reader.readAsArrayBuffer(file);
+            }
+        });
+    }
+
+    /**
+     * Parse file contents into an Object3D
+     * @param {string|ArrayBuffer} data
+     * @param {string} extension
+     * @returns {Promise<THREE.Object3D>}
+     */
+    parse(data, extension) {
+        switch (extension) {
+            case 'glb':
+            case 'gltf':
+                return new Promise((resolve, reject) => {
+                    new GLTFLoader().parse(data, '', (gltf) => resolve(gltf.scene), reject);
+                });
+
+            case 'obj':
+                return Promise.resolve(new OBJLoader().parse(data));
+
+            case 'stl': {
+                const geometry = new STLLoader().parse(data);
+                const material = new THREE.MeshPhysicalMaterial({
+                    color: geometry.hasColors ? 0xffffff : 0x9ca3af,
+                    vertexColors: geometry.hasColors === true,
+                    metalness: 0.2,
+                    roughness: 0.5
+                });
+                return Promise.resolve(new THREE.Mesh(geometry, material));
+            }
+
+            default:
+                return Promise.reject(new Error(`Unsupported format: ${extension}`));
+        }
+    }
+
+    /**
+     * Check that a parsed model contains renderable geometry
+     * @param {THREE.Object3D} model
+     * @returns {boolean}
+     */
+    hasMeshes(model) {
+        let found = false;
+        model.traverse((object) => {
+            if (object.isMesh && object.geometry && object.geometry.attributes.position) {
+                found = true;
+            }
+        });
+        return found;
+    }
+}
@@ -1,21 +1,79 @@
-import * as THREE from 'three';
 import { BasicScene } from './scenes/BasicScene.js';
 import { EnhancedScene } from './scenes/EnhancedScene.js';
+import { PhysicsScene } from './scenes/PhysicsScene.js';
+import { SceneRegistry } from './core/SceneRegistry.js';
+import { EventBus } from './core/EventBus.js';
+import { CommandRegistry } from './core/CommandRegistry.js';
+import { PluginManager } from './plugins/PluginManager.js';
+import { PLUGINS } from './plugins/config.js';
+import { Router } from './core/Router.js';
+import { sharedClock } from './core/Clock.js';
+import { PerformanceMonitor } from './performance/PerformanceMonitor.js';
+import { AdaptiveQuality, QUALITY_LEVELS } from './performance/AdaptiveQuality.js';
+import { detectCapabilities, pickTier, CAPABILITY_TIERS } from './performance/capabilities.js';
+import { PerformanceHud } from './ui/PerformanceHud.js';
+import { FallbackPanel } from './ui/FallbackPanel.js';
+import { mountSceneControls } from './ui/sceneControls.js';
+
+// How long to wait for the browser to restore a lost WebGL context (ms)
+const CONTEXT_RESTORE_TIMEOUT = 5000;
 
 /**
  * Main Application Class
- * Manages the Three.js application with two viewing modes:
- * - Basic: Simple rotating cube
- * - Enhanced: Interactive cube with orbit controls and customization options
+ * Manages the Three.js application through a scene registry:
+ * - Scenes register with an id, title and container
+ * - Scenes are lazily initialized, paused and resumed as views change
+ * - Views are selected through URL hash routes (e.g. `#/enhanced`)
+ * - A performance HUD and adaptive quality follow the active scene
+ * - Plugins hook into lifecycle events on an EventBus and register commands
+ * - Scenes get a feature tier from the detected WebGL capabilities; without
+ *   WebGL, or while a lost context is being restored, a notice is shown
  */
 class App {
-    constructor() {
-        // Scene instances
-        this.basicScene = null;
-        this.enhancedScene = null;
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object|Array>} [options.plugins=PLUGINS] - Plugins, or [plugin, options] pairs
+     */
+    constructor({ plugins = PLUGINS } = {}) {
+        // Lifecycle events of the app and its scenes (see src/core/EventBus.js)
+        this.events = new EventBus();
+
+        // Named actions, run by key or through runCommand()
+        this.commands = new CommandRegistry();
+
+        // What the GPU supports, and the feature tier scenes are created with (null without WebGL)
+        this.capabilities = detectCapabilities();
+        this.tier = this.selectTier();
+
+        // Registered scenes and their instances
+        this.registry = new SceneRegistry({ events: this.events, sceneOptions: { tier: this.tier } });
+
+        // Loaded plugins (created in init, before any scene)
+        this.plugins = null;
+        this.pluginConfig = plugins;
         
         // Current view state
-        this.currentView = 'basic';
+        this.currentView = null;
+
+        // Hash router driving view changes
+        this.router = null;
+
+        // Clock shared by all scenes (time scale, pause, stepping)
+        this.clock = sharedClock;
+
+        // Performance overlay and adaptive quality, measuring the active scene
+        this.performance = null;
+        this.adaptiveQuality = null;
+        this.adaptiveEnabled = false;
+        this.hud = null;
+
+        // Notice shown instead of a scene, and the timer giving up on a lost context
+        this.fallback = null;
+        this.contextTimer = null;
+
+        // Bound handlers so they can be removed on dispose
+        this.handleWindowResize = this.handleWindowResize.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
         
         // Initialize the application
         this.init();
@@ -23,243 +81,371 @@ class App {
 
     /**
      * Initialize the application
-     * Sets up the basic scene and binds all event listeners
+     * Registers the scenes, binds event listeners and resolves the initial route
      */
     init() {
         console.log('🚀 Initializing Three.js Starter Pro...');
+
+        this.fallback = new FallbackPanel(document.getElementById('app') || document.body);
+        if (!this.tier) {
+            console.error('❌ WebGL is not available; no scene can be shown');
+            this.fallback.show({
+                title: 'WebGL is not available',
+                message: 'Your browser or device cannot display 3D graphics. Try a current browser, '
+                    + 'turn on hardware acceleration in its settings, or update your graphics drivers.'
+            });
+            return;
+        }
+        const { webgl2, maxTextureSize } = this.capabilities;
+        console.log(`🖥️ WebGL ${webgl2 ? 2 : 1}, ${maxTextureSize}px textures: ${this.tier.name} tier`);
         
-        // Initialize basic scene first (default view)
-        this.initializeBasicScene();
+        // Scene control panels (the markup is shared with embedded viewers)
+        document.querySelectorAll('[data-scene-controls]').forEach((panel) => {
+            mountSceneControls(panel, panel.dataset.sceneControls);
+        });
+
+        // Register available scenes
+        this.registerScenes();
         
+        // Performance HUD (hidden until toggled)
+        this.setupPerformance();
+
+        // Plugins load before routing, so they see the first view and scene
+        this.plugins = new PluginManager({ events: this.events, commands: this.commands, app: this });
+        this.plugins.load(this.pluginConfig);
+
         // Set up all event listeners
         this.bindEvents();
+
+        // Start routing (shows the view from the URL, or the basic view)
+        this.router = new Router({
+            defaultRoute: 'basic',
+            isKnownRoute: (id) => this.registry.has(id),
+            onRouteChange: (id) => this.showView(id)
+        });
+        this.router.start();
         
         console.log('✅ Three.js Starter Pro loaded successfully!');
     }
 
     /**
-     * Initialize the basic scene
-     * Creates and starts the simple rotating cube scene
+     * Feature tier for the detected capabilities
+     * `?tier=high|medium|low|none` in the URL forces one, for testing.
+     * @returns {Object|null} One of CAPABILITY_TIERS, or null without WebGL
      */
-    initializeBasicScene() {
-        try {
-            this.basicScene = new BasicScene();
-            this.basicScene.init('basic-scene');
-            console.log('📦 Basic scene initialized');
-        } catch (error) {
-            console.error('❌ Failed to initialize basic scene:', error);
-        }
-    }
+    selectTier() {
+        const forced = new URLSearchParams(window.location.search).get('tier');
+        if (forced === 'none') return null;
+        if (CAPABILITY_TIERS[forced]) return CAPABILITY_TIERS[forced];
 
-    /**
-     * Initialize the enhanced scene (lazy loading)
-     * Creates the advanced interactive scene with orbit controls
-     */
-    initializeEnhancedScene() {
-        try {
-            if (!this.enhancedScene) {
-                this.enhancedScene = new EnhancedScene();
-                this.enhancedScene.init('enhanced-scene');
-                console.log('✨ Enhanced scene initialized');
-            }
-        } catch (error) {
-            console.error('❌ Failed to initialize enhanced scene:', error);
-        }
+        return pickTier(this.capabilities);
     }
 
     /**
-     * Bind all event listeners
-     * Sets up click handlers and window resize events
+     * Register all scenes
+     * New scenes only need a class, a container and a view wrapper here
      */
-    bindEvents() {
-        // Enhanced view navigation
-        this.bindEnhancedViewButton();
-        
-        // Basic view navigation
-        this.bindBackButton();
-        
-        // Window resize handling
-        this.bindWindowResize();
+    registerScenes() {
+        this.registry
+            .register('basic', BasicScene, {
+                title: 'Basic',
+                container: 'basic-scene',
+                view: 'basic-view'
+            })
+            .register('enhanced', EnhancedScene, {
+                title: 'Enhanced',
+                container: 'enhanced-scene',
+                view: 'enhanced-view'
+            })
+            .register('physics', PhysicsScene, {
+                title: 'Physics',
+                container: 'physics-scene',
+                view: 'physics-view'
+            });
     }
 
     /**
-     * Bind enhanced view button click event
+     * Create the performance monitor, adaptive quality controller and HUD
+     * The monitor only runs while the HUD is shown or adaptive quality is on.
      */
-    bindEnhancedViewButton() {
-        const enhancedBtn = document.getElementById('enhanced-btn');
-        if (enhancedBtn) {
-            enhancedBtn.addEventListener('click', () => {
-                console.log('🔄 Switching to enhanced view');
-                this.showEnhancedView();
-            });
-        } else {
-            console.warn('⚠️ Enhanced button not found');
-        }
+    setupPerformance() {
+        this.performance = new PerformanceMonitor({ clock: this.clock });
+
+        // Adaptive quality never climbs above the tier's ceiling
+        const ceiling = this.tier.quality ? QUALITY_LEVELS.indexOf(this.tier.quality) : 0;
+        this.adaptiveQuality = new AdaptiveQuality({
+            levels: QUALITY_LEVELS.slice(ceiling),
+            onChange: (level) => {
+                const scene = this.getActiveScene();
+                if (scene) {
+                    scene.applyQuality(level);
+                }
+                // Frames rendered at the old level no longer say anything
+                this.performance.reset();
+                this.hud.setQuality(this.adaptiveEnabled, level);
+                console.log(`⚙️ Quality: ${level.name}`);
+            }
+        });
+
+        this.hud = new PerformanceHud(document.getElementById('app') || document.body, {
+            onAdaptiveChange: enabled => this.setAdaptiveQuality(enabled)
+        });
+
+        this.performance.addEventListener('update', ({ stats }) => {
+            if (this.hud.visible) {
+                this.hud.update(stats);
+            }
+            // Capture renders slower than real time on purpose; keep its quality steady
+            const scene = this.getActiveScene();
+            if (this.adaptiveEnabled && !(scene && scene.capturing)) {
+                this.adaptiveQuality.update(stats.frameTime, this.performance.interval);
+            }
+        });
     }
 
     /**
-     * Bind back button click event
+     * @returns {SceneBase|null} Instance of the current view's scene
      */
-    bindBackButton() {
-        const backBtn = document.getElementById('back-btn');
-        if (backBtn) {
-            backBtn.addEventListener('click', () => {
-                console.log('🔄 Switching to basic view');
-                this.showBasicView();
-            });
-        } else {
-            console.warn('⚠️ Back button not found');
-        }
+    getActiveScene() {
+        return this.currentView ? this.registry.getInstance(this.currentView) : null;
     }
 
     /**
-     * Bind window resize event
-     * Ensures proper rendering when window size changes
+     * Show or hide the performance HUD
+     * @param {boolean} visible
      */
-    bindWindowResize() {
-        window.addEventListener('resize', () => {
-            this.handleWindowResize();
-        });
+    setHudVisible(visible) {
+        this.hud.setVisible(visible);
+
+        const toggle = document.getElementById('perf-hud');
+        if (toggle) {
+            toggle.checked = visible;
+        }
+        this.updatePerformanceMonitor();
     }
 
     /**
-     * Handle window resize events
-     * Calls the appropriate scene's resize handler based on current view
+     * Turn adaptive quality on or off; turning it off restores full quality
+     * @param {boolean} enabled
      */
-    handleWindowResize() {
-        try {
-            if (this.currentView === 'basic' && this.basicScene) {
-                this.basicScene.onWindowResize();
-            } else if (this.currentView === 'enhanced' && this.enhancedScene) {
-                this.enhancedScene.onWindowResize();
+    setAdaptiveQuality(enabled) {
+        this.adaptiveEnabled = enabled;
+        if (!enabled) {
+            this.adaptiveQuality.reset();
+            const scene = this.getActiveScene();
+            if (scene) {
+                scene.applyQuality(null);
             }
-        } catch (error) {
-            console.error('❌ Error handling window resize:', error);
         }
+        this.hud.setQuality(enabled, this.adaptiveQuality.getLevel());
+        this.updatePerformanceMonitor();
     }
 
     /**
-     * Switch to enhanced view
-     * Hides basic view, shows enhanced view, and manages scene states
+     * Run the monitor only while something uses its stats
      */
-    showEnhancedView() {
-        try {
-            // Update UI visibility
-            this.hideBasicView();
-            this.showEnhancedViewUI();
-            
-            // Initialize enhanced scene if needed
-            this.initializeEnhancedScene();
-            
-            // Manage scene states
-            this.pauseBasicScene();
-            this.resumeEnhancedScene();
-            
-            // Update current view state
-            this.currentView = 'enhanced';
-            
-            console.log('✅ Enhanced view activated');
-        } catch (error) {
-            console.error('❌ Error switching to enhanced view:', error);
+    updatePerformanceMonitor() {
+        if (this.hud.visible || this.adaptiveEnabled) {
+            this.performance.start();
+        } else {
+            this.performance.stop();
         }
     }
 
     /**
-     * Switch to basic view
-     * Hides enhanced view, shows basic view, and manages scene states
+     * Bind all event listeners
+     * Sets up navigation links and window resize events
      */
-    showBasicView() {
-        try {
-            // Update UI visibility
-            this.hideEnhancedView();
-            this.showBasicViewUI();
-            
-            // Manage scene states
-            this.pauseEnhancedScene();
-            this.resumeBasicScene();
-            
-            // Update current view state
-            this.currentView = 'basic';
-            
-            console.log('✅ Basic view activated');
-        } catch (error) {
-            console.error('❌ Error switching to basic view:', error);
+    bindEvents() {
+        // Navigation between registered scenes
+        this.bindRouteLinks();
+
+        // Global time controls
+        this.bindClockControls();
+
+        // Lost WebGL contexts of the active scene
+        this.events.on('contextlost', ({ scene }) => {
+            if (scene === this.getActiveScene()) {
+                this.showContextLost();
+            }
+        });
+        this.events.on('contextrestored', ({ scene }) => {
+            if (scene === this.getActiveScene()) {
+                this.hideFallback();
+            }
+        });
+
+        // Performance HUD toggle (checkbox and P key)
+        const hudToggle = document.getElementById('perf-hud');
+        if (hudToggle) {
+            hudToggle.addEventListener('change', (e) => this.setHudVisible(e.target.checked));
         }
+        window.addEventListener('keydown', this.handleKeyDown);
+        
+        // Window resize handling
+        window.addEventListener('resize', this.handleWindowResize);
     }
 
     /**
-     * Hide basic view UI
+     * Bind every element with a `data-route` attribute to the router
      */
-    hideBasicView() {
-        const basicView = document.getElementById('basic-view');
-        if (basicView) {
-            basicView.classList.remove('active');
-        }
+    bindRouteLinks() {
+        document.querySelectorAll('[data-route]').forEach((element) => {
+            element.addEventListener('click', (event) => {
+                event.preventDefault();
+                const route = element.dataset.route;
+                console.log(`🔄 Switching to ${route} view`);
+                this.router.navigate(route);
+            });
+        });
     }
 
     /**
-     * Show enhanced view UI
+     * Bind time scale, pause and step controls to the shared clock
      */
-    showEnhancedViewUI() {
-        const enhancedView = document.getElementById('enhanced-view');
-        if (enhancedView) {
-            enhancedView.classList.add('active');
+    bindClockControls() {
+        const timeScaleControl = document.getElementById('time-scale');
+        if (timeScaleControl) {
+            timeScaleControl.addEventListener('input', (e) => {
+                this.clock.setTimeScale(parseFloat(e.target.value));
+            });
         }
-    }
 
-    /**
-     * Hide enhanced view UI
-     */
-    hideEnhancedView() {
-        const enhancedView = document.getElementById('enhanced-view');
-        if (enhancedView) {
-            enhancedView.classList.remove('active');
+        const pauseBtn = document.getElementById('time-pause');
+        const stepBtn = document.getElementById('time-step');
+
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                if (this.clock.paused) {
+                    this.clock.resume();
+                } else {
+                    this.clock.pause();
+                }
+                pauseBtn.textContent = this.clock.paused ? 'Play' : 'Pause';
+                if (stepBtn) {
+                    stepBtn.disabled = !this.clock.paused;
+                }
+            });
+        }
+
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => {
+                this.clock.step(1);
+            });
         }
     }
 
     /**
-     * Show basic view UI
+     * Global keyboard shortcuts (ignored while typing in a form field)
+     * @param {KeyboardEvent} event
      */
-    showBasicViewUI() {
-        const basicView = document.getElementById('basic-view');
-        if (basicView) {
-            basicView.classList.add('active');
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+        if (event.key.toLowerCase() === 'p') {
+            this.setHudVisible(!this.hud.visible);
+            return;
+        }
+
+        const command = this.commands.findByKey(event.key);
+        if (command) {
+            this.runCommand(command.id);
         }
     }
 
     /**
-     * Pause basic scene animation
+     * Run a registered command with the app and active scene
+     * @param {string} id - Command id
+     * @returns {*} Whatever the command returns (undefined if it failed)
      */
-    pauseBasicScene() {
-        if (this.basicScene) {
-            this.basicScene.pause();
+    runCommand(id) {
+        try {
+            return this.commands.run(id, { app: this, scene: this.getActiveScene() });
+        } catch (error) {
+            console.error(`❌ Command "${id}" failed:`, error);
+            return undefined;
         }
     }
 
     /**
-     * Resume basic scene animation
+     * Tell the user the scene is being restored, and offer a reload if it isn't
      */
-    resumeBasicScene() {
-        if (this.basicScene) {
-            this.basicScene.resume();
-        }
+    showContextLost() {
+        this.fallback.show({
+            title: 'Graphics context lost',
+            message: 'The graphics driver was reset. Restoring the scene...'
+        });
+
+        clearTimeout(this.contextTimer);
+        this.contextTimer = setTimeout(() => {
+            this.fallback.show({
+                title: 'Graphics context lost',
+                message: 'The scene could not be restored. Reload the page to continue.',
+                reload: true
+            });
+        }, CONTEXT_RESTORE_TIMEOUT);
+    }
+
+    hideFallback() {
+        clearTimeout(this.contextTimer);
+        this.contextTimer = null;
+        this.fallback.hide();
     }
 
     /**
-     * Pause enhanced scene animation
+     * Handle window resize events
+     * Calls the current scene's resize handler
      */
-    pauseEnhancedScene() {
-        if (this.enhancedScene) {
-            this.enhancedScene.pause();
+    handleWindowResize() {
+        try {
+            if (this.currentView) {
+                this.registry.resize(this.currentView);
+            }
+        } catch (error) {
+            console.error('❌ Error handling window resize:', error);
         }
     }
 
     /**
-     * Resume enhanced scene animation
+     * Switch to a registered view
+     * Pauses the current scene, then shows and resumes the requested one
+     * @param {string} id - Registered scene id
      */
-    resumeEnhancedScene() {
-        if (this.enhancedScene) {
-            this.enhancedScene.resume();
+    showView(id) {
+        if (id === this.currentView) return;
+
+        const previous = this.currentView;
+        try {
+            if (this.currentView) {
+                this.registry.deactivate(this.currentView);
+            }
+
+            this.registry.activate(id);
+            this.currentView = id;
+
+            // Measure and scale the scene now on screen
+            const scene = this.getActiveScene();
+            this.performance.setTarget(scene);
+            scene.applyQuality(this.adaptiveEnabled ? this.adaptiveQuality.getLevel() : null);
+
+            // A scene switched to while its context is lost resumes once it is restored
+            if (scene.contextLost) {
+                this.showContextLost();
+            } else {
+                this.hideFallback();
+            }
+
+            this.events.emit('viewchange', { from: previous, to: id, scene });
+            
+            console.log(`✅ ${this.registry.get(id).title} view activated`);
+        } catch (error) {
+            console.error(`❌ Error switching to ${id} view:`, error);
+            this.fallback.show({
+                title: `The ${this.registry.get(id).title} view could not start`,
+                message: error.message,
+                reload: true
+            });
         }
     }
 
@@ -271,19 +457,39 @@ class App {
         console.log('🧹 Cleaning up application...');
         
         try {
-            // Dispose of scenes
-            if (this.basicScene) {
-                this.basicScene.dispose();
-                this.basicScene = null;
+            // Stop routing
+            if (this.router) {
+                this.router.stop();
             }
-            
-            if (this.enhancedScene) {
-                this.enhancedScene.dispose();
-                this.enhancedScene = null;
+
+            // Stop measuring before the scenes go away
+            if (this.performance) {
+                this.performance.dispose();
+            }
+            if (this.hud) {
+                this.hud.dispose();
+            }
+
+            // Tell plugins first, then dispose of scenes (each reports its own 'dispose')
+            this.events.emit('dispose', { id: null, scene: null });
+            this.registry.dispose();
+            this.currentView = null;
+
+            // Unload plugins, undoing whatever they still have registered
+            if (this.plugins) {
+                this.plugins.dispose();
+                this.plugins = null;
+            }
+            this.commands.dispose();
+
+            clearTimeout(this.contextTimer);
+            if (this.fallback) {
+                this.fallback.dispose();
             }
             
             // Remove event listeners
             window.removeEventListener('resize', this.handleWindowResize);
+            window.removeEventListener('keydown', this.handleKeyDown);
             
             console.log('✅ Application cleanup completed');
         } catch (error) {
@@ -0,0 +1,109 @@
+/**
+ * Named MeshPhysicalMaterial presets
+ * Colors are hex strings; properties not listed keep the material defaults
+ * (see PHYSICAL_DEFAULTS), so applying a preset fully resets the look.
+ */
+
+export const PHYSICAL_DEFAULTS = {
+    color: '#ffffff',
+    emissive: '#000000',
+    emissiveIntensity: 1,
+    metalness: 0,
+    roughness: 1,
+    opacity: 1,
+    transparent: false,
+    envMapIntensity: 1,
+    clearcoat: 0,
+    clearcoatRoughness: 0,
+    transmission: 0,
+    thickness: 0,
+    ior: 1.5,
+    specularIntensity: 1,
+    specularColor: '#ffffff',
+    sheen: 0,
+    sheenRoughness: 1,
+    sheenColor: '#000000',
+    iridescence: 0,
+    iridescenceIOR: 1.3,
+    anisotropy: 0
+};
+
+export const MATERIAL_PRESETS = {
+    glass: {
+        color: '#ffffff',
+        metalness: 0,
+        roughness: 0.05,
+        transmission: 1,
+        thickness: 0.5,
+        ior: 1.5,
+        clearcoat: 1,
+        clearcoatRoughness: 0
+    },
+    'brushed metal': {
+        color: '#b8bcc4',
+        metalness: 1,
+        roughness: 0.35,
+        anisotropy: 0.8,
+        clearcoat: 0
+    },
+    plastic: {
+        color: '#6366f1',
+        metalness: 0,
+        roughness: 0.4,
+        clearcoat: 0.6,
+        clearcoatRoughness: 0.2,
+        specularIntensity: 0.5
+    },
+    rubber: {
+        color: '#1f2937',
+        metalness: 0,
+        roughness: 0.95,
+        sheen: 0.3,
+        sheenRoughness: 0.8,
+        sheenColor: '#475569',
+        specularIntensity: 0.2
+    }
+};
+
+const STORAGE_KEY = 'threejs-starter-pro:material-presets';
+
+/**
+ * Load user-saved presets from localStorage
+ * @returns {Object<string, Object>}
+ */
+export function loadCustomPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save a user preset to localStorage
+ * @param {string} name
+ * @param {Object} properties
+ */
+export function saveCustomPreset(name, properties) {
+    const presets = loadCustomPresets();
+    presets[name] = properties;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.warn('⚠️ Could not save material preset:', error);
+    }
+}
+
+/**
+ * Delete a user preset
+ * @param {string} name
+ */
+export function deleteCustomPreset(name) {
+    const presets = loadCustomPresets();
+    delete presets[name];
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.warn('⚠️ Could not delete material preset:', error);
+    }
+}
@@ -0,0 +1,51 @@
+import { PHYSICAL_DEFAULTS } from './presets.js';
+
+/**
+ * Set a single MeshPhysicalMaterial property
+ * @param {THREE.MeshPhysicalMaterial} material
+ * @param {string} key
+ * @param {*} value - Numbers, booleans or hex color strings
+ */
+export function setMaterialProperty(material, key, value) {
+    if (material[key] && material[key].isColor) {
+        material[key].set(value);
+    } else {
+        material[key] = value;
+    }
+
+    // Blending mode follows opacity
+    if (key === 'opacity') {
+        const transparent = value < 1;
+        if (material.transparent !== transparent) {
+            material.transparent = transparent;
+            material.needsUpdate = true;
+        }
+    }
+}
+
+/**
+ * Current scalar properties of a material (colors as hex strings)
+ * @param {THREE.MeshPhysicalMaterial} material
+ * @returns {Object} Keys of PHYSICAL_DEFAULTS
+ */
+export function getMaterialProperties(material) {
+    const properties = {};
+    Object.keys(PHYSICAL_DEFAULTS).forEach((key) => {
+        const value = material[key];
+        properties[key] = value && value.isColor ? `#${value.getHexString()}` : value;
+    });
+    return properties;
+}
+
+/**
+ * Set several properties at once (e.g. a preset); `transparent` follows opacity
+ * @param {THREE.MeshPhysicalMaterial} material
+ * @param {Object} properties
+ */
+export function setMaterialProperties(material, properties) {
+    Object.entries(properties).forEach(([key, value]) => {
+        if (key !== 'transparent') {
+            setMaterialProperty(material, key, value);
+        }
+    });
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { getMaterialTextures } from '../utils/dispose.js';
+
+/**
+ * Custom GLSL materials for document meshes.
+ *
+ * A shader material is described by its vertex and fragment source plus the
+ * values of its uniforms. Uniforms declared in the source get values (and
+ * panel controls) automatically by type:
+ * - float      a number; a trailing `// [min, max]` comment sets the slider range
+ * - vec3       a color (hex string in documents)
+ * - bool       true or false
+ * - sampler2D  a texture loaded from a local image (not stored in documents)
+ * `time` (scene seconds), `resolution` and `mouse` (drawing buffer pixels,
+ * origin bottom left, like gl_FragCoord) are provided by the scene.
+ */
+
+export const SHADER_BUILTINS = ['time', 'resolution', 'mouse'];
+
+export const UNIFORM_TYPES = ['float', 'vec3', 'bool', 'sampler2D'];
+
+export const DEFAULT_SHADER = {
+    vertexShader: `varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+
+void main() {
+    vUv = uv;
+    vNormal = normalize(normalMatrix * normal);
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = -mvPosition.xyz;
+    gl_Position = projectionMatrix * mvPosition;
+}
+`,
+    fragmentShader: `uniform float time;
+uniform vec2 resolution;
+uniform vec2 mouse;
+
+uniform vec3 uColor;
+uniform vec3 uRimColor;
+uniform float uStripes; // [1, 40]
+uniform float uSpeed; // [0, 5]
+uniform bool uUseMap;
+uniform sampler2D uMap;
+
+varying vec2 vUv;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+
+void main() {
+    vec3 base = uUseMap ? texture2D(uMap, vUv).rgb : uColor;
+    float stripes = 0.5 + 0.5 * sin((vUv.y + time * uSpeed * 0.1) * uStripes * 6.2831853);
+
+    // Rim light, brighter with the mouse towards the right of the view
+    float facing = abs(dot(normalize(vNormal), normalize(vViewPosition)));
+    float rim = pow(1.0 - facing, 2.0) * (0.5 + mouse.x / resolution.x);
+
+    gl_FragColor = vec4(base * (0.4 + 0.6 * stripes) + uRimColor * rim, 1.0);
+}
+`,
+    uniforms: {
+        uColor: '#6366f1',
+        uRimColor: '#06b6d4',
+        uStripes: 12,
+        uSpeed: 1,
+        uUseMap: false
+    }
+};
+
+/**
+ * Find the uniforms declared in shader source (built-ins excluded)
+ * @param {...string} sources - Vertex and/or fragment source
+ * @returns {Array<{name: string, type: string, min: number, max: number}>} One entry per name,
+ *   in declaration order; types other than UNIFORM_TYPES are skipped
+ */
+export function parseUniforms(...sources) {
+    const pattern = /^\s*uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*;[ \t]*(?:\/\/\s*\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\])?/gm;
+    const uniforms = new Map();
+
+    sources.forEach((source) => {
+        for (const [, type, name, min, max] of source.matchAll(pattern)) {
+            if (!UNIFORM_TYPES.includes(type) || SHADER_BUILTINS.includes(name) || uniforms.has(name)) continue;
+
+            const range = min !== undefined && parseFloat(min) < parseFloat(max)
+                ? { min: parseFloat(min), max: parseFloat(max) }
+                : { min: 0, max: 1 };
+            uniforms.set(name, { name, type, ...range });
+        }
+    });
+
+    return Array.from(uniforms.values());
+}
+
+/**
+ * Build a ShaderMaterial from a description
+ * @param {Object} desc
+ * @param {string} desc.vertexShader
+ * @param {string} desc.fragmentShader
+ * @param {Object} [desc.uniforms] - Values by name (numbers, booleans, hex colors)
+ * @param {THREE.ShaderMaterial} [previous] - Material whose textures carry over to
+ *   sampler2D uniforms of the same name
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createShaderMaterial({ vertexShader, fragmentShader, uniforms: values = {} }, previous = null) {
+    const uniforms = {
+        time: { value: 0 },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        mouse: { value: new THREE.Vector2() }
+    };
+
+    parseUniforms(vertexShader, fragmentShader).forEach(({ name, type, min, max }) => {
+        const value = values[name];
+
+        switch (type) {
+            case 'float':
+                uniforms[name] = { value: typeof value === 'number' ? value : THREE.MathUtils.clamp(1, min, max) };
+                break;
+            case 'vec3':
+                uniforms[name] = { value: new THREE.Color(typeof value === 'string' ? value : '#ffffff') };
+                break;
+            case 'bool':
+                uniforms[name] = { value: value === true };
+                break;
+            default: {
+                const texture = previous && previous.uniforms[name] ? previous.uniforms[name].value : null;
+                uniforms[name] = { value: texture && texture.isTexture ? texture : null };
+            }
+        }
+    });
+
+    return new THREE.ShaderMaterial({ vertexShader, fragmentShader, uniforms });
+}
+
+/**
+ * Describe a ShaderMaterial for a scene document
+ * @param {THREE.ShaderMaterial} material
+ * @returns {Object} { type: 'shader', vertexShader, fragmentShader, uniforms }
+ */
+export function serializeShaderMaterial(material) {
+    const uniforms = {};
+
+    parseUniforms(material.vertexShader, material.fragmentShader).forEach(({ name, type }) => {
+        const uniform = material.uniforms[name];
+        if (!uniform || type === 'sampler2D') return;
+
+        uniforms[name] = type === 'vec3' ? `#${uniform.value.getHexString()}` : uniform.value;
+    });
+
+    return {
+        type: 'shader',
+        vertexShader: material.vertexShader,
+        fragmentShader: material.fragmentShader,
+        uniforms
+    };
+}
+
+/**
+ * Compile a shader material for a mesh without showing it, and report errors
+ * The mesh keeps its current material either way.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene - Scene the mesh is in (its lights affect the program)
+ * @param {THREE.Camera} camera
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.ShaderMaterial} material
+ * @returns {Array<{stage: string, line: number|null, message: string}>} Empty if it compiled;
+ *   lines are counted in the material's own source
+ */
+export function compileShaderMaterial(renderer, scene, camera, mesh, material) {
+    const errors = [];
+    const { checkShaderErrors, onShaderError } = renderer.debug;
+    const current = mesh.material;
+
+    renderer.debug.checkShaderErrors = true;
+    renderer.debug.onShaderError = (gl, program, vertexShader, fragmentShader) => {
+        errors.push(
+            ...readShaderLog(gl, vertexShader, 'vertex', material.vertexShader),
+            ...readShaderLog(gl, fragmentShader, 'fragment', material.fragmentShader)
+        );
+        // Both stages compiled but would not link, e.g. mismatched varyings
+        if (errors.length === 0) {
+            errors.push({ stage: 'program', line: null, message: gl.getProgramInfoLog(program).trim() || 'Link failed' });
+        }
+    };
+
+    mesh.material = material;
+    try {
+        renderer.compile(scene, camera);
+    } finally {
+        mesh.material = current;
+        renderer.debug.checkShaderErrors = checkShaderErrors;
+        renderer.debug.onShaderError = onShaderError;
+    }
+
+    return errors;
+}
+
+/**
+ * Errors from a shader's info log, with lines mapped back to the user's source
+ * three.js prepends its own definitions, so the compiled source is longer
+ * than what was typed; the difference is subtracted. (#include directives
+ * expand in place, so lines before one are reported too low.)
+ */
+function readShaderLog(gl, shader, stage, source) {
+    if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return [];
+
+    const log = gl.getShaderInfoLog(shader).trim();
+    const offset = gl.getShaderSource(shader).split('\n').length - source.split('\n').length;
+    const errors = [];
+
+    log.split('\n').forEach((entry) => {
+        const match = /^ERROR:\s*\d+:(\d+):\s*(.*)$/.exec(entry.trim());
+        if (match) {
+            errors.push({ stage, line: Math.max(parseInt(match[1], 10) - offset, 1), message: match[2] });
+        }
+    });
+
+    if (errors.length === 0) {
+        errors.push({ stage, line: null, message: log || 'Compile failed' });
+    }
+    return errors;
+}
+
+/**
+ * Give a mesh a new material, disposing the old one and any of its textures
+ * the new material doesn't reuse
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.Material} material
+ */
+export function replaceMaterial(mesh, material) {
+    const previous = mesh.material;
+    if (previous === material) return;
+
+    mesh.material = material;
+    const kept = new Set(getMaterialTextures(material));
+    getMaterialTextures(previous).forEach((texture) => {
+        if (!kept.has(texture)) {
+            texture.dispose();
+        }
+    });
+    previous.dispose();
+}
@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import { createRandom } from '../utils/random.js';
+import { PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER } from './shaders.js';
+import { getSpriteTexture } from './sprites.js';
+
+// Settings that change the spawn points; everything else is a shader uniform
+const GEOMETRY_KEYS = ['shape', 'radius', 'size', 'mesh', 'count', 'seed'];
+
+const BLENDING = {
+    additive: THREE.AdditiveBlending,
+    normal: THREE.NormalBlending
+};
+
+const _inverse = new THREE.Matrix4();
+const _linear = new THREE.Matrix3();
+const _size = new THREE.Vector2();
+
+/**
+ * ParticleEmitter Class
+ * One GPU-simulated particle stream (see shaders.js). Spawn points are
+ * sampled once on the CPU from the emitter shape: a point, a sphere volume,
+ * a box volume or the surface of a mesh. Motion, lifetime, size, color and
+ * opacity over life are evaluated in the vertex shader from the emitter time.
+ *
+ * Mesh emitters follow their mesh: particles live in the mesh's space and are
+ * launched along the surface normal. Gravity is always in world space.
+ */
+export class ParticleEmitter extends THREE.Points {
+    /**
+     * @param {Object} settings - Validated emitter (see validateEmitter)
+     * @param {Object} [options]
+     * @param {Function} [options.resolve] - Finds the mesh for a mesh emitter by object id
+     */
+    constructor(settings, { resolve = () => null } = {}) {
+        super(new THREE.BufferGeometry(), new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uLifetime: { value: 1 },
+                uLifetimeVariance: { value: 0 },
+                uSpeed: { value: 1 },
+                uSpeedVariance: { value: 0 },
+                uDirection: { value: new THREE.Vector3(0, 1, 0) },
+                uSpread: { value: 0 },
+                uUseNormal: { value: 0 },
+                uGravity: { value: new THREE.Vector3() },
+                uDrag: { value: 0 },
+                uSizeStart: { value: 1 },
+                uSizeEnd: { value: 1 },
+                uColorStart: { value: new THREE.Color() },
+                uColorEnd: { value: new THREE.Color() },
+                uColorVariance: { value: 0 },
+                uOpacityStart: { value: 1 },
+                uOpacityEnd: { value: 1 },
+                uScale: { value: 1 },
+                uSprite: { value: null }
+            },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        }));
+
+        this.isParticleEmitter = true;
+        this.settings = structuredClone(settings);
+        this.resolve = resolve;
+        this.source = null;
+        this.gravity = new THREE.Vector3();
+
+        // Particles move far from their spawn points, so bounds are meaningless
+        this.frustumCulled = false;
+
+        this.buildGeometry();
+        this.applySettings();
+    }
+
+    /**
+     * Change one setting; shape-related settings resample the spawn points
+     * @param {string} key
+     * @param {*} value
+     */
+    set(key, value) {
+        this.settings[key] = value;
+        if (GEOMETRY_KEYS.includes(key)) {
+            this.buildGeometry();
+        }
+        this.applySettings();
+    }
+
+    /**
+     * @returns {Object} Emitter settings in document form
+     */
+    getSettings() {
+        const settings = structuredClone(this.settings);
+        if (settings.shape !== 'mesh') {
+            delete settings.mesh;
+        }
+        return settings;
+    }
+
+    /**
+     * Sample spawn points, normals and per-particle random values
+     */
+    buildGeometry() {
+        const { shape, count, radius, size, mesh, seed } = this.settings;
+        const random = createRandom(seed);
+
+        this.source = shape === 'mesh' ? this.resolve(mesh) : null;
+        if (shape === 'mesh' && !(this.source && this.source.isMesh)) {
+            console.warn(`⚠️ Particle emitter "${this.settings.id}": mesh "${mesh}" not found, emitting from a point`);
+            this.source = null;
+        }
+
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(count * 3);
+        const randoms = new Float32Array(count * 4);
+        const tints = new Float32Array(count * 3);
+
+        const sampler = this.source
+            ? new MeshSurfaceSampler(this.source).setRandomGenerator(random).build()
+            : null;
+        const point = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+
+        for (let i = 0; i < count; i++) {
+            point.set(0, 0, 0);
+            normal.set(0, 0, 0);
+
+            if (sampler) {
+                sampler.sample(point, normal);
+            } else if (shape === 'sphere') {
+                // Uniform in the volume: cube-root radius, uniform direction
+                const r = radius * Math.cbrt(random());
+                const z = random() * 2 - 1;
+                const phi = random() * Math.PI * 2;
+                const ring = Math.sqrt(1 - z * z);
+                point.set(Math.cos(phi) * ring, Math.sin(phi) * ring, z).multiplyScalar(r);
+            } else if (shape === 'box') {
+                point.set(
+                    (random() - 0.5) * size[0],
+                    (random() - 0.5) * size[1],
+                    (random() - 0.5) * size[2]
+                );
+            }
+
+            point.toArray(positions, i * 3);
+            normal.toArray(normals, i * 3);
+            randoms.set([random(), random(), random(), random()], i * 4);
+            tints.set([random(), random(), random()], i * 3);
+        }
+
+        // Keep the share of particles drawn at reduced quality
+        const previous = this.geometry;
+        const previousCount = previous.attributes.position ? previous.attributes.position.count : 0;
+        const fraction = previousCount > 0 && Number.isFinite(previous.drawRange.count)
+            ? previous.drawRange.count / previousCount
+            : 1;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 4));
+        geometry.setAttribute('aTint', new THREE.BufferAttribute(tints, 3));
+        if (fraction < 1) {
+            geometry.setDrawRange(0, Math.ceil(count * fraction));
+        }
+
+        this.geometry = geometry;
+        previous.dispose();
+
+        this.matrixAutoUpdate = !this.source;
+    }
+
+    /**
+     * Copy the settings into uniforms and material state
+     */
+    applySettings() {
+        const settings = this.settings;
+        const uniforms = this.material.uniforms;
+
+        this.visible = settings.enabled;
+        if (!this.source) {
+            this.position.fromArray(settings.position);
+        }
+
+        uniforms.uLifetime.value = settings.lifetime;
+        uniforms.uLifetimeVariance.value = settings.lifetimeVariance;
+        uniforms.uSpeed.value = settings.speed;
+        uniforms.uSpeedVariance.value = settings.speedVariance;
+        uniforms.uDirection.value.fromArray(settings.direction).normalize();
+        uniforms.uSpread.value = THREE.MathUtils.degToRad(settings.spread);
+        uniforms.uUseNormal.value = this.source ? 1 : 0;
+        uniforms.uDrag.value = settings.drag;
+        uniforms.uSizeStart.value = settings.sizeStart;
+        uniforms.uSizeEnd.value = settings.sizeEnd;
+        uniforms.uColorStart.value.set(settings.colorStart);
+        uniforms.uColorEnd.value.set(settings.colorEnd);
+        uniforms.uColorVariance.value = settings.colorVariance;
+        uniforms.uOpacityStart.value = settings.opacityStart;
+        uniforms.uOpacityEnd.value = settings.opacityEnd;
+        uniforms.uSprite.value = getSpriteTexture(settings.sprite);
+        this.gravity.fromArray(settings.gravity);
+
+        const blending = BLENDING[settings.blending];
+        if (this.material.blending !== blending) {
+            this.material.blending = blending;
+            this.material.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Advance the emitter
+     * @param {number} time - Emitter time in seconds (scene time)
+     */
+    update(time) {
+        const uniforms = this.material.uniforms;
+        uniforms.uTime.value = time;
+
+        if (this.source) {
+            this.source.updateWorldMatrix(true, false);
+            this.matrix.copy(this.source.matrixWorld);
+        }
+
+        // Gravity is given in world space; the shader works in emitter space
+        this.updateWorldMatrix(true, false);
+        _linear.setFromMatrix4(_inverse.copy(this.matrixWorld).invert());
+        uniforms.uGravity.value.copy(this.gravity).applyMatrix3(_linear);
+    }
+
+    onBeforeRender(renderer) {
+        // Sizes are in world units: convert with the height of the target being drawn
+        const target = renderer.getRenderTarget();
+        const height = target ? target.height : renderer.getDrawingBufferSize(_size).y;
+        this.material.uniforms.uScale.value = height / 2;
+    }
+
+    // Particle positions only exist on the GPU, so they cannot be picked
+    raycast() {}
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { validateEmitter } from '../document/SceneDocument.js';
+import { ParticleEmitter } from './ParticleEmitter.js';
+
+/**
+ * ParticleSystem Class
+ * Group holding every particle emitter of a scene. Emitters are added from
+ * document descriptions, advanced together with the scene time and read
+ * back with getSettings() for serialization.
+ */
+export class ParticleSystem extends THREE.Group {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.resolve] - Finds the mesh for a mesh emitter by object id
+     */
+    constructor({ resolve = () => null } = {}) {
+        super();
+        this.name = 'particles';
+        this.resolve = resolve;
+    }
+
+    /**
+     * @returns {ParticleEmitter[]}
+     */
+    get emitters() {
+        return this.children.filter(child => child.isParticleEmitter);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {ParticleEmitter|undefined}
+     */
+    getEmitter(id) {
+        return this.emitters.find(emitter => emitter.settings.id === id);
+    }
+
+    /**
+     * Add an emitter; an id already in use gets a numeric suffix
+     * @param {Object} settings - Emitter description (validated here)
+     * @param {number} [index] - Position in the emitter list (default: last)
+     * @returns {ParticleEmitter}
+     * @throws {SceneDocumentError} If the description is invalid
+     */
+    addEmitter(settings, index = Infinity) {
+        const validated = validateEmitter(settings);
+
+        const baseId = validated.id;
+        for (let suffix = 2; this.getEmitter(validated.id); suffix++) {
+            validated.id = `${baseId}-${suffix}`;
+        }
+
+        const emitter = new ParticleEmitter(validated, { resolve: this.resolve });
+        const next = this.emitters[index];
+        this.add(emitter);
+        if (next) {
+            // Group.add() appends; move the emitter in front of the one at the index
+            this.children.pop();
+            this.children.splice(this.children.indexOf(next), 0, emitter);
+        }
+        return emitter;
+    }
+
+    /**
+     * Remove and dispose an emitter
+     * @param {ParticleEmitter} emitter
+     */
+    removeEmitter(emitter) {
+        this.remove(emitter);
+        emitter.dispose();
+    }
+
+    /**
+     * Advance every emitter
+     * @param {number} time - Scene time in seconds
+     */
+    update(time) {
+        this.emitters.forEach(emitter => emitter.update(time));
+    }
+
+    /**
+     * @returns {Object[]} Emitter settings in document form
+     */
+    getSettings() {
+        return this.emitters.map(emitter => emitter.getSettings());
+    }
+
+    dispose() {
+        this.emitters.forEach(emitter => this.removeEmitter(emitter));
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Starting points for new particle emitters
+ * Settings not listed keep the validateEmitter defaults.
+ */
+export const EMITTER_PRESETS = {
+    fountain: {
+        shape: 'point',
+        position: [0, -2, 0],
+        count: 20000,
+        lifetime: 2.5,
+        lifetimeVariance: 0.3,
+        speed: 7,
+        speedVariance: 0.2,
+        spread: 12,
+        gravity: [0, -9.81, 0],
+        sizeStart: 0.08,
+        sizeEnd: 0.04,
+        colorStart: '#67e8f9',
+        colorEnd: '#1d4ed8',
+        opacityStart: 0.9,
+        opacityEnd: 0
+    },
+    fire: {
+        shape: 'sphere',
+        radius: 0.4,
+        position: [0, -2, 0],
+        count: 30000,
+        lifetime: 1.2,
+        lifetimeVariance: 0.4,
+        speed: 1.5,
+        speedVariance: 0.5,
+        spread: 20,
+        gravity: [0, 1.5, 0],
+        drag: 1,
+        sizeStart: 0.35,
+        sizeEnd: 0.05,
+        colorStart: '#fde047',
+        colorEnd: '#dc2626',
+        opacityStart: 0.6,
+        opacityEnd: 0
+    },
+    snow: {
+        shape: 'box',
+        size: [30, 1, 30],
+        position: [0, 10, 0],
+        count: 50000,
+        lifetime: 12,
+        lifetimeVariance: 0.3,
+        speed: 0.4,
+        spread: 180,
+        gravity: [0, -1.5, 0],
+        drag: 1,
+        sizeStart: 0.08,
+        sizeEnd: 0.08,
+        opacityStart: 0.8,
+        opacityEnd: 0.8,
+        sprite: 'circle',
+        blending: 'normal'
+    },
+    sparkles: {
+        shape: 'mesh',
+        mesh: 'cube',
+        count: 3000,
+        lifetime: 1.5,
+        lifetimeVariance: 0.5,
+        speed: 0.4,
+        spread: 25,
+        sizeStart: 0.15,
+        sizeEnd: 0,
+        colorStart: '#ffffff',
+        colorEnd: '#a78bfa',
+        opacityStart: 1,
+        opacityEnd: 0,
+        sprite: 'spark'
+    },
+    dust: {
+        shape: 'box',
+        size: [50, 50, 50],
+        count: 4000,
+        lifetime: 10,
+        lifetimeVariance: 0.5,
+        speed: 0.2,
+        spread: 180,
+        sizeStart: 0.3,
+        sizeEnd: 0.3,
+        colorVariance: 1,
+        opacityStart: 0.6,
+        opacityEnd: 0,
+        blending: 'normal'
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * Particle shaders
+ * Particles are simulated entirely in the vertex shader. Nothing is stored
+ * between frames: each particle's age, launch direction and position are
+ * derived from the emitter time, so 100k+ particles cost one draw call and
+ * scrubbing or pausing time needs no replay.
+ *
+ * Per-particle attributes:
+ * - position  spawn point in emitter space
+ * - normal    surface normal (launch axis for mesh emitters)
+ * - aRandom   x: lifetime phase, y: lifetime variation, zw: launch cone sample
+ * - aTint     random color mixed in by uColorVariance
+ */
+
+export const PARTICLE_VERTEX_SHADER = /* glsl */ `
+uniform float uTime;
+uniform float uLifetime;
+uniform float uLifetimeVariance;
+uniform float uSpeed;
+uniform float uSpeedVariance;
+uniform vec3 uDirection;
+uniform float uSpread;
+uniform float uUseNormal;
+uniform vec3 uGravity;
+uniform float uDrag;
+uniform float uSizeStart;
+uniform float uSizeEnd;
+uniform vec3 uColorStart;
+uniform vec3 uColorEnd;
+uniform float uColorVariance;
+uniform float uOpacityStart;
+uniform float uOpacityEnd;
+uniform float uScale;
+
+attribute vec4 aRandom;
+attribute vec3 aTint;
+
+varying vec4 vColor;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+// Uniformly distributed direction within a cone around an axis
+vec3 coneDirection(vec3 axis, float angle, float u, float v) {
+    float cosTheta = mix(1.0, cos(angle), u);
+    float sinTheta = sqrt(max(0.0, 1.0 - cosTheta * cosTheta));
+    float phi = 6.28318530718 * v;
+
+    vec3 helper = abs(axis.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    vec3 tangent = normalize(cross(helper, axis));
+    vec3 bitangent = cross(axis, tangent);
+
+    return tangent * (sinTheta * cos(phi)) + bitangent * (sinTheta * sin(phi)) + axis * cosTheta;
+}
+
+void main() {
+    float life = max(0.001, uLifetime * (1.0 + uLifetimeVariance * (aRandom.y * 2.0 - 1.0)));
+
+    // Particles respawn every lifetime; the phase spreads them over the cycle
+    float cycleTime = uTime + aRandom.x * life;
+    float cycle = floor(cycleTime / life);
+    float age = cycleTime - cycle * life;
+    float t = age / life;
+
+    // Vary direction and speed with every respawn
+    float seed = aRandom.x * 1000.0;
+    float u = fract(aRandom.z + hash(vec2(cycle, seed)));
+    float v = fract(aRandom.w + hash(vec2(seed, cycle)));
+    float speed = uSpeed * (1.0 + uSpeedVariance * (hash(vec2(cycle + 0.5, seed)) * 2.0 - 1.0));
+
+    vec3 axis = uUseNormal > 0.5 && dot(normal, normal) > 0.0 ? normalize(normal) : uDirection;
+    vec3 velocity = coneDirection(axis, uSpread, u, v) * speed;
+
+    // Ballistic motion, with linear drag when enabled
+    vec3 offset;
+    if (uDrag > 0.0001) {
+        float decay = (1.0 - exp(-uDrag * age)) / uDrag;
+        offset = (velocity - uGravity / uDrag) * decay + uGravity * age / uDrag;
+    } else {
+        offset = velocity * age + 0.5 * uGravity * age * age;
+    }
+
+    vec4 mvPosition = modelViewMatrix * vec4(position + offset, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+
+    // Sizes are in world units; orthographic cameras have no perspective divide
+    float size = mix(uSizeStart, uSizeEnd, t);
+    float depth = projectionMatrix[2][3] == -1.0 ? -mvPosition.z : 1.0;
+    gl_PointSize = size * projectionMatrix[1][1] * uScale / max(depth, 0.0001);
+
+    // Fade in briefly so respawning particles do not pop
+    vec3 color = mix(mix(uColorStart, uColorEnd, t), aTint, uColorVariance);
+    float opacity = mix(uOpacityStart, uOpacityEnd, t) * smoothstep(0.0, 0.05, t);
+    vColor = vec4(color, opacity);
+}
+`;
+
+export const PARTICLE_FRAGMENT_SHADER = /* glsl */ `
+uniform sampler2D uSprite;
+
+varying vec4 vColor;
+
+void main() {
+    vec4 sprite = texture2D(uSprite, gl_PointCoord);
+    gl_FragColor = vec4(vColor.rgb * sprite.rgb, vColor.a * sprite.a);
+    if (gl_FragColor.a < 0.002) discard;
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
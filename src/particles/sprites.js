@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+const SPRITE_SIZE = 64;
+
+// Sprites are drawn once and shared by every emitter
+const cache = new Map();
+
+const PAINTERS = {
+    // Gaussian-like falloff, good for glow, smoke and dust
+    soft(context, size) {
+        const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.5)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+    },
+
+    // Hard-edged disc
+    circle(context, size) {
+        context.fillStyle = '#ffffff';
+        context.beginPath();
+        context.arc(size / 2, size / 2, size / 2 - 1, 0, Math.PI * 2);
+        context.fill();
+    },
+
+    // Plain square, like PointsMaterial without a map
+    square(context, size) {
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, size, size);
+    },
+
+    // Bright core with four rays
+    spark(context, size) {
+        PAINTERS.soft(context, size);
+        context.globalCompositeOperation = 'lighter';
+        [0, Math.PI / 2].forEach((angle) => {
+            context.save();
+            context.translate(size / 2, size / 2);
+            context.rotate(angle);
+            const gradient = context.createLinearGradient(-size / 2, 0, size / 2, 0);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+            gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.9)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            context.fillStyle = gradient;
+            context.fillRect(-size / 2, -1.5, size, 3);
+            context.restore();
+        });
+    }
+};
+
+/**
+ * Get a procedurally drawn particle sprite
+ * @param {string} name - One of PARTICLE_SPRITES (see SceneDocument.js)
+ * @returns {THREE.CanvasTexture}
+ */
+export function getSpriteTexture(name) {
+    if (!cache.has(name)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = SPRITE_SIZE;
+        canvas.height = SPRITE_SIZE;
+        (PAINTERS[name] || PAINTERS.soft)(canvas.getContext('2d'), SPRITE_SIZE);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        cache.set(name, texture);
+    }
+    return cache.get(name);
+}
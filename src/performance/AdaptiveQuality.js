@@ -0,0 +1,115 @@
+/**
+ * Quality levels, from full quality down. See SceneBase.applyQuality().
+ */
+export const QUALITY_LEVELS = [
+    { name: 'High', pixelRatio: 2, shadowMapScale: 1, maxShadowLights: Infinity, particleFraction: 1 },
+    { name: 'Medium', pixelRatio: 1.5, shadowMapScale: 0.5, maxShadowLights: 3, particleFraction: 0.75 },
+    { name: 'Low', pixelRatio: 1, shadowMapScale: 0.25, maxShadowLights: 1, particleFraction: 0.5 },
+    { name: 'Minimal', pixelRatio: 0.75, shadowMapScale: 0.25, maxShadowLights: 0, particleFraction: 0.25 }
+];
+
+/**
+ * AdaptiveQuality Class
+ * Steps a scene's quality level down while frames take longer than the budget
+ * and back up once there is headroom.
+ *
+ * Displays cap the frame rate (vsync), so a fast frame cannot prove there is
+ * room for more work. After a stable period the controller tries the next
+ * level up; if that goes over budget right away, it steps back down and
+ * waits twice as long before trying again.
+ */
+export class AdaptiveQuality {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.budget=20] - Target frame time in ms (50 fps)
+     * @param {Object[]} [options.levels=QUALITY_LEVELS]
+     * @param {number} [options.downgradeAfter=1] - Seconds over budget before stepping down
+     * @param {number} [options.upgradeAfter=5] - Seconds within budget before stepping up
+     * @param {number} [options.maxUpgradeAfter=60] - Longest wait after failed upgrades
+     * @param {Function} [options.onChange] - Called with (level, index) after every step
+     */
+    constructor({
+        budget = 20,
+        levels = QUALITY_LEVELS,
+        downgradeAfter = 1,
+        upgradeAfter = 5,
+        maxUpgradeAfter = 60,
+        onChange = null
+    } = {}) {
+        this.budget = budget;
+        this.levels = levels;
+        this.downgradeAfter = downgradeAfter;
+        this.baseUpgradeAfter = upgradeAfter;
+        this.upgradeAfter = upgradeAfter;
+        this.maxUpgradeAfter = maxUpgradeAfter;
+        this.onChange = onChange;
+
+        this.index = 0;
+        this.overBudget = 0;
+        this.withinBudget = 0;
+        this.sinceUpgrade = Infinity;
+    }
+
+    /**
+     * @returns {Object} The current quality level
+     */
+    getLevel() {
+        return this.levels[this.index];
+    }
+
+    /**
+     * Feed the latest average frame time
+     * @param {number} frameTime - Average frame time in ms
+     * @param {number} elapsed - Seconds since the previous call
+     */
+    update(frameTime, elapsed) {
+        this.sinceUpgrade += elapsed;
+
+        if (frameTime > this.budget) {
+            this.overBudget += elapsed;
+            this.withinBudget = 0;
+        } else {
+            this.withinBudget += elapsed;
+            this.overBudget = 0;
+        }
+
+        if (this.overBudget >= this.downgradeAfter && this.index < this.levels.length - 1) {
+            // The last upgrade did not fit; back off before trying again
+            if (this.sinceUpgrade < this.baseUpgradeAfter) {
+                this.upgradeAfter = Math.min(this.upgradeAfter * 2, this.maxUpgradeAfter);
+            }
+            this.setIndex(this.index + 1);
+        } else if (this.withinBudget >= this.upgradeAfter && this.index > 0) {
+            this.setIndex(this.index - 1);
+            this.sinceUpgrade = 0;
+        } else if (this.sinceUpgrade >= this.maxUpgradeAfter) {
+            // Stable for a long time: forget earlier failed upgrades
+            this.upgradeAfter = this.baseUpgradeAfter;
+        }
+    }
+
+    /**
+     * Jump to a level, e.g. back to full quality when adaptation is turned off
+     * @param {number} index
+     */
+    setIndex(index) {
+        const clamped = Math.max(0, Math.min(this.levels.length - 1, index));
+        this.overBudget = 0;
+        this.withinBudget = 0;
+        if (clamped === this.index) return;
+
+        this.index = clamped;
+        if (this.onChange) {
+            this.onChange(this.getLevel(), this.index);
+        }
+    }
+
+    /**
+     * Back to full quality with a fresh upgrade delay
+     */
+    reset() {
+        this.upgradeAfter = this.baseUpgradeAfter;
+        this.sinceUpgrade = Infinity;
+        this.setIndex(0);
+    }
+}
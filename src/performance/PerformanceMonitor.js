@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { sharedClock } from '../core/Clock.js';
+import { estimateGpuMemory } from './memory.js';
+
+const SAMPLE_SIZE = 60;
+
+/**
+ * PerformanceMonitor Class
+ * Samples frame timing and renderer statistics for a scene:
+ * - FPS and average frame time over the last SAMPLE_SIZE frames (wall-clock,
+ *   unaffected by the clock's time scale or pause)
+ * - Draw calls and triangles of the last frame, live textures and geometries
+ *   (from renderer.info)
+ * - Estimated GPU memory (see memory.js)
+ *
+ * Dispatches an 'update' event with the stats every `interval` seconds.
+ */
+export class PerformanceMonitor extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {Clock} [options.clock=sharedClock] - Clock whose frames are measured
+     * @param {number} [options.interval=0.5] - Seconds between 'update' events
+     * @param {Function} [options.now] - Time source in milliseconds
+     */
+    constructor({ clock = sharedClock, interval = 0.5, now = () => performance.now() } = {}) {
+        super();
+
+        this.clock = clock;
+        this.interval = interval;
+        this.now = now;
+
+        // Scene being measured (a SceneBase)
+        this.target = null;
+
+        this.frameTimes = [];
+        this.lastFrame = null;
+        this.sinceUpdate = 0;
+        this.running = false;
+
+        this.stats = {
+            fps: 0,
+            frameTime: 0,
+            drawCalls: 0,
+            triangles: 0,
+            textures: 0,
+            geometries: 0,
+            memory: null
+        };
+
+        this.onFrame = this.onFrame.bind(this);
+    }
+
+    /**
+     * Measure another scene; samples from the previous one are dropped
+     * @param {SceneBase|null} target
+     */
+    setTarget(target) {
+        this.target = target;
+        this.reset();
+    }
+
+    /**
+     * Drop recorded frames, e.g. after a quality change
+     */
+    reset() {
+        this.frameTimes = [];
+        this.lastFrame = null;
+        this.sinceUpdate = 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.lastFrame = null;
+        this.clock.add(this.onFrame);
+    }
+
+    stop() {
+        this.running = false;
+        this.clock.remove(this.onFrame);
+    }
+
+    /**
+     * Record one frame (called by the clock)
+     */
+    onFrame() {
+        const now = this.now();
+        if (this.lastFrame !== null) {
+            this.frameTimes.push(now - this.lastFrame);
+            if (this.frameTimes.length > SAMPLE_SIZE) {
+                this.frameTimes.shift();
+            }
+            this.sinceUpdate += (now - this.lastFrame) / 1000;
+        }
+        this.lastFrame = now;
+
+        if (this.sinceUpdate >= this.interval) {
+            this.sinceUpdate = 0;
+            this.sample();
+            this.dispatchEvent({ type: 'update', stats: this.stats });
+        }
+    }
+
+    /**
+     * Average frame time (ms) over the recorded frames
+     * @returns {number}
+     */
+    getAverageFrameTime() {
+        if (this.frameTimes.length === 0) return 0;
+        return this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+    }
+
+    /**
+     * Refresh this.stats from the frame samples and the target's renderer
+     * @returns {Object} The stats
+     */
+    sample() {
+        const frameTime = this.getAverageFrameTime();
+        this.stats.frameTime = frameTime;
+        this.stats.fps = frameTime > 0 ? 1000 / frameTime : 0;
+
+        const target = this.target;
+        if (target && target.renderer) {
+            const { render, memory } = target.renderer.info;
+            this.stats.drawCalls = render.calls;
+            this.stats.triangles = render.triangles;
+            this.stats.textures = memory.textures;
+            this.stats.geometries = memory.geometries;
+            this.stats.memory = estimateGpuMemory({
+                scene: target.scene,
+                renderTargets: target.postProcessing ? target.postProcessing.getRenderTargets() : []
+            });
+        }
+
+        return this.stats;
+    }
+
+    dispose() {
+        this.stop();
+        this.target = null;
+    }
+}
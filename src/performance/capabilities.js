@@ -0,0 +1,101 @@
+import { QUALITY_LEVELS } from './AdaptiveQuality.js';
+
+/**
+ * Feature tiers, from the most capable GPU down:
+ * - quality       ceiling for SceneBase.applyQuality() (null = no limit)
+ * - antialias     multisampled default framebuffer
+ * - floatBuffers  half-float post-processing buffers (HDR bloom without banding)
+ */
+export const CAPABILITY_TIERS = {
+    high: { name: 'high', quality: null, antialias: true, floatBuffers: true },
+    medium: { name: 'medium', quality: QUALITY_LEVELS[1], antialias: true, floatBuffers: true },
+    low: { name: 'low', quality: QUALITY_LEVELS[2], antialias: false, floatBuffers: false }
+};
+
+/**
+ * Probe what the browser's WebGL supports, with a throwaway context
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.canvas] - Canvas to probe (a new one by default)
+ * @returns {{webgl: boolean, webgl2: boolean, maxTextureSize: number, floatTextures: boolean,
+ *   floatRenderTargets: boolean, halfFloatRenderTargets: boolean}}
+ */
+export function detectCapabilities({ canvas = document.createElement('canvas') } = {}) {
+    const capabilities = {
+        webgl: false,
+        webgl2: false,
+        maxTextureSize: 0,
+        floatTextures: false,
+        floatRenderTargets: false,
+        halfFloatRenderTargets: false
+    };
+
+    let gl = null;
+    try {
+        gl = canvas.getContext('webgl2');
+        capabilities.webgl2 = Boolean(gl);
+        if (!gl) {
+            gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        }
+    } catch (error) {
+        gl = null;
+    }
+    if (!gl) return capabilities;
+
+    const hasExtension = name => Boolean(gl.getExtension(name));
+
+    capabilities.webgl = true;
+    capabilities.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    if (capabilities.webgl2) {
+        capabilities.floatTextures = true;
+        capabilities.floatRenderTargets = hasExtension('EXT_color_buffer_float');
+        capabilities.halfFloatRenderTargets = capabilities.floatRenderTargets || hasExtension('EXT_color_buffer_half_float');
+    } else {
+        capabilities.floatTextures = hasExtension('OES_texture_float');
+        capabilities.floatRenderTargets = capabilities.floatTextures && hasExtension('WEBGL_color_buffer_float');
+        capabilities.halfFloatRenderTargets = hasExtension('OES_texture_half_float') && hasExtension('EXT_color_buffer_half_float');
+    }
+
+    // Browsers only keep a few contexts alive; don't let the probe hold one
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) {
+        loseContext.loseContext();
+    }
+
+    return capabilities;
+}
+
+/**
+ * Pick the feature tier for detected capabilities
+ * @param {Object} capabilities - From detectCapabilities()
+ * @returns {Object|null} One of CAPABILITY_TIERS, or null without WebGL
+ */
+export function pickTier(capabilities) {
+    if (!capabilities.webgl) return null;
+
+    if (capabilities.webgl2 && capabilities.floatRenderTargets && capabilities.maxTextureSize >= 8192) {
+        return CAPABILITY_TIERS.high;
+    }
+    if (capabilities.halfFloatRenderTargets && capabilities.maxTextureSize >= 4096) {
+        return CAPABILITY_TIERS.medium;
+    }
+    return CAPABILITY_TIERS.low;
+}
+
+/**
+ * Limit a quality level to a tier's ceiling, setting by setting
+ * @param {Object|null} quality - Requested level (null = full quality)
+ * @param {Object|null} ceiling - Highest level allowed (null = no limit)
+ * @returns {Object|null}
+ */
+export function limitQuality(quality, ceiling) {
+    if (!ceiling) return quality;
+    if (!quality) return ceiling;
+
+    return {
+        name: quality.name,
+        pixelRatio: Math.min(quality.pixelRatio, ceiling.pixelRatio),
+        shadowMapScale: Math.min(quality.shadowMapScale, ceiling.shadowMapScale),
+        maxShadowLights: Math.min(quality.maxShadowLights, ceiling.maxShadowLights),
+        particleFraction: Math.min(quality.particleFraction, ceiling.particleFraction)
+    };
+}
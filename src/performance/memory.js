@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+/**
+ * Rough GPU memory estimates (in bytes) for a scene.
+ * WebGL does not report real usage, so this sums what the scene uploads:
+ * geometry buffers, textures (with mipmaps), shadow maps and render targets.
+ */
+
+const MIPMAP_FACTOR = 4 / 3;
+
+/**
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.WebGLRenderTarget[]} [options.renderTargets] - Extra targets (e.g. post-processing buffers)
+ * @returns {{geometries: number, textures: number, renderTargets: number, total: number}}
+ */
+export function estimateGpuMemory({ scene, renderTargets = [] }) {
+    const geometries = new Set();
+    const textures = new Set();
+    const targets = new Set(renderTargets.filter(Boolean));
+
+    scene.traverse((object) => {
+        if (object.geometry) {
+            geometries.add(object.geometry);
+        }
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) {
+                        textures.add(value);
+                    }
+                });
+            });
+        }
+        if (object.isLight && object.shadow && object.shadow.map) {
+            targets.add(object.shadow.map);
+        }
+    });
+
+    [scene.environment, scene.background].forEach((texture) => {
+        if (texture && texture.isTexture) {
+            textures.add(texture);
+        }
+    });
+
+    let geometryBytes = 0;
+    geometries.forEach((geometry) => {
+        Object.values(geometry.attributes).forEach((attribute) => {
+            geometryBytes += attribute.array ? attribute.array.byteLength : 0;
+        });
+        if (geometry.index) {
+            geometryBytes += geometry.index.array.byteLength;
+        }
+    });
+
+    let textureBytes = 0;
+    textures.forEach((texture) => {
+        textureBytes += estimateTextureBytes(texture);
+    });
+
+    let targetBytes = 0;
+    targets.forEach((target) => {
+        // Point light shadow maps pack all six cube faces into one 4:2 target
+        const bytesPerPixel = bytesPerTexel(target.texture);
+        targetBytes += target.width * target.height * bytesPerPixel * Math.max(1, target.samples || 1);
+    });
+
+    return {
+        geometries: geometryBytes,
+        textures: textureBytes,
+        renderTargets: targetBytes,
+        total: geometryBytes + textureBytes + targetBytes
+    };
+}
+
+function estimateTextureBytes(texture) {
+    const image = texture.image;
+    if (!image) return 0;
+
+    const images = Array.isArray(image) ? image : [image];
+    const bytesPerPixel = bytesPerTexel(texture);
+
+    return images.reduce((sum, item) => {
+        const width = item.width || 0;
+        const height = item.height || 0;
+        const mip = texture.generateMipmaps ? MIPMAP_FACTOR : 1;
+        return sum + width * height * bytesPerPixel * mip;
+    }, 0);
+}
+
+function bytesPerTexel(texture) {
+    if (!texture) return 4;
+    if (texture.type === THREE.FloatType) return 16;
+    if (texture.type === THREE.HalfFloatType) return 8;
+    return 4;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
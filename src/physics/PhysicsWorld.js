@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+export const BODY_SHAPES = ['box', 'sphere'];
+
+export const PHYSICS_DEFAULTS = {
+    gravity: 9.82,      // m/s² pulling down
+    restitution: 0.3,   // Bounciness, 0 (none) to 1 (elastic)
+    friction: 0.4
+};
+
+const FIXED_STEP = 1 / 60;
+const MAX_SUB_STEPS = 5;
+const MAX_BODIES = 150;
+
+/**
+ * PhysicsWorld Class
+ * Rigid-body simulation of boxes and spheres on an infinite ground plane
+ * (y = 0), built on cannon-es. It knows nothing about meshes or the DOM, so
+ * it runs and can be tested in Node; scenes mirror its bodies with meshes.
+ *
+ * The simulation advances in fixed steps independent of the render rate:
+ * step(dt) accumulates time and runs as many fixed steps as fit (at most
+ * maxSubSteps per call, dropping the rest so a slow frame cannot snowball).
+ *
+ * Bodies are plain records `{ id, shape, size, body }` where `size` is
+ * [width, height, depth] for boxes and the radius for spheres and `body` is
+ * the CANNON.Body. The oldest bodies are removed beyond maxBodies.
+ *
+ * Dispatches:
+ * - 'add'    { record } - a body was spawned
+ * - 'remove' { record } - a body was removed
+ */
+export class PhysicsWorld extends THREE.EventDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.fixedStep=1/60] - Seconds per simulation step
+     * @param {number} [options.maxSubSteps=5] - Upper bound for steps per step() call
+     * @param {number} [options.maxBodies=150] - Oldest bodies are removed beyond this
+     * @param {Object} [options.settings] - Initial gravity, restitution and friction
+     */
+    constructor({ fixedStep = FIXED_STEP, maxSubSteps = MAX_SUB_STEPS, maxBodies = MAX_BODIES, settings = {} } = {}) {
+        super();
+        this.fixedStep = fixedStep;
+        this.maxSubSteps = maxSubSteps;
+        this.maxBodies = maxBodies;
+        this.settings = { ...PHYSICS_DEFAULTS };
+
+        this.world = new CANNON.World();
+        this.world.allowSleep = true;
+        this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+
+        // One material for everything; its contact material carries friction and restitution
+        this.material = new CANNON.Material('default');
+        this.contactMaterial = new CANNON.ContactMaterial(this.material, this.material);
+        this.world.addContactMaterial(this.contactMaterial);
+        this.world.defaultContactMaterial = this.contactMaterial;
+
+        this.ground = new CANNON.Body({ mass: 0, shape: new CANNON.Plane(), material: this.material });
+        this.ground.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        this.world.addBody(this.ground);
+
+        this.records = [];
+        this.nextId = 1;
+        this.accumulator = 0;
+        this.time = 0; // Simulated seconds
+        this.steps = 0;
+
+        // Dragging: the grabbed body is pulled towards a static anchor by a point constraint
+        this.anchor = new CANNON.Body({ mass: 0, type: CANNON.Body.STATIC });
+        this.anchor.collisionFilterGroup = 0;
+        this.anchor.collisionFilterMask = 0;
+        this.world.addBody(this.anchor);
+        this.grabConstraint = null;
+        this.grabbed = null;
+
+        this.applySettings({ ...PHYSICS_DEFAULTS, ...settings });
+    }
+
+    /**
+     * Change a simulation setting
+     * @param {'gravity'|'restitution'|'friction'} key
+     * @param {number} value
+     */
+    set(key, value) {
+        if (!(key in PHYSICS_DEFAULTS)) {
+            console.warn(`⚠️ Unknown physics setting "${key}"`);
+            return;
+        }
+        this.settings[key] = value;
+
+        switch (key) {
+            case 'gravity':
+                this.world.gravity.set(0, -value, 0);
+                // Resting bodies would otherwise ignore the new gravity until touched
+                this.records.forEach(({ body }) => body.wakeUp());
+                break;
+            case 'restitution':
+                this.contactMaterial.restitution = value;
+                break;
+            case 'friction':
+                this.contactMaterial.friction = value;
+                break;
+        }
+    }
+
+    /**
+     * @param {Object} settings - Any of PHYSICS_DEFAULTS
+     */
+    applySettings(settings) {
+        Object.entries(settings).forEach(([key, value]) => this.set(key, value));
+    }
+
+    /**
+     * @returns {Object} Copy of the current settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Add a dynamic body
+     * @param {Object} options
+     * @param {'box'|'sphere'} options.shape
+     * @param {number[]|number} options.size - [width, height, depth] for boxes, radius for spheres
+     * @param {number[]} [options.position=[0, 5, 0]]
+     * @param {number[]} [options.quaternion]
+     * @param {number[]} [options.velocity]
+     * @param {number[]} [options.angularVelocity]
+     * @param {number} [options.density=1] - Mass per cubic unit
+     * @returns {{id: number, shape: string, size: number[]|number, body: CANNON.Body}}
+     */
+    spawn({ shape, size, position = [0, 5, 0], quaternion, velocity, angularVelocity, density = 1 }) {
+        if (!BODY_SHAPES.includes(shape)) {
+            throw new Error(`Unknown body shape "${shape}"`);
+        }
+
+        const isBox = shape === 'box';
+        const collider = isBox
+            ? new CANNON.Box(new CANNON.Vec3(size[0] / 2, size[1] / 2, size[2] / 2))
+            : new CANNON.Sphere(size);
+        const volume = isBox ? size[0] * size[1] * size[2] : (4 / 3) * Math.PI * size ** 3;
+
+        const body = new CANNON.Body({
+            mass: volume * density,
+            shape: collider,
+            material: this.material,
+            position: new CANNON.Vec3(...position),
+            // A little damping keeps rolling spheres from rolling forever
+            linearDamping: 0.01,
+            angularDamping: 0.05,
+            sleepSpeedLimit: 0.1,
+            sleepTimeLimit: 0.5
+        });
+        if (quaternion) body.quaternion.set(...quaternion);
+        if (velocity) body.velocity.set(...velocity);
+        if (angularVelocity) body.angularVelocity.set(...angularVelocity);
+        this.world.addBody(body);
+
+        const record = { id: this.nextId++, shape, size: isBox ? [...size] : size, body };
+        this.records.push(record);
+        this.dispatchEvent({ type: 'add', record });
+
+        while (this.records.length > this.maxBodies) {
+            this.remove(this.records.find(candidate => candidate !== this.grabbed));
+        }
+        return record;
+    }
+
+    /**
+     * @param {Object} record - Returned by spawn()
+     */
+    remove(record) {
+        const index = this.records.indexOf(record);
+        if (index === -1) return;
+
+        if (this.grabbed === record) {
+            this.release();
+        }
+        this.records.splice(index, 1);
+        this.world.removeBody(record.body);
+        this.dispatchEvent({ type: 'remove', record });
+    }
+
+    /**
+     * Remove every body
+     */
+    clear() {
+        [...this.records].forEach(record => this.remove(record));
+        this.accumulator = 0;
+    }
+
+    /**
+     * @param {CANNON.Body} body
+     * @returns {Object|null} Record of a spawned body
+     */
+    getRecord(body) {
+        return this.records.find(record => record.body === body) || null;
+    }
+
+    /**
+     * Advance the simulation by real time in fixed steps
+     * @param {number} dt - Seconds since the previous call
+     * @returns {number} Number of fixed steps taken
+     */
+    step(dt) {
+        this.accumulator += dt;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < this.maxSubSteps) {
+            this.world.step(this.fixedStep);
+            this.accumulator -= this.fixedStep;
+            steps++;
+        }
+        // Behind by more than maxSubSteps: drop the backlog rather than catching up
+        if (steps === this.maxSubSteps) {
+            this.accumulator = Math.min(this.accumulator, this.fixedStep);
+        }
+
+        this.steps += steps;
+        this.time += steps * this.fixedStep;
+        return steps;
+    }
+
+    /**
+     * Start dragging a body by a point on it
+     * @param {Object} record
+     * @param {number[]} point - World position where the body was grabbed
+     */
+    grab(record, point) {
+        this.release();
+
+        const { body } = record;
+        const worldPoint = new CANNON.Vec3(...point);
+        const pivot = body.quaternion.inverse().vmult(worldPoint.vsub(body.position));
+
+        this.anchor.position.copy(worldPoint);
+        this.grabConstraint = new CANNON.PointToPointConstraint(body, pivot, this.anchor, new CANNON.Vec3());
+        this.world.addConstraint(this.grabConstraint);
+        this.grabbed = record;
+        body.wakeUp();
+    }
+
+    /**
+     * Move the dragged point; the body follows through the constraint
+     * @param {number[]} point - World position
+     */
+    moveGrab(point) {
+        if (!this.grabbed) return;
+
+        this.anchor.position.set(...point);
+        this.grabbed.body.wakeUp();
+    }
+
+    /**
+     * Let go of the dragged body; it keeps its velocity, so fast drags throw it
+     */
+    release() {
+        if (!this.grabConstraint) return;
+
+        this.world.removeConstraint(this.grabConstraint);
+        this.grabConstraint = null;
+        this.grabbed = null;
+    }
+
+    dispose() {
+        this.clear();
+        this.world.removeBody(this.ground);
+        this.world.removeBody(this.anchor);
+    }
+}
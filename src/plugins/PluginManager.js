@@ -0,0 +1,291 @@
+import { disposeObject } from '../utils/dispose.js';
+
+/**
+ * A plugin is a plain object:
+ *
+ *   export const myPlugin = {
+ *       name: 'my-plugin',
+ *       setup(context, options) {
+ *           context.on('viewchange', ({ to }) => console.log(to));
+ *           context.registerCommand('my-plugin:hello', () => alert('Hi'), { key: 'h' });
+ *           context.onScene((scene) => {
+ *               scene.add(new THREE.AxesHelper());
+ *               const panel = scene.addPanel('My Plugin');
+ *           }, { scenes: ['enhanced'] });
+ *           return () => {}; // optional cleanup
+ *       }
+ *   };
+ *
+ * @typedef {Object} PluginContext - Passed to setup(); everything registered
+ *   through it is undone when the plugin is unloaded or the app disposed
+ * @property {string} name - The plugin's name
+ * @property {Object|null} app - The app that loaded the plugin
+ * @property {EventBus} events - The bus itself (listeners added directly are not cleaned up)
+ * @property {Function} on - (type, listener) => remove: listen to an app event
+ * @property {Function} registerCommand - (id, run, {label, key}) => unregister
+ * @property {Function} onScene - (handler, {scenes}) => void: call handler(SceneContext)
+ *   for every initialized scene, now and later; it may return a cleanup function
+ * @property {Function} onDispose - (cleanup) => void: run when the plugin is unloaded
+ *
+ * @typedef {Object} SceneContext - One plugin's view of one scene; everything
+ *   registered through it is undone when the scene is disposed
+ * @property {string|null} id - Registered id of the scene
+ * @property {SceneBase} scene
+ * @property {Function} add - (object) => object: add to the scene graph (removed and disposed later)
+ * @property {Function} addPanel - (title) => HTMLElement|null: a collapsible section in the
+ *   scene's control panel to fill, or null when the scene has no panel
+ * @property {Function} on - (type, listener) => remove: listen to this scene's events only
+ * @property {Function} onDispose - (cleanup) => void
+ */
+
+/**
+ * PluginManager Class
+ * Loads plugins and guarantees their cleanup:
+ * - Plugins are loaded from a list of plugins or [plugin, options] pairs
+ * - Scenes are followed through the bus ('scene:init' / 'dispose'), so
+ *   scene handlers reach every scene initialized after the manager exists
+ * - A plugin that throws while loading is unloaded again; errors in its
+ *   listeners are logged without stopping the app or other plugins
+ */
+export class PluginManager {
+    /**
+     * @param {Object} options
+     * @param {EventBus} options.events - Bus the scenes emit on
+     * @param {CommandRegistry} options.commands - Where plugins register commands
+     * @param {Object} [options.app=null] - Handed to plugins as context.app
+     */
+    constructor({ events, commands, app = null }) {
+        this.events = events;
+        this.commands = commands;
+        this.app = app;
+
+        // name -> { plugin, cleanups, sceneHandlers, scopes: Map<SceneBase, Function[]> }
+        this.plugins = new Map();
+
+        // Initialized, not yet disposed scenes
+        this.scenes = new Set();
+
+        this.removeBusListeners = [
+            events.on('scene:init', ({ scene }) => this.attachScene(scene)),
+            events.on('dispose', ({ scene }) => this.detachScene(scene))
+        ];
+    }
+
+    /**
+     * Load plugins from a config list
+     * @param {Array<Object|Array>} entries - Plugins, or [plugin, options] pairs
+     */
+    load(entries) {
+        entries.forEach((entry) => {
+            const [plugin, options] = Array.isArray(entry) ? entry : [entry, {}];
+            this.use(plugin, options);
+        });
+    }
+
+    /**
+     * Load one plugin
+     * @param {Object} plugin - { name, setup(context, options) }
+     * @param {Object} [options] - Passed to setup()
+     * @returns {boolean} Whether the plugin loaded
+     */
+    use(plugin, options = {}) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+            console.error('❌ Plugins need a name and a setup function:', plugin);
+            return false;
+        }
+        if (this.plugins.has(plugin.name)) {
+            console.error(`❌ Plugin "${plugin.name}" is already loaded`);
+            return false;
+        }
+
+        const record = { plugin, cleanups: [], sceneHandlers: [], scopes: new Map() };
+        this.plugins.set(plugin.name, record);
+
+        try {
+            const cleanup = plugin.setup(this.createContext(record), options);
+            if (typeof cleanup === 'function') {
+                record.cleanups.push(cleanup);
+            }
+        } catch (error) {
+            console.error(`❌ Plugin "${plugin.name}" failed to load:`, error);
+            this.unload(plugin.name);
+            return false;
+        }
+
+        console.log(`🧩 Plugin "${plugin.name}" loaded`);
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.plugins.has(name);
+    }
+
+    /**
+     * Unload a plugin, undoing everything it registered
+     * @param {string} name
+     */
+    unload(name) {
+        const record = this.plugins.get(name);
+        if (!record) return;
+
+        this.plugins.delete(name);
+        record.scopes.forEach(cleanups => this.runCleanups(record, cleanups));
+        record.scopes.clear();
+        this.runCleanups(record, record.cleanups);
+    }
+
+    /**
+     * Build the context handed to a plugin's setup()
+     * @param {Object} record
+     * @returns {PluginContext}
+     */
+    createContext(record) {
+        const { cleanups } = record;
+
+        return {
+            name: record.plugin.name,
+            app: this.app,
+            events: this.events,
+            on: (type, listener) => this.listen(record, cleanups, type, listener),
+            registerCommand: (id, run, options) => {
+                const unregister = this.commands.register(id, run, options);
+                cleanups.push(unregister);
+                return unregister;
+            },
+            onScene: (handler, { scenes = null } = {}) => {
+                const sceneHandler = { handler, scenes };
+                record.sceneHandlers.push(sceneHandler);
+                this.scenes.forEach(scene => this.runSceneHandler(record, sceneHandler, scene));
+            },
+            onDispose: (cleanup) => {
+                cleanups.push(cleanup);
+            }
+        };
+    }
+
+    /**
+     * Build one plugin's context for one scene
+     * @param {Object} record
+     * @param {SceneBase} scene
+     * @returns {SceneContext}
+     */
+    createSceneContext(record, scene) {
+        if (!record.scopes.has(scene)) {
+            record.scopes.set(scene, []);
+        }
+        const cleanups = record.scopes.get(scene);
+
+        return {
+            id: scene.options.id,
+            scene,
+            add: (object) => {
+                scene.scene.add(object);
+                cleanups.push(() => {
+                    object.removeFromParent();
+                    disposeObject(object);
+                });
+                return object;
+            },
+            addPanel: (title) => {
+                const panel = scene.getControlPanel();
+                if (!panel) return null;
+
+                const section = document.createElement('details');
+                section.className = 'control-group';
+                const summary = document.createElement('summary');
+                summary.textContent = title;
+                const body = document.createElement('div');
+                body.className = 'sub-panel';
+                section.append(summary, body);
+                panel.appendChild(section);
+
+                cleanups.push(() => section.remove());
+                return body;
+            },
+            on: (type, listener) => this.listen(record, cleanups, type, (event) => {
+                if (event.scene === scene) {
+                    listener(event);
+                }
+            }),
+            onDispose: (cleanup) => {
+                cleanups.push(cleanup);
+            }
+        };
+    }
+
+    /**
+     * Add a bus listener that logs its own errors and is removed with the cleanups
+     */
+    listen(record, cleanups, type, listener) {
+        const guarded = (event) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`❌ Plugin "${record.plugin.name}" failed handling "${type}":`, error);
+            }
+        };
+        const remove = this.events.on(type, guarded);
+        cleanups.push(remove);
+        return remove;
+    }
+
+    runSceneHandler(record, { handler, scenes }, scene) {
+        if (scenes && !scenes.includes(scene.options.id)) return;
+
+        try {
+            const cleanup = handler(this.createSceneContext(record, scene));
+            if (typeof cleanup === 'function') {
+                record.scopes.get(scene).push(cleanup);
+            }
+        } catch (error) {
+            console.error(`❌ Plugin "${record.plugin.name}" failed setting up a scene:`, error);
+        }
+    }
+
+    attachScene(scene) {
+        this.scenes.add(scene);
+        this.plugins.forEach((record) => {
+            record.sceneHandlers.forEach(sceneHandler => this.runSceneHandler(record, sceneHandler, scene));
+        });
+    }
+
+    detachScene(scene) {
+        if (!this.scenes.delete(scene)) return;
+
+        this.plugins.forEach((record) => {
+            const cleanups = record.scopes.get(scene);
+            if (cleanups) {
+                record.scopes.delete(scene);
+                this.runCleanups(record, cleanups);
+            }
+        });
+    }
+
+    /**
+     * Run cleanups newest first; one failing does not stop the others
+     */
+    runCleanups(record, cleanups) {
+        while (cleanups.length > 0) {
+            const cleanup = cleanups.pop();
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`❌ Plugin "${record.plugin.name}" failed cleaning up:`, error);
+            }
+        }
+    }
+
+    /**
+     * Unload every plugin (newest first) and stop following scenes
+     */
+    dispose() {
+        Array.from(this.plugins.keys()).reverse().forEach(name => this.unload(name));
+        this.removeBusListeners.forEach(remove => remove());
+        this.removeBusListeners = [];
+        this.scenes.clear();
+    }
+}
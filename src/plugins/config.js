@@ -0,0 +1,9 @@
+import { gridPlugin } from './gridPlugin.js';
+
+/**
+ * Plugins the app loads at startup, in order.
+ * Entries are plugins or [plugin, options] pairs (see PluginManager.js).
+ */
+export const PLUGINS = [
+    [gridPlugin, { scenes: ['enhanced'] }]
+];
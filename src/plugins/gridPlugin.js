@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { createControl } from '../ui/controls.js';
+
+/**
+ * Grid Plugin
+ * A floor grid under the chosen scenes, shown from a panel checkbox or the
+ * `grid:toggle` command (G key). Flagged as a helper, so it is never
+ * selected, exported or captured.
+ *
+ * Options:
+ * - scenes     scene ids to add the grid to (default: every scene)
+ * - size       width of the grid (default 20)
+ * - divisions  cells per side (default 20)
+ * - y          height of the grid (default -2, under the enhanced scene's cube)
+ * - visible    start shown (default false)
+ */
+export const gridPlugin = {
+    name: 'grid',
+
+    setup(context, { scenes = null, size = 20, divisions = 20, y = -2, visible = false } = {}) {
+        // Grids and panel checkboxes of the scenes currently set up
+        const grids = new Set();
+        const toggles = new Set();
+
+        const setVisible = (value) => {
+            visible = value;
+            grids.forEach((grid) => {
+                grid.visible = value;
+            });
+            toggles.forEach(toggle => toggle.setValue(value));
+        };
+
+        context.registerCommand('grid:toggle', () => setVisible(!visible), {
+            label: 'Toggle grid',
+            key: 'g'
+        });
+
+        context.onScene((scene) => {
+            const grid = scene.add(new THREE.GridHelper(size, divisions, 0x6366f1, 0x2a2a40));
+            grid.position.y = y;
+            grid.visible = visible;
+            grid.userData.isHelper = true;
+            grids.add(grid);
+
+            const panel = scene.addPanel('Grid');
+            let toggle = null;
+            if (panel) {
+                toggle = createControl({ label: 'Show Grid (G)', type: 'checkbox', value: visible, onInput: setVisible });
+                panel.appendChild(toggle.group);
+                toggles.add(toggle);
+            }
+
+            return () => {
+                grids.delete(grid);
+                toggles.delete(toggle);
+            };
+        }, { scenes });
+    }
+};
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { EFFECTS, EFFECT_ORDER } from './effects.js';
+
+/**
+ * PostProcessingPipeline Class
+ * Composable effect chain for any scene:
+ *   RenderPass -> HDR effects (AO, bloom) -> OutputPass (tone mapping, sRGB)
+ *   -> display effects (color grading, vignette, FXAA/SMAA)
+ *
+ * Every effect has an enable flag and numeric parameters. When no effect is
+ * enabled the composer is bypassed and the scene is rendered directly.
+ */
+export class PostProcessingPipeline {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {Object} [options]
+     * @param {string[]} [options.effects=EFFECT_ORDER] - Effect ids to include
+     * @param {boolean} [options.floatBuffers=true] - Half-float buffers; 8-bit ones for GPUs
+     *   that cannot render to float textures
+     */
+    constructor(renderer, scene, camera, { effects = EFFECT_ORDER, floatBuffers = true } = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+
+        // Multisampled HDR buffers on WebGL2 keep geometry edges smooth
+        const renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: floatBuffers ? THREE.HalfFloatType : THREE.UnsignedByteType,
+            samples: renderer.capabilities.isWebGL2 ? 4 : 0
+        });
+        this.composer = new EffectComposer(renderer, renderTarget);
+
+        this.renderPass = new RenderPass(scene, camera);
+        this.outputPass = new OutputPass();
+        this.composer.addPass(this.renderPass);
+
+        // Effects, in pipeline order
+        this.effects = new Map();
+        const context = { scene, camera, width: size.x, height: size.y };
+        const created = EFFECT_ORDER
+            .filter(id => effects.includes(id))
+            .map(id => EFFECTS[id](context));
+
+        created.filter(effect => effect.stage === 'hdr').forEach(effect => this.addEffect(effect));
+        this.composer.addPass(this.outputPass);
+        created.filter(effect => effect.stage === 'display').forEach(effect => this.addEffect(effect));
+
+        this.syncSize();
+    }
+
+    addEffect(effect) {
+        effect.pass.enabled = false;
+        this.effects.set(effect.id, effect);
+        this.composer.addPass(effect.pass);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|undefined} Effect definition (see effects.js)
+     */
+    getEffect(id) {
+        return this.effects.get(id);
+    }
+
+    /**
+     * Turn an effect on or off
+     * @param {string} id
+     * @param {boolean} enabled
+     */
+    setEnabled(id, enabled) {
+        const effect = this.effects.get(id);
+        if (effect) {
+            effect.pass.enabled = enabled;
+        }
+    }
+
+    /**
+     * Set an effect parameter
+     * @param {string} id - Effect id
+     * @param {string} key - Parameter key
+     * @param {number} value
+     */
+    setParam(id, key, value) {
+        const effect = this.effects.get(id);
+        const param = effect && effect.params.find(candidate => candidate.key === key);
+        if (param) {
+            param.set(value);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether any effect is enabled
+     */
+    isActive() {
+        for (const effect of this.effects.values()) {
+            if (effect.pass.enabled) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Current settings of every effect, e.g. { bloom: { enabled: true, strength: 0.6 } }
+     * @returns {Object}
+     */
+    getSettings() {
+        const settings = {};
+        this.effects.forEach((effect, id) => {
+            settings[id] = { enabled: effect.pass.enabled };
+            effect.params.forEach((param) => {
+                settings[id][param.key] = param.get();
+            });
+        });
+        return settings;
+    }
+
+    /**
+     * Apply settings produced by getSettings()
+     * Effects missing from the settings are disabled; unknown ids and keys are ignored.
+     * @param {Object} settings
+     */
+    applySettings(settings = {}) {
+        this.effects.forEach((effect) => {
+            effect.pass.enabled = false;
+        });
+
+        Object.entries(settings).forEach(([id, values]) => {
+            Object.entries(values).forEach(([key, value]) => {
+                if (key === 'enabled') {
+                    this.setEnabled(id, value);
+                } else {
+                    this.setParam(id, key, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Render through another camera
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        this.renderPass.camera = camera;
+        this.effects.forEach((effect) => {
+            if (effect.setCamera) {
+                effect.setCamera(camera);
+            }
+        });
+    }
+
+    /**
+     * Render a frame through the composer (or directly when nothing is enabled)
+     * @param {number} [dt=0] - Seconds since the previous frame
+     */
+    render(dt = 0) {
+        if (this.isActive()) {
+            this.composer.render(dt);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Match the renderer's current size and pixel ratio
+     * Call after the renderer has been resized.
+     */
+    syncSize() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const pixelRatio = this.renderer.getPixelRatio();
+
+        this.composer.setPixelRatio(pixelRatio);
+        this.composer.setSize(size.x, size.y);
+
+        this.effects.forEach((effect) => {
+            if (effect.setSize) {
+                effect.setSize(size.x * pixelRatio, size.y * pixelRatio);
+            }
+        });
+    }
+
+    /**
+     * Render targets allocated for the composer (used for memory estimates)
+     * @returns {THREE.WebGLRenderTarget[]}
+     */
+    getRenderTargets() {
+        return [this.composer.renderTarget1, this.composer.renderTarget2];
+    }
+
+    dispose() {
+        this.effects.forEach(({ pass }) => {
+            if (typeof pass.dispose === 'function') {
+                pass.dispose();
+            }
+        });
+        this.effects.clear();
+
+        this.renderPass.dispose();
+        this.outputPass.dispose();
+        this.composer.dispose();
+    }
+}
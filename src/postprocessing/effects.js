@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
+import { SMAAPass } from 'three/examples/jsm/postprocessing/SMAAPass.js';
+import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+/**
+ * Post-processing effect definitions
+ *
+ * Each factory receives { scene, camera, width, height } and returns:
+ * - id, label    - identifier and control panel title
+ * - stage        - 'hdr' (before tone mapping) or 'display' (after OutputPass)
+ * - pass         - the three.js pass
+ * - params       - [{ key, label, min, max, step, get(), set(value) }]
+ * - setSize(w, h) - optional, called with the drawing buffer size
+ * - setCamera(camera) - optional, called when the scene switches cameras
+ */
+
+// Simple display-referred color grading
+const ColorGradingShader = {
+    name: 'ColorGradingShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        brightness: { value: 0 },
+        contrast: { value: 1 },
+        saturation: { value: 1 }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }`,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float brightness;
+        uniform float contrast;
+        uniform float saturation;
+        varying vec2 vUv;
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            vec3 color = texel.rgb + brightness;
+            color = (color - 0.5) * contrast + 0.5;
+            float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+            color = mix(vec3(luma), color, saturation);
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), texel.a);
+        }`
+};
+
+/**
+ * Build a numeric parameter bound to a uniform
+ */
+function uniformParam(pass, key, label, min, max, step) {
+    const uniforms = pass.uniforms || pass.material.uniforms;
+    return {
+        key,
+        label,
+        min,
+        max,
+        step,
+        get: () => uniforms[key].value,
+        set: (value) => {
+            uniforms[key].value = value;
+        }
+    };
+}
+
+/**
+ * Build a numeric parameter bound to a pass property
+ */
+function propertyParam(pass, key, label, min, max, step) {
+    return {
+        key,
+        label,
+        min,
+        max,
+        step,
+        get: () => pass[key],
+        set: (value) => {
+            pass[key] = value;
+        }
+    };
+}
+
+export const EFFECTS = {
+    ssao({ scene, camera, width, height }) {
+        const pass = new SSAOPass(scene, camera, width, height);
+        pass.kernelRadius = 0.5;
+        pass.minDistance = 0.001;
+        pass.maxDistance = 0.05;
+
+        return {
+            id: 'ssao',
+            label: 'Ambient Occlusion',
+            stage: 'hdr',
+            pass,
+            params: [
+                propertyParam(pass, 'kernelRadius', 'Radius', 0, 4, 0.05),
+                propertyParam(pass, 'minDistance', 'Min Distance', 0.001, 0.02, 0.001),
+                propertyParam(pass, 'maxDistance', 'Max Distance', 0.01, 0.3, 0.005)
+            ],
+            setCamera(nextCamera) {
+                // Depth is reconstructed differently for orthographic cameras
+                const perspective = nextCamera.isPerspectiveCamera ? 1 : 0;
+                pass.camera = nextCamera;
+                [pass.ssaoMaterial, pass.depthRenderMaterial].forEach((material) => {
+                    material.uniforms.cameraNear.value = nextCamera.near;
+                    material.uniforms.cameraFar.value = nextCamera.far;
+                    if (material.defines.PERSPECTIVE_CAMERA !== perspective) {
+                        material.defines.PERSPECTIVE_CAMERA = perspective;
+                        material.needsUpdate = true;
+                    }
+                });
+            }
+        };
+    },
+
+    bloom({ width, height }) {
+        const pass = new UnrealBloomPass(new THREE.Vector2(width, height), 0.6, 0.4, 0.85);
+
+        return {
+            id: 'bloom',
+            label: 'Bloom',
+            stage: 'hdr',
+            pass,
+            params: [
+                propertyParam(pass, 'strength', 'Strength', 0, 3, 0.05),
+                propertyParam(pass, 'radius', 'Radius', 0, 1, 0.01),
+                propertyParam(pass, 'threshold', 'Threshold', 0, 1, 0.01)
+            ]
+        };
+    },
+
+    colorGrading() {
+        const pass = new ShaderPass(ColorGradingShader);
+
+        return {
+            id: 'colorGrading',
+            label: 'Color Grading',
+            stage: 'display',
+            pass,
+            params: [
+                uniformParam(pass, 'brightness', 'Brightness', -0.5, 0.5, 0.01),
+                uniformParam(pass, 'contrast', 'Contrast', 0, 2, 0.01),
+                uniformParam(pass, 'saturation', 'Saturation', 0, 2, 0.01)
+            ]
+        };
+    },
+
+    vignette() {
+        const pass = new ShaderPass(VignetteShader);
+        pass.uniforms.offset.value = 1.0;
+        pass.uniforms.darkness.value = 1.2;
+
+        return {
+            id: 'vignette',
+            label: 'Vignette',
+            stage: 'display',
+            pass,
+            params: [
+                uniformParam(pass, 'offset', 'Offset', 0, 2, 0.01),
+                uniformParam(pass, 'darkness', 'Darkness', 0, 3, 0.01)
+            ]
+        };
+    },
+
+    fxaa() {
+        const pass = new ShaderPass(FXAAShader);
+
+        return {
+            id: 'fxaa',
+            label: 'FXAA',
+            stage: 'display',
+            pass,
+            params: [],
+            setSize(width, height) {
+                pass.material.uniforms.resolution.value.set(1 / width, 1 / height);
+            }
+        };
+    },
+
+    smaa({ width, height }) {
+        const pass = new SMAAPass(width, height);
+
+        return {
+            id: 'smaa',
+            label: 'SMAA',
+            stage: 'display',
+            pass,
+            params: []
+        };
+    }
+};
+
+// Order in which effects are added to the pipeline
+export const EFFECT_ORDER = ['ssao', 'bloom', 'colorGrading', 'vignette', 'fxaa', 'smaa'];
@@ -1,158 +1,324 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SceneBase } from './SceneBase.js';
+import { ModelLoader } from '../loaders/ModelLoader.js';
+import { SceneExporter } from '../export/SceneExporter.js';
+import { FrameCapture } from '../export/FrameCapture.js';
+import { SelectionManager } from '../interaction/SelectionManager.js';
+import { MaterialPanel } from '../ui/MaterialPanel.js';
+import { GeometryPanel } from '../ui/GeometryPanel.js';
+import { ShaderPanel } from '../ui/ShaderPanel.js';
+import { EnvironmentPanel } from '../ui/EnvironmentPanel.js';
+import { PostProcessingPanel } from '../ui/PostProcessingPanel.js';
+import { TimelinePanel } from '../ui/TimelinePanel.js';
+import { CameraPanel } from '../ui/CameraPanel.js';
+import { ParticlePanel } from '../ui/ParticlePanel.js';
+import { LightPanel } from '../ui/LightPanel.js';
+import { ShortcutsPanel } from '../ui/ShortcutsPanel.js';
+import { CapturePanel } from '../ui/CapturePanel.js';
+import { InputManager } from '../input/InputManager.js';
+import { HistoryPanel } from '../ui/HistoryPanel.js';
+import { CommandHistory } from '../history/CommandHistory.js';
+import { ValueCommand, formatKey } from '../history/ValueCommand.js';
+import { setMaterialProperty, setMaterialProperties, getMaterialProperties } from '../materials/properties.js';
+import { createShaderMaterial, compileShaderMaterial, replaceMaterial } from '../materials/shader.js';
+import { LightRig } from '../lighting/LightRig.js';
+import { CameraRig } from '../camera/CameraRig.js';
+import { Timeline } from '../animation/Timeline.js';
+import { TimelinePlayer } from '../animation/TimelinePlayer.js';
+import { createExportClip, getBindingPath } from '../animation/clips.js';
+import { EnvironmentManager } from '../environment/EnvironmentManager.js';
+import { disposeObject } from '../utils/dispose.js';
+import { downloadBlob } from '../utils/download.js';
+import { SceneBuilder } from '../document/SceneBuilder.js';
+import { DocumentStore } from '../document/DocumentStore.js';
+import { ENHANCED_SCENE_DOCUMENT } from '../document/defaults.js';
 
-export class EnhancedScene {
-    constructor() {
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
+// Loaded models are normalized to roughly the size of the cube
+const MODEL_SIZE = 2.5;
+const MODEL_SPACING = 3.5;
+
+// Click pulse: scale factor and duration in seconds
+const PULSE_SCALE = 1.2;
+const PULSE_DURATION = 0.2;
+
+// History labels of the quick controls
+const SETTING_LABELS = {
+    rotationSpeed: 'Rotation Speed',
+    color: 'Cube Color',
+    wireframe: 'Wireframe',
+    scale: 'Scale'
+};
+
+const GIZMO_LABELS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+
+// Radians per second the orbit axis (arrow keys, right stick) turns the camera
+const ORBIT_SPEED = 1.5;
+
+function getTransform(object) {
+    return {
+        position: object.position.toArray(),
+        quaternion: object.quaternion.toArray(),
+        scale: object.scale.toArray()
+    };
+}
+
+function setTransform(object, { position, quaternion, scale }) {
+    object.position.fromArray(position);
+    object.quaternion.fromArray(quaternion);
+    object.scale.fromArray(scale);
+}
+
+export class EnhancedScene extends SceneBase {
+    /**
+     * @param {Object} [options] - See SceneBase (e.g. an injected renderer or clock), plus:
+     * @param {boolean} [options.persist=true] - Restore the scene from a share link or
+     *   localStorage and save every change there
+     */
+    constructor(options = {}) {
+        super({
+            background: 0x060610,
+            cameraZ: 6,
+            persist: true,
+            ...options
+        });
         this.cube = null;
         this.controls = null;
-        this.animationId = null;
-        this.isAnimating = false;
-        this.rotationSpeed = 0.01;
-        this.mouseX = 0;
-        this.mouseY = 0;
-        this.targetRotationX = 0;
-        this.targetRotationY = 0;
-    }
+        // Control panel settings (rotationSpeed is in radians per second)
+        this.settings = { ...ENHANCED_SCENE_DOCUMENT.controls };
+        this.orbitAxis = new THREE.Vector2();
+        // Pointer position for the `mouse` uniform of custom shaders (drawing buffer pixels)
+        this.shaderMouse = new THREE.Vector2();
+        this.shaderResolution = new THREE.Vector2();
+        this.models = [];
+        this.modelCount = 0;
+        this.modelLoader = new ModelLoader();
 
-    init(containerId) {
-        const container = document.getElementById(containerId);
-        
-        // Create scene
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x060610);
-
-        // Create camera
-        this.camera = new THREE.PerspectiveCamera(
-            75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
-        this.camera.position.z = 6;
+        // Keyframe animation; the orbit target is animated through a stand-in object
+        this.timeline = null;
+        this.timelinePlayer = null;
+        this.cameraTarget = new THREE.Object3D();
 
-        // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.0;
-        container.appendChild(this.renderer.domElement);
+        // Scene document persistence (localStorage + shareable URL), null when not persisting
+        this.store = this.options.persist ? new DocumentStore('enhanced') : null;
+        this.saveTimer = null;
 
-        // Create enhanced cube
-        this.createEnhancedCube();
+        // Document the scene starts from and resets to
+        this.defaultDocument = this.options.sceneDocument || ENHANCED_SCENE_DOCUMENT;
+    }
 
-        // Add enhanced lights
-        this.addEnhancedLights();
+    setup() {
+        // Image-based lighting, exposure and tone mapping
+        this.environment = new EnvironmentManager(this.renderer, this.scene);
 
-        // Add floating particles
-        this.addParticles();
+        // Bloom and other effects
+        this.enablePostProcessing();
 
         // Add orbit controls
         this.addOrbitControls();
 
+        // Viewpoints, transitions, projection and fly/first-person modes
+        this.addCameraRig();
+
+        // Keyframe playback (the timeline itself comes with the document)
+        this.addTimelinePlayer();
+
+        // Light editing, animation patterns and helpers
+        this.addLightRig();
+
+        // Undo/redo of every edit below (cleared whenever a document is applied)
+        this.history = new CommandHistory();
+
+        // Build cube, lights and particles from the URL, the saved scene or the defaults
+        this.applyDocument(this.loadInitialDocument());
+
         // Bind controls
         this.bindControls();
 
-        // Add mouse interaction
-        this.addMouseInteraction();
+        // Picking, selection outlines and transform gizmo
+        this.addSelection();
 
-        // Start animation
-        this.isAnimating = true;
-        this.animate();
-    }
+        // Named actions from keys, gestures and gamepads
+        this.addInput();
 
-    createEnhancedCube() {
-        const geometry = new THREE.BoxGeometry(2.5, 2.5, 2.5);
-        
-        // Create gradient material
-        const material = new THREE.MeshPhysicalMaterial({
-            color: 0x6366f1,
-            metalness: 0.3,
-            roughness: 0.2,
-            clearcoat: 1.0,
-            clearcoatRoughness: 0.1,
-            transparent: true,
-            opacity: 0.9,
-            envMapIntensity: 1.0
-        });
-        
-        this.cube = new THREE.Mesh(geometry, material);
-        this.cube.castShadow = true;
-        this.cube.receiveShadow = true;
-        this.scene.add(this.cube);
+        // Shape picker and geometry parameters for the cube or the selected mesh
+        this.addGeometryPanel();
 
-        // Add wireframe overlay
-        const wireframeGeometry = new THREE.EdgesGeometry(geometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({ 
-            color: 0xffffff, 
-            transparent: true, 
-            opacity: 0.3 
-        });
-        this.wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial);
-        this.cube.add(this.wireframe);
-    }
+        // Physical material editor for the cube or the selected mesh
+        this.addMaterialPanel();
+
+        // Custom GLSL for the cube or the selected mesh; shaders get the pointer as `mouse`
+        this.addShaderPanel();
+        this.addListener(this.renderer.domElement, 'pointermove', event => this.onShaderPointerMove(event));
+
+        // Environment lighting controls
+        this.addEnvironmentPanel();
 
-    addEnhancedLights() {
-        // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
-        this.scene.add(ambientLight);
+        // Light list, properties, shadows and helpers
+        this.addLightPanel();
 
-        // Multiple colored point lights
-        const colors = [0x6366f1, 0x8b5cf6, 0x06b6d4, 0x10b981, 0x64748b];
-        this.lights = [];
+        // Post-processing effect controls
+        this.addPostProcessingPanel();
 
-        colors.forEach((color, index) => {
-            const light = new THREE.PointLight(color, 0.8, 50);
-            const angle = (index / colors.length) * Math.PI * 2;
-            light.position.x = Math.cos(angle) * 8;
-            light.position.y = Math.sin(angle) * 8;
-            light.position.z = 5;
-            light.castShadow = true;
-            this.scene.add(light);
-            this.lights.push(light);
+        // Timeline playback, keyframing and import/export
+        this.addTimelinePanel();
+
+        // Camera views, bookmarks and navigation modes
+        this.addCameraPanel();
+
+        // Particle emitters
+        this.addParticlePanel();
+
+        // Undo/redo buttons and the list of edits
+        this.addHistoryPanel();
+
+        // Rebindable shortcuts and gamepad status
+        this.addShortcutsPanel();
+
+        // Model file picker and drag-and-drop
+        this.bindModelLoading();
+
+        // glTF and screenshot export
+        this.exporter = new SceneExporter(this.renderer, this.scene, this.camera, {
+            postProcessing: this.postProcessing
         });
+        this.bindExportControls();
+
+        // Fixed-timestep video and PNG sequence capture
+        this.frameCapture = new FrameCapture(this);
+        this.addCapturePanel();
 
-        // Main directional light
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-        directionalLight.position.set(5, 5, 5);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        this.scene.add(directionalLight);
+        // Scene document share/save/load
+        this.bindDocumentControls();
     }
 
-    addParticles() {
-        const particleCount = 200;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
+    /**
+     * Pick the document to start with: shared URL, then saved scene, then defaults
+     * (options.sceneDocument or ENHANCED_SCENE_DOCUMENT); only the defaults when not persisting
+     * @returns {Object}
+     */
+    loadInitialDocument() {
+        if (!this.store) return this.defaultDocument;
+
+        try {
+            const shared = this.store.fromUrl();
+            if (shared) {
+                this.store.save(shared);
+                return shared;
+            }
+        } catch (error) {
+            console.error('❌ Invalid shared scene:', error);
+            this.setSceneStatus(error.message, true);
+        } finally {
+            this.store.clearUrl();
+        }
+
+        return this.store.load() || this.defaultDocument;
+    }
+
+    /**
+     * Rebuild the cube, lights and particles from a scene document
+     * @param {Object} doc - Scene document
+     * @throws {SceneDocumentError} If the document is invalid (the scene is left unchanged)
+     */
+    applyDocument(doc) {
+        // The document's camera pose is for the perspective camera in orbit mode
+        this.cameraRig.setMode('orbit');
+        this.cameraRig.setProjection('perspective');
+
+        const { objects, lights, particles } = this.buildFromDocument(doc, this.controls);
+        this.cameraRig.setBookmarks(this.document.camera.bookmarks);
+        this.cameraRig.setProjection(this.document.camera.projection);
+        this.environment.applySettings(this.document.environment);
+        this.postProcessing.applySettings(this.document.postProcessing);
 
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 50;
-            positions[i * 3 + 1] = (Math.random() - 0.5) * 50;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 50;
+        this.cube = objects.get('cube') || objects.values().next().value || null;
+        this.wireframe = this.cube ? this.cube.userData.edges || null : null;
+        this.lightRig.setLights(lights);
+        this.particles = particles;
+        this.settings = { ...this.document.controls };
+        this.setTimeline(new Timeline(this.document.timeline || undefined));
 
-            colors[i * 3] = Math.random();
-            colors[i * 3 + 1] = Math.random();
-            colors[i * 3 + 2] = Math.random();
+        // Apply the control panel settings to the new content
+        if (this.cube && this.cube.material.color) {
+            this.cube.material.color.set(this.settings.color);
+        }
+        this.setWireframeVisible(this.settings.wireframe);
+        this.getSubjects().forEach(subject => this.applyScale(subject));
+        this.syncControlInputs();
+        this.updateGeometryTarget();
+        this.updateMaterialTarget();
+        this.updateShaderTarget();
+        if (this.environmentPanel) {
+            this.environmentPanel.sync();
+        }
+        if (this.postProcessingPanel) {
+            this.postProcessingPanel.sync();
+        }
+        if (this.particlePanel) {
+            this.particlePanel.setParticles(particles);
         }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        // Edits of the previous content can't be undone on the new content
+        this.history.clear();
+    }
 
-        const material = new THREE.PointsMaterial({
-            size: 0.5,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.6
+    /**
+     * Serialize the current scene into a scene document
+     * @returns {Object}
+     */
+    toDocument() {
+        const pose = this.cameraRig.getPose();
+
+        return SceneBuilder.serialize({
+            backgroundColor: this.environment.backgroundColor,
+            camera: { fov: this.cameraRig.perspective.fov, position: pose.position },
+            target: pose.target,
+            projection: this.cameraRig.projection,
+            bookmarks: this.cameraRig.bookmarks,
+            controls: this.settings,
+            environment: this.environment.getSettings(),
+            postProcessing: this.postProcessing.getSettings(),
+            objects: Array.from(this.content.objects.values()),
+            lights: this.content.lights,
+            particles: this.content.particles,
+            timeline: this.timeline && this.timeline.tracks.length > 0 ? this.timeline.toJSON() : null
         });
+    }
+
+    /**
+     * Persist the scene shortly after the last change
+     */
+    scheduleSave() {
+        if (!this.store) return;
 
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.store.save(this.toDocument());
+        }, 300);
+    }
+
+    /**
+     * Update the control panel inputs to match the current settings
+     */
+    syncControlInputs() {
+        const values = {
+            'rotation-speed': this.settings.rotationSpeed,
+            'cube-color': this.settings.color,
+            'scale': this.settings.scale
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = this.getElement(id);
+            if (input) {
+                input.value = value;
+            }
+        });
+
+        const wireframeControl = this.getElement('wireframe');
+        if (wireframeControl) {
+            wireframeControl.checked = this.settings.wireframe;
+        }
     }
 
     addOrbitControls() {
@@ -173,152 +339,1409 @@ export class EnhancedScene {
         // Set initial target
         this.controls.target.set(0, 0, 0);
         this.controls.update();
+
+        // Remember the camera pose once the user stops orbiting
+        this.controls.addEventListener('end', () => this.scheduleSave());
+    }
+
+    addCameraRig() {
+        this.cameraRig = new CameraRig({
+            camera: this.camera,
+            controls: this.controls,
+            domElement: this.renderer.domElement,
+            keyTarget: this.options.keyTarget,
+            onCameraChange: camera => this.setCamera(camera)
+        });
+
+        // Projection, mode, bookmark and transition changes are part of the document
+        this.cameraRig.addEventListener('change', () => this.scheduleSave());
+    }
+
+    /**
+     * Repoint everything that renders or picks through the camera
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        super.setCamera(camera);
+
+        if (this.selection) {
+            this.selection.setCamera(camera);
+        }
+        if (this.exporter) {
+            this.exporter.camera = camera;
+        }
+        if (this.timelinePlayer) {
+            this.timelinePlayer.rebuild();
+        }
+    }
+
+    addCameraPanel() {
+        const container = this.getElement('camera-panel');
+        if (!container) return;
+
+        this.cameraPanel = new CameraPanel(container, this.cameraRig, {
+            onView: view => this.cameraRig.viewFrom(view, this.getSubjects()),
+            onFrame: target => (target === 'selection' ? this.frameSelection() : this.frameSubjects())
+        });
+    }
+
+    /**
+     * Frame the selected object, or everything when nothing is selected
+     */
+    frameSelection() {
+        const selected = this.selection.getSelected();
+        this.cameraRig.frame(selected ? [selected] : this.getSubjects());
     }
 
     bindControls() {
-        // Rotation speed control
-        const rotationSpeedControl = document.getElementById('rotation-speed');
-        rotationSpeedControl.addEventListener('input', (e) => {
-            this.rotationSpeed = parseFloat(e.target.value);
+        const bindings = [
+            { id: 'rotation-speed', key: 'rotationSpeed', event: 'input', read: input => parseFloat(input.value) },
+            { id: 'cube-color', key: 'color', event: 'input', read: input => input.value },
+            { id: 'wireframe', key: 'wireframe', event: 'change', read: input => input.checked },
+            { id: 'scale', key: 'scale', event: 'input', read: input => parseFloat(input.value) }
+        ];
+
+        bindings.forEach(({ id, key, event, read }) => {
+            const input = this.getElement(id);
+            this.addListener(input, event, () => this.changeSetting(key, read(input)));
+            // Releasing a slider ends its history entry
+            this.addListener(input, 'change', () => this.history.seal());
+        });
+    }
+
+    /**
+     * Change a quick control setting and record it for undo
+     * @param {'rotationSpeed'|'color'|'wireframe'|'scale'} key
+     * @param {*} value
+     */
+    changeSetting(key, value) {
+        const before = this.settings[key];
+        this.applySetting(key, value);
+        this.history.record(new ValueCommand({
+            label: SETTING_LABELS[key],
+            mergeKey: `setting:${key}`,
+            before,
+            after: value,
+            apply: (next) => {
+                this.applySetting(key, next);
+                this.syncControlInputs();
+            }
+        }));
+    }
+
+    applySetting(key, value) {
+        this.settings[key] = value;
+
+        switch (key) {
+            case 'color':
+                if (this.cube && this.cube.material.color) {
+                    this.cube.material.color.set(value);
+                }
+                if (this.materialPanel) {
+                    this.materialPanel.sync();
+                }
+                break;
+            case 'wireframe':
+                this.setWireframeVisible(value);
+                break;
+            case 'scale':
+                this.getSubjects().forEach(subject => this.applyScale(subject));
+                break;
+            default:
+                break;
+        }
+
+        this.scheduleSave();
+    }
+
+    bindDocumentControls() {
+        // Share links restore into the page's own scene, which embedded viewers don't use
+        const shareButton = this.getElement('scene-share');
+        if (shareButton) {
+            shareButton.hidden = !this.store;
+        }
+        this.addListener(shareButton, 'click', async () => {
+            const url = this.store.toUrl(this.toDocument());
+            try {
+                await navigator.clipboard.writeText(url);
+                this.setSceneStatus('Link copied to clipboard');
+            } catch (error) {
+                // Clipboard blocked (e.g. insecure origin): let the user copy it by hand
+                window.prompt('Copy this link to share the scene:', url);
+            }
         });
 
-        // Color control
-        const colorControl = document.getElementById('cube-color');
-        colorControl.addEventListener('input', (e) => {
-            const color = new THREE.Color(e.target.value);
-            this.cube.material.color = color;
+        const saveButton = this.getElement('scene-save');
+        this.addListener(saveButton, 'click', () => {
+            const json = JSON.stringify(this.toDocument(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'scene.json');
         });
 
-        // Wireframe control
-        const wireframeControl = document.getElementById('wireframe');
-        wireframeControl.addEventListener('change', (e) => {
-            this.wireframe.visible = e.target.checked;
+        const loadInput = this.getElement('scene-load');
+        this.addListener(loadInput, 'change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                let doc;
+                try {
+                    doc = JSON.parse(await file.text());
+                } catch (error) {
+                    throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+                }
+                this.applyDocument(doc);
+                if (this.store) {
+                    this.store.save(this.document);
+                }
+                this.setSceneStatus(`Loaded ${file.name}`);
+            } catch (error) {
+                console.error('❌ Failed to load scene:', error);
+                this.setSceneStatus(error.message, true);
+            }
         });
 
-        // Scale control
-        const scaleControl = document.getElementById('scale');
-        scaleControl.addEventListener('input', (e) => {
-            const scale = parseFloat(e.target.value);
-            this.cube.scale.set(scale, scale, scale);
+        const resetButton = this.getElement('scene-reset');
+        this.addListener(resetButton, 'click', () => {
+            if (this.store) {
+                this.store.clear();
+            }
+            this.applyDocument(this.defaultDocument);
+            this.setSceneStatus('Scene reset to defaults');
         });
     }
 
-    addMouseInteraction() {
-        const container = this.renderer.domElement;
-        
-        container.addEventListener('mousemove', (event) => {
-            this.mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-            this.mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
-            
-            this.targetRotationX = this.mouseY * 0.5;
-            this.targetRotationY = this.mouseX * 0.5;
+    setSceneStatus(message, isError = false) {
+        const status = this.getElement('scene-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        }
+    }
+
+    bindModelLoading() {
+        const fileInput = this.getElement('model-file');
+        this.addListener(fileInput, 'change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadModelFile(file);
+            }
+            // Allow picking the same file again
+            e.target.value = '';
         });
 
-        container.addEventListener('click', () => {
-            // Add a pulse effect on click
-            const originalScale = this.cube.scale.x;
-            this.cube.scale.set(originalScale * 1.2, originalScale * 1.2, originalScale * 1.2);
-            
-            setTimeout(() => {
-                this.cube.scale.set(originalScale, originalScale, originalScale);
-            }, 200);
+        const clearButton = this.getElement('model-clear');
+        this.addListener(clearButton, 'click', () => {
+            this.clearModels();
+            if (this.cube) {
+                this.cube.visible = true;
+            }
+            this.frameSubjects();
+            this.setModelStatus('');
+        });
+
+        // Drag-and-drop onto the whole view
+        const dropTarget = this.container.parentElement || this.container;
+        this.addListener(dropTarget, 'dragover', (e) => {
+            e.preventDefault();
+            dropTarget.classList.add('drop-active');
+        });
+        this.addListener(dropTarget, 'dragleave', (e) => {
+            if (!dropTarget.contains(e.relatedTarget)) {
+                dropTarget.classList.remove('drop-active');
+            }
+        });
+        this.addListener(dropTarget, 'drop', (e) => {
+            e.preventDefault();
+            dropTarget.classList.remove('drop-active');
+
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.loadModelFile(file);
+            }
         });
     }
 
-    animate() {
-        if (!this.isAnimating) return;
+    bindExportControls() {
+        const gltfButton = this.getElement('export-gltf');
+        this.addListener(gltfButton, 'click', () => this.exportModel(false));
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+        const glbButton = this.getElement('export-glb');
+        this.addListener(glbButton, 'click', () => this.exportModel(true));
 
-        const time = Date.now() * 0.001;
+        const screenshotButton = this.getElement('export-screenshot');
+        this.addListener(screenshotButton, 'click', () => {
+            const resolution = this.getElement('screenshot-resolution');
+            const transparent = this.getElement('screenshot-transparent');
+            const [width, height] = resolution && resolution.value
+                ? resolution.value.split('x').map(Number)
+                : [];
 
-        // Update controls
-        if (this.controls) {
-            this.controls.update();
+            this.exportScreenshot({
+                width,
+                height,
+                transparent: Boolean(transparent && transparent.checked)
+            });
+        });
+    }
+
+    /**
+     * Download the current scene as .gltf or .glb
+     * @param {boolean} binary
+     */
+    async exportModel(binary) {
+        try {
+            // Timeline transforms travel along as a glTF animation
+            const { clip, skipped } = createExportClip(this.timeline, target => this.resolveTimelineTarget(target));
+            const animations = clip.tracks.length > 0 ? [clip] : [];
+
+            const blob = await this.exporter.exportGLTF({ binary, animations });
+            downloadBlob(blob, binary ? 'scene.glb' : 'scene.gltf');
+            return { exported: clip.tracks.length, skipped: skipped.length };
+        } catch (error) {
+            console.error('❌ Failed to export scene:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Download a PNG screenshot
+     * @param {Object} options - See SceneExporter.captureScreenshot
+     */
+    async exportScreenshot(options) {
+        try {
+            const blob = await this.exporter.captureScreenshot(options);
+            downloadBlob(blob, `screenshot-${Date.now()}.png`);
+        } catch (error) {
+            console.error('❌ Failed to capture screenshot:', error);
         }
+    }
 
-        // Rotate cube with user-controlled speed
-        if (this.cube) {
-            this.cube.rotation.x += this.rotationSpeed;
-            this.cube.rotation.y += this.rotationSpeed;
-            
-            // Add subtle floating motion
-            this.cube.position.y = Math.sin(time * 0.5) * 0.3;
-            
-            // Smooth mouse interaction (only when not using orbit controls)
-            if (!this.controls.enabled) {
-                this.cube.rotation.x += (this.targetRotationX - this.cube.rotation.x) * 0.05;
-                this.cube.rotation.y += (this.targetRotationY - this.cube.rotation.y) * 0.05;
+    addCapturePanel() {
+        const container = this.getElement('capture-panel');
+        if (!container) return;
+
+        this.capturePanel = new CapturePanel(container, this.frameCapture, {
+            onCapture: settings => this.captureFrames(settings)
+        });
+    }
+
+    /**
+     * Render frames at a fixed timestep and download them as WebM or a PNG zip
+     * @param {Object} options - See FrameCapture.capture
+     */
+    async captureFrames(options) {
+        try {
+            const blob = await this.frameCapture.capture(options);
+            if (blob) {
+                const extension = options.format === 'png' ? 'zip' : 'webm';
+                downloadBlob(blob, `capture-${Date.now()}.${extension}`);
             }
+        } catch (error) {
+            console.error('❌ Failed to capture frames:', error);
         }
+    }
+
+    /**
+     * Load a local model file and add it to the scene
+     * @param {File} file
+     */
+    async loadModelFile(file) {
+        const keepCubeControl = this.getElement('model-keep-cube');
+        const replace = !(keepCubeControl && keepCubeControl.checked);
+
+        this.setModelStatus(`Loading ${file.name}… 0%`);
 
-        // Animate lights
-        if (this.lights) {
-            this.lights.forEach((light, index) => {
-                const angle = time * 0.5 + (index / this.lights.length) * Math.PI * 2;
-                light.position.x = Math.cos(angle) * 8;
-                light.position.y = Math.sin(angle) * 8;
-                light.intensity = 0.8 + Math.sin(time * 2 + index) * 0.3;
+        try {
+            const model = await this.modelLoader.load(file, (progress) => {
+                this.setModelStatus(`Loading ${file.name}… ${Math.round(progress * 100)}%`);
             });
+
+            // The scene may have been disposed while the file was loading
+            if (this.disposed) {
+                disposeObject(model);
+                return;
+            }
+
+            this.addModel(model, { replace });
+            this.setModelStatus(`Loaded ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to load model:', error);
+            this.setModelStatus(error.message, true);
         }
+    }
 
-        // Animate particles
-        if (this.particles) {
-            this.particles.rotation.x += 0.002;
-            this.particles.rotation.y += 0.002;
+    /**
+     * Add a parsed model next to (or instead of) the cube
+     * @param {THREE.Object3D} model
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=true] - Hide the cube and remove previous models
+     */
+    addModel(model, { replace = true } = {}) {
+        if (replace) {
+            this.clearModels();
+        }
+        if (this.cube) {
+            this.cube.visible = !replace;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        // Center the model inside a pivot so it rotates around its middle
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        model.position.sub(center);
+
+        const pivot = new THREE.Group();
+        pivot.userData.id = `model-${++this.modelCount}`;
+        pivot.name = model.name || pivot.userData.id;
+        pivot.userData.selectable = true;
+        pivot.add(model);
+
+        model.traverse((object) => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+
+        // Place the model after the existing subjects
+        const index = this.getSubjects().length;
+        pivot.userData.basePosition = new THREE.Vector3(index * MODEL_SPACING, 0, 0);
+        pivot.userData.baseScale = new THREE.Vector3().setScalar(MODEL_SIZE / (Math.max(size.x, size.y, size.z) || 1));
+        pivot.userData.wireframes = this.createModelWireframes(model);
+        pivot.position.copy(pivot.userData.basePosition);
+        this.applyScale(pivot);
+
+        this.scene.add(pivot);
+        this.models.push(pivot);
+
+        // Tracks recorded for this model's id can play again
+        this.timelinePlayer.rebuild();
+
+        this.frameSubjects();
+    }
+
+    /**
+     * Build edge overlays for every mesh of a model, matching the cube's wireframe
+     * @param {THREE.Object3D} model
+     * @returns {THREE.LineSegments[]}
+     */
+    createModelWireframes(model) {
+        const meshes = [];
+        model.traverse((object) => {
+            if (object.isMesh) {
+                meshes.push(object);
+            }
+        });
+
+        return meshes.map((mesh) => {
+            const lines = new THREE.LineSegments(
+                new THREE.EdgesGeometry(mesh.geometry, 30),
+                new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3 })
+            );
+            lines.visible = this.settings.wireframe;
+            mesh.add(lines);
+            return lines;
+        });
     }
 
-    pause() {
-        this.isAnimating = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    /**
+     * Remove and dispose every loaded model
+     */
+    clearModels() {
+        this.models.forEach((pivot) => {
+            this.scene.remove(pivot);
+            disposeObject(pivot);
+        });
+        this.models = [];
+
+        if (this.timelinePlayer) {
+            this.timelinePlayer.rebuild();
         }
     }
 
-    resume() {
-        this.isAnimating = true;
-        this.animate();
+    /**
+     * Objects affected by the rotation, scale and wireframe controls
+     * @returns {THREE.Object3D[]}
+     */
+    getSubjects() {
+        const subjects = this.cube && this.cube.visible ? [this.cube] : [];
+        return subjects.concat(this.models);
     }
 
-    onWindowResize() {
-        if (!this.camera || !this.renderer) return;
+    /**
+     * Scale a subject to its base scale (a Vector3) times the scale control and any running pulse
+     * @param {THREE.Object3D} subject
+     */
+    applyScale(subject) {
+        const base = subject.userData.baseScale;
+        if (base) {
+            subject.scale.copy(base);
+        } else {
+            subject.scale.set(1, 1, 1);
+        }
+        subject.scale.multiplyScalar(this.settings.scale * this.getPulseScale(subject));
+    }
 
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        
-        if (this.controls) {
-            this.controls.update();
+    getPulseScale(subject) {
+        return subject.userData.pulse > 0 ? PULSE_SCALE : 1;
+    }
+
+    setWireframeVisible(visible) {
+        if (this.wireframe) {
+            this.wireframe.visible = visible;
         }
+        this.models.forEach((pivot) => {
+            pivot.userData.wireframes.forEach(lines => lines.visible = visible);
+        });
     }
 
-    dispose() {
-        this.pause();
-        
-        if (this.controls) {
-            this.controls.dispose();
+    /**
+     * Move the camera and orbit target so all subjects are in view
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Ease into the new view
+     */
+    frameSubjects({ animate = true } = {}) {
+        this.cameraRig.frame(this.getSubjects(), { animate });
+    }
+
+    setModelStatus(message, isError = false) {
+        const status = this.getElement('model-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
         }
-        
-        if (this.renderer) {
-            this.renderer.dispose();
+    }
+
+    /**
+     * Bind the scene's actions; see DEFAULT_BINDINGS for the inputs that trigger them
+     */
+    addInput() {
+        this.input = new InputManager(this.renderer.domElement, { keyTarget: this.options.keyTarget });
+
+        // Only while this scene is shown; camera and gizmo actions only while
+        // orbiting (fly and first-person modes use the keyboard to move)
+        const bind = (action, handler, { orbitOnly = true } = {}) => {
+            this.input.on(action, (event) => {
+                if (!this.isAnimating || (orbitOnly && this.cameraRig.mode !== 'orbit')) return false;
+                return handler(event);
+            });
+        };
+
+        bind('frame-selection', () => this.frameSelection());
+        bind('reset-camera', () => this.resetCamera(), { orbitOnly: false });
+        bind('view-front', () => this.cameraRig.viewFrom('front', this.getSubjects()));
+        bind('view-side', () => this.cameraRig.viewFrom('side', this.getSubjects()));
+        bind('view-top', () => this.cameraRig.viewFrom('top', this.getSubjects()));
+        bind('toggle-projection', () => {
+            this.cameraRig.setProjection(this.cameraRig.projection === 'perspective' ? 'orthographic' : 'perspective');
+        });
+        bind('pulse', () => {
+            const selected = this.selection.getSelected();
+            (selected && this.getSubjects().includes(selected) ? [selected] : this.getSubjects())
+                .forEach(subject => this.pulse(subject));
+        });
+        bind('gizmo-translate', () => this.selection.setMode('translate'));
+        bind('gizmo-rotate', () => this.selection.setMode('rotate'));
+        bind('gizmo-scale', () => this.selection.setMode('scale'));
+        bind('gizmo-space', () => this.selection.toggleSpace());
+        bind('deselect', () => this.selection.clear());
+        bind('undo', () => this.history.undo(), { orbitOnly: false });
+        bind('redo', () => this.history.redo(), { orbitOnly: false });
+    }
+
+    addShortcutsPanel() {
+        const container = this.getElement('shortcuts-panel');
+        if (!container) return;
+
+        this.shortcutsPanel = new ShortcutsPanel(container, this.input);
+    }
+
+    /**
+     * Ease back to the camera view of the loaded document
+     */
+    resetCamera() {
+        if (this.cameraRig.mode !== 'orbit') {
+            this.cameraRig.setMode('orbit');
         }
-        
-        if (this.scene) {
-            this.scene.traverse((object) => {
-                if (object.geometry) {
-                    object.geometry.dispose();
+        this.cameraRig.moveTo({
+            position: new THREE.Vector3().fromArray(this.document.camera.position),
+            target: new THREE.Vector3().fromArray(this.document.camera.target)
+        });
+    }
+
+    addSelection() {
+        this.selection = new SelectionManager({
+            scene: this.scene,
+            camera: this.camera,
+            domElement: this.renderer.domElement,
+            orbitControls: this.controls
+        });
+
+        // Pulse subjects when they are picked
+        this.selection.addEventListener('select', ({ object }) => {
+            if (object && this.getSubjects().includes(object)) {
+                this.pulse(object);
+            }
+        });
+
+        // Gizmo edits become the object's new base transform
+        this.selection.addEventListener('change', ({ object }) => {
+            this.storeBaseTransform(object);
+            this.scheduleSave();
+        });
+
+        // Every gizmo drag is one history entry
+        let dragStart = null;
+        this.selection.addEventListener('dragging-changed', ({ value }) => {
+            const object = this.selection.getSelected();
+            if (!object) return;
+
+            if (value) {
+                dragStart = getTransform(object);
+                return;
+            }
+            if (!dragStart) return;
+
+            this.history.record(new ValueCommand({
+                label: `${GIZMO_LABELS[this.selection.transformControls.mode]} ${object.name || 'object'}`,
+                before: dragStart,
+                after: getTransform(object),
+                apply: (transform) => {
+                    setTransform(object, transform);
+                    this.storeBaseTransform(object);
+                    this.scheduleSave();
+                }
+            }));
+            dragStart = null;
+        });
+
+        // Picking and the gizmo only make sense while orbiting
+        this.cameraRig.addEventListener('change', () => {
+            this.selection.setEnabled(this.cameraRig.mode === 'orbit');
+        });
+    }
+
+    /**
+     * Make an object's current transform the one the scene animates around
+     * @param {THREE.Object3D} object
+     */
+    storeBaseTransform(object) {
+        if (object.userData.basePosition) {
+            object.userData.basePosition.copy(object.position);
+        }
+        // Divide out the scale control and a running pulse, keeping non-uniform gizmo scales
+        if (object.userData.baseScale) {
+            object.userData.baseScale
+                .copy(object.scale)
+                .divideScalar(this.settings.scale * this.getPulseScale(object));
+        }
+    }
+
+    addHistoryPanel() {
+        const container = this.getElement('history-panel');
+        if (!container) return;
+
+        this.historyPanel = new HistoryPanel(container, this.history);
+    }
+
+    addGeometryPanel() {
+        const container = this.getElement('geometry-panel');
+        if (!container) return;
+
+        this.geometryPanel = new GeometryPanel(container, {
+            onChange: (mesh, key, previous) => {
+                this.handleGeometryChange(mesh);
+                this.history.record(new ValueCommand({
+                    label: key === 'type' ? 'Shape' : `Geometry ${formatKey(key)}`,
+                    mergeKey: `geometry:${mesh.uuid}:${key}`,
+                    before: previous,
+                    after: mesh.userData.geometry,
+                    apply: (desc) => {
+                        SceneBuilder.setGeometry(mesh, desc);
+                        this.handleGeometryChange(mesh);
+                        if (this.geometryPanel.mesh === mesh) {
+                            this.geometryPanel.sync();
+                        }
+                    }
+                }));
+            }
+        });
+
+        this.selection.addEventListener('select', () => this.updateGeometryTarget());
+        this.updateGeometryTarget();
+    }
+
+    /**
+     * Resample particle emitters that emit from a reshaped mesh
+     * @param {THREE.Mesh} mesh
+     */
+    handleGeometryChange(mesh) {
+        this.particles.emitters
+            .filter(emitter => emitter.source === mesh)
+            .forEach(emitter => emitter.buildGeometry());
+        this.scheduleSave();
+    }
+
+    addShaderPanel() {
+        const container = this.getElement('shader-panel');
+        if (!container) return;
+
+        this.shaderPanel = new ShaderPanel(container, {
+            compile: (mesh, material) => compileShaderMaterial(this.renderer, this.scene, this.camera, mesh, material),
+            onChange: (mesh, key, previous) => {
+                if (key.startsWith('uniforms.')) {
+                    this.recordUniformChange(mesh, key.slice('uniforms.'.length), previous);
+                } else {
+                    this.handleShaderMaterialChange(mesh);
+                    this.history.record(new ValueCommand({
+                        label: key === 'material' ? 'Material Type' : 'Shader Source',
+                        mergeKey: key === 'source' ? `shader:${mesh.uuid}:source` : null,
+                        before: previous,
+                        after: SceneBuilder.serializeMaterial(mesh.material),
+                        apply: desc => this.setMeshMaterial(mesh, desc)
+                    }));
                 }
-                if (object.material) {
-                    if (Array.isArray(object.material)) {
-                        object.material.forEach(material => material.dispose());
-                    } else {
-                        object.material.dispose();
+                this.scheduleSave();
+            }
+        });
+
+        this.selection.addEventListener('select', () => this.updateShaderTarget());
+        this.updateShaderTarget();
+    }
+
+    /**
+     * Record a shader uniform edit for undo (textures are not kept)
+     * @param {THREE.Mesh} mesh
+     * @param {string} name
+     * @param {*} previous
+     */
+    recordUniformChange(mesh, name, previous) {
+        if (previous === undefined) return;
+
+        const read = () => {
+            const { value } = mesh.material.uniforms[name];
+            return value.isColor ? `#${value.getHexString()}` : value;
+        };
+        this.history.record(new ValueCommand({
+            label: `Uniform ${name}`,
+            mergeKey: `uniform:${mesh.uuid}:${name}`,
+            before: previous,
+            after: read(),
+            apply: (value) => {
+                // The shader may have been recompiled without this uniform since
+                const uniform = mesh.material.uniforms ? mesh.material.uniforms[name] : null;
+                if (!uniform) return;
+
+                if (uniform.value.isColor) {
+                    uniform.value.set(value);
+                } else {
+                    uniform.value = value;
+                }
+                if (this.shaderPanel) {
+                    this.shaderPanel.syncUniform(name);
+                }
+                this.scheduleSave();
+            }
+        }));
+    }
+
+    /**
+     * Give a mesh a material from its description (undo/redo of shader edits)
+     * Textures of sampler2D uniforms carry over between shaders.
+     * @param {THREE.Mesh} mesh
+     * @param {Object} desc - Material description
+     */
+    setMeshMaterial(mesh, desc) {
+        const material = desc.type === 'shader'
+            ? createShaderMaterial(desc, mesh.material.isShaderMaterial ? mesh.material : null)
+            : SceneBuilder.buildMaterial(desc);
+        replaceMaterial(mesh, material);
+
+        this.handleShaderMaterialChange(mesh);
+        if (this.shaderPanel && this.shaderPanel.mesh === mesh) {
+            this.shaderPanel.sync();
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Point the other panels at a mesh's new material
+     * @param {THREE.Mesh} mesh
+     */
+    handleShaderMaterialChange(mesh) {
+        if (mesh === this.cube && this.cube.material.color) {
+            this.settings.color = `#${this.cube.material.color.getHexString()}`;
+            this.syncControlInputs();
+        }
+        this.updateMaterialTarget();
+    }
+
+    /**
+     * Point the shader panel at the selected document mesh, or the cube
+     */
+    updateShaderTarget() {
+        if (!this.shaderPanel) return;
+
+        const selected = this.selection ? this.selection.getSelected() : null;
+        this.shaderPanel.setMesh(selected || this.cube);
+    }
+
+    /**
+     * Feed the built-in uniforms of custom shaders on document meshes
+     * @param {number} time - Scene time in seconds
+     */
+    updateShaderUniforms(time) {
+        this.renderer.getDrawingBufferSize(this.shaderResolution);
+
+        this.content.objects.forEach((object) => {
+            const { material } = object;
+            if (!material.isShaderMaterial) return;
+
+            material.uniforms.time.value = time;
+            material.uniforms.resolution.value.copy(this.shaderResolution);
+            material.uniforms.mouse.value.copy(this.shaderMouse);
+        });
+    }
+
+    /**
+     * Track the pointer in drawing buffer pixels, origin bottom left like gl_FragCoord
+     * @param {PointerEvent} event
+     */
+    onShaderPointerMove(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        this.renderer.getDrawingBufferSize(this.shaderResolution);
+        this.shaderMouse.set(
+            ((event.clientX - rect.left) / rect.width) * this.shaderResolution.x,
+            (1 - (event.clientY - rect.top) / rect.height) * this.shaderResolution.y
+        );
+    }
+
+    addMaterialPanel() {
+        const container = this.getElement('material-panel');
+        if (!container) return;
+
+        this.materialPanel = new MaterialPanel(container, {
+            onChange: (key, material, previous) => {
+                this.handleMaterialChange(key, material);
+
+                // Texture maps are not kept for undo
+                if (previous === undefined) return;
+
+                // The mesh may get a new material (custom shader) before this is undone
+                const owner = this.materialOwner;
+                const isPreset = key === 'preset';
+                const properties = getMaterialProperties(material);
+                this.history.record(new ValueCommand({
+                    label: isPreset ? 'Material Preset' : `Material ${formatKey(key)}`,
+                    mergeKey: isPreset ? null : `material:${material.uuid}:${key}`,
+                    before: previous,
+                    after: isPreset ? properties : properties[key],
+                    apply: (value) => {
+                        const target = owner.material;
+                        if (!target.isMeshPhysicalMaterial) return;
+
+                        if (isPreset) {
+                            setMaterialProperties(target, value);
+                        } else {
+                            setMaterialProperty(target, key, value);
+                        }
+                        this.handleMaterialChange(key, target);
+                        this.materialPanel.sync();
+                    }
+                }));
+            }
+        });
+
+        this.selection.addEventListener('select', () => this.updateMaterialTarget());
+        this.updateMaterialTarget();
+    }
+
+    /**
+     * Keep the quick color control in step with the cube's material
+     * @param {string} key - Edited property ('preset' for all of them)
+     * @param {THREE.Material} material
+     */
+    handleMaterialChange(key, material) {
+        if ((key === 'color' || key === 'preset') && this.cube && material === this.cube.material) {
+            this.settings.color = `#${material.color.getHexString()}`;
+            this.syncControlInputs();
+        }
+        this.scheduleSave();
+    }
+
+    addEnvironmentPanel() {
+        const container = this.getElement('environment-panel');
+        if (!container) return;
+
+        this.environmentPanel = new EnvironmentPanel(container, this.environment, {
+            onChange: (key, previous) => {
+                this.scheduleSave();
+                this.history.record(new ValueCommand({
+                    label: `Environment ${formatKey(key)}`,
+                    mergeKey: `environment:${key}`,
+                    before: previous,
+                    after: this.environment.settings[key],
+                    apply: (value) => {
+                        this.environment.set(key, value);
+                        this.environmentPanel.sync();
+                        this.scheduleSave();
+                    }
+                }));
+            }
+        });
+    }
+
+    addLightRig() {
+        this.lightRig = new LightRig(this.scene);
+
+        this.lightRig.addEventListener('change', (event) => {
+            // Shadow casting and map sizes are scaled by the current quality level
+            if (event.key === 'lights' || event.key === 'castShadow' || event.key === 'shadowMapSize') {
+                this.applyQuality(this.quality);
+            }
+            this.scheduleSave();
+            this.recordLightChange(event);
+        });
+    }
+
+    /**
+     * Record a LightRig 'change' event for undo
+     * @param {Object} event
+     */
+    recordLightChange({ key, light, previous, index, removed }) {
+        const rig = this.lightRig;
+        const syncPanel = () => {
+            if (this.lightPanel) {
+                this.lightPanel.sync();
+            }
+        };
+
+        if (key === 'lights') {
+            const add = () => rig.insertLight(light, index);
+            const remove = () => rig.removeLight(light);
+            this.history.record({
+                label: `${removed ? 'Remove' : 'Add'} ${formatKey(rig.describe(light).type)} Light`,
+                undo: () => {
+                    (removed ? add : remove)();
+                    syncPanel();
+                },
+                redo: () => {
+                    (removed ? remove : add)();
+                    syncPanel();
+                }
+            });
+            return;
+        }
+
+        this.history.record(new ValueCommand({
+            label: `Light ${formatKey(key)}`,
+            mergeKey: `light:${light.uuid}:${key}`,
+            before: previous,
+            after: rig.describe(light)[key],
+            apply: (value) => {
+                rig.set(light, key, value);
+                syncPanel();
+            }
+        }));
+    }
+
+    addLightPanel() {
+        const container = this.getElement('light-panel');
+        if (!container) return;
+
+        this.lightPanel = new LightPanel(container, this.lightRig);
+    }
+
+    addPostProcessingPanel() {
+        const container = this.getElement('postprocessing-panel');
+        if (!container) return;
+
+        this.postProcessingPanel = new PostProcessingPanel(container, this.postProcessing, {
+            onChange: (id, key, previous) => {
+                this.scheduleSave();
+                this.history.record(new ValueCommand({
+                    label: `${this.postProcessing.getEffect(id).label} ${key === 'enabled' ? 'On/Off' : formatKey(key)}`,
+                    mergeKey: `effect:${id}:${key}`,
+                    before: previous,
+                    after: this.postProcessing.getSettings()[id][key],
+                    apply: (value) => {
+                        if (key === 'enabled') {
+                            this.postProcessing.setEnabled(id, value);
+                        } else {
+                            this.postProcessing.setParam(id, key, value);
+                        }
+                        this.postProcessingPanel.sync();
+                        this.scheduleSave();
                     }
+                }));
+            }
+        });
+    }
+
+    addParticlePanel() {
+        const container = this.getElement('particle-panel');
+        if (!container) return;
+
+        this.particlePanel = new ParticlePanel(container, this.particles, {
+            getMeshIds: () => Array.from(this.content.objects.keys()),
+            onChange: (key, change) => {
+                // New emitters start at full quality; scale them to the current level
+                if (key === 'emitters' && this.quality) {
+                    this.applyQuality(this.quality);
+                }
+                this.scheduleSave();
+                this.recordParticleChange(key, change);
+            }
+        });
+    }
+
+    /**
+     * Record a particle panel edit for undo
+     * Emitters are found by id, since removing and restoring one creates a new emitter.
+     * @param {string} key
+     * @param {Object} change - See ParticlePanel
+     */
+    recordParticleChange(key, { emitter, previous, index, removed }) {
+        const settings = emitter.getSettings();
+        const { id } = settings;
+        const refresh = () => {
+            if (this.quality) {
+                this.applyQuality(this.quality);
+            }
+            this.particlePanel.sync();
+            this.scheduleSave();
+        };
+
+        if (key === 'emitters') {
+            const add = () => this.particles.addEmitter(settings, index);
+            const remove = () => {
+                const current = this.particles.getEmitter(id);
+                if (current) {
+                    this.particles.removeEmitter(current);
+                }
+            };
+            this.history.record({
+                label: `${removed ? 'Remove' : 'Add'} Emitter ${id}`,
+                undo: () => {
+                    (removed ? add : remove)();
+                    refresh();
+                },
+                redo: () => {
+                    (removed ? remove : add)();
+                    refresh();
                 }
             });
+            return;
+        }
+
+        this.history.record(new ValueCommand({
+            label: `Emitter ${id} ${formatKey(key)}`,
+            mergeKey: `emitter:${id}:${key}`,
+            before: previous,
+            after: settings[key],
+            apply: (value) => {
+                const current = this.particles.getEmitter(id);
+                if (current) {
+                    current.set(key, value);
+                }
+                refresh();
+            }
+        }));
+    }
+
+    addTimelinePlayer() {
+        this.timelinePlayer = new TimelinePlayer({
+            resolve: target => this.resolveTimelineTarget(target)
+        });
+
+        // Camera tracks move the camera; point it at the (possibly animated) orbit target
+        this.timelinePlayer.addEventListener('evaluate', () => {
+            const animatesTarget = this.timeline.hasTarget('camera-target');
+            if (animatesTarget) {
+                this.controls.target.copy(this.cameraTarget.position);
+            }
+            if (animatesTarget || this.timeline.hasTarget('camera')) {
+                this.camera.lookAt(this.controls.target);
+            }
+        });
+    }
+
+    /**
+     * Replace the timeline (from a document or an imported file)
+     * @param {Timeline} timeline
+     */
+    setTimeline(timeline) {
+        this.timeline = timeline;
+        this.timeline.addEventListener('change', () => this.scheduleSave());
+        this.timelinePlayer.setTimeline(timeline);
+    }
+
+    /**
+     * Find the object a timeline track animates
+     * @param {string} target - Object or model id, `light:<index>`, `camera` or `camera-target`
+     * @returns {THREE.Object3D|null}
+     */
+    resolveTimelineTarget(target) {
+        if (target === 'camera') return this.camera;
+        if (target === 'camera-target') return this.cameraTarget;
+        if (!this.content) return null;
+
+        const light = /^light:(\d+)$/.exec(target);
+        if (light) {
+            return this.content.lights[Number(light[1])] || null;
+        }
+
+        // Tracks imported from glTF use node names
+        return this.content.objects.get(target)
+            || this.models.find(pivot => pivot.userData.id === target || pivot.name === target)
+            || null;
+    }
+
+    addTimelinePanel() {
+        const container = this.getElement('timeline-panel');
+        if (!container) return;
+
+        this.timelinePanel = new TimelinePanel(container, this.timelinePlayer, {
+            onKey: kind => this.recordKeyframes(kind),
+            onExport: format => this.exportTimeline(format),
+            onImport: file => this.importTimelineFile(file)
+        });
+    }
+
+    /**
+     * Record the current state as keyframes at the playhead
+     * @param {'selection'|'camera'|'lights'} kind
+     */
+    recordKeyframes(kind) {
+        const time = this.timelinePlayer.time;
+        let message;
+
+        if (kind === 'selection') {
+            const object = this.selection.getSelected() || this.cube;
+            const id = object && object.userData.id;
+            if (!id) {
+                this.setTimelineStatus('Select an object to add a keyframe', true);
+                return;
+            }
+
+            this.timeline.setKeyframe(id, 'position', time, object.position.toArray());
+            this.timeline.setKeyframe(id, 'quaternion', time, object.quaternion.toArray());
+            this.timeline.setKeyframe(id, 'scale', time, object.scale.toArray());
+            if (getBindingPath('color', object)) {
+                this.timeline.setKeyframe(id, 'color', time, object.material.color.toArray());
+            }
+            message = `Keyed ${id}`;
+        } else if (kind === 'camera') {
+            const pose = this.cameraRig.getPose();
+            this.timeline.setKeyframe('camera', 'position', time, pose.position.toArray());
+            this.timeline.setKeyframe('camera-target', 'position', time, pose.target.toArray());
+            message = 'Keyed camera';
+        } else {
+            this.content.lights.forEach((light, index) => {
+                this.timeline.setKeyframe(`light:${index}`, 'intensity', time, [light.intensity]);
+            });
+            message = `Keyed ${this.content.lights.length} lights`;
+        }
+
+        this.setTimelineStatus(`${message} at ${time.toFixed(2)}s`);
+    }
+
+    /**
+     * Download the timeline as JSON, or the scene with the timeline as a GLB animation
+     * @param {'json'|'glb'} format
+     */
+    async exportTimeline(format) {
+        if (format === 'json') {
+            const json = JSON.stringify(this.timeline.toJSON(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'timeline.json');
+            return;
+        }
+
+        const result = await this.exportModel(true);
+        if (!result) {
+            this.setTimelineStatus('Export failed', true);
+        } else if (result.skipped > 0) {
+            // glTF only stores node transforms
+            this.setTimelineStatus(`Exported ${result.exported} tracks; ${result.skipped} color, intensity or camera tracks are JSON-only`);
+        } else {
+            this.setTimelineStatus(`Exported ${result.exported} tracks`);
+        }
+    }
+
+    /**
+     * Load a timeline from JSON, or from the first animation clip of a glTF file
+     * @param {File} file
+     */
+    async importTimelineFile(file) {
+        try {
+            const extension = ModelLoader.getExtension(file.name);
+            let timeline;
+
+            if (extension === 'json') {
+                let json;
+                try {
+                    json = JSON.parse(await file.text());
+                } catch (error) {
+                    throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+                }
+                timeline = Timeline.fromJSON(json);
+            } else if (extension === 'glb' || extension === 'gltf') {
+                let gltf;
+                try {
+                    gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+                } catch (error) {
+                    throw new Error(`${file.name} is not a valid ${extension.toUpperCase()} file: ${error.message}`);
+                }
+                if (gltf.animations.length === 0) {
+                    throw new Error(`${file.name} does not contain any animations`);
+                }
+                timeline = Timeline.fromAnimationClip(gltf.animations[0]);
+            } else {
+                throw new Error(`${file.name} is not a timeline (.json) or glTF (.glb, .gltf) file`);
+            }
+
+            this.setTimeline(timeline);
+            this.scheduleSave();
+
+            const missing = this.timelinePlayer.skipped.length;
+            this.setTimelineStatus(missing > 0
+                ? `Loaded ${file.name}; ${missing} tracks have no matching object`
+                : `Loaded ${file.name}`);
+        } catch (error) {
+            console.error('❌ Failed to import timeline:', error);
+            this.setTimelineStatus(error.message, true);
+        }
+    }
+
+    setTimelineStatus(message, isError = false) {
+        if (this.timelinePanel) {
+            this.timelinePanel.setStatus(message, isError);
+        }
+    }
+
+    /**
+     * Point the geometry panel at the selected document mesh, or the cube
+     */
+    updateGeometryTarget() {
+        if (!this.geometryPanel) return;
+
+        const selected = this.selection ? this.selection.getSelected() : null;
+        this.geometryPanel.setMesh(selected || this.cube);
+    }
+
+    /**
+     * Point the material panel at the selected mesh, or the cube when nothing is selected
+     */
+    updateMaterialTarget() {
+        if (!this.materialPanel) return;
+
+        const selected = this.selection ? this.selection.getSelected() : null;
+        let owner = null;
+
+        if (selected) {
+            selected.traverse((object) => {
+                if (!owner && object.isMesh && object.material && object.material.isMeshPhysicalMaterial) {
+                    owner = object;
+                }
+            });
+        } else if (this.cube) {
+            owner = this.cube;
+        }
+
+        // Mesh whose material is being edited
+        this.materialOwner = owner;
+        this.materialPanel.setMaterial(owner ? owner.material : null);
+    }
+
+    /**
+     * Briefly enlarge an object
+     * @param {THREE.Object3D} object
+     */
+    pulse(object) {
+        object.userData.pulse = PULSE_DURATION;
+        this.applyScale(object);
+    }
+
+    update(dt) {
+        const time = this.time;
+
+        // Gamepad buttons, then orbiting with the arrow keys or right stick (in real time)
+        this.input.update();
+        const orbit = this.input.getAxis('orbit', this.orbitAxis);
+        if (orbit.lengthSq() > 0 && !this.selection.isDragging) {
+            const step = ORBIT_SPEED * this.clock.realDelta;
+            this.cameraRig.orbitBy(orbit.x * step, orbit.y * step);
+        }
+
+        // Camera transitions and navigation run in real time, even while paused
+        this.cameraRig.update(this.clock.realDelta);
+
+        // Rotate cube (and loaded models) with user-controlled speed
+        const selected = this.selection.getSelected();
+        this.getSubjects().forEach((subject) => {
+            if (subject.userData.pulse > 0) {
+                subject.userData.pulse -= dt;
+                if (subject.userData.pulse <= 0) {
+                    this.applyScale(subject);
+                }
+            }
+
+            // Leave the object being edited with the gizmo alone
+            if (subject === selected) return;
+
+            subject.rotation.x += this.settings.rotationSpeed * dt;
+            subject.rotation.y += this.settings.rotationSpeed * dt;
+            
+            // Add subtle floating motion
+            subject.position.y = subject.userData.basePosition.y + Math.sin(time * 0.5) * 0.3;
+        });
+
+        // Light animation patterns (orbit, pulse)
+        this.lightRig.update(time);
+
+        // Particles are simulated on the GPU from the scene time
+        this.particles.update(time);
+
+        // time, resolution and mouse of custom shaders
+        this.updateShaderUniforms(time);
+
+        // Keyframed values win over the procedural motion above
+        this.timelinePlayer.update(dt);
+
+        // Keep selection outlines on moving objects
+        this.selection.update();
+    }
+
+    onWindowResize() {
+        super.onWindowResize();
+        
+        // Orbit controls are disabled in fly and first-person modes and must not move the camera
+        if (this.controls && this.controls.enabled) {
+            this.controls.update();
+        }
+    }
+
+    onContextLost() {
+        // Frames rendered without a context would come out blank
+        if (this.frameCapture) {
+            this.frameCapture.cancel();
+        }
+    }
+
+    onContextRestored() {
+        // The prefiltered environment map only existed on the GPU
+        if (this.environment) {
+            this.environment.bake();
+        }
+    }
+
+    teardown() {
+        clearTimeout(this.saveTimer);
+
+        if (this.frameCapture) {
+            this.frameCapture.cancel();
+            this.frameCapture = null;
+        }
+        if (this.capturePanel) {
+            this.capturePanel.dispose();
+            this.capturePanel = null;
+        }
+        this.clearModels();
+
+        if (this.selection) {
+            this.selection.dispose();
+            this.selection = null;
+        }
+
+        if (this.shortcutsPanel) {
+            this.shortcutsPanel.dispose();
+            this.shortcutsPanel = null;
+        }
+
+        if (this.historyPanel) {
+            this.historyPanel.dispose();
+            this.historyPanel = null;
+        }
+
+        if (this.history) {
+            this.history.clear();
+            this.history = null;
+        }
+
+        if (this.input) {
+            this.input.dispose();
+            this.input = null;
+        }
+
+        if (this.geometryPanel) {
+            this.geometryPanel.dispose();
+            this.geometryPanel = null;
+        }
+        if (this.shaderPanel) {
+            this.shaderPanel.dispose();
+            this.shaderPanel = null;
+        }
+        if (this.materialPanel) {
+            this.materialPanel.dispose();
+            this.materialPanel = null;
+        }
+
+        if (this.environmentPanel) {
+            this.environmentPanel.dispose();
+            this.environmentPanel = null;
+        }
+
+        if (this.postProcessingPanel) {
+            this.postProcessingPanel.dispose();
+            this.postProcessingPanel = null;
+        }
+
+        if (this.particlePanel) {
+            this.particlePanel.dispose();
+            this.particlePanel = null;
+        }
+
+        if (this.timelinePanel) {
+            this.timelinePanel.dispose();
+            this.timelinePanel = null;
+        }
+
+        if (this.timelinePlayer) {
+            this.timelinePlayer.dispose();
+            this.timelinePlayer = null;
+        }
+
+        if (this.lightPanel) {
+            this.lightPanel.dispose();
+            this.lightPanel = null;
+        }
+
+        if (this.lightRig) {
+            this.lightRig.dispose();
+            this.lightRig = null;
+        }
+
+        if (this.environment) {
+            this.environment.dispose();
+            this.environment = null;
+        }
+
+        if (this.cameraPanel) {
+            this.cameraPanel.dispose();
+            this.cameraPanel = null;
+        }
+
+        if (this.cameraRig) {
+            this.cameraRig.dispose();
+            this.cameraRig = null;
+        }
+
+        if (this.controls) {
+            this.controls.dispose();
+            this.controls = null;
         }
     }
 }
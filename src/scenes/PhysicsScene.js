@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { SceneBase } from './SceneBase.js';
+import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+import { PhysicsPanel } from '../ui/PhysicsPanel.js';
+import { disposeMaterial } from '../utils/dispose.js';
+import { createRandom } from '../utils/random.js';
+import { PHYSICS_SCENE_DOCUMENT } from '../document/defaults.js';
+
+const BODY_COLORS = ['#6366f1', '#8b5cf6', '#06b6d4', '#10b981', '#f59e0b', '#ef4444'];
+const CLICK_TOLERANCE = 4; // Pixels the pointer may move and still count as a click
+const SPAWN_HEIGHT = 6;
+const SHADOW_EXTENT = 15; // Half size of the area the directional light casts shadows in
+
+/**
+ * PhysicsScene Class
+ * Boxes and spheres on a ground plane, simulated by a PhysicsWorld:
+ * - Clicking the ground (or the sky) drops a random box or sphere
+ * - Dragging a body carries it around; letting go mid-drag throws it
+ * - Gravity, restitution and friction controls and a reset button
+ * The simulation runs in fixed steps of scene time, so it pauses and steps
+ * with the clock. Spawns use a seeded random generator and are reproducible.
+ * Content is built from PHYSICS_SCENE_DOCUMENT (src/document/defaults.js)
+ */
+export class PhysicsScene extends SceneBase {
+    /**
+     * @param {Object} [options] - See SceneBase, plus:
+     * @param {number} [options.seed=1] - Seed for spawned shapes, sizes and colors
+     */
+    constructor(options = {}) {
+        super({
+            background: 0x0b0d17,
+            seed: 1,
+            ...options
+        });
+        this.controls = null;
+        this.world = null;
+        this.panel = null;
+
+        // Record -> mesh mirroring the body
+        this.meshes = new Map();
+        this.random = createRandom(this.options.seed);
+
+        // Unit geometries shared by every body, scaled per mesh
+        this.geometries = {
+            box: new THREE.BoxGeometry(1, 1, 1),
+            sphere: new THREE.SphereGeometry(1, 32, 16)
+        };
+
+        // Pointer state
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.dragPlane = new THREE.Plane();
+        this.pointerDown = null;
+        this.dragPointerId = null;
+    }
+
+    setup() {
+        this.addOrbitControls();
+        this.buildFromDocument(this.options.sceneDocument || PHYSICS_SCENE_DOCUMENT, this.controls);
+        this.fitShadows();
+
+        this.world = new PhysicsWorld();
+        this.world.addEventListener('add', ({ record }) => this.addMesh(record));
+        this.world.addEventListener('remove', ({ record }) => this.removeMesh(record));
+        this.spawnStack();
+
+        this.bindPointer();
+        this.addPanel();
+    }
+
+    addOrbitControls() {
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.maxDistance = 40;
+        this.controls.minDistance = 3;
+        // Stay above the ground
+        this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+    }
+
+    /**
+     * Cover the middle of the ground with the directional light's shadow camera
+     */
+    fitShadows() {
+        this.content.lights.forEach((light) => {
+            if (!light.isDirectionalLight) return;
+
+            const camera = light.shadow.camera;
+            camera.left = -SHADOW_EXTENT;
+            camera.right = SHADOW_EXTENT;
+            camera.top = SHADOW_EXTENT;
+            camera.bottom = -SHADOW_EXTENT;
+            camera.far = 60;
+            camera.updateProjectionMatrix();
+            light.shadow.bias = -0.0005;
+        });
+    }
+
+    addPanel() {
+        const container = this.getElement('physics-panel');
+        if (!container) return;
+
+        this.panel = new PhysicsPanel(container, this.world, {
+            onReset: () => this.reset()
+        });
+    }
+
+    /**
+     * Remove every body and rebuild the starting stack
+     */
+    reset() {
+        this.world.clear();
+        this.random = createRandom(this.options.seed);
+        this.spawnStack();
+    }
+
+    /**
+     * A small pyramid of boxes to knock over
+     */
+    spawnStack() {
+        const size = 1;
+        const rows = 4;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < rows - row; column++) {
+                const x = (column - (rows - row - 1) / 2) * size * 1.02;
+                this.world.spawn({
+                    shape: 'box',
+                    size: [size, size, size],
+                    position: [x, size / 2 + row * size, 0]
+                });
+            }
+        }
+    }
+
+    /**
+     * Drop a random box or sphere above a point on the ground
+     * @param {THREE.Vector3} point
+     * @returns {Object} The body record
+     */
+    spawnAt(point) {
+        const random = this.random;
+        const euler = new THREE.Euler(random() * Math.PI, random() * Math.PI, random() * Math.PI);
+        const quaternion = new THREE.Quaternion().setFromEuler(euler);
+
+        const shape = random() < 0.5 ? 'box' : 'sphere';
+        const size = shape === 'box'
+            ? [0.5 + random(), 0.5 + random(), 0.5 + random()]
+            : 0.3 + random() * 0.5;
+
+        return this.world.spawn({
+            shape,
+            size,
+            position: [point.x, SPAWN_HEIGHT, point.z],
+            quaternion: quaternion.toArray()
+        });
+    }
+
+    addMesh(record) {
+        const color = BODY_COLORS[Math.floor(this.random() * BODY_COLORS.length)];
+        const mesh = new THREE.Mesh(
+            this.geometries[record.shape],
+            new THREE.MeshStandardMaterial({ color, roughness: 0.4, metalness: 0.1 })
+        );
+        if (record.shape === 'box') {
+            mesh.scale.fromArray(record.size);
+        } else {
+            mesh.scale.setScalar(record.size);
+        }
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.body = record;
+        this.syncMesh(record, mesh);
+
+        this.meshes.set(record, mesh);
+        this.scene.add(mesh);
+    }
+
+    removeMesh(record) {
+        const mesh = this.meshes.get(record);
+        if (!mesh) return;
+
+        // Geometries are shared, only the material belongs to the mesh
+        this.scene.remove(mesh);
+        disposeMaterial(mesh.material);
+        this.meshes.delete(record);
+    }
+
+    syncMesh({ body }, mesh) {
+        mesh.position.copy(body.position);
+        mesh.quaternion.copy(body.quaternion);
+    }
+
+    bindPointer() {
+        const canvas = this.renderer.domElement;
+        // Capture phase: decide before OrbitControls whether this press grabs a body
+        this.addListener(canvas, 'pointerdown', event => this.onPointerDown(event), true);
+        this.addListener(canvas, 'pointermove', event => this.onPointerMove(event));
+        this.addListener(canvas, 'pointerup', event => this.onPointerUp(event));
+        this.addListener(canvas, 'pointercancel', event => this.onPointerUp(event));
+    }
+
+    /**
+     * Point the raycaster through a pointer event
+     * @param {PointerEvent} event
+     */
+    setRay(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+    }
+
+    onPointerDown(event) {
+        if (event.button !== 0 || this.dragPointerId !== null) return;
+
+        this.setRay(event);
+        const [hit] = this.raycaster.intersectObjects(Array.from(this.meshes.values()), false);
+        if (!hit) {
+            this.pointerDown = { x: event.clientX, y: event.clientY };
+            return;
+        }
+
+        // Drag on a camera-facing plane through the grabbed point
+        this.dragPlane.setFromNormalAndCoplanarPoint(
+            this.camera.getWorldDirection(new THREE.Vector3()).negate(),
+            hit.point
+        );
+        this.world.grab(hit.object.userData.body, hit.point.toArray());
+        this.dragPointerId = event.pointerId;
+        this.controls.enabled = false;
+        this.renderer.domElement.setPointerCapture(event.pointerId);
+    }
+
+    onPointerMove(event) {
+        if (event.pointerId !== this.dragPointerId) return;
+
+        this.setRay(event);
+        const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+        if (point) {
+            // Keep the held point above the ground
+            point.y = Math.max(point.y, 0.1);
+            this.world.moveGrab(point.toArray());
+        }
+    }
+
+    onPointerUp(event) {
+        if (event.pointerId === this.dragPointerId) {
+            this.world.release();
+            this.dragPointerId = null;
+            this.controls.enabled = true;
+            return;
+        }
+
+        const down = this.pointerDown;
+        this.pointerDown = null;
+        if (!down || event.type === 'pointercancel') return;
+        if (Math.hypot(event.clientX - down.x, event.clientY - down.y) > CLICK_TOLERANCE) return;
+
+        // A click (not an orbit drag): drop a body where the ray meets the ground
+        this.setRay(event);
+        const point = this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+        this.spawnAt(point || new THREE.Vector3());
+    }
+
+    /**
+     * Advance the simulation and move the meshes to their bodies
+     * @param {number} dt - Seconds since the previous frame
+     */
+    update(dt) {
+        this.world.step(dt);
+        this.meshes.forEach((mesh, record) => this.syncMesh(record, mesh));
+        this.controls.update();
+    }
+
+    teardown() {
+        if (this.panel) {
+            this.panel.dispose();
+            this.panel = null;
+        }
+        if (this.world) {
+            this.world.dispose();
+            this.world = null;
+        }
+        if (this.controls) {
+            this.controls.dispose();
+            this.controls = null;
+        }
+        Object.values(this.geometries).forEach(geometry => geometry.dispose());
+    }
+}
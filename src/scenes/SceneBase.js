@@ -0,0 +1,567 @@
+import * as THREE from 'three';
+import { sharedClock } from '../core/Clock.js';
+import { disposeObject } from '../utils/dispose.js';
+import { validateSceneDocument } from '../document/SceneDocument.js';
+import { SceneBuilder } from '../document/SceneBuilder.js';
+import { PostProcessingPipeline } from '../postprocessing/PostProcessingPipeline.js';
+import { setCameraAspect } from '../camera/projection.js';
+import { limitQuality } from '../performance/capabilities.js';
+
+/**
+ * SceneBase Class
+ * Shared lifecycle for every scene:
+ * - Creates the scene, perspective camera and WebGL renderer
+ * - Subscribes to the shared Clock for frame-rate independent updates
+ * - Keeps its own scene time, frozen while the scene is paused
+ * - Sizes itself to its container (ResizeObserver) and the device pixel ratio
+ * - Builds its content from a scene document (see src/document)
+ * - Optional post-processing pipeline (enablePostProcessing)
+ * - Quality settings for adaptive scaling (applyQuality), capped by a capability tier
+ * - Survives WebGL context loss: stops rendering, then rebuilds and resumes on restore
+ * - Disposes geometries, materials, listeners and the renderer
+ * - Reports its lifecycle on an optional EventBus ('scene:init', 'beforeRender',
+ *   'afterRender', 'resize', 'contextlost', 'contextrestored', 'dispose')
+ *
+ * Subclasses only define their content through the hooks:
+ * - setup()      - add objects, lights, controls
+ * - update(dt)   - advance the scene by dt seconds (called every frame)
+ * - teardown()   - release anything setup() created outside the scene graph
+ * - onContextLost() / onContextRestored() - react to WebGL context loss, e.g.
+ *   re-render content that only existed on the GPU (render targets)
+ */
+export class SceneBase {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.background=0x0a0a0f] - Scene background color
+     * @param {number} [options.fov=75] - Camera field of view
+     * @param {number} [options.cameraZ=5] - Initial camera distance from origin
+     * @param {number} [options.maxPixelRatio=2] - Upper bound for the renderer pixel ratio
+     * @param {Clock} [options.clock=sharedClock] - Time source driving update() and render()
+     * @param {THREE.WebGLRenderer} [options.renderer] - Use this renderer instead of creating one
+     *   (e.g. a StubRenderer in tests); it is still disposed with the scene
+     * @param {Document|HTMLElement|null} [options.uiRoot=document] - Where control panel elements
+     *   are looked up by id; null runs the scene without panels
+     * @param {EventTarget} [options.keyTarget=window] - Where keyboard shortcuts are read from
+     *   (e.g. an embedded viewer element, so several scenes on a page don't share keys)
+     * @param {Object} [options.sceneDocument] - Scene document to build instead of the scene's default
+     * @param {string} [options.id] - Registered id (e.g. 'enhanced'); names the scene in events
+     *   and finds its control panel (`[data-scene-controls="<id>"]`)
+     * @param {EventBus} [options.events] - Bus to report lifecycle events on
+     * @param {Object} [options.tier] - Capability tier (see src/performance/capabilities.js) limiting
+     *   quality, antialiasing and buffer formats; null uses everything
+     */
+    constructor(options = {}) {
+        this.options = {
+            background: 0x0a0a0f,
+            fov: 75,
+            cameraZ: 5,
+            maxPixelRatio: 2,
+            clock: sharedClock,
+            renderer: null,
+            uiRoot: typeof document !== 'undefined' ? document : null,
+            keyTarget: typeof window !== 'undefined' ? window : null,
+            sceneDocument: null,
+            id: null,
+            events: null,
+            tier: null,
+            ...options
+        };
+
+        // Core Three.js components
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.container = null;
+
+        // Animation control
+        this.clock = this.options.clock;
+        this.isAnimating = false;
+        this.time = 0; // Scene time in seconds, only advances while running
+        this.tick = this.tick.bind(this);
+
+        // Sizing
+        this.resizeObserver = null;
+
+        // DOM listeners registered through addListener(), removed on dispose
+        this.listeners = [];
+
+        // Post-processing, created on demand by enablePostProcessing()
+        this.postProcessing = null;
+
+        // Scene document and the objects built from it
+        this.document = null;
+        this.content = null;
+
+        // Current quality level (see src/performance/AdaptiveQuality.js), null = full quality
+        this.quality = null;
+
+        // Set while a FrameCapture drives the scene: the render size is fixed
+        this.capturing = false;
+
+        // Set by dispose(); async work finishing later must not touch the scene
+        this.disposed = false;
+
+        // WebGL context state; the loop resumes after a restore if it ran before the loss
+        this.contextLost = false;
+        this.resumeAfterRestore = false;
+        this.handleContextLost = this.handleContextLost.bind(this);
+        this.handleContextRestored = this.handleContextRestored.bind(this);
+    }
+
+    /**
+     * Initialize the scene
+     * @param {string|HTMLElement} container - Element (or its DOM ID) to attach the renderer
+     */
+    init(containerOrId) {
+        const container = typeof containerOrId === 'string'
+            ? document.getElementById(containerOrId)
+            : containerOrId;
+        if (!container) {
+            console.error('❌ Container element not found:', containerOrId);
+            return;
+        }
+        this.container = container;
+
+        // Create core components
+        this.createScene();
+        this.createCamera();
+        this.createRenderer(container);
+
+        // Add scene content
+        this.setup();
+
+        // Start within the tier's quality ceiling
+        if (this.options.tier && this.options.tier.quality) {
+            this.applyQuality(null);
+        }
+
+        // Size to the container and follow its changes
+        this.observeContainer();
+        this.onWindowResize();
+
+        // Start animation
+        this.resume();
+
+        this.emit('scene:init');
+    }
+
+    /**
+     * Hook: add scene content. Called once after the core components exist.
+     */
+    setup() {}
+
+    /**
+     * Hook: advance the scene
+     * @param {number} dt - Seconds since the previous frame
+     */
+    update(dt) {}
+
+    /**
+     * Hook: release resources created in setup() that are not part of the
+     * scene graph (controls, timers, ...). Called before the scene is disposed.
+     */
+    teardown() {}
+
+    /**
+     * Hook: the WebGL context was lost; nothing renders until it is restored
+     */
+    onContextLost() {}
+
+    /**
+     * Hook: the WebGL context is back. three.js re-uploads geometries, textures
+     * and shaders by itself; render-target contents (e.g. PMREM environment
+     * maps) are gone and must be rendered again here.
+     */
+    onContextRestored() {}
+
+    /**
+     * Create the Three.js scene with the configured background
+     */
+    createScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.options.background);
+    }
+
+    /**
+     * Create perspective camera (aspect ratio is set on the first resize)
+     */
+    createCamera() {
+        this.camera = new THREE.PerspectiveCamera(this.options.fov, 1, 0.1, 1000);
+        this.camera.position.z = this.options.cameraZ;
+    }
+
+    /**
+     * Look up a control panel element by id
+     * @param {string} id
+     * @returns {HTMLElement|null} null when the scene runs without panels
+     */
+    getElement(id) {
+        const root = this.options.uiRoot;
+        if (!root) return null;
+        return root.getElementById ? root.getElementById(id) : root.querySelector(`#${id}`);
+    }
+
+    /**
+     * The control panel holding this scene's controls (plugins add sections to it)
+     * @returns {HTMLElement|null} null when the scene runs without panels or has none
+     */
+    getControlPanel() {
+        const root = this.options.uiRoot;
+        if (!root || !this.options.id) return null;
+        return root.querySelector(`[data-scene-controls="${this.options.id}"]`);
+    }
+
+    /**
+     * Report an event on the bus, if the scene has one
+     * @param {string} type - One of APP_EVENTS (see src/core/EventBus.js)
+     * @param {Object} [payload] - Fields added to { id, scene }
+     */
+    emit(type, payload) {
+        if (this.options.events) {
+            this.options.events.emit(type, { ...payload, id: this.options.id, scene: this });
+        }
+    }
+
+    /**
+     * Create WebGL renderer with anti-aliasing (unless the tier turns it off) and shadows
+     * (alpha is enabled so screenshots can have a transparent background)
+     * An injected options.renderer is configured the same way.
+     * @param {HTMLElement} container - DOM element to attach renderer
+     * @throws {Error} If no WebGL context can be created
+     */
+    createRenderer(container) {
+        const antialias = this.options.tier ? this.options.tier.antialias : true;
+        this.renderer = this.options.renderer || new THREE.WebGLRenderer({ antialias, alpha: true });
+        this.renderer.shadowMap.enabled = true;
+        // PCF (rather than PCF soft) shadows honor each light's shadow radius
+        this.renderer.shadowMap.type = THREE.PCFShadowMap;
+        // Post-processing renders several passes per frame; counters are reset once per tick
+        this.renderer.info.autoReset = false;
+        container.appendChild(this.renderer.domElement);
+
+        this.addListener(this.renderer.domElement, 'webglcontextlost', this.handleContextLost);
+        this.addListener(this.renderer.domElement, 'webglcontextrestored', this.handleContextRestored);
+    }
+
+    /**
+     * The browser dropped the WebGL context (GPU reset, too many contexts, ...)
+     * @param {Event} event
+     */
+    handleContextLost(event) {
+        // Without this the browser never restores the context
+        event.preventDefault();
+
+        const wasAnimating = this.isAnimating;
+        this.pause();
+        this.contextLost = true;
+        this.resumeAfterRestore = wasAnimating;
+
+        console.warn('⚠️ WebGL context lost, waiting for the browser to restore it');
+        this.onContextLost();
+        this.emit('contextlost');
+    }
+
+    /**
+     * The WebGL context is back: rebuild GPU-only content and carry on
+     */
+    handleContextRestored() {
+        this.contextLost = false;
+        this.onContextRestored();
+        this.onWindowResize();
+        console.log('✅ WebGL context restored');
+        this.emit('contextrestored');
+
+        if (this.resumeAfterRestore) {
+            this.resume();
+        }
+        // Show the current frame right away, even while the clock is paused
+        this.render();
+    }
+
+    /**
+     * Render through another camera (e.g. when switching to an orthographic view)
+     * Subclasses extend this to repoint their own controls.
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        if (this.postProcessing) {
+            this.postProcessing.setCamera(camera);
+        }
+        this.onWindowResize();
+    }
+
+    /**
+     * Render through a post-processing pipeline from now on
+     * @param {Object} [options] - See PostProcessingPipeline
+     * @returns {PostProcessingPipeline}
+     */
+    enablePostProcessing(options) {
+        if (!this.postProcessing) {
+            const floatBuffers = this.options.tier ? this.options.tier.floatBuffers : true;
+            this.postProcessing = new PostProcessingPipeline(this.renderer, this.scene, this.camera, {
+                floatBuffers,
+                ...options
+            });
+        }
+        return this.postProcessing;
+    }
+
+    /**
+     * Build scene content from a scene document
+     * Content built from a previous document is removed and disposed first.
+     * @param {Object} doc - Scene document (validated here)
+     * @param {OrbitControls} [controls] - Receives the document's camera target
+     * @returns {{objects: Map<string, THREE.Mesh>, lights: THREE.Light[], particles: ParticleSystem}}
+     * @throws {SceneDocumentError} If the document is invalid
+     */
+    buildFromDocument(doc, controls = null) {
+        const validated = validateSceneDocument(doc);
+
+        this.clearDocumentContent();
+        SceneBuilder.applyView(validated, this.scene, this.camera, controls);
+
+        this.content = SceneBuilder.build(validated);
+        this.content.objects.forEach(object => this.scene.add(object));
+        this.content.lights.forEach(light => this.scene.add(light));
+        this.scene.add(this.content.particles);
+
+        this.document = validated;
+
+        // New lights and particles start at full quality; scale them to the current level
+        if (this.quality) {
+            this.applyQuality(this.quality);
+        }
+
+        return this.content;
+    }
+
+    /**
+     * Scale rendering cost to a quality level
+     * Full-quality values are remembered on first use so levels can step back up.
+     * The level is limited to the capability tier's ceiling, if any.
+     * @param {Object|null} quality - Quality level, or null for full quality
+     * @param {number} quality.pixelRatio - Upper bound for the renderer pixel ratio
+     * @param {number} quality.shadowMapScale - Multiplier for every shadow map size
+     * @param {number} quality.maxShadowLights - How many lights may keep casting shadows
+     * @param {number} quality.particleFraction - Share of particles drawn (0-1)
+     */
+    applyQuality(quality) {
+        if (!this.scene) return;
+
+        this.quality = limitQuality(quality, this.options.tier ? this.options.tier.quality : null);
+        const {
+            shadowMapScale = 1,
+            maxShadowLights = Infinity,
+            particleFraction = 1
+        } = this.quality || {};
+
+        let shadowLights = 0;
+        this.scene.traverse((object) => {
+            if (object.isLight && object.shadow) {
+                const { userData, shadow } = object;
+                if (userData.baseCastShadow === undefined) {
+                    userData.baseCastShadow = object.castShadow;
+                    userData.baseShadowMapSize = shadow.mapSize.x;
+                }
+
+                const castShadow = userData.baseCastShadow && shadowLights < maxShadowLights;
+                const mapSize = Math.max(128, Math.round(userData.baseShadowMapSize * shadowMapScale));
+                if (userData.baseCastShadow && castShadow) {
+                    shadowLights++;
+                }
+
+                // Shadow maps are reallocated by the renderer on the next frame
+                if (shadow.mapSize.x !== mapSize || (!castShadow && shadow.map)) {
+                    shadow.mapSize.set(mapSize, mapSize);
+                    if (shadow.map) {
+                        shadow.map.dispose();
+                        shadow.map = null;
+                    }
+                }
+                object.castShadow = castShadow;
+            }
+
+            if (object.isPoints && object.geometry.attributes.position) {
+                const count = object.geometry.attributes.position.count;
+                object.geometry.setDrawRange(0, Math.ceil(count * particleFraction));
+            }
+        });
+
+        this.onWindowResize();
+    }
+
+    /**
+     * Remove and dispose everything built by buildFromDocument()
+     */
+    clearDocumentContent() {
+        if (!this.content) return;
+
+        const { objects, lights, particles } = this.content;
+        [...objects.values(), ...lights, particles].forEach((object) => {
+            this.scene.remove(object);
+            disposeObject(object);
+            if (object.isLight) {
+                object.dispose();
+            }
+        });
+
+        this.content = null;
+    }
+
+    /**
+     * Resize whenever the container changes size, not just the window
+     */
+    observeContainer() {
+        if (typeof ResizeObserver === 'undefined') return;
+
+        this.resizeObserver = new ResizeObserver(() => this.onWindowResize());
+        this.resizeObserver.observe(this.container);
+    }
+
+    /**
+     * Register a DOM listener that is removed automatically on dispose
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {Function} handler
+     * @param {Object|boolean} [options]
+     */
+    addListener(target, type, handler, options) {
+        if (!target) return;
+
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Advance and render one frame (called by the clock)
+     * @param {number} dt - Scaled seconds since the previous frame
+     */
+    tick(dt) {
+        this.time += dt;
+        this.update(dt);
+        this.renderer.info.reset();
+        this.emit('beforeRender', { dt });
+        this.render(dt);
+        this.emit('afterRender', { dt });
+    }
+
+    /**
+     * Render a single frame
+     * @param {number} [dt=0] - Seconds since the previous frame (used by some effects)
+     */
+    render(dt = 0) {
+        if (this.postProcessing) {
+            this.postProcessing.render(dt);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Pause the animation loop
+     */
+    pause() {
+        this.isAnimating = false;
+        this.resumeAfterRestore = false;
+        this.clock.remove(this.tick);
+    }
+
+    /**
+     * Resume the animation loop
+     */
+    resume() {
+        if (this.isAnimating || !this.renderer) return;
+
+        // Nothing can render without a context; start once it is restored
+        if (this.contextLost) {
+            this.resumeAfterRestore = true;
+            return;
+        }
+
+        this.isAnimating = true;
+        this.clock.add(this.tick);
+    }
+
+    /**
+     * Handle size changes of the container or device pixel ratio
+     * Updates camera aspect ratio, renderer pixel ratio and size
+     */
+    onWindowResize() {
+        if (!this.camera || !this.renderer || !this.container || this.capturing) return;
+
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+
+        // Hidden containers report 0x0; keep the last good size
+        if (width === 0 || height === 0) return;
+
+        const maxPixelRatio = this.quality
+            ? Math.min(this.options.maxPixelRatio, this.quality.pixelRatio)
+            : this.options.maxPixelRatio;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, maxPixelRatio);
+        if (this.renderer.getPixelRatio() !== pixelRatio) {
+            this.renderer.setPixelRatio(pixelRatio);
+        }
+
+        // Update camera aspect ratio
+        setCameraAspect(this.camera, width / height);
+
+        // Update renderer size
+        this.renderer.setSize(width, height);
+
+        // Resize post-processing buffers and resolution-dependent passes
+        if (this.postProcessing) {
+            this.postProcessing.syncSize();
+        }
+
+        this.emit('resize', { width, height });
+    }
+
+    /**
+     * Clean up resources when scene is no longer needed
+     * Disposes of listeners, geometries, materials, and renderer
+     */
+    dispose() {
+        this.disposed = true;
+
+        // Stop animation
+        this.pause();
+
+        // Listeners (e.g. plugins) remove what they added while the scene is intact
+        this.emit('dispose');
+
+        // Subclass resources
+        this.teardown();
+
+        // Stop observing the container
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        // Remove DOM listeners
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        // Dispose of scene objects
+        if (this.scene) {
+            disposeObject(this.scene);
+        }
+
+        // Dispose of post-processing passes and buffers
+        if (this.postProcessing) {
+            this.postProcessing.dispose();
+            this.postProcessing = null;
+        }
+
+        // Dispose of renderer and detach its canvas
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+            this.renderer = null;
+        }
+    }
+}
@@ -0,0 +1,210 @@
+import { Clock } from '../core/Clock.js';
+import { StubRenderer } from './StubRenderer.js';
+
+/**
+ * SceneHarness Class
+ * Runs a scene without a GPU or a page, for asserting on scene graph state:
+ * - The scene gets a StubRenderer and a container element of a fixed size
+ * - Frames advance only through step(), with a fixed timestep of its own Clock
+ * - Geometries, materials and textures seen in the scene graph are tracked,
+ *   and dispose() reports any that were never disposed
+ *
+ * Needs DOM globals; in Node install them first with installDomEnvironment():
+ *
+ *   await installDomEnvironment();
+ *   const harness = new SceneHarness(BasicScene).init();
+ *   harness.step(60);
+ *   harness.find('cube').rotation.y; // 0.3 rad/s for one second
+ *   const report = harness.dispose();
+ *   report.leaks; // []
+ */
+export class SceneHarness {
+    /**
+     * @param {typeof SceneBase} SceneClass
+     * @param {Object} [options]
+     * @param {number} [options.width=800] - Container width in CSS pixels
+     * @param {number} [options.height=600] - Container height in CSS pixels
+     * @param {number} [options.fixedDelta=1/60] - Seconds per stepped frame
+     * @param {Object} [options.sceneOptions] - Extra options for the scene constructor
+     */
+    constructor(SceneClass, { width = 800, height = 600, fixedDelta = 1 / 60, sceneOptions = {} } = {}) {
+        this.SceneClass = SceneClass;
+        this.width = width;
+        this.height = height;
+        this.sceneOptions = sceneOptions;
+
+        this.clock = new Clock({ fixedDelta });
+        this.renderer = null;
+        this.container = null;
+        this.scene = null;
+
+        // Resource -> { kind, name, disposed }
+        this.resources = new Map();
+    }
+
+    /**
+     * Create the scene and run its setup
+     * @returns {SceneHarness} this, for chaining
+     */
+    init() {
+        this.container = document.createElement('div');
+        Object.defineProperty(this.container, 'clientWidth', { get: () => this.width });
+        Object.defineProperty(this.container, 'clientHeight', { get: () => this.height });
+        document.body.appendChild(this.container);
+
+        this.renderer = new StubRenderer();
+        this.scene = new this.SceneClass({
+            ...this.sceneOptions,
+            clock: this.clock,
+            renderer: this.renderer
+        });
+        this.scene.init(this.container);
+        this.track();
+        return this;
+    }
+
+    /**
+     * Advance the scene by whole frames
+     * @param {number} [frames=1]
+     * @returns {SceneHarness} this, for chaining
+     */
+    step(frames = 1) {
+        this.clock.step(frames);
+        this.track();
+        return this;
+    }
+
+    /**
+     * Resize the container and let the scene follow
+     * @param {number} width
+     * @param {number} height
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.scene.onWindowResize();
+    }
+
+    /**
+     * Find an object in the scene graph by name
+     * @param {string} name
+     * @returns {THREE.Object3D|undefined}
+     */
+    find(name) {
+        return this.scene.scene.getObjectByName(name);
+    }
+
+    /**
+     * Count objects in the scene graph
+     * @param {Function} [predicate] - Receives each object; counts everything when omitted
+     * @returns {number}
+     */
+    count(predicate = () => true) {
+        let count = 0;
+        this.scene.scene.traverse((object) => {
+            if (object !== this.scene.scene && predicate(object)) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Counts of the scene graph and the resources it uses right now
+     * @returns {{objects: number, meshes: number, lights: number, points: number,
+     *   geometries: number, materials: number, textures: number}}
+     */
+    summarize() {
+        const { geometries, materials, textures } = collectResources(this.scene.scene);
+        return {
+            objects: this.count(),
+            meshes: this.count(object => object.isMesh),
+            lights: this.count(object => object.isLight),
+            points: this.count(object => object.isPoints),
+            geometries: geometries.size,
+            materials: materials.size,
+            textures: textures.size
+        };
+    }
+
+    /**
+     * Start tracking every resource currently in the scene graph
+     * Called after init() and every step(); call it after changing the scene
+     * from a test so new resources are checked on dispose too.
+     */
+    track() {
+        const { geometries, materials, textures } = collectResources(this.scene.scene);
+        const add = (kind, resource) => {
+            if (this.resources.has(resource)) return;
+
+            const entry = { kind, name: resource.name || resource.constructor.name, disposed: false };
+            this.resources.set(resource, entry);
+            resource.addEventListener('dispose', () => {
+                entry.disposed = true;
+            });
+        };
+        geometries.forEach(geometry => add('geometry', geometry));
+        materials.forEach(material => add('material', material));
+        textures.forEach(texture => add('texture', texture));
+    }
+
+    /**
+     * Dispose the scene and report what it left behind
+     * @returns {{leaks: Array<{kind: string, name: string}>, rendererDisposed: boolean,
+     *   canvasDetached: boolean, clockSubscribers: number, frames: number}}
+     */
+    dispose() {
+        this.track();
+        this.scene.dispose();
+        this.container.remove();
+
+        return {
+            leaks: Array.from(this.resources.values())
+                .filter(entry => !entry.disposed)
+                .map(({ kind, name }) => ({ kind, name })),
+            rendererDisposed: this.renderer.disposed,
+            canvasDetached: !this.renderer.domElement.isConnected,
+            clockSubscribers: this.clock.subscribers.size,
+            frames: this.renderer.frames
+        };
+    }
+}
+
+/**
+ * Geometries, materials and textures used below an object (including the
+ * scene background and environment). Render target textures are left out:
+ * they are freed through their render target, which does not dispose them.
+ * @param {THREE.Object3D} root
+ * @returns {{geometries: Set, materials: Set, textures: Set}}
+ */
+function collectResources(root) {
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+
+    const addTexture = (value) => {
+        if (value && value.isTexture && !value.isRenderTargetTexture) {
+            textures.add(value);
+        }
+    };
+    addTexture(root.background);
+    addTexture(root.environment);
+
+    root.traverse((object) => {
+        if (object.geometry) {
+            geometries.add(object.geometry);
+        }
+        if (object.material) {
+            const list = Array.isArray(object.material) ? object.material : [object.material];
+            list.forEach((material) => {
+                materials.add(material);
+                Object.values(material).forEach(addTexture);
+                if (material.uniforms) {
+                    Object.values(material.uniforms).forEach(uniform => addTexture(uniform.value));
+                }
+            });
+        }
+    });
+
+    return { geometries, materials, textures };
+}
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+
+/**
+ * StubRenderer Class
+ * Stand-in for THREE.WebGLRenderer without a GPU, for running scenes in
+ * Node/jsdom (see SceneHarness). It implements the part of the renderer API
+ * used by the scenes, post-processing passes and PMREMGenerator, draws
+ * nothing and records what it was asked to do:
+ * - frames: number of render() calls with the default (screen) target
+ * - info.render.calls: visible meshes, points and lines of the last tick
+ * - disposed: whether dispose() was called
+ *
+ * Pass it to a scene as `options.renderer`.
+ */
+export class StubRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Defaults to a new canvas element
+     * @param {boolean} [options.isWebGL2=true] - Reported through capabilities
+     * @param {number} [options.maxDrawingBufferSize=Infinity] - Largest drawing buffer the
+     *   context reports, like browsers that quietly shrink oversized canvases
+     */
+    constructor({ canvas = document.createElement('canvas'), isWebGL2 = true, maxDrawingBufferSize = Infinity } = {}) {
+        this.domElement = canvas;
+        this.context = {
+            get drawingBufferWidth() {
+                return Math.min(canvas.width, maxDrawingBufferSize);
+            },
+            get drawingBufferHeight() {
+                return Math.min(canvas.height, maxDrawingBufferSize);
+            }
+        };
+
+        this.shadowMap = { enabled: false, type: THREE.PCFShadowMap, autoUpdate: true, needsUpdate: false };
+        this.info = {
+            autoReset: true,
+            render: { frame: 0, calls: 0, triangles: 0, points: 0, lines: 0 },
+            memory: { geometries: 0, textures: 0 },
+            programs: [],
+            reset() {
+                this.render.calls = 0;
+                this.render.triangles = 0;
+                this.render.points = 0;
+                this.render.lines = 0;
+            }
+        };
+        this.capabilities = { isWebGL2, maxTextureSize: 4096, maxSamples: 4, precision: 'highp' };
+        this.extensions = { has: () => false, get: () => null };
+        this.xr = { enabled: false, isPresenting: false };
+        // Nothing is compiled, so shaders never fail
+        this.debug = { checkShaderErrors: true, onShaderError: null };
+        this.state = {
+            buffers: {
+                color: { setMask() {}, setLocked() {} },
+                depth: { setMask() {}, setLocked() {} },
+                stencil: { setTest() {}, setFunc() {}, setOp() {}, setClear() {}, setLocked() {} }
+            }
+        };
+
+        this.autoClear = true;
+        this.autoClearColor = true;
+        this.autoClearDepth = true;
+        this.autoClearStencil = true;
+        this.toneMapping = THREE.NoToneMapping;
+        this.toneMappingExposure = 1;
+        this.outputColorSpace = THREE.SRGBColorSpace;
+
+        this.frames = 0;
+        this.disposed = false;
+
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.pixelRatio = 1;
+        this.clearColorValue = new THREE.Color(0x000000);
+        this.clearAlphaValue = 1;
+        this.renderTarget = null;
+    }
+
+    /**
+     * @returns {{drawingBufferWidth: number, drawingBufferHeight: number}} Only the drawing buffer size
+     */
+    getContext() {
+        return this.context;
+    }
+
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+
+    setPixelRatio(value) {
+        this.pixelRatio = value;
+    }
+
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+
+    /**
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     * @param {boolean} [updateStyle=true]
+     */
+    setSize(width, height, updateStyle = true) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.pixelRatio);
+        this.domElement.height = Math.floor(height * this.pixelRatio);
+        if (updateStyle) {
+            this.domElement.style.width = `${width}px`;
+            this.domElement.style.height = `${height}px`;
+        }
+    }
+
+    getDrawingBufferSize(target) {
+        return target.set(this.width * this.pixelRatio, this.height * this.pixelRatio).floor();
+    }
+
+    setViewport() {}
+
+    setScissor() {}
+
+    setScissorTest() {}
+
+    getClearColor(target) {
+        return target.copy(this.clearColorValue);
+    }
+
+    setClearColor(color, alpha = 1) {
+        this.clearColorValue.set(color);
+        this.clearAlphaValue = alpha;
+    }
+
+    getClearAlpha() {
+        return this.clearAlphaValue;
+    }
+
+    setClearAlpha(alpha) {
+        this.clearAlphaValue = alpha;
+    }
+
+    clear() {}
+
+    clearColor() {}
+
+    clearDepth() {}
+
+    clearStencil() {}
+
+    getRenderTarget() {
+        return this.renderTarget;
+    }
+
+    setRenderTarget(renderTarget) {
+        this.renderTarget = renderTarget;
+    }
+
+    getActiveCubeFace() {
+        return 0;
+    }
+
+    getActiveMipmapLevel() {
+        return 0;
+    }
+
+    compile() {}
+
+    /**
+     * Count what would be drawn instead of drawing it
+     * @param {THREE.Object3D} scene
+     * @param {THREE.Camera} camera
+     */
+    render(scene, camera) {
+        if (scene.matrixWorldAutoUpdate) {
+            scene.updateMatrixWorld();
+        }
+        if (camera.parent === null && camera.matrixWorldAutoUpdate) {
+            camera.updateMatrixWorld();
+        }
+
+        if (this.info.autoReset) {
+            this.info.reset();
+        }
+
+        const { render } = this.info;
+        scene.traverseVisible((object) => {
+            if (object.isMesh || object.isPoints || object.isLine || object.isSprite) {
+                render.calls++;
+            }
+        });
+
+        if (this.renderTarget === null) {
+            this.frames++;
+            render.frame++;
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
@@ -0,0 +1,92 @@
+// Browser globals the scenes read; copied from the jsdom window onto globalThis
+const GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage',
+    'HTMLElement', 'HTMLCanvasElement', 'HTMLInputElement', 'Image', 'Event', 'KeyboardEvent',
+    'PointerEvent', 'MouseEvent', 'WheelEvent', 'CustomEvent', 'Node', 'DOMParser',
+    'getComputedStyle'
+];
+
+let installed = null;
+
+/**
+ * Install a jsdom window as the global browser environment (Node only)
+ * There is intentionally no requestAnimationFrame: the Clock does not start
+ * its loop, so frames only advance through clock.step(). Canvas 2D contexts
+ * are stubbed (drawing calls do nothing) since jsdom does not implement them.
+ * Calling it again returns the environment installed first.
+ * @param {Object} [options]
+ * @param {string} [options.url='http://localhost/'] - Page URL (localStorage needs an http origin)
+ * @param {string} [options.html] - Initial page markup
+ * @returns {Promise<{window: Window, document: Document, uninstall: Function}>}
+ */
+export async function installDomEnvironment({ url = 'http://localhost/', html = '<!DOCTYPE html><body></body>' } = {}) {
+    if (installed) return installed;
+
+    // Imported lazily so browser bundles never reference jsdom
+    const { JSDOM } = await import('jsdom');
+    const dom = new JSDOM(html, { url, pretendToBeVisual: false });
+    const { window } = dom;
+
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        return createContext2DStub(this);
+    };
+
+    const previous = new Map();
+    GLOBALS.forEach((name) => {
+        if (!(name in window)) return;
+
+        previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+        const value = name === 'getComputedStyle' ? window.getComputedStyle.bind(window) : window[name];
+        Object.defineProperty(globalThis, name, {
+            value,
+            configurable: true,
+            writable: true
+        });
+    });
+
+    installed = {
+        window,
+        document: window.document,
+        uninstall() {
+            previous.forEach((descriptor, name) => {
+                if (descriptor) {
+                    Object.defineProperty(globalThis, name, descriptor);
+                } else {
+                    delete globalThis[name];
+                }
+            });
+            window.close();
+            installed = null;
+        }
+    };
+    return installed;
+}
+
+/**
+ * Canvas 2D context whose methods do nothing; gradients and measurements
+ * return placeholder objects
+ * @param {HTMLCanvasElement} canvas
+ * @returns {CanvasRenderingContext2D}
+ */
+function createContext2DStub(canvas) {
+    const gradient = { addColorStop() {} };
+    const results = {
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => null,
+        measureText: text => ({ width: String(text).length * 8 }),
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) })
+    };
+
+    return new Proxy({ canvas }, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key in results) return results[key];
+            return () => {};
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        }
+    });
+}
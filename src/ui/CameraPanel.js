@@ -0,0 +1,150 @@
+import { createControl, createButton } from './controls.js';
+
+const MODE_HINTS = {
+    orbit: 'Drag to orbit, scroll to zoom. F frames the selection; 1, 3, 7 front, side, top; 5 toggles orthographic.',
+    fly: 'Drag to look, WASD to move, R/F up and down, Q/E to roll.',
+    firstPerson: 'Click the view to look around, WASD to walk, Esc to release the mouse.'
+};
+
+/**
+ * CameraPanel Class
+ * Projection, navigation mode, built-in views, framing and bookmarks for a CameraRig.
+ */
+export class CameraPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {CameraRig} rig
+     * @param {Object} [options]
+     * @param {Function} [options.onView] - Called with 'front', 'top' or 'side'
+     * @param {Function} [options.onFrame] - Called with 'selection' or 'all'
+     */
+    constructor(container, rig, { onView = () => {}, onFrame = () => {} } = {}) {
+        this.container = container;
+        this.rig = rig;
+        this.onView = onView;
+        this.onFrame = onFrame;
+
+        this.handleRigChange = () => this.sync();
+        this.render();
+        this.rig.addEventListener('change', this.handleRigChange);
+        this.sync();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        this.projectionControl = createControl({
+            label: 'Projection',
+            type: 'select',
+            options: [
+                { value: 'perspective', label: 'Perspective' },
+                { value: 'orthographic', label: 'Orthographic' }
+            ],
+            onInput: projection => this.rig.setProjection(projection)
+        });
+        this.container.appendChild(this.projectionControl.group);
+
+        this.modeControl = createControl({
+            label: 'Navigation',
+            type: 'select',
+            options: [
+                { value: 'orbit', label: 'Orbit' },
+                { value: 'fly', label: 'Fly' },
+                { value: 'firstPerson', label: 'First person' }
+            ],
+            onInput: mode => this.rig.setMode(mode)
+        });
+        this.container.appendChild(this.modeControl.group);
+
+        this.hint = document.createElement('p');
+        this.hint.className = 'status-text';
+        this.container.appendChild(this.hint);
+
+        this.container.appendChild(this.createHeading('Views'));
+        this.container.appendChild(this.createRow(
+            createButton('Front', () => this.onView('front')),
+            createButton('Top', () => this.onView('top')),
+            createButton('Side', () => this.onView('side'))
+        ));
+        this.container.appendChild(this.createRow(
+            createButton('Frame Selection', () => this.onFrame('selection')),
+            createButton('Frame All', () => this.onFrame('all'))
+        ));
+
+        this.container.appendChild(this.createHeading('Bookmarks'));
+        this.bookmarkControl = createControl({
+            label: 'Saved view',
+            type: 'select',
+            onInput: (name) => {
+                if (name) {
+                    this.rig.goToBookmark(name);
+                }
+            }
+        });
+        this.container.appendChild(this.bookmarkControl.group);
+        this.container.appendChild(this.createRow(
+            createButton('Save View', () => this.promptSaveBookmark()),
+            createButton('Delete', () => this.deleteSelectedBookmark())
+        ));
+    }
+
+    createRow(...buttons) {
+        const row = document.createElement('div');
+        row.className = 'control-row';
+        row.append(...buttons);
+        return row;
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('p');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    promptSaveBookmark() {
+        const name = window.prompt('View name:');
+        if (!name || !name.trim()) return;
+
+        this.rig.saveBookmark(name.trim());
+        this.bookmarkControl.input.value = name.trim();
+    }
+
+    deleteSelectedBookmark() {
+        const name = this.bookmarkControl.input.value;
+        if (name) {
+            this.rig.deleteBookmark(name);
+        }
+    }
+
+    /**
+     * Update the inputs from the rig
+     */
+    sync() {
+        this.projectionControl.setValue(this.rig.projection);
+        this.modeControl.setValue(this.rig.mode);
+        this.hint.textContent = MODE_HINTS[this.rig.mode];
+
+        const select = this.bookmarkControl.input;
+        const current = select.value;
+        select.replaceChildren();
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.rig.bookmarks.length > 0 ? 'Choose a view…' : 'No saved views';
+        select.appendChild(placeholder);
+
+        this.rig.bookmarks.forEach(({ name }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.rig.bookmarks.some(bookmark => bookmark.name === current) ? current : '';
+    }
+
+    dispose() {
+        this.rig.removeEventListener('change', this.handleRigChange);
+        this.container.replaceChildren();
+    }
+}
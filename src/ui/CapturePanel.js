@@ -0,0 +1,159 @@
+import { createControl, createButton } from './controls.js';
+
+const SIZE_OPTIONS = [
+    { value: '', label: 'Current view' },
+    { value: '1280x720', label: '1280 × 720 (HD)' },
+    { value: '1920x1080', label: '1920 × 1080 (Full HD)' },
+    { value: '3840x2160', label: '3840 × 2160 (4K)' },
+    { value: '1080x1080', label: '1080 × 1080 (Square)' }
+];
+
+const FPS_OPTIONS = [
+    { value: '24', label: '24 fps' },
+    { value: '30', label: '30 fps' },
+    { value: '60', label: '60 fps' }
+];
+
+const FORMAT_OPTIONS = [
+    { value: 'webm', label: 'WebM video' },
+    { value: 'png', label: 'PNG sequence (.zip)' }
+];
+
+/**
+ * CapturePanel Class
+ * Control panel section for a FrameCapture: output size, frame rate,
+ * duration and format, start and cancel buttons and a progress bar.
+ */
+export class CapturePanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {FrameCapture} capture
+     * @param {Object} [options]
+     * @param {Function} [options.onCapture] - Called with the settings (see FrameCapture.capture)
+     *   when the start button is clicked
+     */
+    constructor(container, capture, { onCapture = () => {} } = {}) {
+        this.container = container;
+        this.capture = capture;
+        this.onCapture = onCapture;
+
+        this.settings = {
+            size: '',
+            fps: 30,
+            duration: 5,
+            format: 'webm',
+            transparent: false
+        };
+
+        this.handleStart = event => this.setRunning(true, `Rendering ${event.frames} frames…`);
+        this.handleProgress = event => this.setProgress(event.frame, event.frames);
+        this.handleEnd = (event) => {
+            this.setRunning(false);
+            if (event.error) {
+                this.setStatus(event.error.message, true);
+            } else {
+                this.setStatus(event.cancelled ? 'Capture cancelled' : 'Capture saved');
+            }
+        };
+        this.capture.addEventListener('start', this.handleStart);
+        this.capture.addEventListener('progress', this.handleProgress);
+        this.capture.addEventListener('end', this.handleEnd);
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        const definitions = [
+            { key: 'size', label: 'Size', type: 'select', options: SIZE_OPTIONS },
+            { key: 'fps', label: 'Frame Rate', type: 'select', options: FPS_OPTIONS, parse: Number },
+            { key: 'duration', label: 'Duration (s)', type: 'number', min: 0.1, max: 600, step: 0.1 },
+            { key: 'format', label: 'Format', type: 'select', options: FORMAT_OPTIONS },
+            { key: 'transparent', label: 'Transparent (PNG)', type: 'checkbox' }
+        ];
+
+        this.inputs = definitions.map(({ key, parse = value => value, ...definition }) => {
+            const control = createControl({
+                ...definition,
+                value: this.settings[key],
+                onInput: (value) => {
+                    this.settings[key] = parse(value);
+                    this.syncTransparent();
+                }
+            });
+            this.container.appendChild(control.group);
+            if (key === 'transparent') {
+                this.transparentControl = control;
+            }
+            return control.input;
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-row';
+        this.startButton = createButton('Start Capture', () => this.start());
+        this.cancelButton = createButton('Cancel', () => this.capture.cancel());
+        buttons.append(this.startButton, this.cancelButton);
+        this.container.appendChild(buttons);
+
+        this.progress = document.createElement('progress');
+        this.progress.className = 'capture-progress';
+        this.progress.max = 1;
+        this.progress.value = 0;
+        this.container.appendChild(this.progress);
+
+        this.status = document.createElement('p');
+        this.status.className = 'status-text';
+        this.container.appendChild(this.status);
+
+        this.syncTransparent();
+        this.setRunning(this.capture.capturing);
+    }
+
+    start() {
+        const { size, fps, duration, format, transparent } = this.settings;
+        const [width, height] = size ? size.split('x').map(Number) : [];
+
+        if (!(duration > 0)) {
+            this.setStatus('Duration must be greater than 0', true);
+            return;
+        }
+
+        this.onCapture({ format, width, height, fps, duration, transparent: transparent && format === 'png' });
+    }
+
+    // Video frames have no alpha channel
+    syncTransparent() {
+        this.transparentControl.input.disabled = this.settings.format !== 'png';
+    }
+
+    setRunning(running, message = '') {
+        this.inputs.forEach((input) => {
+            input.disabled = running;
+        });
+        if (!running) {
+            this.syncTransparent();
+        }
+        this.startButton.disabled = running;
+        this.cancelButton.disabled = !running;
+        this.progress.value = 0;
+        this.setStatus(message);
+    }
+
+    setProgress(frame, frames) {
+        this.progress.value = frame / frames;
+        this.setStatus(`Frame ${frame} / ${frames}`);
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    dispose() {
+        this.capture.removeEventListener('start', this.handleStart);
+        this.capture.removeEventListener('progress', this.handleProgress);
+        this.capture.removeEventListener('end', this.handleEnd);
+        this.container.replaceChildren();
+    }
+}
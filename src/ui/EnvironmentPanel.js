@@ -0,0 +1,124 @@
+import { createControl } from './controls.js';
+
+/**
+ * EnvironmentPanel Class
+ * Control panel section for an EnvironmentManager: environment source
+ * (none, room, local .hdr/.exr), background display, blur, rotation,
+ * exposure and tone mapping.
+ */
+export class EnvironmentPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {EnvironmentManager} environment
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - Called with the changed key and its previous value after every edit
+     */
+    constructor(container, environment, { onChange = () => {} } = {}) {
+        this.container = container;
+        this.environment = environment;
+        this.onChange = onChange;
+        this.controls = new Map();
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        const definitions = [
+            {
+                key: 'source',
+                label: 'Environment',
+                type: 'select',
+                options: [
+                    { value: 'none', label: 'None' },
+                    { value: 'room', label: 'Studio Room' },
+                    { value: 'file', label: 'Loaded HDR/EXR' }
+                ]
+            },
+            { key: 'background', label: 'Show as Background', type: 'checkbox' },
+            { key: 'blur', label: 'Background Blur', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'backgroundIntensity', label: 'Background Intensity', type: 'range', min: 0, max: 3, step: 0.05 },
+            { key: 'rotation', label: 'Rotation (°)', type: 'range', min: 0, max: 360, step: 1 },
+            { key: 'exposure', label: 'Exposure', type: 'range', min: 0, max: 3, step: 0.05 },
+            {
+                key: 'toneMapping',
+                label: 'Tone Mapping',
+                type: 'select',
+                options: [
+                    { value: 'none', label: 'None' },
+                    { value: 'linear', label: 'Linear' },
+                    { value: 'reinhard', label: 'Reinhard' },
+                    { value: 'cineon', label: 'Cineon' },
+                    { value: 'aces', label: 'ACES Filmic' }
+                ]
+            }
+        ];
+
+        definitions.forEach((definition) => {
+            const control = createControl({
+                ...definition,
+                onInput: (value) => {
+                    const previous = this.environment.settings[definition.key];
+                    this.environment.set(definition.key, value);
+                    this.onChange(definition.key, previous);
+                }
+            });
+            this.controls.set(definition.key, control);
+            this.container.appendChild(control.group);
+        });
+
+        // Local HDR/EXR file
+        const fileControl = createControl({
+            label: 'Load .hdr / .exr',
+            type: 'file',
+            accept: '.hdr,.exr',
+            onInput: file => this.loadFile(file)
+        });
+        this.container.appendChild(fileControl.group);
+
+        this.status = document.createElement('p');
+        this.status.className = 'status-text';
+        this.container.appendChild(this.status);
+
+        this.sync();
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+
+        this.setStatus(`Loading ${file.name}…`);
+        const previous = this.environment.settings.source;
+        try {
+            await this.environment.loadFile(file);
+            this.setStatus(`Using ${file.name}`);
+            this.sync();
+            this.onChange('source', previous);
+        } catch (error) {
+            console.error('❌ Failed to load environment:', error);
+            this.setStatus(error.message, true);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Update the inputs from the environment settings
+     */
+    sync() {
+        const settings = this.environment.getSettings();
+        this.controls.forEach((control, key) => control.setValue(settings[key]));
+
+        // "Loaded HDR/EXR" is only selectable once a file has been loaded
+        const fileOption = this.controls.get('source').input.querySelector('option[value="file"]');
+        fileOption.disabled = !this.environment.fileTexture;
+    }
+
+    dispose() {
+        this.container.replaceChildren();
+        this.controls.clear();
+    }
+}
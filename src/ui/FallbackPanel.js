@@ -0,0 +1,54 @@
+import { createButton } from './controls.js';
+
+/**
+ * FallbackPanel Class
+ * Centered notice shown instead of a scene, e.g. when WebGL is unavailable
+ * or the graphics context was lost, with an optional reload button.
+ */
+export class FallbackPanel {
+    /**
+     * @param {HTMLElement} parent - Element the panel is appended to
+     */
+    constructor(parent) {
+        this.element = document.createElement('div');
+        this.element.className = 'fallback-panel';
+        this.element.setAttribute('role', 'alert');
+        this.element.hidden = true;
+
+        this.title = document.createElement('h2');
+        this.message = document.createElement('p');
+        this.reloadButton = createButton('Reload', () => window.location.reload());
+
+        this.element.append(this.title, this.message, this.reloadButton);
+        parent.appendChild(this.element);
+    }
+
+    /**
+     * @returns {boolean} Whether the panel is shown
+     */
+    get visible() {
+        return !this.element.hidden;
+    }
+
+    /**
+     * Show a notice
+     * @param {Object} notice
+     * @param {string} notice.title
+     * @param {string} notice.message
+     * @param {boolean} [notice.reload=false] - Offer to reload the page
+     */
+    show({ title, message, reload = false }) {
+        this.title.textContent = title;
+        this.message.textContent = message;
+        this.reloadButton.hidden = !reload;
+        this.element.hidden = false;
+    }
+
+    hide() {
+        this.element.hidden = true;
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
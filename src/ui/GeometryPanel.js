@@ -0,0 +1,178 @@
+import { createControl } from './controls.js';
+import { SceneBuilder } from '../document/SceneBuilder.js';
+import { GEOMETRY_TYPES, GEOMETRY_INTEGERS, validateGeometry } from '../document/SceneDocument.js';
+
+const TYPE_OPTIONS = [
+    { value: 'box', label: 'Box' },
+    { value: 'sphere', label: 'Sphere' },
+    { value: 'torus', label: 'Torus' },
+    { value: 'torusKnot', label: 'Torus Knot' },
+    { value: 'cylinder', label: 'Cylinder' },
+    { value: 'icosahedron', label: 'Icosahedron' },
+    { value: 'plane', label: 'Plane' },
+    { value: 'parametric', label: 'Parametric Surface' }
+];
+
+// Slider settings for size parameters; whole-number parameters use GEOMETRY_INTEGERS
+const SIZE_RANGES = {
+    width: { label: 'Width', max: 5 },
+    height: { label: 'Height', max: 5 },
+    depth: { label: 'Depth', max: 5 },
+    radius: { label: 'Radius', max: 3 },
+    tube: { label: 'Tube Radius', max: 1.5, step: 0.01 },
+    // Either cylinder radius may be 0 for a cone
+    radiusTop: { label: 'Top Radius', min: 0, max: 3 },
+    radiusBottom: { label: 'Bottom Radius', min: 0, max: 3 }
+};
+
+const INTEGER_LABELS = {
+    widthSegments: 'Width Segments',
+    heightSegments: 'Height Segments',
+    radialSegments: 'Radial Segments',
+    tubularSegments: 'Tubular Segments',
+    detail: 'Detail',
+    p: 'Windings (p)',
+    q: 'Loops (q)',
+    slices: 'Slices (u)',
+    stacks: 'Stacks (v)'
+};
+
+/**
+ * GeometryPanel Class
+ * Control panel section for the shape of a document mesh: a geometry type
+ * picker and live controls for its parameters (sizes, radii, segments, and
+ * the x/y/z formulas of parametric surfaces). Every edit rebuilds the
+ * geometry and its edge overlay through SceneBuilder.setGeometry().
+ */
+export class GeometryPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - Called with (mesh, key, previous) after every edit:
+     *   the edited parameter ('type' when the shape changed) and the previous geometry description
+     */
+    constructor(container, { onChange = () => {} } = {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.mesh = null;
+        this.controls = new Map();
+
+        // Last parameters used for each type, so switching back restores them
+        this.lastByType = new Map();
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        this.typeControl = createControl({
+            label: 'Shape',
+            type: 'select',
+            options: TYPE_OPTIONS,
+            onInput: type => this.setType(type)
+        });
+        this.container.appendChild(this.typeControl.group);
+
+        this.parameters = document.createElement('div');
+        this.container.appendChild(this.parameters);
+
+        this.status = document.createElement('p');
+        this.status.className = 'status-text';
+        this.container.appendChild(this.status);
+    }
+
+    /**
+     * Edit a different mesh (null disables the panel)
+     * Only meshes built from a scene document carry a geometry description.
+     * @param {THREE.Mesh|null} mesh
+     */
+    setMesh(mesh) {
+        this.mesh = mesh && mesh.isMesh && mesh.userData.geometry ? mesh : null;
+        this.container.classList.toggle('disabled', !this.mesh);
+        this.sync();
+    }
+
+    /**
+     * Rebuild the parameter controls from the mesh's geometry description
+     */
+    sync() {
+        this.parameters.replaceChildren();
+        this.controls.clear();
+        this.setStatus('');
+        if (!this.mesh) return;
+
+        const desc = this.mesh.userData.geometry;
+        this.typeControl.setValue(desc.type);
+
+        Object.keys(GEOMETRY_TYPES[desc.type]).forEach((key) => {
+            const control = createControl({
+                ...this.getControlDefinition(key, desc[key]),
+                value: desc[key],
+                onInput: value => this.setParameter(key, value)
+            });
+            this.controls.set(key, control);
+            this.parameters.appendChild(control.group);
+        });
+    }
+
+    getControlDefinition(key, value) {
+        if (typeof value === 'string') {
+            return { label: `${key.toUpperCase()}(u, v)`, type: 'text' };
+        }
+        if (GEOMETRY_INTEGERS[key]) {
+            const [min, max] = GEOMETRY_INTEGERS[key];
+            return { label: INTEGER_LABELS[key] || key, type: 'range', min, max, step: 1 };
+        }
+        const { label = key, min = 0.05, max = 5, step = 0.05 } = SIZE_RANGES[key] || {};
+        return { label, type: 'range', min, max, step };
+    }
+
+    /**
+     * Switch the mesh to another geometry type
+     * @param {string} type - One of GEOMETRY_TYPES
+     */
+    setType(type) {
+        if (!this.mesh || type === this.mesh.userData.geometry.type) return;
+
+        this.lastByType.set(this.mesh.userData.geometry.type, this.mesh.userData.geometry);
+        this.apply('type', this.lastByType.get(type) || { type });
+        this.sync();
+    }
+
+    /**
+     * Change one parameter of the current geometry
+     * @param {string} key
+     * @param {number|string} value
+     */
+    setParameter(key, value) {
+        if (!this.mesh) return;
+        this.apply(key, { ...this.mesh.userData.geometry, [key]: value });
+    }
+
+    apply(key, geometry) {
+        let desc;
+        try {
+            desc = validateGeometry(geometry);
+        } catch (error) {
+            // Keep the last valid shape while a formula is being typed
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        const mesh = this.mesh;
+        const previous = mesh.userData.geometry;
+        SceneBuilder.setGeometry(mesh, desc);
+        this.setStatus('');
+        this.onChange(mesh, key, previous);
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    dispose() {
+        this.container.replaceChildren();
+    }
+}
@@ -0,0 +1,75 @@
+import { createButton } from './controls.js';
+
+/**
+ * HistoryPanel Class
+ * Control panel section for a CommandHistory: undo and redo buttons and the
+ * list of edits, where clicking an entry jumps to the state right after it.
+ */
+export class HistoryPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {CommandHistory} history
+     */
+    constructor(container, history) {
+        this.container = container;
+        this.history = history;
+
+        this.handleChange = () => this.sync();
+        this.history.addEventListener('change', this.handleChange);
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        this.undoButton = createButton('Undo', () => this.history.undo());
+        this.redoButton = createButton('Redo', () => this.history.redo());
+        const row = document.createElement('div');
+        row.className = 'control-row';
+        row.append(this.undoButton, this.redoButton);
+        this.container.appendChild(row);
+
+        this.list = document.createElement('div');
+        this.list.className = 'history-list';
+        this.container.appendChild(this.list);
+
+        this.sync();
+    }
+
+    /**
+     * Rebuild the entry list from the history
+     */
+    sync() {
+        const { entries, index } = this.history;
+        this.undoButton.disabled = !this.history.canUndo;
+        this.redoButton.disabled = !this.history.canRedo;
+
+        // Entry 0 is the state before any edit
+        const labels = ['Start', ...entries.map(entry => entry.label)];
+        this.list.replaceChildren(...labels.map((label, position) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'history-entry';
+            item.classList.toggle('current', position === index);
+            item.classList.toggle('undone', position > index);
+            item.textContent = label;
+            item.addEventListener('click', () => this.history.jumpTo(position));
+            return item;
+        }));
+
+        // Keep the current entry in view by scrolling the list only (not the page)
+        const current = this.list.children[index];
+        const list = this.list;
+        if (current.offsetTop < list.scrollTop) {
+            list.scrollTop = current.offsetTop;
+        } else if (current.offsetTop + current.offsetHeight > list.scrollTop + list.clientHeight) {
+            list.scrollTop = current.offsetTop + current.offsetHeight - list.clientHeight;
+        }
+    }
+
+    dispose() {
+        this.history.removeEventListener('change', this.handleChange);
+        this.container.replaceChildren();
+    }
+}
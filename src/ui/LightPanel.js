@@ -0,0 +1,261 @@
+import { createControl, createButton } from './controls.js';
+import { LIGHT_TYPES, SHADOW_LIGHT_TYPES } from '../document/SceneDocument.js';
+import { getLightType } from '../document/SceneBuilder.js';
+
+const TYPE_LABELS = {
+    ambient: 'Ambient',
+    hemisphere: 'Hemisphere',
+    directional: 'Directional',
+    point: 'Point',
+    spot: 'Spot',
+    rectArea: 'Rect Area'
+};
+
+// Where new lights start (other settings keep the validateLight defaults)
+const NEW_LIGHTS = {
+    ambient: { intensity: 0.3 },
+    hemisphere: { color: '#bfdbfe', groundColor: '#3f3f46', intensity: 0.5 },
+    directional: { position: [5, 5, 5] },
+    point: { position: [0, 4, 4], distance: 50 },
+    spot: { position: [0, 6, 4], distance: 50, angle: 25, penumbra: 0.3 },
+    rectArea: { position: [0, 4, 4], width: 4, height: 2, intensity: 3 }
+};
+
+const POSITIONED = LIGHT_TYPES.filter(type => type !== 'ambient');
+const AIMED = ['directional', 'spot', 'rectArea'];
+
+// Editable light settings, grouped into panel sections. Vector settings are
+// edited one component at a time (`index`); `types` limits where a setting shows.
+const SECTIONS = [
+    {
+        title: 'Light',
+        properties: [
+            { key: 'color', label: 'Color', type: 'color' },
+            { key: 'groundColor', label: 'Ground Color', type: 'color', types: ['hemisphere'] },
+            { key: 'intensity', label: 'Intensity', type: 'range', min: 0, max: 5, step: 0.05 },
+            { key: 'distance', label: 'Distance (0 = infinite)', type: 'range', min: 0, max: 200, step: 1, types: ['point', 'spot'] },
+            { key: 'decay', label: 'Decay', type: 'range', min: 0, max: 3, step: 0.1, types: ['point', 'spot'] },
+            { key: 'angle', label: 'Angle (°)', type: 'range', min: 1, max: 90, step: 1, types: ['spot'] },
+            { key: 'penumbra', label: 'Penumbra', type: 'range', min: 0, max: 1, step: 0.01, types: ['spot'] },
+            { key: 'width', label: 'Width', type: 'range', min: 0.1, max: 20, step: 0.1, types: ['rectArea'] },
+            { key: 'height', label: 'Height', type: 'range', min: 0.1, max: 20, step: 0.1, types: ['rectArea'] },
+            {
+                key: 'animation',
+                label: 'Animation',
+                type: 'select',
+                options: [
+                    { value: 'none', label: 'Static' },
+                    { value: 'orbit', label: 'Orbit' },
+                    { value: 'pulse', label: 'Pulse' }
+                ]
+            }
+        ]
+    },
+    {
+        title: 'Placement',
+        types: POSITIONED,
+        properties: [
+            { key: 'position', index: 0, label: 'Position X', type: 'number', step: 0.1 },
+            { key: 'position', index: 1, label: 'Position Y', type: 'number', step: 0.1 },
+            { key: 'position', index: 2, label: 'Position Z', type: 'number', step: 0.1 },
+            { key: 'target', index: 0, label: 'Target X', type: 'number', step: 0.1, types: AIMED },
+            { key: 'target', index: 1, label: 'Target Y', type: 'number', step: 0.1, types: AIMED },
+            { key: 'target', index: 2, label: 'Target Z', type: 'number', step: 0.1, types: AIMED }
+        ]
+    },
+    {
+        title: 'Shadows',
+        types: SHADOW_LIGHT_TYPES,
+        properties: [
+            { key: 'castShadow', label: 'Cast Shadows', type: 'checkbox' },
+            {
+                key: 'shadowMapSize',
+                label: 'Map Size',
+                type: 'select',
+                options: [256, 512, 1024, 2048, 4096].map(size => ({ value: String(size), label: `${size}px` }))
+            },
+            { key: 'shadowBias', label: 'Bias', type: 'range', min: -0.01, max: 0.01, step: 0.0001 },
+            { key: 'shadowRadius', label: 'Radius', type: 'range', min: 0, max: 10, step: 0.1 }
+        ]
+    }
+];
+
+/**
+ * LightPanel Class
+ * Control panel section for a LightRig: pick a light, add or remove lights
+ * of any type, edit color, intensity, range, cone, placement, shadows and
+ * animation, and toggle the light helpers.
+ */
+export class LightPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {LightRig} rig
+     */
+    constructor(container, rig) {
+        this.container = container;
+        this.rig = rig;
+        this.light = null;
+        this.controls = [];
+        this.headings = [];
+
+        this.handleReset = () => this.setLight(this.rig.lights[0] || null);
+        this.rig.addEventListener('reset', this.handleReset);
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+        this.controls = [];
+        this.headings = [];
+
+        const helpersControl = createControl({
+            label: 'Show Helpers',
+            type: 'checkbox',
+            value: this.rig.helpersVisible,
+            onInput: visible => this.rig.setHelpersVisible(visible)
+        });
+        this.container.appendChild(helpersControl.group);
+
+        this.lightControl = createControl({
+            label: 'Light',
+            type: 'select',
+            onInput: index => this.setLight(this.rig.lights[Number(index)] || null)
+        });
+        this.container.appendChild(this.lightControl.group);
+
+        this.addControl = createControl({
+            label: 'Add Light',
+            type: 'select',
+            options: [
+                { value: '', label: 'Choose…' },
+                ...LIGHT_TYPES.map(type => ({ value: type, label: TYPE_LABELS[type] }))
+            ],
+            onInput: (type) => {
+                if (type) {
+                    this.setLight(this.rig.addLight({ type, ...NEW_LIGHTS[type] }));
+                }
+                this.addControl.input.value = '';
+            }
+        });
+        this.container.appendChild(this.addControl.group);
+
+        this.removeButton = createButton('Remove Light', () => {
+            if (this.light) {
+                this.rig.removeLight(this.light);
+                this.setLight(this.rig.lights[0] || null);
+            }
+        });
+        this.container.appendChild(this.removeButton);
+
+        this.settingsElement = document.createElement('div');
+        this.container.appendChild(this.settingsElement);
+
+        SECTIONS.forEach((section) => {
+            const heading = this.createHeading(section.title);
+            this.headings.push({ section, heading });
+            this.settingsElement.appendChild(heading);
+
+            section.properties.forEach((property) => {
+                const control = createControl({
+                    ...property,
+                    onInput: value => this.setProperty(property, value)
+                });
+                this.controls.push({ section, property, control });
+                this.settingsElement.appendChild(control.group);
+            });
+        });
+
+        this.setLight(this.rig.lights[0] || null);
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    /**
+     * Edit a different light (null hides the settings)
+     * @param {THREE.Light|null} light
+     */
+    setLight(light) {
+        this.light = light;
+        this.sync();
+    }
+
+    /**
+     * Update the inputs from the rig and the current light
+     */
+    sync() {
+        const lights = this.rig.lights;
+        if (this.light && !lights.includes(this.light)) {
+            this.light = lights[0] || null;
+        }
+
+        const select = this.lightControl.input;
+        select.replaceChildren();
+        lights.forEach((light, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${index + 1}. ${TYPE_LABELS[getLightType(light)]}`;
+            select.appendChild(option);
+        });
+
+        this.lightControl.group.hidden = lights.length === 0;
+        this.removeButton.hidden = !this.light;
+        this.settingsElement.hidden = !this.light;
+        if (!this.light) return;
+
+        select.value = String(lights.indexOf(this.light));
+
+        const desc = this.rig.describe(this.light);
+        const shows = ({ types }) => !types || types.includes(desc.type);
+
+        this.headings.forEach(({ section, heading }) => {
+            heading.hidden = !shows(section);
+        });
+        this.controls.forEach(({ section, property, control }) => {
+            const value = desc[property.key];
+            control.group.hidden = !shows(section) || !shows(property);
+            if (value === undefined) return;
+
+            if (property.index !== undefined) {
+                control.setValue(value[property.index]);
+            } else if (property.key === 'shadowMapSize') {
+                control.setValue(String(value));
+            } else {
+                control.setValue(value);
+            }
+        });
+    }
+
+    /**
+     * Apply an edited value to the current light
+     * @param {Object} property - Entry of SECTIONS
+     * @param {*} value
+     */
+    setProperty(property, value) {
+        if (!this.light) return;
+        const { key, index } = property;
+
+        if (index !== undefined) {
+            if (!Number.isFinite(value)) return;
+            const vector = this.rig.describe(this.light)[key];
+            vector[index] = value;
+            value = vector;
+        } else if (key === 'shadowMapSize') {
+            value = Number(value);
+        }
+
+        this.rig.set(this.light, key, value);
+    }
+
+    dispose() {
+        this.rig.removeEventListener('reset', this.handleReset);
+        this.container.replaceChildren();
+        this.controls = [];
+        this.light = null;
+    }
+}
@@ -0,0 +1,325 @@
+import * as THREE from 'three';
+import { createControl, createButton } from './controls.js';
+import {
+    PHYSICAL_DEFAULTS,
+    MATERIAL_PRESETS,
+    loadCustomPresets,
+    saveCustomPreset,
+    deleteCustomPreset
+} from '../materials/presets.js';
+import { setMaterialProperty, setMaterialProperties, getMaterialProperties } from '../materials/properties.js';
+
+// Editable MeshPhysicalMaterial properties, grouped into panel sections
+const SECTIONS = [
+    {
+        title: 'Surface',
+        properties: [
+            { key: 'color', label: 'Color', type: 'color' },
+            { key: 'metalness', label: 'Metalness', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'roughness', label: 'Roughness', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'opacity', label: 'Opacity', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'envMapIntensity', label: 'Env. Intensity', type: 'range', min: 0, max: 3, step: 0.05 },
+            { key: 'specularIntensity', label: 'Specular', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'specularColor', label: 'Specular Color', type: 'color' },
+            { key: 'anisotropy', label: 'Anisotropy', type: 'range', min: 0, max: 1, step: 0.01 }
+        ]
+    },
+    {
+        title: 'Clearcoat',
+        properties: [
+            { key: 'clearcoat', label: 'Clearcoat', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'clearcoatRoughness', label: 'Clearcoat Roughness', type: 'range', min: 0, max: 1, step: 0.01 }
+        ]
+    },
+    {
+        title: 'Transmission',
+        properties: [
+            { key: 'transmission', label: 'Transmission', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'thickness', label: 'Thickness', type: 'range', min: 0, max: 5, step: 0.05 },
+            { key: 'ior', label: 'IOR', type: 'range', min: 1, max: 2.333, step: 0.01 }
+        ]
+    },
+    {
+        title: 'Sheen',
+        properties: [
+            { key: 'sheen', label: 'Sheen', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'sheenRoughness', label: 'Sheen Roughness', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'sheenColor', label: 'Sheen Color', type: 'color' }
+        ]
+    },
+    {
+        title: 'Iridescence',
+        properties: [
+            { key: 'iridescence', label: 'Iridescence', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'iridescenceIOR', label: 'Iridescence IOR', type: 'range', min: 1, max: 2.333, step: 0.01 }
+        ]
+    },
+    {
+        title: 'Emission',
+        properties: [
+            { key: 'emissive', label: 'Emissive', type: 'color' },
+            { key: 'emissiveIntensity', label: 'Emissive Intensity', type: 'range', min: 0, max: 10, step: 0.1 }
+        ]
+    }
+];
+
+// Texture slots loaded from local image files
+const TEXTURE_SLOTS = [
+    { key: 'map', label: 'Color Map', srgb: true },
+    { key: 'normalMap', label: 'Normal Map' },
+    { key: 'roughnessMap', label: 'Roughness Map' },
+    { key: 'metalnessMap', label: 'Metalness Map' },
+    { key: 'emissiveMap', label: 'Emissive Map', srgb: true }
+];
+
+/**
+ * MaterialPanel Class
+ * Control panel section editing every MeshPhysicalMaterial property,
+ * texture maps from local images, and named (built-in or saved) presets.
+ */
+export class MaterialPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - Called with (key, material, previous) after every edit:
+     *   the property key and its previous value, 'preset' and all previous properties, or a
+     *   texture slot (no previous value; textures are not kept for undo)
+     */
+    constructor(container, { onChange = () => {} } = {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.material = null;
+        this.controls = new Map();
+        this.textureLoader = new THREE.TextureLoader();
+
+        this.render();
+    }
+
+    /**
+     * Build the panel DOM
+     */
+    render() {
+        this.container.replaceChildren();
+
+        // Presets
+        this.container.appendChild(this.createHeading('Presets'));
+        this.presetControl = createControl({
+            label: 'Preset',
+            type: 'select',
+            options: this.getPresetOptions(),
+            onInput: (name) => {
+                if (name) {
+                    this.applyPreset(name);
+                }
+            }
+        });
+        this.container.appendChild(this.presetControl.group);
+
+        const presetButtons = document.createElement('div');
+        presetButtons.className = 'control-row';
+        presetButtons.append(
+            createButton('Save Preset', () => this.promptSavePreset()),
+            createButton('Delete', () => this.deleteSelectedPreset())
+        );
+        this.container.appendChild(presetButtons);
+
+        // Properties
+        SECTIONS.forEach((section) => {
+            this.container.appendChild(this.createHeading(section.title));
+            section.properties.forEach((property) => {
+                const control = createControl({
+                    ...property,
+                    onInput: value => this.setProperty(property.key, value)
+                });
+                this.controls.set(property.key, control);
+                this.container.appendChild(control.group);
+            });
+        });
+
+        // Textures
+        this.container.appendChild(this.createHeading('Textures'));
+        TEXTURE_SLOTS.forEach((slot) => {
+            const control = createControl({
+                label: slot.label,
+                type: 'file',
+                accept: 'image/*',
+                onInput: (file) => {
+                    if (file) {
+                        this.loadTexture(slot, file);
+                    }
+                }
+            });
+            control.input.value = '';
+            control.group.appendChild(createButton('Clear', () => {
+                control.input.value = '';
+                this.setTexture(slot, null);
+            }));
+            this.controls.set(slot.key, control);
+            this.container.appendChild(control.group);
+        });
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    getPresetOptions() {
+        const custom = Object.keys(loadCustomPresets());
+        return [
+            { value: '', label: 'Choose…' },
+            ...Object.keys(MATERIAL_PRESETS).map(name => ({ value: name, label: name })),
+            ...custom.map(name => ({ value: `custom:${name}`, label: `★ ${name}` }))
+        ];
+    }
+
+    refreshPresetOptions() {
+        const select = this.presetControl.input;
+        select.replaceChildren();
+        this.getPresetOptions().forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Edit a different material (null disables the panel)
+     * @param {THREE.MeshPhysicalMaterial|null} material
+     */
+    setMaterial(material) {
+        this.material = material && material.isMeshPhysicalMaterial ? material : null;
+        this.container.classList.toggle('disabled', !this.material);
+        this.sync();
+    }
+
+    /**
+     * Update the inputs from the material
+     */
+    sync() {
+        if (!this.material) return;
+
+        SECTIONS.forEach(({ properties }) => {
+            properties.forEach(({ key, type }) => {
+                const value = this.material[key];
+                this.controls.get(key).setValue(type === 'color' ? `#${value.getHexString()}` : value);
+            });
+        });
+    }
+
+    /**
+     * Set a single material property
+     * @param {string} key
+     * @param {*} value - Numbers, booleans or hex color strings
+     */
+    setProperty(key, value) {
+        if (!this.material) return;
+
+        const material = this.material;
+        const previous = getMaterialProperties(material)[key];
+        setMaterialProperty(material, key, value);
+        this.onChange(key, material, previous);
+    }
+
+    /**
+     * Current scalar properties of the material (for presets)
+     * @returns {Object}
+     */
+    getProperties() {
+        return getMaterialProperties(this.material);
+    }
+
+    /**
+     * Apply a built-in or custom preset on top of the physical defaults
+     * @param {string} name - Preset name (custom presets are prefixed with `custom:`)
+     */
+    applyPreset(name) {
+        if (!this.material) return;
+
+        const preset = name.startsWith('custom:')
+            ? loadCustomPresets()[name.slice('custom:'.length)]
+            : MATERIAL_PRESETS[name];
+        if (!preset) return;
+
+        const previous = this.getProperties();
+        setMaterialProperties(this.material, { ...PHYSICAL_DEFAULTS, ...preset });
+        this.sync();
+        this.onChange('preset', this.material, previous);
+    }
+
+    promptSavePreset() {
+        if (!this.material) return;
+
+        const name = window.prompt('Preset name:');
+        if (!name) return;
+
+        saveCustomPreset(name.trim(), this.getProperties());
+        this.refreshPresetOptions();
+        this.presetControl.input.value = `custom:${name.trim()}`;
+    }
+
+    deleteSelectedPreset() {
+        const value = this.presetControl.input.value;
+        if (!value.startsWith('custom:')) return;
+
+        deleteCustomPreset(value.slice('custom:'.length));
+        this.refreshPresetOptions();
+    }
+
+    /**
+     * Load an image file into a texture slot
+     * @param {Object} slot - Entry of TEXTURE_SLOTS
+     * @param {File} file
+     */
+    async loadTexture(slot, file) {
+        const material = this.material;
+        if (!material) return;
+
+        const url = URL.createObjectURL(file);
+        try {
+            const texture = await this.textureLoader.loadAsync(url);
+            if (slot.srgb) {
+                texture.colorSpace = THREE.SRGBColorSpace;
+            }
+            texture.name = file.name;
+
+            // The user may have selected another object while loading
+            if (material === this.material) {
+                this.setTexture(slot, texture);
+            } else {
+                texture.dispose();
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load ${file.name} as a texture:`, error);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Assign (or clear) a texture slot, disposing the previous texture
+     * @param {Object} slot
+     * @param {THREE.Texture|null} texture
+     */
+    setTexture(slot, texture) {
+        if (!this.material) return;
+
+        const previous = this.material[slot.key];
+        if (previous && previous !== texture) {
+            previous.dispose();
+        }
+
+        this.material[slot.key] = texture;
+        this.material.needsUpdate = true;
+        this.onChange(slot.key, this.material);
+    }
+
+    dispose() {
+        this.container.replaceChildren();
+        this.controls.clear();
+        this.material = null;
+    }
+}
@@ -0,0 +1,266 @@
+import { createControl, createButton } from './controls.js';
+import { EMITTER_SHAPES, PARTICLE_SPRITES, PARTICLE_BLENDING, MAX_PARTICLES, MAX_EMITTERS } from '../document/SceneDocument.js';
+import { EMITTER_PRESETS } from '../particles/presets.js';
+
+const FREE_SHAPES = ['point', 'sphere', 'box'];
+
+// Editable emitter settings, grouped into panel sections. Vector settings are
+// edited one component at a time (`index`); `shapes` limits where a setting shows.
+const SECTIONS = [
+    {
+        title: 'Emitter',
+        properties: [
+            { key: 'enabled', label: 'Enabled', type: 'checkbox' },
+            { key: 'shape', label: 'Shape', type: 'select', options: EMITTER_SHAPES.map(value => ({ value, label: value })) },
+            { key: 'mesh', label: 'Mesh', type: 'select', shapes: ['mesh'] },
+            { key: 'count', label: 'Count', type: 'number', min: 0, max: MAX_PARTICLES, step: 100 },
+            { key: 'radius', label: 'Radius', type: 'range', min: 0, max: 10, step: 0.1, shapes: ['sphere'] },
+            { key: 'size', index: 0, label: 'Width', type: 'range', min: 0, max: 60, step: 0.5, shapes: ['box'] },
+            { key: 'size', index: 1, label: 'Height', type: 'range', min: 0, max: 60, step: 0.5, shapes: ['box'] },
+            { key: 'size', index: 2, label: 'Depth', type: 'range', min: 0, max: 60, step: 0.5, shapes: ['box'] },
+            { key: 'position', index: 0, label: 'Position X', type: 'number', step: 0.1, shapes: FREE_SHAPES },
+            { key: 'position', index: 1, label: 'Position Y', type: 'number', step: 0.1, shapes: FREE_SHAPES },
+            { key: 'position', index: 2, label: 'Position Z', type: 'number', step: 0.1, shapes: FREE_SHAPES }
+        ]
+    },
+    {
+        title: 'Motion',
+        properties: [
+            { key: 'lifetime', label: 'Lifetime (s)', type: 'range', min: 0.1, max: 20, step: 0.1 },
+            { key: 'lifetimeVariance', label: 'Lifetime Variance', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'speed', label: 'Speed', type: 'range', min: 0, max: 20, step: 0.1 },
+            { key: 'speedVariance', label: 'Speed Variance', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'spread', label: 'Spread (°)', type: 'range', min: 0, max: 180, step: 1 },
+            { key: 'gravity', index: 1, label: 'Gravity', type: 'range', min: -20, max: 20, step: 0.1 },
+            { key: 'drag', label: 'Drag', type: 'range', min: 0, max: 5, step: 0.05 }
+        ]
+    },
+    {
+        title: 'Appearance',
+        properties: [
+            { key: 'sizeStart', label: 'Start Size', type: 'range', min: 0, max: 2, step: 0.01 },
+            { key: 'sizeEnd', label: 'End Size', type: 'range', min: 0, max: 2, step: 0.01 },
+            { key: 'colorStart', label: 'Start Color', type: 'color' },
+            { key: 'colorEnd', label: 'End Color', type: 'color' },
+            { key: 'colorVariance', label: 'Random Color', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'opacityStart', label: 'Start Opacity', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'opacityEnd', label: 'End Opacity', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'sprite', label: 'Sprite', type: 'select', options: PARTICLE_SPRITES.map(value => ({ value, label: value })) },
+            { key: 'blending', label: 'Blending', type: 'select', options: PARTICLE_BLENDING.map(value => ({ value, label: value })) }
+        ]
+    }
+];
+
+/**
+ * ParticlePanel Class
+ * Control panel section for a ParticleSystem: pick an emitter, add one from
+ * a preset or remove it, and edit its shape, motion and appearance.
+ */
+export class ParticlePanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {ParticleSystem} particles
+     * @param {Object} [options]
+     * @param {Function} [options.getMeshIds] - Ids of the meshes mesh emitters can use
+     * @param {Function} [options.onChange] - Called after every edit with the changed key and
+     *   { emitter, previous }, or with 'emitters' and { emitter, index, removed } when an
+     *   emitter was added or removed
+     */
+    constructor(container, particles, { getMeshIds = () => [], onChange = () => {} } = {}) {
+        this.container = container;
+        this.particles = particles;
+        this.getMeshIds = getMeshIds;
+        this.onChange = onChange;
+        this.emitter = null;
+        this.controls = [];
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+        this.controls = [];
+
+        this.emitterControl = createControl({
+            label: 'Emitter',
+            type: 'select',
+            onInput: id => this.setEmitter(this.particles.getEmitter(id) || null)
+        });
+        this.container.appendChild(this.emitterControl.group);
+
+        this.presetControl = createControl({
+            label: 'Add Emitter',
+            type: 'select',
+            options: [
+                { value: '', label: 'Choose…' },
+                ...Object.keys(EMITTER_PRESETS).map(name => ({ value: name, label: name }))
+            ],
+            onInput: (name) => {
+                if (name) {
+                    this.addEmitter(name);
+                }
+                this.presetControl.input.value = '';
+            }
+        });
+        this.container.appendChild(this.presetControl.group);
+
+        this.removeButton = createButton('Remove Emitter', () => this.removeEmitter());
+        this.container.appendChild(this.removeButton);
+
+        this.settingsElement = document.createElement('div');
+        this.container.appendChild(this.settingsElement);
+
+        SECTIONS.forEach((section) => {
+            this.settingsElement.appendChild(this.createHeading(section.title));
+            section.properties.forEach((property) => {
+                const control = createControl({
+                    ...property,
+                    onInput: value => this.setProperty(property, value)
+                });
+                this.controls.push({ property, control });
+                this.settingsElement.appendChild(control.group);
+            });
+        });
+
+        this.setEmitter(this.particles.emitters[0] || null);
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    /**
+     * Point the panel at another particle system (after a document was loaded)
+     * @param {ParticleSystem} particles
+     */
+    setParticles(particles) {
+        this.particles = particles;
+        this.setEmitter(particles.emitters[0] || null);
+    }
+
+    /**
+     * Edit a different emitter (null hides the settings)
+     * @param {ParticleEmitter|null} emitter
+     */
+    setEmitter(emitter) {
+        this.emitter = emitter;
+        this.sync();
+    }
+
+    /**
+     * Update the inputs from the particle system and the current emitter
+     */
+    sync() {
+        const emitters = this.particles.emitters;
+        if (this.emitter && !emitters.includes(this.emitter)) {
+            this.emitter = emitters[0] || null;
+        }
+
+        fillOptions(this.emitterControl.input, emitters.map(({ settings }) => settings.id));
+        this.emitterControl.group.hidden = emitters.length === 0;
+        this.presetControl.group.hidden = emitters.length >= MAX_EMITTERS;
+        this.removeButton.hidden = !this.emitter;
+        this.settingsElement.hidden = !this.emitter;
+        if (!this.emitter) return;
+
+        const settings = this.emitter.settings;
+        this.emitterControl.input.value = settings.id;
+
+        // Meshes come and go with the document, so list the current ones
+        const meshControl = this.controls.find(({ property }) => property.key === 'mesh').control;
+        const meshIds = this.getMeshIds();
+        fillOptions(meshControl.input, settings.mesh && !meshIds.includes(settings.mesh) ? [...meshIds, settings.mesh] : meshIds);
+
+        this.controls.forEach(({ property, control }) => {
+            const value = settings[property.key];
+            control.setValue(property.index === undefined ? value : value[property.index]);
+            control.group.hidden = Boolean(property.shapes) && !property.shapes.includes(settings.shape);
+        });
+    }
+
+    /**
+     * Apply an edited value to the current emitter
+     * @param {Object} property - Entry of SECTIONS
+     * @param {*} value
+     */
+    setProperty(property, value) {
+        if (!this.emitter) return;
+        const { key, index } = property;
+        const previous = structuredClone(this.emitter.settings[key]);
+
+        if (key === 'count') {
+            if (!Number.isFinite(value)) return;
+            value = Math.round(Math.min(Math.max(value, 0), this.getParticleBudget(this.emitter)));
+        } else if (index !== undefined) {
+            if (!Number.isFinite(value)) return;
+            const vector = [...this.emitter.settings[key]];
+            vector[index] = value;
+            value = vector;
+        } else if (key === 'shape' && value === 'mesh' && !this.emitter.settings.mesh) {
+            // Mesh emitters need a mesh before their spawn points can be sampled
+            this.emitter.settings.mesh = this.getMeshIds()[0] || 'cube';
+        }
+
+        this.emitter.set(key, value);
+        if (key === 'shape' || key === 'count') {
+            this.sync();
+        }
+        this.onChange(key, { emitter: this.emitter, previous });
+    }
+
+    /**
+     * Add an emitter from a preset and select it
+     * @param {string} name - Key of EMITTER_PRESETS
+     */
+    addEmitter(name) {
+        if (this.particles.emitters.length >= MAX_EMITTERS) return;
+
+        // Documents cap the particles of all emitters together, so the preset may get fewer
+        const preset = EMITTER_PRESETS[name];
+        const count = Math.min(preset.count, this.getParticleBudget(null));
+        const emitter = this.particles.addEmitter({ id: name, ...preset, count });
+        this.setEmitter(emitter);
+        this.onChange('emitters', { emitter, index: this.particles.emitters.indexOf(emitter), removed: false });
+    }
+
+    /**
+     * Particles an emitter may have without the document going over MAX_PARTICLES
+     * @param {ParticleEmitter|null} emitter - Emitter whose own count is not counted
+     * @returns {number}
+     */
+    getParticleBudget(emitter) {
+        const used = this.particles.emitters
+            .filter(other => other !== emitter)
+            .reduce((sum, other) => sum + other.settings.count, 0);
+        return Math.max(MAX_PARTICLES - used, 0);
+    }
+
+    removeEmitter() {
+        if (!this.emitter) return;
+
+        const emitter = this.emitter;
+        const index = this.particles.emitters.indexOf(emitter);
+        this.particles.removeEmitter(emitter);
+        this.setEmitter(this.particles.emitters[0] || null);
+        this.onChange('emitters', { emitter, index, removed: true });
+    }
+
+    dispose() {
+        this.container.replaceChildren();
+        this.controls = [];
+        this.emitter = null;
+    }
+}
+
+function fillOptions(select, values) {
+    select.replaceChildren();
+    values.forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+}
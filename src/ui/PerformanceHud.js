@@ -0,0 +1,104 @@
+import { createControl } from './controls.js';
+import { formatBytes } from '../performance/memory.js';
+
+const ROWS = [
+    { key: 'fps', label: 'FPS', format: stats => stats.fps.toFixed(0) },
+    { key: 'frameTime', label: 'Frame', format: stats => `${stats.frameTime.toFixed(1)} ms` },
+    { key: 'drawCalls', label: 'Draw calls', format: stats => stats.drawCalls },
+    { key: 'triangles', label: 'Triangles', format: stats => stats.triangles.toLocaleString() },
+    { key: 'textures', label: 'Textures', format: stats => stats.textures },
+    { key: 'geometries', label: 'Geometries', format: stats => stats.geometries },
+    { key: 'memory', label: 'GPU memory', format: stats => (stats.memory ? `~${formatBytes(stats.memory.total)}` : '-') },
+    {
+        key: 'memoryDetail',
+        label: '',
+        format: stats => (stats.memory
+            ? `geo ${formatBytes(stats.memory.geometries)} · tex ${formatBytes(stats.memory.textures)} · rt ${formatBytes(stats.memory.renderTargets)}`
+            : '')
+    }
+];
+
+/**
+ * PerformanceHud Class
+ * Overlay with the stats of a PerformanceMonitor and an adaptive quality toggle.
+ */
+export class PerformanceHud {
+    /**
+     * @param {HTMLElement} parent - Element the overlay is appended to
+     * @param {Object} [options]
+     * @param {Function} [options.onAdaptiveChange] - Called with the new adaptive quality state
+     */
+    constructor(parent, { onAdaptiveChange = () => {} } = {}) {
+        this.element = document.createElement('div');
+        this.element.className = 'perf-hud';
+        this.element.hidden = true;
+
+        this.values = new Map();
+        const table = document.createElement('dl');
+        ROWS.forEach(({ key, label }) => {
+            if (label) {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                table.appendChild(term);
+            }
+            const value = document.createElement('dd');
+            value.textContent = '-';
+            if (!label) {
+                value.className = 'perf-hud-detail';
+            }
+            table.appendChild(value);
+            this.values.set(key, value);
+        });
+
+        this.adaptive = createControl({
+            label: 'Adaptive quality',
+            type: 'checkbox',
+            onInput: onAdaptiveChange
+        });
+        this.adaptive.group.classList.add('effect-toggle');
+
+        this.level = document.createElement('p');
+        this.level.className = 'status-text';
+
+        this.element.append(table, this.adaptive.group, this.level);
+        parent.appendChild(this.element);
+    }
+
+    /**
+     * @returns {boolean} Whether the overlay is shown
+     */
+    get visible() {
+        return !this.element.hidden;
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.element.hidden = !visible;
+    }
+
+    /**
+     * Show the latest stats
+     * @param {Object} stats - See PerformanceMonitor
+     */
+    update(stats) {
+        ROWS.forEach(({ key, format }) => {
+            this.values.get(key).textContent = format(stats);
+        });
+    }
+
+    /**
+     * Show the adaptive quality state
+     * @param {boolean} enabled
+     * @param {Object} level - Current quality level
+     */
+    setQuality(enabled, level) {
+        this.adaptive.setValue(enabled);
+        this.level.textContent = enabled ? `Quality: ${level.name}` : '';
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
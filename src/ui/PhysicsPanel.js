@@ -0,0 +1,66 @@
+import { createControl, createButton } from './controls.js';
+
+/**
+ * PhysicsPanel Class
+ * Control panel section for a PhysicsWorld: gravity, restitution and
+ * friction, the body count and a reset button.
+ */
+export class PhysicsPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {PhysicsWorld} world
+     * @param {Object} [options]
+     * @param {Function} [options.onReset] - Called when the reset button is clicked
+     */
+    constructor(container, world, { onReset = () => {} } = {}) {
+        this.container = container;
+        this.world = world;
+        this.onReset = onReset;
+        this.controls = new Map();
+
+        this.handleBodiesChange = () => this.syncCount();
+        this.world.addEventListener('add', this.handleBodiesChange);
+        this.world.addEventListener('remove', this.handleBodiesChange);
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        const definitions = [
+            { key: 'gravity', label: 'Gravity (m/s²)', type: 'range', min: 0, max: 30, step: 0.1 },
+            { key: 'restitution', label: 'Restitution', type: 'range', min: 0, max: 1, step: 0.01 },
+            { key: 'friction', label: 'Friction', type: 'range', min: 0, max: 1, step: 0.01 }
+        ];
+
+        definitions.forEach((definition) => {
+            const control = createControl({
+                ...definition,
+                value: this.world.settings[definition.key],
+                onInput: value => this.world.set(definition.key, value)
+            });
+            this.controls.set(definition.key, control);
+            this.container.appendChild(control.group);
+        });
+
+        this.container.appendChild(createButton('Reset', () => this.onReset()));
+
+        this.count = document.createElement('p');
+        this.count.className = 'status-text';
+        this.container.appendChild(this.count);
+
+        this.syncCount();
+    }
+
+    syncCount() {
+        const count = this.world.records.length;
+        this.count.textContent = `${count} ${count === 1 ? 'body' : 'bodies'}`;
+    }
+
+    dispose() {
+        this.world.removeEventListener('add', this.handleBodiesChange);
+        this.world.removeEventListener('remove', this.handleBodiesChange);
+        this.container.replaceChildren();
+    }
+}
@@ -0,0 +1,88 @@
+import { createControl } from './controls.js';
+
+/**
+ * PostProcessingPanel Class
+ * Control panel section with an enable toggle and parameter sliders
+ * for every effect of a PostProcessingPipeline.
+ */
+export class PostProcessingPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {PostProcessingPipeline} pipeline
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - Called with (effectId, key, previous) after every edit
+     */
+    constructor(container, pipeline, { onChange = () => {} } = {}) {
+        this.container = container;
+        this.pipeline = pipeline;
+        this.onChange = onChange;
+        this.controls = [];
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+        this.controls = [];
+
+        this.pipeline.effects.forEach((effect, id) => {
+            const toggle = createControl({
+                label: effect.label,
+                type: 'checkbox',
+                onInput: (enabled) => {
+                    const previous = effect.pass.enabled;
+                    this.pipeline.setEnabled(id, enabled);
+                    this.syncVisibility();
+                    this.onChange(id, 'enabled', previous);
+                }
+            });
+            toggle.group.classList.add('effect-toggle');
+            this.container.appendChild(toggle.group);
+            this.controls.push({ id, key: 'enabled', control: toggle, read: () => effect.pass.enabled });
+
+            effect.params.forEach((param) => {
+                const control = createControl({
+                    label: param.label,
+                    type: 'range',
+                    min: param.min,
+                    max: param.max,
+                    step: param.step,
+                    onInput: (value) => {
+                        const previous = param.get();
+                        this.pipeline.setParam(id, param.key, value);
+                        this.onChange(id, param.key, previous);
+                    }
+                });
+                control.group.classList.add('effect-param');
+                control.group.dataset.effect = id;
+                this.container.appendChild(control.group);
+                this.controls.push({ id, key: param.key, control, read: param.get });
+            });
+        });
+
+        this.sync();
+    }
+
+    /**
+     * Update the inputs from the pipeline
+     */
+    sync() {
+        this.controls.forEach(({ control, read }) => control.setValue(read()));
+        this.syncVisibility();
+    }
+
+    /**
+     * Only show parameters of enabled effects
+     */
+    syncVisibility() {
+        this.container.querySelectorAll('.effect-param').forEach((group) => {
+            const effect = this.pipeline.getEffect(group.dataset.effect);
+            group.hidden = !effect.pass.enabled;
+        });
+    }
+
+    dispose() {
+        this.container.replaceChildren();
+        this.controls = [];
+    }
+}
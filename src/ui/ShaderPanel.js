@@ -0,0 +1,426 @@
+import * as THREE from 'three';
+import { createControl, createButton } from './controls.js';
+import { SceneBuilder } from '../document/SceneBuilder.js';
+import { PHYSICAL_DEFAULTS } from '../materials/presets.js';
+import {
+    DEFAULT_SHADER,
+    parseUniforms,
+    createShaderMaterial,
+    serializeShaderMaterial,
+    replaceMaterial
+} from '../materials/shader.js';
+
+const RELOAD_DELAY = 400; // ms after the last keystroke before recompiling
+const INDENT = '    ';
+
+const STAGES = [
+    { key: 'vertexShader', label: 'Vertex Shader', stage: 'vertex' },
+    { key: 'fragmentShader', label: 'Fragment Shader', stage: 'fragment' }
+];
+
+/**
+ * ShaderPanel Class
+ * Control panel section giving a document mesh a custom ShaderMaterial:
+ * vertex and fragment GLSL editors that recompile as you type, compile
+ * errors with line numbers (the last working shader stays on the mesh), and
+ * controls generated from the declared uniforms (see src/materials/shader.js).
+ */
+export class ShaderPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options
+     * @param {Function} options.compile - (mesh, material) => errors; compiles a candidate
+     *   material for the mesh without showing it (see compileShaderMaterial)
+     * @param {Function} [options.onChange] - Called with (mesh, key, previous) after every edit:
+     *   'material' or 'source' and the previous material description, or `uniforms.<name>` and
+     *   the uniform's previous value (none for textures, which are not kept for undo)
+     */
+    constructor(container, { compile, onChange = () => {} }) {
+        this.container = container;
+        this.compile = compile;
+        this.onChange = onChange;
+        this.mesh = null;
+        this.reloadTimer = null;
+        this.uniformControls = new Map();
+        this.textureLoader = new THREE.TextureLoader();
+
+        // Material descriptions replaced by a shader, restored when switching back
+        this.previousMaterials = new WeakMap();
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        this.toggleButton = createButton('Use Custom Shader', () => this.toggleShader());
+        this.container.appendChild(this.toggleButton);
+
+        this.editor = document.createElement('div');
+        this.editor.className = 'sub-panel';
+        this.container.appendChild(this.editor);
+
+        this.sources = new Map();
+        STAGES.forEach(({ key, label }) => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const textarea = document.createElement('textarea');
+            textarea.className = 'code-editor';
+            textarea.spellcheck = false;
+            textarea.rows = 12;
+            textarea.id = `shader-${key}`;
+            textarea.addEventListener('input', () => this.scheduleReload());
+            textarea.addEventListener('keydown', event => this.onEditorKeyDown(event));
+
+            const labelElement = document.createElement('label');
+            labelElement.htmlFor = textarea.id;
+            labelElement.textContent = `${label}:`;
+
+            group.append(labelElement, textarea);
+            this.editor.appendChild(group);
+            this.sources.set(key, textarea);
+        });
+
+        this.status = document.createElement('p');
+        this.status.className = 'status-text';
+        this.errorList = document.createElement('ul');
+        this.errorList.className = 'shader-errors';
+        this.editor.append(this.status, this.errorList);
+
+        this.editor.appendChild(this.createHeading('Uniforms'));
+        this.uniforms = document.createElement('div');
+        this.uniforms.className = 'sub-panel';
+        this.editor.appendChild(this.uniforms);
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    get material() {
+        return this.mesh && this.mesh.material.isShaderMaterial ? this.mesh.material : null;
+    }
+
+    /**
+     * Edit a different mesh (null disables the panel)
+     * Only meshes built from a scene document can be given a shader.
+     * @param {THREE.Mesh|null} mesh
+     */
+    setMesh(mesh) {
+        this.flushReload();
+        this.mesh = mesh && mesh.isMesh && mesh.userData.geometry ? mesh : null;
+        this.container.classList.toggle('disabled', !this.mesh);
+        this.sync();
+    }
+
+    /**
+     * Update the editors and uniform controls from the mesh's material
+     */
+    sync() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+        const material = this.material;
+
+        this.toggleButton.textContent = material ? 'Use Physical Material' : 'Use Custom Shader';
+        this.editor.hidden = !material;
+        this.showErrors([]);
+        if (!material) return;
+
+        this.sources.forEach((textarea, key) => {
+            textarea.value = material[key];
+        });
+        this.renderUniforms();
+    }
+
+    /**
+     * Rebuild the controls for the uniforms declared by the current shader
+     */
+    renderUniforms() {
+        const material = this.material;
+        this.uniforms.replaceChildren();
+        this.uniformControls.clear();
+
+        const declared = parseUniforms(material.vertexShader, material.fragmentShader);
+        declared.forEach((uniform) => {
+            const control = this.createUniformControl(uniform, material.uniforms[uniform.name].value);
+            this.uniformControls.set(uniform.name, control);
+            this.uniforms.appendChild(control.group);
+        });
+
+        if (declared.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'status-text';
+            empty.textContent = 'Declare float, vec3, bool or sampler2D uniforms to get controls';
+            this.uniforms.appendChild(empty);
+        }
+    }
+
+    createUniformControl({ name, type, min, max }, value) {
+        switch (type) {
+            case 'float':
+                return createControl({
+                    label: name,
+                    type: 'range',
+                    min,
+                    max,
+                    step: (max - min) / 100,
+                    value,
+                    onInput: next => this.setUniform(name, next)
+                });
+            case 'vec3':
+                return createControl({
+                    label: name,
+                    type: 'color',
+                    value: `#${value.getHexString()}`,
+                    onInput: next => this.setUniform(name, next)
+                });
+            case 'bool':
+                return createControl({
+                    label: name,
+                    type: 'checkbox',
+                    value,
+                    onInput: next => this.setUniform(name, next)
+                });
+            default: {
+                const control = createControl({
+                    label: name,
+                    type: 'file',
+                    accept: 'image/*',
+                    onInput: (file) => {
+                        if (file) {
+                            this.loadTexture(name, file);
+                        }
+                    }
+                });
+                control.group.appendChild(createButton('Clear', () => {
+                    control.input.value = '';
+                    this.setTexture(name, null);
+                }));
+                return control;
+            }
+        }
+    }
+
+    /**
+     * Switch the mesh between a custom shader and a physical material
+     */
+    toggleShader() {
+        if (!this.mesh) return;
+
+        const mesh = this.mesh;
+        const previous = SceneBuilder.serializeMaterial(mesh.material);
+        let material;
+
+        if (this.material) {
+            material = SceneBuilder.buildMaterial(this.previousMaterials.get(mesh) || {
+                type: 'physical',
+                ...PHYSICAL_DEFAULTS,
+                color: previous.uniforms.uColor || PHYSICAL_DEFAULTS.color
+            });
+        } else {
+            // Start from the template, in the current color
+            material = createShaderMaterial({
+                ...DEFAULT_SHADER,
+                uniforms: { ...DEFAULT_SHADER.uniforms, uColor: previous.color || DEFAULT_SHADER.uniforms.uColor }
+            });
+            const errors = this.compile(mesh, material);
+            if (errors.length > 0) {
+                material.dispose();
+                this.showErrors(errors);
+                return;
+            }
+            this.previousMaterials.set(mesh, previous);
+        }
+
+        replaceMaterial(mesh, material);
+        this.sync();
+        this.onChange(mesh, 'material', previous);
+    }
+
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY);
+    }
+
+    /**
+     * Recompile right away if an edit is waiting
+     */
+    flushReload() {
+        if (this.reloadTimer === null) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reload();
+    }
+
+    /**
+     * Compile the editor contents and, if they work, put them on the mesh
+     * A shader that fails to compile is discarded and the mesh keeps the last
+     * working one.
+     */
+    reload() {
+        this.reloadTimer = null;
+        const current = this.material;
+        if (!current) return;
+
+        const vertexShader = this.sources.get('vertexShader').value;
+        const fragmentShader = this.sources.get('fragmentShader').value;
+        if (vertexShader === current.vertexShader && fragmentShader === current.fragmentShader) {
+            this.showErrors([]);
+            return;
+        }
+
+        // Keep the values (and textures) of uniforms the new source still declares
+        const previous = serializeShaderMaterial(current);
+        const material = createShaderMaterial({ vertexShader, fragmentShader, uniforms: previous.uniforms }, current);
+
+        const errors = this.compile(this.mesh, material);
+        if (errors.length > 0) {
+            material.dispose();
+            this.showErrors(errors);
+            return;
+        }
+
+        replaceMaterial(this.mesh, material);
+        this.showErrors([]);
+        this.setStatus('Compiled');
+        this.renderUniforms();
+        this.onChange(this.mesh, 'source', previous);
+    }
+
+    /**
+     * Set a uniform from its control
+     * @param {string} name
+     * @param {number|boolean|string} value - Colors as hex strings
+     */
+    setUniform(name, value) {
+        const material = this.material;
+        if (!material) return;
+
+        const uniform = material.uniforms[name];
+        const previous = uniform.value.isColor ? `#${uniform.value.getHexString()}` : uniform.value;
+        if (uniform.value.isColor) {
+            uniform.value.set(value);
+        } else {
+            uniform.value = value;
+        }
+        this.onChange(this.mesh, `uniforms.${name}`, previous);
+    }
+
+    /**
+     * Update a uniform control after its value was changed elsewhere (undo)
+     * @param {string} name
+     */
+    syncUniform(name) {
+        const control = this.uniformControls.get(name);
+        const material = this.material;
+        if (!control || !material || !material.uniforms[name]) return;
+
+        const { value } = material.uniforms[name];
+        control.setValue(value && value.isColor ? `#${value.getHexString()}` : value);
+    }
+
+    /**
+     * Load an image file into a sampler2D uniform
+     * @param {string} name
+     * @param {File} file
+     */
+    async loadTexture(name, file) {
+        const material = this.material;
+        if (!material) return;
+
+        const url = URL.createObjectURL(file);
+        try {
+            const texture = await this.textureLoader.loadAsync(url);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.name = file.name;
+
+            // The shader may have been recompiled or the selection changed while loading
+            if (material === this.material) {
+                this.setTexture(name, texture);
+            } else {
+                texture.dispose();
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load ${file.name} as a texture:`, error);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Assign (or clear) a sampler2D uniform, disposing the previous texture
+     * @param {string} name
+     * @param {THREE.Texture|null} texture
+     */
+    setTexture(name, texture) {
+        const material = this.material;
+        if (!material) return;
+
+        const uniform = material.uniforms[name];
+        if (uniform.value && uniform.value !== texture) {
+            uniform.value.dispose();
+        }
+        uniform.value = texture;
+        this.onChange(this.mesh, `uniforms.${name}`);
+    }
+
+    /**
+     * List compile errors; clicking one selects its line in the editor
+     * @param {Array<{stage: string, line: number|null, message: string}>} errors
+     */
+    showErrors(errors) {
+        this.errorList.replaceChildren();
+        this.setStatus(errors.length > 0 ? 'Compile failed, keeping the last working shader' : '', errors.length > 0);
+
+        errors.forEach(({ stage, line, message }) => {
+            const item = document.createElement('li');
+            const where = line === null ? stage : `${stage} line ${line}`;
+            item.textContent = `${where}: ${message}`;
+
+            const source = STAGES.find(entry => entry.stage === stage);
+            if (source && line !== null) {
+                item.addEventListener('click', () => this.selectLine(this.sources.get(source.key), line));
+            }
+            this.errorList.appendChild(item);
+        });
+    }
+
+    selectLine(textarea, line) {
+        const lines = textarea.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+        const end = start + (lines[line - 1] || '').length;
+
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+    }
+
+    /**
+     * Tab indents instead of leaving the editor
+     * @param {KeyboardEvent} event
+     */
+    onEditorKeyDown(event) {
+        if (event.key !== 'Tab' || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) return;
+
+        event.preventDefault();
+        const textarea = event.target;
+        textarea.setRangeText(INDENT, textarea.selectionStart, textarea.selectionEnd, 'end');
+        this.scheduleReload();
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    dispose() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+        this.container.replaceChildren();
+        this.uniformControls.clear();
+        this.mesh = null;
+    }
+}
@@ -0,0 +1,83 @@
+import { createControl, createButton } from './controls.js';
+import { ACTION_LABELS, parseBindingList } from '../input/bindings.js';
+
+/**
+ * ShortcutsPanel Class
+ * Control panel section for an InputManager: rebind each action to keys,
+ * gestures and gamepad buttons, restore the defaults, and show whether a
+ * gamepad is connected.
+ */
+export class ShortcutsPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {InputManager} input
+     */
+    constructor(container, input) {
+        this.container = container;
+        this.input = input;
+        this.controls = [];
+
+        this.handleBindings = () => this.sync();
+        this.handleGamepad = () => this.updateGamepadStatus();
+        this.input.addEventListener('bindings', this.handleBindings);
+        this.input.addEventListener('gamepadconnected', this.handleGamepad);
+        this.input.addEventListener('gamepaddisconnected', this.handleGamepad);
+
+        this.render();
+    }
+
+    render() {
+        this.container.replaceChildren();
+        this.controls = [];
+
+        const hint = document.createElement('p');
+        hint.className = 'status-text';
+        hint.textContent = 'Comma-separated: keys (f, shift+d, space), tap, doubletap, longpress, gamepad:0. Arrow keys and the right stick orbit.';
+        this.container.appendChild(hint);
+
+        Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+            const control = createControl({
+                label,
+                type: 'text',
+                onInput: text => this.input.bind(action, parseBindingList(text))
+            });
+            this.controls.push({ action, control });
+            this.container.appendChild(control.group);
+        });
+
+        this.container.appendChild(createButton('Reset Shortcuts', () => this.input.resetBindings()));
+
+        this.gamepadStatus = document.createElement('p');
+        this.gamepadStatus.className = 'status-text';
+        this.container.appendChild(this.gamepadStatus);
+
+        this.sync();
+        this.updateGamepadStatus();
+    }
+
+    /**
+     * Update the inputs from the current bindings
+     */
+    sync() {
+        this.controls.forEach(({ action, control }) => {
+            // Don't rewrite the field that is being typed in
+            if (document.activeElement === control.input) return;
+            control.setValue((this.input.bindings[action] || []).join(', '));
+        });
+    }
+
+    updateGamepadStatus() {
+        const gamepads = this.input.gamepads;
+        this.gamepadStatus.textContent = gamepads.length > 0
+            ? `Gamepad: ${gamepads.map(gamepad => gamepad.id).join(', ')}`
+            : 'Gamepad: none (press a button to connect)';
+    }
+
+    dispose() {
+        this.input.removeEventListener('bindings', this.handleBindings);
+        this.input.removeEventListener('gamepadconnected', this.handleGamepad);
+        this.input.removeEventListener('gamepaddisconnected', this.handleGamepad);
+        this.container.replaceChildren();
+        this.controls = [];
+    }
+}
@@ -0,0 +1,220 @@
+import { createControl, createButton } from './controls.js';
+import { EASING_NAMES } from '../document/SceneDocument.js';
+
+const EASING_LABELS = {
+    linear: 'Linear',
+    step: 'Step',
+    easeIn: 'Ease in',
+    easeOut: 'Ease out',
+    easeInOut: 'Ease in-out'
+};
+
+/**
+ * TimelinePanel Class
+ * Playback, keyframing and import/export controls for a TimelinePlayer.
+ * Recording and file handling are left to the scene through callbacks.
+ */
+export class TimelinePanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {TimelinePlayer} player
+     * @param {Object} [options]
+     * @param {Function} [options.onKey] - Called with 'selection', 'camera' or 'lights'
+     * @param {Function} [options.onExport] - Called with 'json' or 'glb'
+     * @param {Function} [options.onImport] - Called with a .json, .gltf or .glb File
+     */
+    constructor(container, player, { onKey = () => {}, onExport = () => {}, onImport = () => {} } = {}) {
+        this.container = container;
+        this.player = player;
+        this.onKey = onKey;
+        this.onExport = onExport;
+        this.onImport = onImport;
+        this.timeline = null;
+
+        this.handleTimelineChange = () => this.sync();
+        this.handleTime = () => this.syncTime();
+        this.handleState = () => this.syncState();
+        this.handlePlayerTimeline = () => this.attach();
+
+        this.render();
+        this.player.addEventListener('time', this.handleTime);
+        this.player.addEventListener('state', this.handleState);
+        this.player.addEventListener('timeline', this.handlePlayerTimeline);
+        this.attach();
+    }
+
+    render() {
+        this.container.replaceChildren();
+
+        // Transport
+        this.playButton = createButton('Play', () => {
+            if (this.player.playing) {
+                this.player.pause();
+            } else {
+                this.player.play();
+            }
+        });
+        const stopButton = createButton('Stop', () => this.player.stop());
+        this.container.appendChild(this.createRow(this.playButton, stopButton));
+
+        this.timeControl = createControl({
+            label: 'Time (s)',
+            type: 'range',
+            min: 0,
+            step: 0.01,
+            onInput: (time) => {
+                this.player.pause();
+                this.player.seek(time);
+            }
+        });
+        this.container.appendChild(this.timeControl.group);
+
+        this.durationControl = createControl({
+            label: 'Duration (s)',
+            type: 'number',
+            min: 0.1,
+            step: 0.1,
+            onInput: (duration) => {
+                if (duration > 0) {
+                    this.timeline.setDuration(duration);
+                }
+            }
+        });
+        this.container.appendChild(this.durationControl.group);
+
+        this.loopControl = createControl({
+            label: 'Loop',
+            type: 'checkbox',
+            onInput: loop => this.timeline.setLoop(loop)
+        });
+        this.loopControl.group.classList.add('effect-toggle');
+        this.container.appendChild(this.loopControl.group);
+
+        // Keyframing at the playhead
+        this.container.appendChild(this.createHeading('Add keyframe'));
+        this.container.appendChild(this.createRow(
+            createButton('Selection', () => this.onKey('selection')),
+            createButton('Camera', () => this.onKey('camera')),
+            createButton('Lights', () => this.onKey('lights'))
+        ));
+
+        this.container.appendChild(this.createHeading('Tracks'));
+        this.trackList = document.createElement('div');
+        this.trackList.className = 'timeline-tracks';
+        this.container.appendChild(this.trackList);
+
+        // Import / export
+        this.container.appendChild(this.createHeading('File'));
+        this.container.appendChild(this.createRow(
+            createButton('Export JSON', () => this.onExport('json')),
+            createButton('Export GLB', () => this.onExport('glb'))
+        ));
+        const importControl = createControl({
+            label: 'Import (.json, .glb, .gltf)',
+            type: 'file',
+            accept: '.json,.glb,.gltf',
+            onInput: (file) => {
+                importControl.input.value = '';
+                if (file) {
+                    this.onImport(file);
+                }
+            }
+        });
+        this.container.appendChild(importControl.group);
+
+        this.status = document.createElement('p');
+        this.status.className = 'status-text';
+        this.container.appendChild(this.status);
+    }
+
+    createRow(...buttons) {
+        const row = document.createElement('div');
+        row.className = 'control-group control-row';
+        row.append(...buttons);
+        return row;
+    }
+
+    createHeading(text) {
+        const heading = document.createElement('p');
+        heading.className = 'panel-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    /**
+     * Follow the player's current timeline
+     */
+    attach() {
+        if (this.timeline) {
+            this.timeline.removeEventListener('change', this.handleTimelineChange);
+        }
+        this.timeline = this.player.timeline;
+        if (this.timeline) {
+            this.timeline.addEventListener('change', this.handleTimelineChange);
+        }
+        this.sync();
+    }
+
+    /**
+     * Update every control from the timeline and player
+     */
+    sync() {
+        if (!this.timeline) return;
+
+        this.timeControl.input.max = this.timeline.duration;
+        this.durationControl.setValue(this.timeline.duration);
+        this.loopControl.setValue(this.timeline.loop);
+        this.syncTime();
+        this.syncState();
+        this.renderTracks();
+    }
+
+    syncTime() {
+        this.timeControl.setValue(Math.round(this.player.time * 100) / 100);
+    }
+
+    syncState() {
+        this.playButton.textContent = this.player.playing ? 'Pause' : 'Play';
+    }
+
+    renderTracks() {
+        this.trackList.replaceChildren();
+
+        if (this.timeline.tracks.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'status-text';
+            empty.textContent = 'No keyframes yet';
+            this.trackList.appendChild(empty);
+            return;
+        }
+
+        this.timeline.tracks.forEach((track) => {
+            const missing = this.player.skipped.includes(track);
+            const control = createControl({
+                label: `${track.target} · ${track.property} (${track.keyframes.length})${missing ? ' - not in scene' : ''}`,
+                type: 'select',
+                value: track.easing,
+                options: EASING_NAMES.map(name => ({ value: name, label: EASING_LABELS[name] })),
+                onInput: easing => this.timeline.setEasing(track, easing)
+            });
+            control.group.classList.add('timeline-track');
+            control.group.appendChild(createButton('Remove', () => this.timeline.removeTrack(track)));
+            this.trackList.appendChild(control.group);
+        });
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    dispose() {
+        this.player.removeEventListener('time', this.handleTime);
+        this.player.removeEventListener('state', this.handleState);
+        this.player.removeEventListener('timeline', this.handlePlayerTimeline);
+        if (this.timeline) {
+            this.timeline.removeEventListener('change', this.handleTimelineChange);
+        }
+        this.container.replaceChildren();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Small helpers for building control panel inputs at runtime.
+ * The markup matches the static controls in index.html (`.control-group`).
+ */
+
+let nextId = 0;
+
+/**
+ * Create a labelled control group
+ * @param {Object} options
+ * @param {string} options.label - Label text (a trailing colon is added)
+ * @param {'range'|'number'|'color'|'checkbox'|'select'|'file'|'text'} options.type
+ * @param {*} [options.value] - Initial value (checked state for checkboxes)
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {number} [options.step]
+ * @param {Array<{value: string, label: string}>} [options.options] - Choices for selects
+ * @param {string} [options.accept] - Accepted file types for file inputs
+ * @param {Function} [options.onInput] - Called with the parsed value on every change
+ * @returns {{group: HTMLElement, input: HTMLElement, setValue: Function}}
+ */
+export function createControl({ label, type, value, min, max, step, options = [], accept, onInput }) {
+    const id = `control-${++nextId}`;
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = id;
+    labelElement.textContent = `${label}:`;
+
+    let input;
+    if (type === 'select') {
+        input = document.createElement('select');
+        options.forEach((option) => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            input.appendChild(optionElement);
+        });
+    } else {
+        input = document.createElement('input');
+        input.type = type;
+        if (min !== undefined) input.min = min;
+        if (max !== undefined) input.max = max;
+        if (step !== undefined) input.step = step;
+        if (accept) input.accept = accept;
+    }
+    input.id = id;
+
+    // Show the current number next to range labels
+    const valueElement = type === 'range' ? document.createElement('span') : null;
+    if (valueElement) {
+        valueElement.className = 'control-value';
+        labelElement.appendChild(valueElement);
+    }
+
+    const setValue = (next) => {
+        if (type === 'checkbox') {
+            input.checked = Boolean(next);
+        } else if (type !== 'file' && next !== undefined) {
+            input.value = next;
+        }
+        if (valueElement) {
+            valueElement.textContent = ` ${Number(input.value)}`;
+        }
+    };
+    setValue(value);
+
+    if (onInput) {
+        const eventType = type === 'checkbox' || type === 'select' || type === 'file' ? 'change' : 'input';
+        input.addEventListener(eventType, () => {
+            setValue(undefined);
+            onInput(readValue(input, type));
+        });
+    }
+
+    group.append(labelElement, input);
+    return { group, input, setValue };
+}
+
+/**
+ * Create a button matching the panel style
+ * @param {string} text
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+export function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-secondary';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function readValue(input, type) {
+    switch (type) {
+        case 'range':
+        case 'number':
+            return parseFloat(input.value);
+        case 'checkbox':
+            return input.checked;
+        case 'file':
+            return input.files[0] || null;
+        default:
+            return input.value;
+    }
+}
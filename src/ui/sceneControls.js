@@ -0,0 +1,129 @@
+/**
+ * Control panel markup of the built-in scenes.
+ * Scenes find their inputs by id (SceneBase.getElement), so the markup is
+ * mounted once per page, or inside each embedded viewer's shadow root where
+ * the ids cannot clash. Panels filled at runtime (camera, material, ...) are
+ * empty containers here.
+ */
+
+export const SCENE_CONTROLS = {
+    basic: '',
+    enhanced: `
+    <div class="control-group">
+        <label for="rotation-speed">Rotation Speed:</label>
+        <input type="range" id="rotation-speed" min="0" max="3" step="0.05" value="0.6">
+    </div>
+    <div class="control-group">
+        <label for="cube-color">Cube Color:</label>
+        <input type="color" id="cube-color" value="#6366f1">
+    </div>
+    <div class="control-group">
+        <label for="wireframe">Wireframe:</label>
+        <input type="checkbox" id="wireframe" checked>
+    </div>
+    <div class="control-group">
+        <label for="scale">Scale:</label>
+        <input type="range" id="scale" min="0.5" max="3" step="0.1" value="1">
+    </div>
+    <details class="control-group">
+        <summary>Camera</summary>
+        <div id="camera-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Geometry</summary>
+        <div id="geometry-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Material</summary>
+        <div id="material-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Shader</summary>
+        <div id="shader-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Environment</summary>
+        <div id="environment-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Lights</summary>
+        <div id="light-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Effects</summary>
+        <div id="postprocessing-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Particles</summary>
+        <div id="particle-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Timeline</summary>
+        <div id="timeline-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>History</summary>
+        <div id="history-panel" class="sub-panel"></div>
+    </details>
+    <details class="control-group">
+        <summary>Shortcuts</summary>
+        <div id="shortcuts-panel" class="sub-panel"></div>
+    </details>
+    <div class="control-group">
+        <label for="model-file">Load Model (.glb, .gltf, .obj, .stl):</label>
+        <input type="file" id="model-file" accept=".glb,.gltf,.obj,.stl">
+        <label class="inline-label"><input type="checkbox" id="model-keep-cube"> Keep cube</label>
+        <button id="model-clear" class="btn-secondary">Clear Models</button>
+        <p id="model-status" class="status-text"></p>
+    </div>
+    <details class="control-group scene-menu">
+        <summary>Scene</summary>
+        <button id="scene-share" class="btn-secondary">Copy Share Link</button>
+        <div class="control-row">
+            <button id="scene-save" class="btn-secondary">Save JSON</button>
+            <label for="scene-load" class="btn-secondary file-button">Load JSON</label>
+            <input type="file" id="scene-load" accept=".json,application/json" hidden>
+        </div>
+        <button id="scene-reset" class="btn-secondary">Reset Scene</button>
+        <p id="scene-status" class="status-text"></p>
+    </details>
+    <details class="control-group export-menu">
+        <summary>Export</summary>
+        <div class="control-row">
+            <button id="export-gltf" class="btn-secondary">.gltf</button>
+            <button id="export-glb" class="btn-secondary">.glb</button>
+        </div>
+        <label for="screenshot-resolution">Screenshot Size:</label>
+        <select id="screenshot-resolution">
+            <option value="">Current view</option>
+            <option value="1920x1080">1920 × 1080 (Full HD)</option>
+            <option value="2560x1440">2560 × 1440 (QHD)</option>
+            <option value="3840x2160">3840 × 2160 (4K)</option>
+            <option value="2048x2048">2048 × 2048 (Square)</option>
+        </select>
+        <label class="inline-label"><input type="checkbox" id="screenshot-transparent"> Transparent background</label>
+        <button id="export-screenshot" class="btn-secondary">Save Screenshot</button>
+    </details>
+    <details class="control-group">
+        <summary>Capture</summary>
+        <div id="capture-panel" class="sub-panel"></div>
+    </details>
+`,
+    physics: `
+    <div id="physics-panel" class="sub-panel"></div>
+`
+};
+
+/**
+ * Insert a scene's controls at the start of a control panel element
+ * @param {HTMLElement|ShadowRoot} panel
+ * @param {string} sceneId - Key of SCENE_CONTROLS
+ */
+export function mountSceneControls(panel, sceneId) {
+    const markup = SCENE_CONTROLS[sceneId];
+    if (!markup) return;
+
+    const template = document.createElement('template');
+    template.innerHTML = markup.trim();
+    panel.prepend(template.content);
+}
@@ -0,0 +1,34 @@
+/**
+ * Dispose every geometry, material and material texture below an object
+ * @param {THREE.Object3D} root
+ */
+export function disposeObject(root) {
+    root.traverse((object) => {
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        if (object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(disposeMaterial);
+        }
+    });
+}
+
+/**
+ * Dispose a material and any textures assigned to it (including shader uniforms)
+ * @param {THREE.Material} material
+ */
+export function disposeMaterial(material) {
+    getMaterialTextures(material).forEach(texture => texture.dispose());
+    material.dispose();
+}
+
+/**
+ * Textures assigned to a material's properties or shader uniforms
+ * @param {THREE.Material} material
+ * @returns {THREE.Texture[]}
+ */
+export function getMaterialTextures(material) {
+    const uniforms = material.uniforms ? Object.values(material.uniforms).map(uniform => uniform.value) : [];
+    return [...Object.values(material), ...uniforms].filter(value => value && value.isTexture);
+}
@@ -0,0 +1,19 @@
+/**
+ * Save a Blob to the user's machine through a temporary link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
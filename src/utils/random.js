@@ -0,0 +1,17 @@
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Returns numbers in [0, 1), reproducible for the same seed
+ * @param {number} seed
+ * @returns {Function}
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,198 @@
+import { Viewer } from './Viewer.js';
+
+// Lets the built library (dist-lib) be imported where HTMLElement doesn't exist,
+// e.g. during server-side rendering. The source module itself needs Vite for its
+// `?inline` style imports.
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * ThreeViewer Element
+ * `<three-viewer>`: a Viewer configured through attributes and properties.
+ *
+ *   <three-viewer scene="enhanced" controls src="scene.json"></three-viewer>
+ *
+ * Attributes (each mirrored by a property of the same name):
+ * - scene     basic (default), enhanced or physics
+ * - controls  present to show the scene's control panel
+ * - paused    present to stop animating
+ * - src       URL of a scene document (JSON) to show
+ * The `sceneDocument` property takes a document object directly and wins over `src`.
+ * Changing anything but `paused` rebuilds the scene.
+ *
+ * The scene is created when the element is connected and disposed when it
+ * is removed from the page (moving it keeps the scene). Dispatches 'load'
+ * ({ detail: { scene } }) when a scene is ready and 'error' ({ detail: { error } })
+ * when it could not be created.
+ */
+export class ThreeViewer extends BaseElement {
+    static get observedAttributes() {
+        return ['scene', 'controls', 'paused', 'src'];
+    }
+
+    constructor() {
+        super();
+
+        // Viewer showing the scene while connected
+        this.viewer = null;
+
+        // Value of the sceneDocument property
+        this.documentValue = null;
+
+        // Incremented per load(), so a slow fetch can't replace a newer scene
+        this.loadCount = 0;
+    }
+
+    get scene() {
+        return this.getAttribute('scene') || 'basic';
+    }
+
+    set scene(value) {
+        this.setAttribute('scene', value);
+    }
+
+    get controls() {
+        return this.hasAttribute('controls');
+    }
+
+    set controls(value) {
+        this.toggleAttribute('controls', Boolean(value));
+    }
+
+    get paused() {
+        return this.hasAttribute('paused');
+    }
+
+    set paused(value) {
+        this.toggleAttribute('paused', Boolean(value));
+    }
+
+    get src() {
+        return this.getAttribute('src') || '';
+    }
+
+    set src(value) {
+        if (value) {
+            this.setAttribute('src', value);
+        } else {
+            this.removeAttribute('src');
+        }
+    }
+
+    /**
+     * Scene document object to show (null falls back to `src`, then the scene's default)
+     * @type {Object|null}
+     */
+    get sceneDocument() {
+        return this.documentValue;
+    }
+
+    set sceneDocument(value) {
+        this.documentValue = value || null;
+        if (this.isConnected) {
+            this.load();
+        }
+    }
+
+    connectedCallback() {
+        if (!this.viewer) {
+            this.load();
+        }
+    }
+
+    disconnectedCallback() {
+        // Moving the element disconnects and reconnects it right away
+        queueMicrotask(() => {
+            if (!this.isConnected) {
+                this.loadCount++;
+                this.unload();
+            }
+        });
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        // Before the first load, connectedCallback reads every attribute anyway
+        if (previous === value || !this.isConnected || this.loadCount === 0) return;
+
+        if (name === 'src') {
+            this.load();
+        } else if (name === 'paused') {
+            if (this.viewer) {
+                this.viewer.setOptions({ paused: this.paused });
+            }
+        } else if (this.viewer) {
+            this.run(() => {
+                this.viewer.setOptions({ scene: this.scene, controls: this.controls });
+            });
+        }
+    }
+
+    /**
+     * (Re)create the viewer, fetching the `src` document first if needed
+     * Without a fetch, the viewer exists as soon as this returns.
+     */
+    async load() {
+        const loadCount = ++this.loadCount;
+        let sceneDocument = this.documentValue;
+
+        if (!sceneDocument && this.src) {
+            try {
+                const response = await fetch(this.src);
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.src}: ${response.status} ${response.statusText}`);
+                }
+                sceneDocument = await response.json();
+            } catch (error) {
+                if (loadCount === this.loadCount) {
+                    this.fail(error);
+                }
+                return;
+            }
+            if (loadCount !== this.loadCount) return;
+        }
+
+        this.unload();
+        this.run(() => {
+            this.viewer = new Viewer(this, {
+                scene: this.scene,
+                controls: this.controls,
+                paused: this.paused,
+                sceneDocument
+            });
+        });
+    }
+
+    /**
+     * Apply a change to the viewer and report the outcome
+     */
+    run(change) {
+        try {
+            change();
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+        this.dispatchEvent(new CustomEvent('load', { detail: { scene: this.viewer.scene } }));
+    }
+
+    fail(error) {
+        console.error('❌ Failed to create viewer:', error);
+        this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+    }
+
+    unload() {
+        if (this.viewer) {
+            this.viewer.dispose();
+            this.viewer = null;
+        }
+    }
+}
+
+/**
+ * Register the element (once; later calls are ignored)
+ * @param {string} [name='three-viewer'] - Tag name
+ */
+export function defineThreeViewer(name = 'three-viewer') {
+    if (!customElements.get(name)) {
+        customElements.define(name, ThreeViewer);
+    }
+}
@@ -0,0 +1,187 @@
+import { sharedClock } from '../core/Clock.js';
+import { BasicScene } from '../scenes/BasicScene.js';
+import { EnhancedScene } from '../scenes/EnhancedScene.js';
+import { PhysicsScene } from '../scenes/PhysicsScene.js';
+import { mountSceneControls } from '../ui/sceneControls.js';
+import controlsStyles from '../styles/controls.css?inline';
+import viewerStyles from '../styles/viewer.css?inline';
+
+/**
+ * Scenes a viewer can show by name
+ */
+export const VIEWER_SCENES = {
+    basic: BasicScene,
+    enhanced: EnhancedScene,
+    physics: PhysicsScene
+};
+
+/**
+ * Viewer Class
+ * One scene embedded in an element of any page, independent of the app's
+ * layout, so a page can hold several:
+ * - Everything renders into the element's shadow root, so the control panel
+ *   ids and styles of one viewer cannot clash with the page or other viewers
+ * - The scene sizes itself to the element and reads keyboard shortcuts only
+ *   while the element has focus
+ * - Scene documents are not saved to localStorage or share links
+ *
+ * Used by the <three-viewer> element (see ThreeViewer.js).
+ */
+export class Viewer {
+    /**
+     * @param {HTMLElement} element - Host element (gets a shadow root if it has none)
+     * @param {Object} [options]
+     * @param {string|Function} [options.scene='basic'] - Key of VIEWER_SCENES, or a SceneBase subclass
+     * @param {boolean} [options.controls=false] - Show the scene's control panel
+     * @param {boolean} [options.paused=false] - Start without animating
+     * @param {Object} [options.sceneDocument] - Scene document to show instead of the scene's default
+     * @param {Clock} [options.clock=sharedClock] - Time source driving the scene
+     * @param {Object} [options.sceneOptions] - Extra options for the scene constructor
+     *   (e.g. a physics `seed`, a `renderer` to render with, or an EventBus as `events`)
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.root = element.shadowRoot || element.attachShadow({ mode: 'open' });
+        this.options = {
+            scene: 'basic',
+            controls: false,
+            paused: false,
+            sceneDocument: null,
+            clock: sharedClock,
+            sceneOptions: {},
+            ...options
+        };
+
+        // The running SceneBase, null after dispose()
+        this.scene = null;
+
+        // Focusable, so keyboard shortcuts reach the scene after a click
+        if (!element.hasAttribute('tabindex')) {
+            element.tabIndex = 0;
+        }
+
+        this.load();
+    }
+
+    /**
+     * Build the markup and start the scene from the current options
+     * @throws {Error} If the scene is unknown or its document is invalid
+     */
+    load() {
+        const { scene: sceneId, controls, paused, sceneDocument, clock, sceneOptions } = this.options;
+        const SceneClass = typeof sceneId === 'function' ? sceneId : VIEWER_SCENES[sceneId];
+        if (!SceneClass) {
+            throw new Error(`Unknown scene "${sceneId}" (expected one of ${Object.keys(VIEWER_SCENES).join(', ')})`);
+        }
+
+        const style = document.createElement('style');
+        style.textContent = `${controlsStyles}\n${viewerStyles}`;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'viewer';
+        const container = document.createElement('div');
+        container.className = 'viewer-canvas';
+        wrapper.appendChild(container);
+
+        if (controls) {
+            const details = document.createElement('details');
+            details.className = 'viewer-controls';
+            const summary = document.createElement('summary');
+            summary.textContent = 'Controls';
+            const panel = document.createElement('div');
+            panel.className = 'control-panel';
+            details.append(summary, panel);
+            wrapper.appendChild(details);
+
+            if (typeof sceneId === 'string') {
+                panel.dataset.sceneControls = sceneId;
+                mountSceneControls(panel, sceneId);
+            }
+        }
+
+        this.root.replaceChildren(style, wrapper);
+
+        this.scene = new SceneClass({
+            clock,
+            id: typeof sceneId === 'string' ? sceneId : null,
+            sceneDocument,
+            uiRoot: controls ? this.root : null,
+            keyTarget: this.element,
+            persist: false,
+            ...sceneOptions
+        });
+        try {
+            this.scene.init(container);
+        } catch (error) {
+            this.unload();
+            throw error;
+        }
+        if (paused) {
+            this.scene.pause();
+        }
+    }
+
+    /**
+     * Change options; anything but `paused` rebuilds the scene
+     * @param {Object} changes - See the constructor
+     */
+    setOptions(changes) {
+        const previous = this.options;
+        this.options = { ...previous, ...changes };
+
+        const rebuild = Object.keys(changes).some(key => key !== 'paused' && changes[key] !== previous[key]);
+        if (rebuild) {
+            this.unload();
+            this.load();
+        } else if (this.options.paused) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
+    pause() {
+        this.options.paused = true;
+        if (this.scene) {
+            this.scene.pause();
+        }
+    }
+
+    resume() {
+        this.options.paused = false;
+        if (this.scene) {
+            this.scene.resume();
+        }
+    }
+
+    /**
+     * Dispose the scene and empty the shadow root
+     */
+    unload() {
+        if (this.scene) {
+            const renderer = this.scene.renderer;
+            this.scene.dispose();
+            this.scene = null;
+
+            // Browsers only keep a few WebGL contexts alive; free this one now
+            if (renderer && renderer.forceContextLoss) {
+                renderer.forceContextLoss();
+            }
+        }
+        this.root.replaceChildren();
+    }
+
+    dispose() {
+        this.unload();
+    }
+}
+
+/**
+ * Embed a scene in an element
+ * @param {HTMLElement} element
+ * @param {Object} [options] - See Viewer
+ * @returns {Viewer}
+ */
+export function createViewer(element, options) {
+    return new Viewer(element, options);
+}
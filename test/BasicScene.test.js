@@ -0,0 +1,70 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let SceneHarness;
+let BasicScene;
+
+before(async () => {
+    // Scenes read browser globals, so they are imported once jsdom is installed
+    await installDomEnvironment();
+    ({ SceneHarness } = await import('../src/testing/SceneHarness.js'));
+    ({ BasicScene } = await import('../src/scenes/BasicScene.js'));
+});
+
+test('builds the cube and its lights from the default document', () => {
+    const harness = new SceneHarness(BasicScene).init();
+
+    assert.deepEqual(harness.summarize(), {
+        objects: 5,
+        meshes: 1,
+        lights: 3,
+        points: 0,
+        geometries: 1,
+        materials: 1,
+        textures: 0
+    });
+    assert.ok(harness.find('cube'));
+
+    harness.dispose();
+});
+
+test('rotates the cube 0.3 rad/s on x and y', () => {
+    const harness = new SceneHarness(BasicScene).init();
+    const cube = harness.find('cube');
+
+    harness.step(60);
+
+    assert.ok(Math.abs(cube.rotation.x - 0.3) < 1e-9);
+    assert.ok(Math.abs(cube.rotation.y - 0.3) < 1e-9);
+    assert.equal(cube.rotation.z, 0);
+    assert.ok(Math.abs(harness.scene.time - 1) < 1e-9);
+
+    harness.dispose();
+});
+
+test('does not advance while paused', () => {
+    const harness = new SceneHarness(BasicScene).init();
+    const cube = harness.find('cube');
+
+    harness.scene.pause();
+    harness.step(30);
+
+    assert.equal(cube.rotation.y, 0);
+    assert.equal(harness.scene.time, 0);
+
+    harness.dispose();
+});
+
+test('frees everything on dispose', () => {
+    const harness = new SceneHarness(BasicScene).init();
+    harness.step(10);
+
+    const report = harness.dispose();
+
+    assert.deepEqual(report.leaks, []);
+    assert.equal(report.rendererDisposed, true);
+    assert.equal(report.canvasDetached, true);
+    assert.equal(report.clockSubscribers, 0);
+    assert.equal(report.frames, 10);
+});
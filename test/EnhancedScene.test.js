@@ -0,0 +1,136 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let SceneHarness;
+let EnhancedScene;
+
+// Runs without localStorage persistence, so tests don't see each other's documents
+const createHarness = () => new SceneHarness(EnhancedScene, { sceneOptions: { persist: false } }).init();
+
+before(async () => {
+    await installDomEnvironment();
+    ({ SceneHarness } = await import('../src/testing/SceneHarness.js'));
+    ({ EnhancedScene } = await import('../src/scenes/EnhancedScene.js'));
+});
+
+test('builds the cube, lights and particles from the default document', () => {
+    const harness = createHarness();
+    const summary = harness.summarize();
+
+    assert.equal(harness.scene.content.objects.size, 1);
+    assert.equal(harness.scene.cube, harness.find('cube'));
+    assert.equal(summary.lights, 7);
+    assert.equal(summary.points, 1);
+
+    harness.dispose();
+});
+
+test('rotates the cube at the document rotation speed', () => {
+    const harness = createHarness();
+    const cube = harness.find('cube');
+
+    harness.step(60);
+
+    // rotationSpeed 0.6 rad/s for one second
+    assert.ok(Math.abs(cube.rotation.x - 0.6) < 1e-9);
+    assert.ok(Math.abs(cube.rotation.y - 0.6) < 1e-9);
+    assert.deepEqual(cube.scale.toArray(), [1, 1, 1]);
+
+    harness.dispose();
+});
+
+test('advances the same with a different number of steps for the same time', () => {
+    const a = new SceneHarness(EnhancedScene, { fixedDelta: 1 / 60, sceneOptions: { persist: false } }).init();
+    const b = new SceneHarness(EnhancedScene, { fixedDelta: 1 / 30, sceneOptions: { persist: false } }).init();
+
+    a.step(60);
+    b.step(30);
+
+    assert.ok(Math.abs(a.find('cube').rotation.y - b.find('cube').rotation.y) < 1e-9);
+
+    a.dispose();
+    b.dispose();
+});
+
+test('frees everything on dispose', () => {
+    const harness = createHarness();
+    harness.step(10);
+
+    const report = harness.dispose();
+
+    assert.deepEqual(report.leaks, []);
+    assert.equal(report.rendererDisposed, true);
+    assert.equal(report.canvasDetached, true);
+    assert.equal(report.clockSubscribers, 0);
+});
+
+test('frees a model that finishes loading after dispose', async () => {
+    const THREE = await import('three');
+    const harness = createHarness();
+    const scene = harness.scene;
+
+    const model = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+    let disposed = 0;
+    model.geometry.addEventListener('dispose', () => disposed++);
+    model.material.addEventListener('dispose', () => disposed++);
+
+    let finishLoading;
+    scene.modelLoader.load = () => new Promise((resolve) => {
+        finishLoading = () => resolve(model);
+    });
+
+    const loading = scene.loadModelFile({ name: 'late.glb' });
+    harness.dispose();
+    finishLoading();
+    await loading;
+
+    assert.equal(disposed, 2);
+    assert.deepEqual(scene.models, []);
+    assert.equal(model.parent, null);
+});
+
+test('imports a share link once and removes it from the address bar', async () => {
+    const { DocumentStore } = await import('../src/document/DocumentStore.js');
+    const { ENHANCED_SCENE_DOCUMENT } = await import('../src/document/defaults.js');
+    const store = new DocumentStore('enhanced');
+    const shared = {
+        ...ENHANCED_SCENE_DOCUMENT,
+        controls: { ...ENHANCED_SCENE_DOCUMENT.controls, rotationSpeed: 1.5 }
+    };
+    history.replaceState(null, '', store.toUrl(shared));
+
+    const harness = new SceneHarness(EnhancedScene).init();
+
+    assert.equal(harness.scene.settings.rotationSpeed, 1.5);
+    assert.equal(window.location.hash, '#/enhanced');
+    assert.equal(store.load().controls.rotationSpeed, 1.5);
+
+    harness.dispose();
+    store.clear();
+});
+
+test('keeps gizmo scales, also non-uniform ones made during a pulse', async () => {
+    const { validateSceneDocument } = await import('../src/document/SceneDocument.js');
+    const harness = createHarness();
+    const scene = harness.scene;
+    const cube = harness.find('cube');
+
+    scene.pulse(cube);
+    assert.deepEqual(cube.scale.toArray(), [1.2, 1.2, 1.2]);
+
+    // The gizmo stretches the pulsing cube along y
+    cube.scale.set(1.2, 2.4, 1.2);
+    scene.storeBaseTransform(cube);
+    harness.step(30);
+
+    cube.scale.toArray().forEach((value, index) => {
+        assert.ok(Math.abs(value - [1, 2, 1][index]) < 1e-9);
+    });
+
+    const doc = scene.toDocument();
+    assert.deepEqual(doc.objects[0].scale, [1, 2, 1]);
+    assert.deepEqual(validateSceneDocument(doc).objects[0].scale, [1, 2, 1]);
+
+    harness.dispose();
+});
@@ -0,0 +1,61 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let SceneHarness;
+let BasicScene;
+let FrameCapture;
+
+// jsdom cannot encode canvases; hand out an empty PNG for every frame
+const createHarness = () => {
+    const harness = new SceneHarness(BasicScene).init();
+    harness.renderer.domElement.toBlob = callback => callback(new Blob([], { type: 'image/png' }));
+    return harness;
+};
+
+before(async () => {
+    await installDomEnvironment();
+    ({ SceneHarness } = await import('../src/testing/SceneHarness.js'));
+    ({ BasicScene } = await import('../src/scenes/BasicScene.js'));
+    ({ FrameCapture } = await import('../src/export/FrameCapture.js'));
+});
+
+test('captures every frame and hands the scene back to its clock', async () => {
+    const harness = createHarness();
+    const capture = new FrameCapture(harness.scene);
+
+    const blob = await capture.capture({ format: 'png', fps: 10, duration: 1 });
+
+    assert.equal(blob.type, 'application/zip');
+    assert.equal(harness.scene.clock, harness.clock);
+    assert.equal(harness.scene.isAnimating, true);
+    // One second of scene time at 0.3 rad/s
+    assert.ok(Math.abs(harness.find('cube').rotation.y - 0.3) < 1e-9);
+
+    harness.dispose();
+});
+
+test('cancels when the scene is paused during the capture and leaves it paused', async () => {
+    const harness = createHarness();
+    const capture = new FrameCapture(harness.scene);
+    const ends = [];
+    capture.addEventListener('progress', ({ frame }) => {
+        // Like switching to another view, which pauses the hidden scene
+        if (frame === 3) harness.scene.pause();
+    });
+    capture.addEventListener('end', event => ends.push(event));
+
+    const blob = await capture.capture({ format: 'png', fps: 10, duration: 1 });
+
+    assert.equal(blob, null);
+    assert.equal(ends[0].cancelled, true);
+    assert.equal(harness.scene.isAnimating, false);
+    assert.equal(harness.scene.clock, harness.clock);
+
+    // Stays paused on its own clock
+    const rotation = harness.find('cube').rotation.y;
+    harness.step(10);
+    assert.equal(harness.find('cube').rotation.y, rotation);
+
+    harness.dispose();
+});
@@ -0,0 +1,183 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let InputManager;
+let MockGamepad;
+
+// Without persistence, so rebinding in one test doesn't leak into the next
+const createInput = () => {
+    const canvas = document.createElement('canvas');
+    const keyTarget = document.createElement('div');
+    document.body.append(canvas, keyTarget);
+
+    const input = new InputManager(canvas, { keyTarget, getGamepads: () => [], persist: false });
+    const actions = [];
+    input.addEventListener('action', ({ action }) => actions.push(action));
+    return { input, canvas, keyTarget, actions };
+};
+
+// jsdom has no PointerEvent; a MouseEvent with the pointer fields does the job
+const pointer = (target, type, { id = 1, x = 0, y = 0, time = 0 } = {}) => {
+    const event = new window.MouseEvent(type, { clientX: x, clientY: y, button: 0 });
+    Object.defineProperty(event, 'pointerId', { value: id });
+    Object.defineProperty(event, 'pointerType', { value: 'touch' });
+    Object.defineProperty(event, 'timeStamp', { value: time });
+    target.dispatchEvent(event);
+};
+
+const key = (target, type, init) => {
+    const event = new window.KeyboardEvent(type, { bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+};
+
+before(async () => {
+    await installDomEnvironment();
+    ({ InputManager } = await import('../src/input/InputManager.js'));
+    ({ MockGamepad } = await import('../src/input/MockGamepad.js'));
+});
+
+test('triggers gamepad button bindings once per press', () => {
+    const { input, actions } = createInput();
+    const pad = new MockGamepad();
+    const connected = [];
+    input.addEventListener('gamepadconnected', ({ gamepad }) => connected.push(gamepad.id));
+    input.setGamepadSource(() => [pad]);
+
+    // The press that reveals the gamepad must not trigger anything
+    pad.press(0);
+    input.update();
+    assert.deepEqual(connected, ['Mock Gamepad']);
+    assert.deepEqual(actions, []);
+
+    pad.release(0);
+    input.update();
+    pad.press(0);
+    input.update();
+    input.update();
+    assert.deepEqual(actions, ['pulse']);
+
+    pad.press(2);
+    pad.press(1);
+    input.update();
+    assert.deepEqual(actions, ['pulse', 'deselect', 'frame-selection']);
+
+    input.dispose();
+});
+
+test('reads the orbit axis from the right stick with a dead zone', () => {
+    const { input } = createInput();
+    const pad = new MockGamepad();
+    input.setGamepadSource(() => [pad]);
+    input.update();
+
+    // y is positive downwards on the gamepad, upwards on the axis
+    pad.setStick(1, 0.5, -1);
+    input.update();
+    assert.deepEqual(input.getAxis('orbit').toArray(), [0.5, 1]);
+
+    pad.setStick(1, 0.1, 0.05);
+    assert.deepEqual(input.getAxis('orbit').toArray(), [0, 0]);
+
+    // The left stick is not bound to orbit
+    pad.setStick(1, 0, 0);
+    pad.setStick(0, 1, 1);
+    assert.deepEqual(input.getAxis('orbit').toArray(), [0, 0]);
+
+    const disconnected = [];
+    input.addEventListener('gamepaddisconnected', ({ index }) => disconnected.push(index));
+    pad.connected = false;
+    input.update();
+    assert.deepEqual(disconnected, [0]);
+
+    input.dispose();
+});
+
+test('triggers key combos and follows rebinding', () => {
+    const { input, keyTarget, actions } = createInput();
+    let pulses = 0;
+    input.on('pulse', () => {
+        pulses++;
+    });
+
+    const press = key(keyTarget, 'keydown', { key: ' ' });
+    assert.equal(press.defaultPrevented, true);
+    key(keyTarget, 'keydown', { key: 'Z', ctrlKey: true, shiftKey: true });
+    // Held keys repeat without triggering again
+    key(keyTarget, 'keydown', { key: ' ', repeat: true });
+    assert.deepEqual(actions, ['pulse', 'redo']);
+    assert.equal(pulses, 1);
+
+    input.bind('pulse', ['Shift+P']);
+    key(keyTarget, 'keydown', { key: ' ' });
+    key(keyTarget, 'keydown', { key: 'P', shiftKey: true });
+    assert.deepEqual(actions, ['pulse', 'redo', 'pulse']);
+    assert.deepEqual(input.getActions('shift+p'), ['pulse']);
+
+    input.resetBindings();
+    assert.deepEqual(input.getActions('space'), ['pulse']);
+
+    input.dispose();
+});
+
+test('leaves keys typed into text fields alone and reads arrow keys as an axis', () => {
+    const { input, keyTarget, actions } = createInput();
+    const field = document.createElement('input');
+    keyTarget.appendChild(field);
+
+    key(field, 'keydown', { key: 'f' });
+    assert.deepEqual(actions, []);
+
+    key(keyTarget, 'keydown', { key: 'ArrowLeft' });
+    key(keyTarget, 'keydown', { key: 'ArrowUp' });
+    assert.deepEqual(input.getAxis('orbit').toArray(), [-1, 1]);
+
+    key(keyTarget, 'keyup', { key: 'ArrowLeft' });
+    assert.deepEqual(input.getAxis('orbit').toArray(), [0, 1]);
+
+    input.dispose();
+});
+
+test('recognizes taps, double taps and pinches', () => {
+    const { input, canvas, actions } = createInput();
+    const gestures = [];
+    ['tap', 'doubletap', 'pinch'].forEach((type) => {
+        input.addEventListener(type, event => gestures.push(type === 'pinch' ? event.scale : type));
+    });
+
+    pointer(canvas, 'pointerdown', { x: 100, y: 100, time: 0 });
+    pointer(canvas, 'pointerup', { x: 102, y: 100, time: 100 });
+    pointer(canvas, 'pointerdown', { x: 105, y: 100, time: 200 });
+    pointer(canvas, 'pointerup', { x: 105, y: 100, time: 250 });
+    assert.deepEqual(gestures, ['tap', 'tap', 'doubletap']);
+    assert.deepEqual(actions, ['frame-selection']);
+
+    // Two fingers moving apart: a pinch, not a tap
+    gestures.length = 0;
+    pointer(canvas, 'pointerdown', { id: 1, x: 100, y: 100, time: 1000 });
+    pointer(canvas, 'pointerdown', { id: 2, x: 200, y: 100, time: 1000 });
+    pointer(canvas, 'pointermove', { id: 2, x: 300, y: 100, time: 1050 });
+    pointer(canvas, 'pointerup', { id: 2, x: 300, y: 100, time: 1100 });
+    pointer(canvas, 'pointerup', { id: 1, x: 100, y: 100, time: 1100 });
+    assert.deepEqual(gestures, [2]);
+
+    input.dispose();
+});
+
+test('turns a held pointer into a long press', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { input, canvas, actions } = createInput();
+    const gestures = [];
+    input.addEventListener('tap', () => gestures.push('tap'));
+    input.addEventListener('longpress', () => gestures.push('longpress'));
+
+    pointer(canvas, 'pointerdown', { x: 50, y: 50, time: 0 });
+    t.mock.timers.tick(600);
+    pointer(canvas, 'pointerup', { x: 50, y: 50, time: 700 });
+
+    assert.deepEqual(gestures, ['longpress']);
+    assert.deepEqual(actions, ['reset-camera']);
+
+    input.dispose();
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsWorld } from '../src/physics/PhysicsWorld.js';
+
+// A box and a sphere that fall, collide with each other and settle on the ground
+const createWorld = () => {
+    const physics = new PhysicsWorld();
+    physics.spawn({ shape: 'box', size: [1, 1, 1], position: [0, 4, 0], quaternion: [0.1, 0.2, 0, 0.97] });
+    physics.spawn({ shape: 'sphere', size: 0.5, position: [0.3, 7, 0.2], velocity: [0, 0, 1] });
+    return physics;
+};
+
+const snapshot = physics => physics.records.map(({ body }) => [
+    ...body.position.toArray(),
+    ...body.quaternion.toArray()
+]);
+
+test('runs the same simulation at 60 and 120 Hz frame rates', () => {
+    const a = createWorld();
+    const b = createWorld();
+
+    for (let i = 0; i < 300; i++) a.step(1 / 60);
+    for (let i = 0; i < 600; i++) b.step(1 / 120);
+
+    assert.equal(a.steps, 300);
+    assert.equal(b.steps, 300);
+    assert.ok(Math.abs(a.time - 5) < 1e-9);
+    assert.deepEqual(snapshot(b), snapshot(a));
+
+    // Five seconds is enough for the box to come to rest on the ground
+    const [box] = a.records;
+    assert.ok(Math.abs(box.body.position.y - 0.5) < 0.05);
+
+    a.dispose();
+    b.dispose();
+});
@@ -0,0 +1,33 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let Router;
+
+before(async () => {
+    await installDomEnvironment();
+    ({ Router } = await import('../src/core/Router.js'));
+});
+
+test('reads the route id from the hash', () => {
+    assert.equal(Router.fromHash('#/enhanced'), 'enhanced');
+    assert.equal(Router.fromHash('#/enhanced?scene=abc'), 'enhanced');
+    assert.equal(Router.fromHash('#/my%20scene/extra'), 'my scene');
+    assert.equal(Router.fromHash(''), '');
+});
+
+test('falls back to the default route for a malformed hash', () => {
+    const routes = [];
+    const router = new Router({
+        defaultRoute: 'basic',
+        onRouteChange: route => routes.push(route),
+        isKnownRoute: route => ['basic', 'enhanced'].includes(route)
+    });
+    history.replaceState(null, '', '#/enh%anced?x=%');
+
+    router.start();
+    router.stop();
+
+    assert.deepEqual(routes, ['basic']);
+    assert.equal(window.location.hash, '#/basic');
+});
@@ -0,0 +1,54 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+import {
+    validateSceneDocument,
+    SceneDocumentError,
+    MAX_PARTICLES,
+    MAX_EMITTERS
+} from '../src/document/SceneDocument.js';
+
+let DocumentStore;
+
+const withEmitters = (count, particles) => ({
+    version: 1,
+    particles: Array.from({ length: count }, (_, index) => ({ id: `emitter-${index}`, count: particles }))
+});
+
+before(async () => {
+    await installDomEnvironment();
+    ({ DocumentStore } = await import('../src/document/DocumentStore.js'));
+});
+
+test('accepts particles up to the total limit', () => {
+    const doc = validateSceneDocument(withEmitters(4, MAX_PARTICLES / 4));
+    assert.equal(doc.particles.length, 4);
+});
+
+test('rejects more particles in total than the limit', () => {
+    assert.throws(
+        () => validateSceneDocument(withEmitters(3, MAX_PARTICLES / 2)),
+        (error) => {
+            assert.ok(error instanceof SceneDocumentError);
+            assert.equal(error.path, 'particles');
+            assert.match(error.message, /at most 1000000 particles in total, got 1500000/);
+            return true;
+        }
+    );
+});
+
+test('rejects more emitters than the limit', () => {
+    assert.throws(
+        () => validateSceneDocument(withEmitters(MAX_EMITTERS + 1, 0)),
+        { name: 'SceneDocumentError', path: 'particles' }
+    );
+});
+
+test('refuses share links over the limits', () => {
+    const store = new DocumentStore('enhanced');
+    history.replaceState(null, '', store.toUrl(withEmitters(1000, 1000000)));
+
+    assert.throws(() => store.fromUrl(), { name: 'SceneDocumentError', path: 'particles' });
+
+    store.clearUrl();
+});
@@ -0,0 +1,46 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let THREE;
+let StubRenderer;
+let SceneExporter;
+
+// A renderer whose browser caps the drawing buffer at 2048px
+const createExporter = () => {
+    const renderer = new StubRenderer({ maxDrawingBufferSize: 2048 });
+    renderer.setSize(800, 600, false);
+    const camera = new THREE.PerspectiveCamera(50, 800 / 600);
+    return new SceneExporter(renderer, new THREE.Scene(), camera);
+};
+
+before(async () => {
+    await installDomEnvironment();
+    THREE = await import('three');
+    ({ StubRenderer } = await import('../src/testing/StubRenderer.js'));
+    ({ SceneExporter } = await import('../src/export/SceneExporter.js'));
+});
+
+test('renders at the requested size and restores the previous one', () => {
+    const exporter = createExporter();
+    const restore = exporter.setRenderSize({ width: 1920, height: 1080 });
+
+    assert.deepEqual(exporter.renderer.getDrawingBufferSize(new THREE.Vector2()).toArray(), [1920, 1080]);
+    assert.equal(exporter.camera.aspect, 1920 / 1080);
+
+    restore();
+
+    assert.deepEqual(exporter.renderer.getSize(new THREE.Vector2()).toArray(), [800, 600]);
+    assert.equal(exporter.camera.aspect, 800 / 600);
+});
+
+test('throws when the browser gives a smaller drawing buffer', () => {
+    const exporter = createExporter();
+
+    assert.throws(
+        () => exporter.setRenderSize({ width: 3000, height: 1000 }),
+        /3000x1000 is too large for this browser \(got 2048x1000\)/
+    );
+    assert.deepEqual(exporter.renderer.getSize(new THREE.Vector2()).toArray(), [800, 600]);
+    assert.equal(exporter.camera.aspect, 800 / 600);
+});
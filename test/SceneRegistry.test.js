@@ -0,0 +1,77 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomEnvironment } from '../src/testing/environment.js';
+
+let SceneRegistry;
+
+// Records its lifecycle instead of rendering
+class FakeScene {
+    constructor(options) {
+        this.options = options;
+        this.running = false;
+    }
+
+    init(containerId) {
+        this.container = document.getElementById(containerId);
+        this.running = true;
+    }
+
+    pause() {
+        this.running = false;
+    }
+
+    resume() {
+        this.running = true;
+    }
+
+    onWindowResize() {}
+
+    dispose() {
+        this.running = false;
+    }
+}
+
+before(async () => {
+    await installDomEnvironment();
+    ({ SceneRegistry } = await import('../src/core/SceneRegistry.js'));
+});
+
+test('shows and hides a scene registered without a view id', () => {
+    const registry = new SceneRegistry().register('extra', FakeScene, { container: 'extra-container' });
+
+    registry.activate('extra');
+    const view = document.getElementById('extra-container').parentElement;
+    const scene = registry.getInstance('extra');
+
+    assert.equal(view.className, 'view active');
+    assert.equal(scene.container.id, 'extra-container');
+    assert.equal(scene.running, true);
+
+    registry.deactivate('extra');
+    assert.equal(view.classList.contains('active'), false);
+    assert.equal(scene.running, false);
+
+    registry.activate('extra');
+    assert.equal(view.classList.contains('active'), true);
+    assert.equal(scene.running, true);
+
+    registry.dispose();
+    view.remove();
+});
+
+test('toggles an existing view by its id', () => {
+    document.body.insertAdjacentHTML('beforeend', '<div id="page-view" class="view"></div>');
+    const registry = new SceneRegistry().register('page', FakeScene, { container: 'page-container', view: 'page-view' });
+
+    registry.activate('page');
+    const view = document.getElementById('page-view');
+
+    assert.equal(document.getElementById('page-container').parentElement, view);
+    assert.equal(view.classList.contains('active'), true);
+
+    registry.deactivate('page');
+    assert.equal(view.classList.contains('active'), false);
+
+    registry.dispose();
+    view.remove();
+});
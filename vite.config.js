@@ -1,13 +1,33 @@
 import { defineConfig } from 'vite'
 
-export default defineConfig({
+// `vite build` builds the app; `vite build --mode lib` builds the embeddable
+// viewer library (src/index.js) as ESM and UMD bundles. three.js stays external
+// (a peer dependency, the `THREE` global for UMD) so pages don't load it twice
+export default defineConfig(({ mode }) => ({
   server: {
     port: 3000,
     open: true
   },
-  build: {
-    outDir: 'dist',
-    assetsDir: 'assets',
-    sourcemap: true
-  }
-})
+  build: mode === 'lib'
+    ? {
+        outDir: 'dist-lib',
+        sourcemap: true,
+        lib: {
+          entry: 'src/index.js',
+          name: 'ThreeStarterPro',
+          formats: ['es', 'umd'],
+          fileName: format => (format === 'es' ? 'three-viewer.mjs' : 'three-viewer.umd.js')
+        },
+        rollupOptions: {
+          external: ['three'],
+          output: {
+            globals: { three: 'THREE' }
+          }
+        }
+      }
+    : {
+        outDir: 'dist',
+        assetsDir: 'assets',
+        sourcemap: true
+      }
+}))